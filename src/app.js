@@ -2,17 +2,37 @@ const express = require('express');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const emailRoutes = require('./modules/email/email.routes');
+const emailImportRoutes = require('./modules/emailImport/emailImport.routes');
+const templateRoutes = require('./modules/template/template.routes');
+const webhookRoutes = require('./modules/webhook/webhook.routes');
+const suppressionRoutes = require('./modules/suppression/suppression.routes');
+const providerRoutes = require('./modules/provider/provider.routes');
+const unsubscribeRoutes = require('./modules/unsubscribe/unsubscribe.routes');
+const trackingRoutes = require('./modules/tracking/tracking.routes');
+const adminRoutes = require('./modules/admin/admin.routes');
+const apiKeyRoutes = require('./modules/apiKey/apiKey.routes');
+const healthRoutes = require('./modules/health/health.routes');
+const { authenticate, requireAdmin } = require('./middlewares/auth.middleware');
 const errorMiddleware = require('./middlewares/error.middleware');
-const requestLogger = require('./middlewares/requestLogger.middleware');
+const { requestLogger, recordMountPath } = require('./middlewares/requestLogger.middleware');
+const { metricsHandler } = require('./metrics');
 const logger = require('./utils/logger');
+const config = require('./config/env');
+
+// Room for base64 encoded attachments (4 bytes for every 3) on top of the email itself
+const JSON_BODY_LIMIT = Math.ceil((config.attachments.maxTotalSize * 4) / 3) + 1024 * 1024;
 
 const app = express();
 
 // Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
 app.use(requestLogger);
 
+// Provider events are signed over the raw body, they are mounted before the JSON parser
+app.use('/api/providers', recordMountPath, providerRoutes);
+
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true }));
+
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customCss: '.swagger-ui .topbar { display: none }',
@@ -30,8 +50,9 @@ app.get('/api-docs.json', (req, res) => {
  * /health:
  *   get:
  *     summary: Health check endpoint
- *     description: Check if the server is running and healthy
+ *     description: Check if the server is running. Always answers 200, GET /health/ready checks the database, Redis and the worker.
  *     tags: [Health]
+ *     security: []
  *     responses:
  *       200:
  *         description: Server is running
@@ -59,8 +80,41 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Liveness and readiness checks of orchestrators, /health above is kept for compatibility
+app.use('/health', recordMountPath, healthRoutes);
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: Metrics of this process in the Prometheus text format - HTTP requests, emails created, sent and failed, jobs of the email queue, send delays and transport call durations. The worker serves the metrics of the emails it sends on its own port (WORKER_METRICS_PORT).
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Metrics in the text exposition format
+ *         content:
+ *           text/plain:
+ *             example: |
+ *               # HELP emails_sent_total Emails, and occurrences of recurring emails, accepted by the transport
+ *               # TYPE emails_sent_total counter
+ *               emails_sent_total 42
+ */
+app.get('/metrics', metricsHandler);
+
+// Links of sent emails, opened by recipients without an API key
+app.use('/unsubscribe', recordMountPath, unsubscribeRoutes);
+app.use('/track', recordMountPath, trackingRoutes);
+
 // API Routes
-app.use('/api/emails', emailRoutes);
+app.use('/api/emails/import', recordMountPath, authenticate, emailImportRoutes);
+app.use('/api/emails', recordMountPath, authenticate, emailRoutes);
+app.use('/api/templates', recordMountPath, authenticate, templateRoutes);
+app.use('/api/webhooks', recordMountPath, authenticate, webhookRoutes);
+app.use('/api/suppressions', recordMountPath, authenticate, suppressionRoutes);
+app.use('/api/admin/api-keys', recordMountPath, requireAdmin, apiKeyRoutes);
+app.use('/api/admin', recordMountPath, requireAdmin, adminRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -16,8 +16,127 @@ module.exports = {
     password: process.env.REDIS_PASSWORD || undefined,
     enabled: process.env.REDIS_ENABLED !== 'false', // Default to true, can be disabled
   },
+  scheduler: {
+    catchUpPolicy: process.env.SCHEDULER_CATCH_UP_POLICY || 'send', // send, skip or grace
+    catchUpGraceSeconds: parseInt(process.env.SCHEDULER_CATCH_UP_GRACE_SECONDS) || 3600,
+    // Emails PROCESSING for longer were left by a worker that stopped while sending them
+    processingTimeoutSeconds: parseInt(process.env.SCHEDULER_PROCESSING_TIMEOUT_SECONDS) || 600,
+  },
+  // Sends per second and burst size of the token buckets, a rate of 0 disables the limit
+  rateLimit: {
+    global: {
+      rate: parseFloat(process.env.RATE_LIMIT_GLOBAL_PER_SECOND) || 0,
+      burst: parseInt(process.env.RATE_LIMIT_GLOBAL_BURST) || 0,
+    },
+    tenant: {
+      rate: parseFloat(process.env.RATE_LIMIT_TENANT_PER_SECOND) || 0,
+      burst: parseInt(process.env.RATE_LIMIT_TENANT_BURST) || 0,
+    },
+    domain: {
+      rate: parseFloat(process.env.RATE_LIMIT_DOMAIN_PER_SECOND) || 0,
+      burst: parseInt(process.env.RATE_LIMIT_DOMAIN_BURST) || 0,
+    },
+    // Per domain overrides of the domain limit, e.g. "gmail.com:20:40,yahoo.com:5"
+    domains: Object.fromEntries(
+      (process.env.RATE_LIMIT_DOMAINS || '')
+        .split(',')
+        .filter((entry) => entry.trim())
+        .map((entry) => {
+          const [domain, rate, burst] = entry.trim().split(':');
+          return [
+            domain.toLowerCase(),
+            { rate: parseFloat(rate) || 0, burst: parseInt(burst) || 0 },
+          ];
+        })
+    ),
+  },
+  transport: {
+    driver: process.env.EMAIL_TRANSPORT || 'sendgrid', // sendgrid, smtp, ses, file or console
+    from: process.env.EMAIL_FROM || process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com',
+  },
   sendgrid: {
     apiKey: process.env.SENDGRID_API_KEY || '',
+    // Verification key of the signed Event Webhook, events are rejected while it is not set
+    webhookPublicKey: process.env.SENDGRID_WEBHOOK_PUBLIC_KEY || '',
+  },
+  smtp: {
+    host: process.env.SMTP_HOST || '',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // TLS from the start, usually port 465
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASSWORD || '',
+  },
+  ses: {
+    region: process.env.SES_REGION || 'us-east-1',
+    endpoint: process.env.SES_ENDPOINT || undefined, // Override for SES-compatible services and local stubs
+    accessKeyId: process.env.SES_ACCESS_KEY_ID || undefined,
+    secretAccessKey: process.env.SES_SECRET_ACCESS_KEY || undefined,
+  },
+  fileTransport: {
+    directory: process.env.FILE_TRANSPORT_DIR || 'outbox',
+  },
+  email: {
+    maxRecipients: parseInt(process.env.EMAIL_MAX_RECIPIENTS) || 50, // Total across to, cc and bcc
+  },
+  imports: {
+    maxFileSize: parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 10 * 1024 * 1024, // Bytes per CSV file
+  },
+  attachments: {
+    maxFileSize: parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE) || 10 * 1024 * 1024, // Bytes per file
+    maxTotalSize: parseInt(process.env.ATTACHMENT_MAX_TOTAL_SIZE) || 20 * 1024 * 1024, // Bytes per email
+    maxCount: parseInt(process.env.ATTACHMENT_MAX_COUNT) || 10,
+    allowedTypes: (
+      process.env.ATTACHMENT_ALLOWED_TYPES ||
+      [
+        'application/pdf',
+        'text/csv',
+        'text/plain',
+        'application/json',
+        'image/png',
+        'image/jpeg',
+        'image/gif',
+        'application/zip',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      ].join(',')
+    )
+      .split(',')
+      .map((type) => type.trim().toLowerCase()),
+  },
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    localDirectory: process.env.STORAGE_LOCAL_DIR || 'storage',
+  },
+  auth: {
+    adminApiKey: process.env.ADMIN_API_KEY || '', // Grants access to /api/admin, disabled when empty
+  },
+  suppression: {
+    policy: process.env.SUPPRESSION_POLICY || 'reject', // reject or warn
+  },
+  // Links put in sent emails, e.g. unsubscribe links
+  links: {
+    baseUrl: (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(
+      /\/+$/,
+      ''
+    ),
+    secret: process.env.LINK_SIGNING_SECRET || '', // HMAC key of the link tokens, required to use them
+  },
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    backoffDelay: parseInt(process.env.WEBHOOK_BACKOFF_DELAY) || 10000, // ms, doubled after every failed attempt
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000, // ms to wait for the subscriber's response
+  },
+  idempotency: {
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 86400, // How long keys are replayed
+    leaseSeconds: parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60, // How long a request holds its key
+  },
+  health: {
+    checkTimeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 2000, // ms per readiness check
+    heartbeatInterval: parseInt(process.env.WORKER_HEARTBEAT_INTERVAL) || 10000, // ms
+    heartbeatMaxAge: parseInt(process.env.WORKER_HEARTBEAT_MAX_AGE) || 30000, // ms before the worker counts as down
+  },
+  metrics: {
+    workerPort: parseInt(process.env.WORKER_METRICS_PORT) || 9464, // GET /metrics of the worker
   },
   logLevel: process.env.LOG_LEVEL || 'info',
 };
@@ -27,6 +27,21 @@ const options = {
       },
     ],
     components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description:
+            'API key issued through /api/admin/api-keys, also accepted as "Authorization: Bearer <key>"',
+        },
+        AdminKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'The ADMIN_API_KEY of the server',
+        },
+      },
       schemas: {
         Email: {
           type: 'object',
@@ -38,39 +53,122 @@ const options = {
               description: 'Unique identifier for the email',
               example: '550e8400-e29b-41d4-a716-446655440000',
             },
+            tenantId: {
+              type: 'string',
+              description: 'Tenant of the API key that created the email',
+              example: 'acme',
+            },
             to: {
+              type: 'array',
+              items: { type: 'string', format: 'email' },
+              description: 'Recipient email addresses',
+              example: ['recipient@example.com'],
+            },
+            cc: {
+              type: 'array',
+              items: { type: 'string', format: 'email' },
+              description: 'Carbon copy recipients',
+              example: [],
+            },
+            bcc: {
+              type: 'array',
+              items: { type: 'string', format: 'email' },
+              description: 'Blind carbon copy recipients',
+              example: [],
+            },
+            fanOut: {
+              type: 'boolean',
+              description: 'Send one message per `to` recipient',
+              example: false,
+            },
+            unsubscribe: {
+              type: 'boolean',
+              description:
+                'Send every recipient its own unsubscribe link and List-Unsubscribe headers',
+              example: false,
+            },
+            category: {
               type: 'string',
-              format: 'email',
-              description: 'Recipient email address',
-              example: 'recipient@example.com',
+              nullable: true,
+              description: 'Category recipients unsubscribe from',
+              example: null,
+            },
+            tracking: {
+              type: 'boolean',
+              description: 'Record opens and clicks of the email',
+              example: false,
             },
             subject: {
               type: 'string',
-              description: 'Email subject line',
+              nullable: true,
+              description: 'Email subject line (null when a template is used)',
               maxLength: 500,
               example: 'Hello World',
             },
             body: {
               type: 'string',
-              description: 'Email body content',
+              nullable: true,
+              description: 'Email body content (null when a template is used)',
               example: 'This is the email body content',
             },
+            templateId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Template rendered at send time',
+            },
+            templateVersion: {
+              type: 'integer',
+              nullable: true,
+              description: 'Template version pinned when the email was scheduled',
+            },
+            variables: {
+              type: 'object',
+              nullable: true,
+              additionalProperties: true,
+              description: 'Values for the template placeholders',
+            },
             scheduledAt: {
               type: 'string',
               format: 'date-time',
               description: 'ISO 8601 timestamp when the email should be sent',
               example: '2024-12-31T23:59:59.000Z',
             },
+            localScheduledAt: {
+              type: 'string',
+              nullable: true,
+              description: 'Local wall-clock time the email was scheduled with',
+              example: '2024-12-31T09:00:00',
+            },
+            timezone: {
+              type: 'string',
+              nullable: true,
+              description: 'IANA timezone of localScheduledAt',
+              example: 'Europe/Paris',
+            },
             status: {
               type: 'string',
-              enum: ['PENDING', 'SENT', 'FAILED'],
-              description: 'Current status of the email',
+              enum: [
+                'PENDING',
+                'SENT',
+                'FAILED',
+                'CANCELLED',
+                'SUPPRESSED',
+                'DELIVERED',
+                'DEFERRED',
+                'BOUNCED',
+                'DROPPED',
+                'SPAM_REPORTED',
+              ],
+              description:
+                'Current status of the email. SUPPRESSED emails were not sent because a recipient is suppressed. DELIVERED, DEFERRED, BOUNCED, DROPPED and SPAM_REPORTED are reported by the provider after the email was SENT',
               example: 'PENDING',
             },
             failureReason: {
               type: 'string',
               nullable: true,
-              description: 'Reason for failure if status is FAILED',
+              description:
+                'Reason for failure if status is FAILED, or the suppressed recipients if SUPPRESSED',
               example: null,
             },
             jobId: {
@@ -78,6 +176,87 @@ const options = {
               nullable: true,
               description: 'BullMQ job identifier',
             },
+            suppressedRecipients: {
+              type: 'array',
+              description:
+                'Only in the create or update response, with SUPPRESSION_POLICY=warn: recipients on the suppression list',
+              items: {
+                type: 'object',
+                properties: {
+                  email: { type: 'string', format: 'email' },
+                  reason: {
+                    type: 'string',
+                    enum: ['bounce', 'complaint', 'unsubscribe', 'manual'],
+                  },
+                  expiresAt: { type: 'string', format: 'date-time', nullable: true },
+                },
+              },
+            },
+            trackingStats: {
+              type: 'object',
+              description:
+                'Only when a tracked email is retrieved by id: its recorded opens and clicks',
+              properties: {
+                opens: { type: 'integer', example: 3 },
+                clicks: { type: 'integer', example: 1 },
+                firstOpenedAt: { type: 'string', format: 'date-time', nullable: true },
+                lastOpenedAt: { type: 'string', format: 'date-time', nullable: true },
+              },
+            },
+            providerMessageId: {
+              type: 'string',
+              nullable: true,
+              description: 'Message id returned by the provider when the email was sent',
+            },
+            retryCount: {
+              type: 'integer',
+              description: 'Number of times the email was re-queued after failing',
+              example: 0,
+            },
+            cancelledAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the email was cancelled',
+              example: null,
+            },
+            cancelledBy: {
+              type: 'string',
+              nullable: true,
+              description: 'Who cancelled the email',
+              example: null,
+            },
+            cancellationReason: {
+              type: 'string',
+              nullable: true,
+              description: 'Why the email was cancelled',
+              example: null,
+            },
+            recurrence: {
+              allOf: [{ $ref: '#/components/schemas/Recurrence' }],
+              nullable: true,
+            },
+            occurrenceCount: {
+              type: 'integer',
+              description: 'Number of occurrences of a recurring email processed so far',
+              example: 0,
+            },
+            lastOccurrenceAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Time of the last processed occurrence of a recurring email',
+            },
+            recurrenceEndedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When a recurring series ended (last occurrence ran or series stopped)',
+            },
+            attachments: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/Attachment' },
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -92,13 +271,58 @@ const options = {
         },
         CreateEmailRequest: {
           type: 'object',
-          required: ['to', 'subject', 'body', 'scheduledAt'],
+          required: ['to'],
+          description:
+            'Provide either subject and body, or templateId with its variables. Provide either scheduledAt, or localScheduledAt with timezone.',
           properties: {
             to: {
+              oneOf: [
+                { type: 'string', format: 'email' },
+                { type: 'array', items: { type: 'string', format: 'email' } },
+              ],
+              description: 'Recipient email address or list of addresses',
+              example: ['recipient@example.com', 'other@example.com'],
+            },
+            cc: {
+              oneOf: [
+                { type: 'string', format: 'email' },
+                { type: 'array', items: { type: 'string', format: 'email' } },
+              ],
+              description: 'Carbon copy recipients',
+              example: ['manager@example.com'],
+            },
+            bcc: {
+              oneOf: [
+                { type: 'string', format: 'email' },
+                { type: 'array', items: { type: 'string', format: 'email' } },
+              ],
+              description: 'Blind carbon copy recipients',
+              example: ['archive@example.com'],
+            },
+            fanOut: {
+              type: 'boolean',
+              description:
+                'Send one message per `to` recipient so recipients do not see each other. Cannot be combined with cc or bcc.',
+              default: false,
+            },
+            unsubscribe: {
+              type: 'boolean',
+              description:
+                'Add a signed unsubscribe link for every recipient to the body, where %unsubscribe_url% appears or as a footer, and List-Unsubscribe / List-Unsubscribe-Post headers. Every recipient gets its own message; cannot be combined with cc or bcc and requires LINK_SIGNING_SECRET.',
+              default: false,
+            },
+            category: {
               type: 'string',
-              format: 'email',
-              description: 'Recipient email address',
-              example: 'recipient@example.com',
+              maxLength: 64,
+              description:
+                'Category of the email, e.g. newsletter. Unsubscribing opts the recipient out of this category only, of every email when there is none.',
+              example: 'newsletter',
+            },
+            tracking: {
+              type: 'boolean',
+              description:
+                'Record opens with a tracking pixel and clicks by sending links through a redirect. Applies to HTML bodies; opens and clicks are per recipient when every recipient gets its own message. Requires LINK_SIGNING_SECRET.',
+              default: false,
             },
             subject: {
               type: 'string',
@@ -113,22 +337,103 @@ const options = {
               minLength: 1,
               example: 'This is the email body content',
             },
+            templateId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Template to render at send time, instead of subject and body',
+            },
+            templateVersion: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Template version to use (defaults to the latest version)',
+            },
+            variables: {
+              type: 'object',
+              additionalProperties: {
+                oneOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }],
+              },
+              description: 'Values for every placeholder of the template',
+              example: { firstName: 'Alice' },
+            },
             scheduledAt: {
               type: 'string',
               format: 'date-time',
               description: 'ISO 8601 timestamp when the email should be sent (must be in the future)',
               example: '2024-12-31T23:59:59.000Z',
             },
+            localScheduledAt: {
+              type: 'string',
+              description:
+                'Local date and time without offset, resolved in timezone. A time skipped by a DST change moves forward by the gap; a repeated time resolves to its first occurrence.',
+              example: '2024-12-31T09:00',
+            },
+            timezone: {
+              type: 'string',
+              description: 'IANA timezone, required with localScheduledAt',
+              example: 'Europe/Paris',
+            },
+            recurrence: {
+              $ref: '#/components/schemas/Recurrence',
+            },
+            attachments: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/AttachmentUpload' },
+              description: 'Files to attach, base64 encoded',
+            },
           },
         },
         UpdateEmailRequest: {
           type: 'object',
           properties: {
             to: {
+              oneOf: [
+                { type: 'string', format: 'email' },
+                { type: 'array', items: { type: 'string', format: 'email' } },
+              ],
+              description: 'Recipient email address or list of addresses',
+              example: ['recipient@example.com', 'other@example.com'],
+            },
+            cc: {
+              oneOf: [
+                { type: 'string', format: 'email' },
+                { type: 'array', items: { type: 'string', format: 'email' } },
+              ],
+              description: 'Carbon copy recipients',
+              example: ['manager@example.com'],
+            },
+            bcc: {
+              oneOf: [
+                { type: 'string', format: 'email' },
+                { type: 'array', items: { type: 'string', format: 'email' } },
+              ],
+              description: 'Blind carbon copy recipients',
+              example: ['archive@example.com'],
+            },
+            fanOut: {
+              type: 'boolean',
+              description:
+                'Send one message per `to` recipient so recipients do not see each other. Cannot be combined with cc or bcc.',
+              default: false,
+            },
+            unsubscribe: {
+              type: 'boolean',
+              description:
+                'Add a signed unsubscribe link for every recipient to the body, where %unsubscribe_url% appears or as a footer, and List-Unsubscribe / List-Unsubscribe-Post headers. Every recipient gets its own message; cannot be combined with cc or bcc and requires LINK_SIGNING_SECRET.',
+              default: false,
+            },
+            category: {
               type: 'string',
-              format: 'email',
-              description: 'Recipient email address',
-              example: 'recipient@example.com',
+              maxLength: 64,
+              nullable: true,
+              description:
+                'Category of the email, e.g. newsletter. Unsubscribing opts the recipient out of this category only, of every email when there is none.',
+              example: 'newsletter',
+            },
+            tracking: {
+              type: 'boolean',
+              description:
+                'Record opens with a tracking pixel and clicks by sending links through a redirect. Applies to HTML bodies; opens and clicks are per recipient when every recipient gets its own message. Requires LINK_SIGNING_SECRET.',
+              default: false,
             },
             subject: {
               type: 'string',
@@ -143,12 +448,481 @@ const options = {
               minLength: 1,
               example: 'Updated email body content',
             },
+            templateId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'New template, or null to switch back to subject and body',
+            },
+            templateVersion: {
+              type: 'integer',
+              minimum: 1,
+            },
+            variables: {
+              type: 'object',
+              additionalProperties: {
+                oneOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }],
+              },
+            },
             scheduledAt: {
               type: 'string',
               format: 'date-time',
-              description: 'ISO 8601 timestamp when the email should be sent (must be in the future)',
+              description:
+                'ISO 8601 timestamp when the email should be sent (must be in the future). Drops localScheduledAt and timezone.',
               example: '2025-01-01T00:00:00.000Z',
             },
+            localScheduledAt: {
+              type: 'string',
+              description:
+                'New local date and time, resolved in the stored timezone unless timezone is also given',
+              example: '2025-01-01T09:00',
+            },
+            timezone: {
+              type: 'string',
+              description:
+                'New IANA timezone, the stored local time is resolved in it unless localScheduledAt is also given',
+              example: 'America/New_York',
+            },
+            recurrence: {
+              allOf: [{ $ref: '#/components/schemas/Recurrence' }],
+              nullable: true,
+              description: 'New recurrence, or null to turn the email into a one-off',
+            },
+          },
+        },
+        Attachment: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            filename: { type: 'string', example: 'invoice.pdf' },
+            contentType: { type: 'string', example: 'application/pdf' },
+            size: { type: 'integer', description: 'Size in bytes', example: 48213 },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        AttachmentUpload: {
+          type: 'object',
+          required: ['filename', 'contentType', 'content'],
+          properties: {
+            filename: { type: 'string', example: 'invoice.pdf' },
+            contentType: {
+              type: 'string',
+              description: 'MIME type, must be one of ATTACHMENT_ALLOWED_TYPES',
+              example: 'application/pdf',
+            },
+            content: {
+              type: 'string',
+              format: 'byte',
+              description: 'Base64 encoded file content',
+            },
+          },
+        },
+        CreateEmailMultipartRequest: {
+          type: 'object',
+          description:
+            'Same fields as CreateEmailRequest sent as form fields, with recurrence and variables as JSON strings and files in attachments',
+          properties: {
+            to: { type: 'array', items: { type: 'string', format: 'email' } },
+            subject: { type: 'string' },
+            body: { type: 'string' },
+            scheduledAt: { type: 'string', format: 'date-time' },
+            attachments: {
+              type: 'array',
+              items: { type: 'string', format: 'binary' },
+            },
+          },
+        },
+        BulkCreateEmailsRequest: {
+          type: 'object',
+          required: ['emails'],
+          properties: {
+            emails: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 1000,
+              description:
+                'Emails to schedule, with the fields of CreateEmailRequest except attachments',
+              items: { $ref: '#/components/schemas/CreateEmailRequest' },
+            },
+            atomic: {
+              type: 'boolean',
+              default: false,
+              description:
+                'Schedule all emails or none: any invalid email rejects the request with a 400 naming its errors (fields emails.<index>.<field>)',
+            },
+          },
+        },
+        BulkCreateEmailResult: {
+          type: 'object',
+          properties: {
+            index: {
+              type: 'integer',
+              description: 'Position of the email in the request',
+            },
+            success: {
+              type: 'boolean',
+            },
+            emailId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Scheduled email, when successful',
+            },
+            scheduledAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            suppressedRecipients: {
+              type: 'array',
+              description:
+                'Suppressed recipients of the email, with SUPPRESSION_POLICY=warn. Present only when there are any.',
+              items: { type: 'object' },
+            },
+            errors: {
+              type: 'array',
+              description: 'Why the email was not scheduled, when unsuccessful',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string' },
+                  message: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        ImportEmailsRequest: {
+          type: 'object',
+          required: ['file'],
+          properties: {
+            file: {
+              type: 'string',
+              format: 'binary',
+              description: 'CSV file with a header row, UTF-8 encoded',
+            },
+            mapping: {
+              type: 'string',
+              description:
+                'JSON object naming the column of each email field, and of each template variable in variables. Fields left out are read from the column of the same name.',
+              example:
+                '{"to":"Email","subject":"Subject","body":"Message","scheduledAt":"Send at","variables":{"firstName":"First name"}}',
+            },
+            templateId: {
+              type: 'string',
+              format: 'uuid',
+              description:
+                'Template of every email. Without a variable mapping, the columns not mapped to an email field are its variables.',
+            },
+            templateVersion: {
+              type: 'integer',
+              minimum: 1,
+            },
+            timezone: {
+              type: 'string',
+              description:
+                'IANA timezone of the send times of rows without a timezone column value; send times are then local wall-clock times',
+              example: 'Europe/Paris',
+            },
+            delimiter: {
+              type: 'string',
+              enum: [',', ';', '\t'],
+              default: ',',
+            },
+          },
+        },
+        EmailImport: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            status: {
+              type: 'string',
+              enum: ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED'],
+            },
+            filename: {
+              type: 'string',
+              example: 'reminders.csv',
+            },
+            size: {
+              type: 'integer',
+              description: 'Size of the file in bytes',
+            },
+            options: {
+              type: 'object',
+              description:
+                'mapping, templateId, templateVersion, timezone and delimiter of the import',
+            },
+            progress: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 100,
+              description: 'Share of the file read so far, in percent',
+            },
+            processedRows: {
+              type: 'integer',
+            },
+            importedRows: {
+              type: 'integer',
+              description: 'Rows scheduled as emails',
+            },
+            rejectedRows: {
+              type: 'integer',
+              description: 'Rows listed in the report',
+            },
+            failureReason: {
+              type: 'string',
+              nullable: true,
+              description: 'Why the import failed, e.g. a mapped column missing from the file',
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            completedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        Recurrence: {
+          type: 'object',
+          description:
+            'Repeat the email on a cron expression or an iCal RRULE. The series starts at scheduledAt.',
+          properties: {
+            cron: {
+              type: 'string',
+              description: 'Cron expression (UTC). Mutually exclusive with rrule.',
+              example: '0 9 * * 1',
+            },
+            rrule: {
+              type: 'string',
+              description: 'iCal RRULE anchored at scheduledAt. Mutually exclusive with cron.',
+              example: 'FREQ=MONTHLY;BYMONTHDAY=1',
+            },
+            endDate: {
+              type: 'string',
+              format: 'date-time',
+              description: 'No occurrence is sent after this time',
+              example: '2025-12-31T23:59:59.000Z',
+            },
+            count: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 1000,
+              description: 'Total number of occurrences in the series',
+              example: 12,
+            },
+          },
+        },
+        Template: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+            },
+            name: {
+              type: 'string',
+              example: 'welcome',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+            },
+            latestVersion: {
+              type: 'integer',
+              example: 1,
+            },
+            subject: {
+              type: 'string',
+              example: 'Welcome, {{firstName}}!',
+            },
+            body: {
+              type: 'string',
+              example: 'Hi {{firstName}}, your account is ready.',
+            },
+            placeholders: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['firstName'],
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        CreateTemplateRequest: {
+          type: 'object',
+          required: ['name', 'subject', 'body'],
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Unique template name',
+              maxLength: 255,
+              example: 'welcome',
+            },
+            description: {
+              type: 'string',
+              example: 'Welcome email for new users',
+            },
+            subject: {
+              type: 'string',
+              maxLength: 500,
+              description: 'Subject, may contain {{placeholders}}',
+              example: 'Welcome, {{firstName}}!',
+            },
+            body: {
+              type: 'string',
+              description: 'Body, may contain {{placeholders}}',
+              example: 'Hi {{firstName}}, your account is ready.',
+            },
+          },
+        },
+        UpdateTemplateRequest: {
+          type: 'object',
+          description: 'Changing subject or body creates a new template version',
+          properties: {
+            name: {
+              type: 'string',
+              maxLength: 255,
+            },
+            description: {
+              type: 'string',
+            },
+            subject: {
+              type: 'string',
+              maxLength: 500,
+            },
+            body: {
+              type: 'string',
+            },
+          },
+        },
+        CreateSuppressionRequest: {
+          type: 'object',
+          required: ['email'],
+          properties: {
+            email: {
+              type: 'string',
+              format: 'email',
+              description: 'Suppressed address, compared case-insensitively',
+              example: 'former.customer@example.com',
+            },
+            category: {
+              type: 'string',
+              maxLength: 64,
+              nullable: true,
+              description:
+                'Only block emails of this category, e.g. an unsubscribe from a newsletter. Every email when null',
+            },
+            reason: {
+              type: 'string',
+              enum: ['bounce', 'complaint', 'unsubscribe', 'manual'],
+              default: 'manual',
+            },
+            note: {
+              type: 'string',
+              maxLength: 1000,
+              nullable: true,
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the suppression stops applying, never when null',
+            },
+          },
+        },
+        UpdateSuppressionRequest: {
+          type: 'object',
+          properties: {
+            reason: {
+              type: 'string',
+              enum: ['bounce', 'complaint', 'unsubscribe', 'manual'],
+            },
+            note: {
+              type: 'string',
+              maxLength: 1000,
+              nullable: true,
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+          },
+        },
+        WebhookEvent: {
+          type: 'string',
+          enum: [
+            'email.sent',
+            'email.failed',
+            'email.cancelled',
+            'email.suppressed',
+            'email.delivered',
+            'email.deferred',
+            'email.bounced',
+            'email.dropped',
+            'email.spam_reported',
+          ],
+          description:
+            'Email status change, the delivery events come from the provider after the email was sent',
+        },
+        CreateWebhookRequest: {
+          type: 'object',
+          required: ['url', 'events'],
+          properties: {
+            url: {
+              type: 'string',
+              format: 'uri',
+              maxLength: 2048,
+              description: 'http or https URL receiving the events as signed POST requests',
+              example: 'https://example.com/hooks/email',
+            },
+            events: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/WebhookEvent' },
+              example: ['email.sent', 'email.failed'],
+            },
+            description: {
+              type: 'string',
+              maxLength: 255,
+              example: 'Order notifications',
+            },
+          },
+        },
+        UpdateWebhookRequest: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              format: 'uri',
+              maxLength: 2048,
+            },
+            events: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/WebhookEvent' },
+            },
+            description: {
+              type: 'string',
+              maxLength: 255,
+            },
+            active: {
+              type: 'boolean',
+              description: 'Inactive webhooks receive no new events',
+            },
           },
         },
         SuccessResponse: {
@@ -215,7 +989,7 @@ const options = {
           properties: {
             page: {
               type: 'integer',
-              description: 'Current page number',
+              description: 'Current page number (offset mode only)',
               example: 1,
             },
             limit: {
@@ -225,18 +999,80 @@ const options = {
             },
             total: {
               type: 'integer',
-              description: 'Total number of items',
+              description: 'Total number of items (in cursor mode only with includeTotal=true)',
               example: 25,
             },
             totalPages: {
               type: 'integer',
-              description: 'Total number of pages',
+              description: 'Total number of pages (offset mode only)',
               example: 3,
             },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description:
+                'Cursor of the next page, null on the last page. In offset mode only when sorting by createdAt.',
+              example:
+                'eyJjcmVhdGVkQXQiOiIyMDI0LTAxLTAxVDEyOjAwOjAwLjAwMFoiLCJpZCI6IjU1MGU4NDAwIn0',
+            },
           },
         },
+        ComponentHealth: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['up', 'down', 'disabled'],
+              description: 'disabled when the component is not used in this mode',
+            },
+            latencyMs: {
+              type: 'integer',
+              description: 'Time taken by the check, in milliseconds',
+              example: 3,
+            },
+            details: {
+              type: 'object',
+              description: 'Job counts of the queue, last heartbeat of the worker',
+            },
+            error: {
+              type: 'string',
+              description: 'Why the component is down',
+              example: 'Timed out after 2000ms',
+            },
+          },
+        },
+      },
+      parameters: {
+        Cursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'string' },
+          allowEmptyValue: true,
+          description:
+            'Switch to cursor pagination: pass an empty value for the first page, then the nextCursor of the previous page. Rows are ordered by (createdAt, id) and page is ignored.',
+        },
+        IncludeTotal: {
+          in: 'query',
+          name: 'includeTotal',
+          schema: { type: 'boolean', default: false },
+          description: 'Count the matching rows in cursor mode (offset mode always counts them)',
+        },
       },
       responses: {
+        Unauthorized: {
+          description: 'Missing, invalid or revoked API key',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse',
+              },
+              example: {
+                success: false,
+                message: 'Invalid API key',
+              },
+            },
+          },
+        },
         NotFound: {
           description: 'Resource not found',
           content: {
@@ -293,14 +1129,47 @@ const options = {
         },
       },
     },
+    security: [{ ApiKeyAuth: [] }],
     tags: [
       {
         name: 'Emails',
         description: 'Email scheduling and management endpoints',
       },
+      {
+        name: 'Imports',
+        description: 'CSV imports of scheduled emails',
+      },
+      {
+        name: 'Templates',
+        description: 'Reusable email templates with {{placeholders}}',
+      },
+      {
+        name: 'Webhooks',
+        description: 'Signed notifications when the status of an email changes',
+      },
+      {
+        name: 'Suppressions',
+        description: 'Addresses emails must not be sent to',
+      },
+      {
+        name: 'Providers',
+        description: 'Delivery events posted by the email providers',
+      },
+      {
+        name: 'Unsubscribe',
+        description: 'Unsubscribe links of sent emails, used by recipients',
+      },
+      {
+        name: 'Tracking',
+        description: 'Tracking pixel and tracked links of sent emails, used by recipients',
+      },
+      {
+        name: 'Admin',
+        description: 'Maintenance endpoints',
+      },
       {
         name: 'Health',
-        description: 'Health check endpoint',
+        description: 'Health checks and metrics',
       },
     ],
   },
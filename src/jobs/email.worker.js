@@ -1,10 +1,24 @@
-const { Worker } = require('bullmq');
+const { Worker, DelayedError } = require('bullmq');
 const { getRedisClient } = require('../config/redis');
 const config = require('../config/env');
 const { processEmail } = require('../modules/email/email.processor');
 const logger = require('../utils/logger');
+const { repeatStrategy } = require('../utils/recurrence');
+const { getTransport } = require('../transports');
+const { startMetricsServer } = require('../metrics');
+const { recordWorkerHeartbeat } = require('../modules/health/health.service');
+const { startWebhookWorker, stopWebhookWorker } = require('./webhook.worker');
+const { startImportWorker, stopImportWorker } = require('./emailImport.worker');
 
 let worker = null;
+let metricsServer = null;
+let heartbeat = null;
+
+// Keeps the API's readiness check aware that a worker consumes the queue
+const sendHeartbeat = () =>
+  recordWorkerHeartbeat().catch((error) => {
+    logger.warn('Failed to record worker heartbeat', { error: error.message });
+  });
 
 const startWorker = async () => {
   if (!config.redis.enabled) {
@@ -14,18 +28,33 @@ const startWorker = async () => {
     return null;
   }
 
+  // Fail fast on an unknown EMAIL_TRANSPORT
+  logger.info(`Email transport: ${getTransport().name}`);
+
   try {
     const redisClient = await getRedisClient();
     worker = new Worker(
       'email-queue',
-      async (job) => {
+      async (job, token) => {
         const { emailId } = job.data;
         logger.info(`Processing email job: ${emailId}`, { emailId, jobId: job.id });
 
         try {
-          await processEmail(emailId);
+          // Jobs created by a job scheduler (recurring emails) carry their occurrence time
+          const occurrenceAt = job.opts.prevMillis ? new Date(job.opts.prevMillis) : undefined;
+          const result = await processEmail(emailId, { occurrenceAt });
+
+          // Throttled by a rate limit: wait for tokens without using up an attempt
+          if (result && result.throttled) {
+            await job.moveToDelayed(Date.now() + result.retryAfterMs, token);
+            throw new DelayedError();
+          }
           return { success: true, emailId };
         } catch (error) {
+          if (error instanceof DelayedError) {
+            throw error;
+          }
+
           logger.error(`Error processing email job: ${emailId}`, {
             emailId,
             error: error.message,
@@ -37,6 +66,9 @@ const startWorker = async () => {
       {
         connection: redisClient,
         concurrency: 5, // Process up to 5 emails concurrently
+        settings: {
+          repeatStrategy, // Used to schedule the next occurrence of recurring emails
+        },
       }
     );
 
@@ -57,6 +89,16 @@ const startWorker = async () => {
     });
 
     logger.info('✅ Email worker started and listening for jobs...');
+
+    // Webhook deliveries and CSV imports are consumed by the same process, from their own queues
+    await startWebhookWorker();
+    await startImportWorker();
+
+    metricsServer = await startMetricsServer(config.metrics.workerPort);
+    logger.info(`Worker metrics served on port ${config.metrics.workerPort}`);
+
+    await sendHeartbeat();
+    heartbeat = setInterval(sendHeartbeat, config.health.heartbeatInterval);
     return worker;
   } catch (error) {
     logger.error('Failed to start email worker:', error.message);
@@ -76,17 +118,29 @@ if (require.main === module) {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down worker gracefully...');
+  clearInterval(heartbeat);
   if (worker) {
     await worker.close();
   }
+  if (metricsServer) {
+    metricsServer.close();
+  }
+  await stopWebhookWorker();
+  await stopImportWorker();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down worker gracefully...');
+  clearInterval(heartbeat);
   if (worker) {
     await worker.close();
   }
+  if (metricsServer) {
+    metricsServer.close();
+  }
+  await stopWebhookWorker();
+  await stopImportWorker();
   process.exit(0);
 });
 
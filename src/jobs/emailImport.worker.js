@@ -0,0 +1,54 @@
+const { Worker } = require('bullmq');
+const { getRedisClient } = require('../config/redis');
+const config = require('../config/env');
+const { processImport } = require('../modules/emailImport/emailImport.service');
+const logger = require('../utils/logger');
+
+let importWorker = null;
+
+/**
+ * Consume the import queue, started next to the email worker
+ * Without Redis, imports run through the in-memory scheduler of the API server
+ */
+const startImportWorker = async () => {
+  if (!config.redis.enabled) {
+    return null;
+  }
+
+  const redisClient = await getRedisClient();
+  importWorker = new Worker(
+    'import-queue',
+    async (job) => {
+      const { importId } = job.data;
+      await processImport(importId);
+      return { success: true, importId };
+    },
+    {
+      connection: redisClient,
+      concurrency: 1, // Imports schedule their rows in large batches, one at a time is enough
+    }
+  );
+
+  importWorker.on('failed', (job, err) => {
+    logger.error(`Import job failed: ${job?.id}`, {
+      jobId: job?.id,
+      importId: job?.data?.importId,
+      error: err.message,
+    });
+  });
+
+  importWorker.on('error', (err) => {
+    logger.error('Import worker error:', err);
+  });
+
+  logger.info('✅ Import worker started and listening for jobs...');
+  return importWorker;
+};
+
+const stopImportWorker = async () => {
+  if (importWorker) {
+    await importWorker.close();
+  }
+};
+
+module.exports = { startImportWorker, stopImportWorker };
@@ -0,0 +1,57 @@
+const { Worker } = require('bullmq');
+const { getRedisClient } = require('../config/redis');
+const config = require('../config/env');
+const { deliverWebhook } = require('../modules/webhook/webhook.service');
+const logger = require('../utils/logger');
+
+let webhookWorker = null;
+
+/**
+ * Consume the webhook queue, started next to the email worker
+ * Without Redis, deliveries run through the in-memory scheduler of the API server
+ */
+const startWebhookWorker = async () => {
+  if (!config.redis.enabled) {
+    return null;
+  }
+
+  const redisClient = await getRedisClient();
+  webhookWorker = new Worker(
+    'webhook-queue',
+    async (job) => {
+      const { deliveryId } = job.data;
+      // The last attempt marks the delivery FAILED instead of leaving it pending
+      const final = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      await deliverWebhook(deliveryId, { final });
+      return { success: true, deliveryId };
+    },
+    {
+      connection: redisClient,
+      concurrency: 10,
+    }
+  );
+
+  webhookWorker.on('failed', (job, err) => {
+    logger.warn(`Webhook job failed: ${job?.id}`, {
+      jobId: job?.id,
+      deliveryId: job?.data?.deliveryId,
+      attemptsMade: job?.attemptsMade,
+      error: err.message,
+    });
+  });
+
+  webhookWorker.on('error', (err) => {
+    logger.error('Webhook worker error:', err);
+  });
+
+  logger.info('✅ Webhook worker started and listening for jobs...');
+  return webhookWorker;
+};
+
+const stopWebhookWorker = async () => {
+  if (webhookWorker) {
+    await webhookWorker.close();
+  }
+};
+
+module.exports = { startWebhookWorker, stopWebhookWorker };
@@ -0,0 +1,138 @@
+const http = require('http');
+const client = require('prom-client');
+const { getEmailQueueCounts } = require('../modules/email/email.queue');
+const logger = require('../utils/logger');
+
+/**
+ * Prometheus metrics of the service
+ *
+ * Each process counts what it does itself: the API serves its metrics on GET /metrics and the
+ * worker on its own metrics port (WORKER_METRICS_PORT). With the in-memory scheduler, emails are
+ * sent by the API process and every metric is on /metrics. The default Node.js process metrics
+ * (CPU, memory, event loop lag...) of prom-client are included.
+ */
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Reasons of emails_failed_total besides the transport error types (transient, permanent...)
+const FAILURE_REASON = {
+  SUPPRESSED: 'suppressed', // A recipient is on the suppression list
+  MISSED: 'missed', // The send time passed while the scheduler was down
+  ERROR: 'error', // The email could not be processed (template, attachments, database...)
+};
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [registry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duration of HTTP requests in seconds',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [registry],
+});
+
+const emailsCreated = new client.Counter({
+  name: 'emails_created_total',
+  help: 'Emails scheduled',
+  registers: [registry],
+});
+
+const emailsSent = new client.Counter({
+  name: 'emails_sent_total',
+  help: 'Emails, and occurrences of recurring emails, accepted by the transport',
+  registers: [registry],
+});
+
+const emailsFailed = new client.Counter({
+  name: 'emails_failed_total',
+  help: 'Emails, and occurrences of recurring emails, that were not sent, by reason class',
+  labelNames: ['reason'],
+  registers: [registry],
+});
+
+// Counted at scrape time, left out of the scrape when the queue cannot be read
+new client.Gauge({
+  name: 'email_queue_jobs',
+  help: 'Jobs of the email queue by state, "scheduled" for every job of the in-memory scheduler',
+  labelNames: ['state'],
+  registers: [registry],
+  async collect() {
+    this.reset();
+    try {
+      const counts = await getEmailQueueCounts();
+      Object.entries(counts).forEach(([state, count]) => this.set({ state }, count));
+    } catch (error) {
+      logger.warn(`Failed to collect metric ${this.name}`, { error: error.message });
+    }
+  },
+});
+
+const sendDelay = new client.Histogram({
+  name: 'email_send_delay_seconds',
+  help: 'Time from the scheduled send time to the transport accepting the email, in seconds',
+  buckets: [0.5, 1, 5, 15, 30, 60, 300, 900, 3600, 21600, 86400],
+  registers: [registry],
+});
+
+// Default buckets of prom-client, up to a minute for slow SMTP servers
+const transportDuration = new client.Histogram({
+  name: 'email_transport_duration_seconds',
+  help: 'Duration of transport calls in seconds, by transport and result',
+  labelNames: ['transport', 'result'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [registry],
+});
+
+/**
+ * GET /metrics
+ */
+const metricsHandler = async (req, res, next) => {
+  try {
+    res.set('Content-Type', registry.contentType);
+    return res.status(200).send(await registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Serve GET /metrics on its own port, for the worker process which has no HTTP API
+ * @param {number} port
+ * @returns {Promise<http.Server>} The listening server
+ */
+const startMetricsServer = (port) =>
+  new Promise((resolve, reject) => {
+    const server = http.createServer(async (req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+        res.writeHead(404).end();
+        return;
+      }
+      try {
+        const body = await registry.metrics();
+        res.writeHead(200, { 'Content-Type': registry.contentType }).end(body);
+      } catch (error) {
+        logger.error('Error rendering metrics:', error);
+        res.writeHead(500).end();
+      }
+    });
+    server.once('error', reject);
+    server.listen(port, () => resolve(server));
+  });
+
+module.exports = {
+  registry,
+  FAILURE_REASON,
+  httpRequests,
+  httpRequestDuration,
+  emailsCreated,
+  emailsSent,
+  emailsFailed,
+  sendDelay,
+  transportDuration,
+  metricsHandler,
+  startMetricsServer,
+};
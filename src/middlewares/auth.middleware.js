@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const apiKeyService = require('../modules/apiKey/apiKey.service');
+const config = require('../config/env');
+const { errorResponse } = require('../utils/response');
+
+// Keys are sent as "X-API-Key: <key>" or "Authorization: Bearer <key>"
+const getPresentedKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header;
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' ? token : null;
+};
+
+/**
+ * Resolve the API key of the request to its tenant
+ * Sets req.tenantId and req.apiKey, every email operation is scoped to req.tenantId; req.actor
+ * names the key in the status history of the emails it changes
+ */
+const authenticate = async (req, res, next) => {
+  const key = getPresentedKey(req);
+  if (!key) {
+    return errorResponse(res, 401, 'API key is required');
+  }
+
+  try {
+    const apiKey = await apiKeyService.authenticateKey(key);
+    if (!apiKey) {
+      return errorResponse(res, 401, 'Invalid API key');
+    }
+
+    req.apiKey = apiKey;
+    req.tenantId = apiKey.tenantId;
+    req.actor = `api_key:${apiKey.id}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Only let requests presenting ADMIN_API_KEY through
+ * The admin API is disabled while ADMIN_API_KEY is not set
+ */
+const requireAdmin = (req, res, next) => {
+  const key = getPresentedKey(req);
+  if (!config.auth.adminApiKey) {
+    return errorResponse(res, 403, 'Admin API is disabled, ADMIN_API_KEY is not configured');
+  }
+  if (!key) {
+    return errorResponse(res, 401, 'API key is required');
+  }
+
+  // Compare digests so the comparison takes the same time whatever the key length
+  const expected = apiKeyService.hashKey(config.auth.adminApiKey);
+  const actual = apiKeyService.hashKey(key);
+  if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual))) {
+    return errorResponse(res, 401, 'Invalid API key');
+  }
+
+  next();
+};
+
+module.exports = { authenticate, requireAdmin };
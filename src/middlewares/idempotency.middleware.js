@@ -0,0 +1,74 @@
+const idempotencyService = require('../modules/idempotency/idempotency.service');
+const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/response');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Replay the original response when a request is retried with the same Idempotency-Key
+ * - same key, same request: the stored 2xx response is returned again
+ * - same key, different request: 409
+ * - same key while the first request is still running: 409
+ * Only successful responses are stored; other outcomes release the key so the request can be retried.
+ * Keys are scoped to the tenant of the caller, so this must run after authentication.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return errorResponse(res, 400, `Idempotency-Key must not exceed ${MAX_KEY_LENGTH} characters`);
+  }
+
+  try {
+    const requestHash = idempotencyService.hashRequest({
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body,
+    });
+    const { record, created } = await idempotencyService.reserveKey(req.tenantId, key, requestHash);
+
+    if (!created) {
+      if (record.requestHash !== requestHash) {
+        return errorResponse(
+          res,
+          409,
+          'Idempotency-Key has already been used with a different request'
+        );
+      }
+
+      if (record.responseStatus === null) {
+        return errorResponse(res, 409, 'A request with this Idempotency-Key is still in progress');
+      }
+
+      logger.info('Replaying idempotent response', { idempotencyKey: key });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const outcome =
+        res.statusCode >= 200 && res.statusCode < 300
+          ? idempotencyService.saveResponse(req.tenantId, key, res.statusCode, body)
+          : idempotencyService.releaseKey(req.tenantId, key);
+
+      outcome.catch((error) => {
+        logger.error('Failed to record idempotent response', {
+          idempotencyKey: key,
+          error: error.message,
+        });
+      });
+
+      return json(body);
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotency;
@@ -1,7 +1,9 @@
 const logger = require('../utils/logger');
+const metrics = require('../metrics');
 
 const requestLogger = (req, res, next) => {
   const start = Date.now();
+  const observeDuration = metrics.httpRequestDuration.startTimer();
 
   res.on('finish', () => {
     const duration = Date.now() - start;
@@ -12,10 +14,29 @@ const requestLogger = (req, res, next) => {
       duration: `${duration}ms`,
       ip: req.ip,
     });
+
+    // Unmatched paths share a label, so that unknown URLs don't create series
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.routeBaseUrl || ''}${req.route.path}` : 'unmatched',
+      status_code: res.statusCode,
+    };
+    metrics.httpRequests.inc(labels);
+    observeDuration(labels);
   });
 
   next();
 };
 
-module.exports = requestLogger;
+/**
+ * Record the path the router handling the request is mounted at, used with req.route for the
+ * route label of the metrics
+ * Express resets req.baseUrl once the request leaves the router, e.g. when a route passes an error
+ * on to the error middleware, so it can't be read when the response is sent.
+ */
+const recordMountPath = (req, res, next) => {
+  req.routeBaseUrl = req.baseUrl;
+  next();
+};
 
+module.exports = { requestLogger, recordMountPath };
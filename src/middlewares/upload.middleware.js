@@ -0,0 +1,150 @@
+const fs = require('fs/promises');
+const multer = require('multer');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/response');
+
+// Form fields holding JSON rather than plain values
+const JSON_FIELDS = ['recurrence', 'variables'];
+const CSV_JSON_FIELDS = ['mapping'];
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Attachment must not exceed ${config.attachments.maxFileSize} bytes`,
+  LIMIT_FILE_COUNT: `No more than ${config.attachments.maxCount} attachments are allowed`,
+  LIMIT_UNEXPECTED_FILE: 'Files must be uploaded in the "attachments" field',
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.attachments.maxFileSize,
+    files: config.attachments.maxCount,
+  },
+}).array('attachments');
+
+const CSV_LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `CSV file must not exceed ${config.imports.maxFileSize} bytes`,
+  LIMIT_FILE_COUNT: 'Only one CSV file can be imported at a time',
+  LIMIT_UNEXPECTED_FILE: 'The CSV file must be uploaded in the "file" field',
+};
+
+// CSV files can be large, they are written to a temporary file instead of being held in memory
+const csvUpload = multer({
+  storage: multer.diskStorage({}),
+  limits: {
+    fileSize: config.imports.maxFileSize,
+    files: 1,
+  },
+}).single('file');
+
+// Spreadsheets on Windows upload CSV files as application/vnd.ms-excel
+const isCsvFile = (file) =>
+  /\.csv$/i.test(file.originalname) || ['text/csv', 'application/csv'].includes(file.mimetype);
+
+/**
+ * Parse the form fields holding JSON
+ * @returns {string|null} The first field that is not valid JSON
+ */
+const parseJsonFields = (body, fields) => {
+  for (const field of fields) {
+    if (typeof body[field] === 'string') {
+      try {
+        body[field] = JSON.parse(body[field]);
+      } catch (parseError) {
+        return field;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Accept emails as multipart/form-data with files in the "attachments" field
+ * Files are turned into the same { filename, contentType, content } objects as base64
+ * attachments in a JSON body, so validation and Idempotency-Key hashing treat both alike.
+ * Other content types pass through untouched.
+ */
+const uploadAttachments = (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return errorResponse(res, 400, 'Validation error', [
+        { field: 'attachments', message: LIMIT_MESSAGES[error.code] || error.message },
+      ]);
+    }
+    if (error) {
+      return next(error);
+    }
+
+    const invalidField = parseJsonFields(req.body, JSON_FIELDS);
+    if (invalidField) {
+      return errorResponse(res, 400, 'Validation error', [
+        { field: invalidField, message: `${invalidField} must be valid JSON` },
+      ]);
+    }
+
+    req.body.attachments = (req.files || []).map((file) => ({
+      filename: file.originalname,
+      contentType: file.mimetype,
+      content: file.buffer.toString('base64'),
+    }));
+    next();
+  });
+};
+
+/**
+ * Accept a CSV file as multipart/form-data in the "file" field, saved to a temporary file as
+ * req.file (with its path) that is removed once the response is sent
+ * Form fields holding JSON (e.g. the column mapping) are parsed as for attachment uploads.
+ */
+const uploadCsv = (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return errorResponse(res, 400, 'Validation error', [
+      { field: 'file', message: 'The CSV file must be uploaded as multipart/form-data' },
+    ]);
+  }
+
+  csvUpload(req, res, (error) => {
+    if (req.file) {
+      const { path } = req.file;
+      res.on('close', () => {
+        fs.rm(path, { force: true }).catch((rmError) =>
+          logger.warn(`Failed to remove uploaded file ${path}`, { error: rmError.message })
+        );
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return errorResponse(res, 400, 'Validation error', [
+        { field: 'file', message: CSV_LIMIT_MESSAGES[error.code] || error.message },
+      ]);
+    }
+    if (error) {
+      return next(error);
+    }
+
+    if (!req.file) {
+      return errorResponse(res, 400, 'Validation error', [
+        { field: 'file', message: 'CSV file is required' },
+      ]);
+    }
+    if (!isCsvFile(req.file)) {
+      return errorResponse(res, 400, 'Validation error', [
+        { field: 'file', message: 'File must be a CSV file' },
+      ]);
+    }
+
+    const invalidField = parseJsonFields(req.body, CSV_JSON_FIELDS);
+    if (invalidField) {
+      return errorResponse(res, 400, 'Validation error', [
+        { field: invalidField, message: `${invalidField} must be valid JSON` },
+      ]);
+    }
+    next();
+  });
+};
+
+module.exports = { uploadAttachments, uploadCsv };
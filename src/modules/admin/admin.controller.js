@@ -0,0 +1,26 @@
+const emailService = require('../email/email.service');
+const rateLimiter = require('../../rateLimit');
+const { successResponse } = require('../../utils/response');
+
+const purgeEmails = async (req, res, next) => {
+  try {
+    const result = await emailService.purgeDeletedEmails(req.validatedData);
+    return successResponse(res, 200, 'Deleted emails purged successfully', result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getRateLimits = async (req, res, next) => {
+  try {
+    const state = await rateLimiter.getState();
+    return successResponse(res, 200, 'Rate limits retrieved successfully', state);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  purgeEmails,
+  getRateLimits,
+};
@@ -0,0 +1,93 @@
+const express = require('express');
+const adminController = require('./admin.controller');
+const { validatePurgeEmails } = require('./admin.validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/admin/emails/purge:
+ *   post:
+ *     summary: Purge deleted emails
+ *     description: Permanently remove soft-deleted emails together with their occurrences and stored attachments. This cannot be undone.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKeyAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               olderThan:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Only purge emails deleted before this time. All deleted emails are purged when omitted.
+ *           example:
+ *             olderThan: 2024-12-01T00:00:00.000Z
+ *     responses:
+ *       200:
+ *         description: Deleted emails purged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Deleted emails purged successfully
+ *               data:
+ *                 purged: 3
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/emails/purge', validatePurgeEmails, adminController.purgeEmails);
+
+/**
+ * @swagger
+ * /api/admin/rate-limits:
+ *   get:
+ *     summary: Get outbound rate limits
+ *     description: Configured sending limits and the token buckets currently in use. Buckets that are full are not listed.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Rate limits retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Rate limits retrieved successfully
+ *               data:
+ *                 store: redis
+ *                 limits:
+ *                   global: { rate: 100, capacity: 200 }
+ *                   tenant: { rate: 20, capacity: 20 }
+ *                   domain: { rate: 10, capacity: 10 }
+ *                   domains:
+ *                     gmail.com: { rate: 20, capacity: 40 }
+ *                 buckets:
+ *                   - scope: domain
+ *                     name: gmail.com
+ *                     rate: 20
+ *                     capacity: 40
+ *                     tokens: 12.5
+ *                     updatedAt: 2024-12-24T09:00:00.000Z
+ *                   - scope: tenant
+ *                     name: acme
+ *                     rate: 20
+ *                     capacity: 20
+ *                     tokens: 3
+ *                     updatedAt: 2024-12-24T09:00:00.000Z
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/rate-limits', adminController.getRateLimits);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const Joi = require('joi');
+
+const purgeEmailsSchema = Joi.object({
+  olderThan: Joi.date().iso().max('now').optional().messages({
+    'date.base': 'Invalid date format',
+    'date.format': 'Invalid date format',
+    'date.max': 'olderThan must not be in the future',
+  }),
+});
+
+const validatePurgeEmails = (req, res, next) => {
+  const { error, value } = purgeEmailsSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+module.exports = { validatePurgeEmails };
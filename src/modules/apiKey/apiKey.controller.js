@@ -0,0 +1,35 @@
+const apiKeyService = require('./apiKey.service');
+const { successResponse } = require('../../utils/response');
+
+const createApiKey = async (req, res, next) => {
+  try {
+    const { apiKey, key } = await apiKeyService.createApiKey(req.validatedData);
+    return successResponse(res, 201, 'API key created successfully', { ...apiKey.toJSON(), key });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.listApiKeys(req.validatedData);
+    return successResponse(res, 200, 'API keys retrieved successfully', apiKeys);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.revokeApiKey(req.params.id);
+    return successResponse(res, 200, 'API key revoked successfully', apiKey);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+};
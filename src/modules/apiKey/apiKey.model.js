@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+
+/**
+ * API keys and the tenant they act for
+ * Only the SHA-256 hash of a key is stored, the key itself is shown once when it is issued
+ */
+const ApiKey = sequelize.define(
+  'ApiKey',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    tenantId: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    // First characters of the key, to tell keys apart without revealing them
+    prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+    },
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: 'api_keys',
+    timestamps: true,
+    underscored: true,
+    indexes: [{ fields: ['tenant_id'] }],
+    defaultScope: {
+      attributes: { exclude: ['keyHash'] },
+    },
+  }
+);
+
+module.exports = ApiKey;
@@ -0,0 +1,118 @@
+const express = require('express');
+const apiKeyController = require('./apiKey.controller');
+const { validateCreateApiKey, validateListApiKeys } = require('./apiKey.validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   post:
+ *     summary: Issue an API key
+ *     description: Create an API key acting for a tenant. The key is only returned in this response, store it safely.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tenantId, name]
+ *             properties:
+ *               tenantId:
+ *                 type: string
+ *                 pattern: '^[A-Za-z0-9_-]{1,64}$'
+ *                 description: Tenant the key acts for, emails are only visible to keys of the same tenant
+ *               name:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: What the key is used for
+ *           example:
+ *             tenantId: acme
+ *             name: Billing service
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: API key created successfully
+ *               data:
+ *                 id: 3f2b8c1e-8a4d-4f6e-9b1a-2c3d4e5f6a7b
+ *                 tenantId: acme
+ *                 name: Billing service
+ *                 prefix: msk_Xy3kP9aQ
+ *                 key: msk_Xy3kP9aQ2vLm8RtZ4nWc6bJd1fHs5gKe
+ *                 lastUsedAt: null
+ *                 revokedAt: null
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/', validateCreateApiKey, apiKeyController.createApiKey);
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: List issued API keys, without their secrets
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: Only keys of this tenant
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/', validateListApiKeys, apiKeyController.listApiKeys);
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}/revoke:
+ *   post:
+ *     summary: Revoke an API key
+ *     description: Permanently reject the key from now on. Revoking a revoked key again has no effect.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key identifier
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/revoke', apiKeyController.revokeApiKey);
+
+module.exports = router;
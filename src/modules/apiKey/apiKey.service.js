@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const ApiKey = require('./apiKey.model');
+const logger = require('../../utils/logger');
+
+const KEY_PREFIX = 'msk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+// lastUsedAt is a hint for spotting unused keys, not worth a write on every request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Issue a new API key for a tenant
+ * @param {Object} data - { tenantId, name }
+ * @returns {Object} { apiKey, key } where key is the secret, it cannot be retrieved later
+ */
+const createApiKey = async ({ tenantId, name }) => {
+  try {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = await ApiKey.create({
+      tenantId,
+      name,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: hashKey(key),
+    });
+
+    logger.info(`API key created: ${apiKey.id}`, { apiKeyId: apiKey.id, tenantId });
+    // Reload through the default scope so the hash is never returned
+    return { apiKey: await ApiKey.findByPk(apiKey.id), key };
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    throw error;
+  }
+};
+
+const listApiKeys = async ({ tenantId } = {}) => {
+  try {
+    return await ApiKey.findAll({
+      where: tenantId ? { tenantId } : {},
+      order: [['createdAt', 'DESC']],
+    });
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    throw error;
+  }
+};
+
+// Revoking is permanent, revoking a revoked key again is a no-op
+const revokeApiKey = async (id) => {
+  try {
+    const apiKey = await ApiKey.findByPk(id);
+    if (!apiKey) {
+      const error = new Error('API key not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!apiKey.revokedAt) {
+      await apiKey.update({ revokedAt: new Date() });
+      logger.info(`API key revoked: ${id}`, { apiKeyId: id, tenantId: apiKey.tenantId });
+    }
+    return apiKey;
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    throw error;
+  }
+};
+
+/**
+ * Resolve a key presented by a client
+ * @param {string} key
+ * @returns {Object|null} The active API key, or null when it is unknown or revoked
+ */
+const authenticateKey = async (key) => {
+  try {
+    const apiKey = await ApiKey.findOne({ where: { keyHash: hashKey(key), revokedAt: null } });
+    if (!apiKey) {
+      return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION) {
+      apiKey.update({ lastUsedAt: new Date() }).catch((error) => {
+        logger.error('Failed to record API key usage', {
+          apiKeyId: apiKey.id,
+          error: error.message,
+        });
+      });
+    }
+    return apiKey;
+  } catch (error) {
+    logger.error('Error authenticating API key:', error);
+    throw error;
+  }
+};
+
+module.exports = { hashKey, createApiKey, listApiKeys, revokeApiKey, authenticateKey };
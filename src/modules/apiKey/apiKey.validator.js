@@ -0,0 +1,62 @@
+const Joi = require('joi');
+
+// Tenant ids are chosen by the operator, e.g. a customer slug
+const tenantIdSchema = Joi.string()
+  .trim()
+  .pattern(/^[A-Za-z0-9_-]{1,64}$/)
+  .messages({
+    'string.pattern.base': 'Tenant id must be 1 to 64 letters, digits, hyphens or underscores',
+  });
+
+const createApiKeySchema = Joi.object({
+  tenantId: tenantIdSchema.required(),
+  name: Joi.string().trim().min(1).max(255).required(),
+});
+
+const listApiKeysSchema = Joi.object({
+  tenantId: tenantIdSchema.optional(),
+});
+
+const validateCreateApiKey = (req, res, next) => {
+  const { error, value } = createApiKeySchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+const validateListApiKeys = (req, res, next) => {
+  const { error, value } = listApiKeysSchema.validate(req.query, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+module.exports = { validateCreateApiKey, validateListApiKeys };
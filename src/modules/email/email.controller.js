@@ -1,19 +1,36 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const emailService = require('./email.service');
 const { successResponse, errorResponse } = require('../../utils/response');
+const { EMAIL_EXPORT_FORMAT } = require('../../utils/constants');
 const logger = require('../../utils/logger');
 
+const EXPORT_CONTENT_TYPES = {
+  [EMAIL_EXPORT_FORMAT.CSV]: 'text/csv; charset=utf-8',
+  [EMAIL_EXPORT_FORMAT.NDJSON]: 'application/x-ndjson; charset=utf-8',
+};
+
 const createEmail = async (req, res, next) => {
   try {
-    const email = await emailService.createEmail(req.validatedData);
+    const email = await emailService.createEmail(req.tenantId, req.validatedData, req.actor);
     return successResponse(res, 201, 'Email scheduled successfully', email);
   } catch (error) {
     next(error);
   }
 };
 
+const createEmails = async (req, res, next) => {
+  try {
+    const result = await emailService.createEmails(req.tenantId, req.validatedData, req.actor);
+    return successResponse(res, 200, 'Bulk scheduling completed', result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 const getEmailById = async (req, res, next) => {
   try {
-    const email = await emailService.getEmailById(req.params.id);
+    const email = await emailService.getEmailById(req.tenantId, req.params.id);
     return successResponse(res, 200, 'Email retrieved successfully', email);
   } catch (error) {
     next(error);
@@ -22,18 +39,46 @@ const getEmailById = async (req, res, next) => {
 
 const getAllEmails = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const result = await emailService.getAllEmails(page, limit);
+    const result = await emailService.getAllEmails(req.tenantId, req.validatedData);
     return successResponse(res, 200, 'Emails retrieved successfully', result);
   } catch (error) {
     next(error);
   }
 };
 
+const exportEmails = async (req, res, next) => {
+  const { format } = req.validatedData;
+  const chunks = emailService.exportEmails(req.tenantId, req.validatedData);
+  try {
+    // The query is started before answering, so that it can still fail with an error response
+    const first = await chunks.next();
+
+    res.status(200);
+    res.attachment(`emails-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    if (first.done) {
+      return res.end();
+    }
+    res.write(first.value);
+    await pipeline(Readable.from(chunks), res);
+  } catch (error) {
+    // Once streaming has started the response can only be cut short, the service logged why
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    next(error);
+  }
+};
+
 const updateEmail = async (req, res, next) => {
   try {
-    const email = await emailService.updateEmail(req.params.id, req.validatedData);
+    const email = await emailService.updateEmail(
+      req.tenantId,
+      req.params.id,
+      req.validatedData,
+      req.actor
+    );
     return successResponse(res, 200, 'Email updated successfully', email);
   } catch (error) {
     next(error);
@@ -42,7 +87,7 @@ const updateEmail = async (req, res, next) => {
 
 const deleteEmail = async (req, res, next) => {
   try {
-    await emailService.deleteEmail(req.params.id);
+    await emailService.deleteEmail(req.tenantId, req.params.id);
     return successResponse(res, 200, 'Email deleted successfully');
   } catch (error) {
     next(error);
@@ -51,21 +96,107 @@ const deleteEmail = async (req, res, next) => {
 
 const getFailedEmails = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const result = await emailService.getFailedEmails(page, limit);
+    const result = await emailService.getFailedEmails(req.tenantId, req.validatedData);
     return successResponse(res, 200, 'Failed emails retrieved successfully', result);
   } catch (error) {
     next(error);
   }
 };
 
+const getCancelledEmails = async (req, res, next) => {
+  try {
+    const result = await emailService.getCancelledEmails(req.tenantId, req.validatedData);
+    return successResponse(res, 200, 'Cancelled emails retrieved successfully', result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const cancelEmail = async (req, res, next) => {
+  try {
+    const email = await emailService.cancelEmail(
+      req.tenantId,
+      req.params.id,
+      req.validatedData,
+      req.actor
+    );
+    return successResponse(res, 200, 'Email cancelled successfully', email);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getEmailOccurrences = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const result = await emailService.getEmailOccurrences(req.tenantId, req.params.id, limit);
+    return successResponse(res, 200, 'Email occurrences retrieved successfully', result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getDeliveryEvents = async (req, res, next) => {
+  try {
+    const events = await emailService.getDeliveryEvents(req.tenantId, req.params.id);
+    return successResponse(res, 200, 'Email delivery events retrieved successfully', events);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getEmailEvents = async (req, res, next) => {
+  try {
+    const events = await emailService.getEmailEvents(req.tenantId, req.params.id);
+    return successResponse(res, 200, 'Email events retrieved successfully', events);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const stopRecurrence = async (req, res, next) => {
+  try {
+    const email = await emailService.stopRecurrence(req.tenantId, req.params.id, req.actor);
+    return successResponse(res, 200, 'Recurring email stopped successfully', email);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const retryEmail = async (req, res, next) => {
+  try {
+    const email = await emailService.retryEmail(req.tenantId, req.params.id, req.actor);
+    return successResponse(res, 200, 'Email re-queued successfully', email);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const retryFailedEmails = async (req, res, next) => {
+  try {
+    const result = await emailService.retryFailedEmails(req.tenantId, req.validatedData, req.actor);
+    return successResponse(res, 200, 'Failed emails re-queued successfully', result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createEmail,
+  createEmails,
   getEmailById,
   getAllEmails,
+  exportEmails,
   updateEmail,
   deleteEmail,
   getFailedEmails,
+  getCancelledEmails,
+  cancelEmail,
+  retryEmail,
+  retryFailedEmails,
+  getEmailOccurrences,
+  getDeliveryEvents,
+  getEmailEvents,
+  stopRecurrence,
 };
 
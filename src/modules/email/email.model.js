@@ -1,8 +1,22 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Validator } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
 const { sequelize } = require('../../config/database');
 const { EMAIL_STATUS } = require('../../utils/constants');
 
+// Accept a single address as well as a list of addresses
+const toAddressList = (value) => (value === null || value === undefined ? value : [].concat(value));
+
+// Document matched by full-text search, the GIN index below is built on the same expression
+const SEARCH_VECTOR = sequelize.literal(
+  "to_tsvector('english', coalesce(subject, '') || ' ' || coalesce(body, ''))"
+);
+
+const isEmailList = (value) => {
+  if (!value.every((address) => Validator.isEmail(String(address)))) {
+    throw new Error('Invalid email address');
+  }
+};
+
 const Email = sequelize.define(
   'Email',
   {
@@ -11,27 +25,104 @@ const Email = sequelize.define(
       defaultValue: DataTypes.UUIDV4,
       primaryKey: true,
     },
+    // Tenant of the API key that created the email, only keys of the same tenant can see it
+    tenantId: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
     to: {
-      type: DataTypes.STRING,
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      set(value) {
+        this.setDataValue('to', toAddressList(value));
+      },
+      validate: {
+        isEmailList,
+        hasRecipient(value) {
+          if (value.length === 0) {
+            throw new Error('At least one recipient is required');
+          }
+        },
+      },
+    },
+    cc: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+      allowNull: false,
+      set(value) {
+        this.setDataValue('cc', toAddressList(value) || []);
+      },
+      validate: {
+        isEmailList,
+      },
+    },
+    bcc: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
       allowNull: false,
+      set(value) {
+        this.setDataValue('bcc', toAddressList(value) || []);
+      },
       validate: {
-        isEmail: true,
+        isEmailList,
       },
     },
+    fanOut: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+    },
+    // `to` addresses of a fanned out email that already got their message, skipped when the email
+    // is retried after a partial failure
+    sentTo: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+      allowNull: false,
+    },
+    // Every recipient gets its own message with a signed unsubscribe link and List-Unsubscribe headers
+    unsubscribe: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+    },
+    // Unsubscribing opts the recipient out of this category only, of every email when null
+    category: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+    // Record opens with a tracking pixel and clicks through redirected links, for HTML bodies
+    tracking: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+    },
+    // subject and body are empty when the email is rendered from a template at send time
     subject: {
       type: DataTypes.STRING,
-      allowNull: false,
+      allowNull: true,
       validate: {
         notEmpty: true,
       },
     },
     body: {
       type: DataTypes.TEXT,
-      allowNull: false,
+      allowNull: true,
       validate: {
         notEmpty: true,
       },
     },
+    templateId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    templateVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    variables: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
     scheduledAt: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -39,6 +130,15 @@ const Email = sequelize.define(
         isDate: true,
       },
     },
+    // Wall-clock time and IANA timezone the email was scheduled with, scheduledAt is resolved from them
+    localScheduledAt: {
+      type: DataTypes.STRING(19),
+      allowNull: true,
+    },
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
     status: {
       type: DataTypes.ENUM(...Object.values(EMAIL_STATUS)),
       defaultValue: EMAIL_STATUS.PENDING,
@@ -52,13 +152,87 @@ const Email = sequelize.define(
       type: DataTypes.STRING,
       allowNull: true,
     },
+    // Recipients on the suppression list when the email was created or updated, with the warn
+    // SUPPRESSION_POLICY; only set on the response of that request
+    suppressedRecipients: {
+      type: DataTypes.VIRTUAL,
+    },
+    // Open and click counts of a tracked email, only set when a single email is retrieved
+    trackingStats: {
+      type: DataTypes.VIRTUAL,
+    },
+    // Message id returned by the transport, matches the provider's delivery events to the email
+    providerMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Number of times the email was re-queued after failing
+    retryCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+    },
+    recurrence: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    occurrenceCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+    },
+    lastOccurrenceAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    recurrenceEndedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    cancelledBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    cancellationReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
   },
   {
     tableName: 'emails',
     timestamps: true,
     underscored: true,
+    // DELETE only sets deletedAt, rows are removed for good by the admin purge
+    paranoid: true,
+    // Backing the list filters and sorts of GET /api/emails, (created_at, id) is the cursor order
+    indexes: [
+      { fields: ['tenant_id', 'status', 'scheduled_at'] },
+      { fields: ['tenant_id', 'status', 'created_at', 'id'] },
+      { fields: ['tenant_id', 'scheduled_at'] },
+      { fields: ['tenant_id', 'created_at', 'id'] },
+      { fields: ['status'] },
+      { fields: ['provider_message_id'] },
+      { fields: ['to'], using: 'gin' },
+      { fields: ['cc'], using: 'gin' },
+      { fields: ['bcc'], using: 'gin' },
+      { name: 'emails_search', fields: [SEARCH_VECTOR], using: 'gin' },
+    ],
   }
 );
 
+Email.SEARCH_VECTOR = SEARCH_VECTOR;
+
+/**
+ * Whether every recipient of the email gets its own message
+ * Every recipient gets its own unsubscribe link, which requires a message per recipient
+ * @param {Object} email - { fanOut, unsubscribe }
+ * @returns {boolean}
+ */
+Email.sendsMessagePerRecipient = (email) => Boolean(email.fanOut || email.unsubscribe);
+
 module.exports = Email;
 
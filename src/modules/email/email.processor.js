@@ -1,19 +1,49 @@
+const Email = require('./email.model');
 const emailService = require('./email.service');
-const { sendEmail } = require('../../config/sendgrid');
+const templateService = require('../template/template.service');
+const suppressionService = require('../suppression/suppression.service');
+const unsubscribeService = require('../unsubscribe/unsubscribe.service');
+const trackingService = require('../tracking/tracking.service');
+const { sendEmail } = require('../../transports');
+const rateLimiter = require('../../rateLimit');
+const metrics = require('../../metrics');
+const { EMAIL_STATUS } = require('../../utils/constants');
 const logger = require('../../utils/logger');
 
+/**
+ * Count a send in the metrics: the delay since its send time when the transport accepted it, its
+ * reason class (the transport error type) otherwise
+ */
+const recordSendMetrics = (email, occurrenceAt, result) => {
+  if (result.success) {
+    const sendAt = occurrenceAt || email.scheduledAt;
+    metrics.emailsSent.inc();
+    metrics.sendDelay.observe({}, Math.max(0, (Date.now() - sendAt.getTime()) / 1000));
+    return;
+  }
+  metrics.emailsFailed.inc({ reason: (result.errorType || 'unknown').toLowerCase() });
+};
+
 /**
  * Process an email job - sends the email and updates status
  * This is separated from email.queue.js to avoid circular dependencies
+ * @param {string} emailId - Email identifier
+ * @param {Object} options
+ * @param {Date} [options.occurrenceAt] - Occurrence being sent, for recurring emails
+ * @returns {Object|undefined} { throttled: true, retryAfterMs } when a rate limit is reached, the
+ * email is then left untouched and the caller runs the job again later
  */
-const processEmail = async (emailId) => {
-  logger.info(`Processing email job: ${emailId}`, { emailId });
+const processEmail = async (emailId, { occurrenceAt } = {}) => {
+  logger.info(`Processing email job: ${emailId}`, { emailId, occurrenceAt });
+
+  let email = null;
+  let result = null;
 
   try {
-    const email = await emailService.getEmailById(emailId);
+    email = await emailService.getEmailForJob(emailId);
 
     // Only process if still pending
-    if (email.status !== 'PENDING') {
+    if (email.status !== EMAIL_STATUS.PENDING) {
       logger.info(`Email ${emailId} is no longer pending, skipping`, {
         emailId,
         status: email.status,
@@ -21,22 +51,104 @@ const processEmail = async (emailId) => {
       return;
     }
 
-    // Send email via SendGrid
-    const result = await sendEmail({
-      to: email.to,
-      subject: email.subject,
-      body: email.body,
+    // Recipients suppressed since the email was scheduled block the whole send
+    const suppressions = await suppressionService.findSuppressed(
+      email.tenantId,
+      [...email.to, ...email.cc, ...email.bcc],
+      email.category
+    );
+    if (suppressions.length > 0) {
+      const failureReason = `Suppressed recipients: ${suppressionService.describeSuppressions(suppressions)}`;
+      if (email.recurrence) {
+        // The occurrence is skipped, later ones are checked again
+        await emailService.recordOccurrence(emailId, occurrenceAt || new Date(), {
+          success: false,
+          error: failureReason,
+        });
+      } else {
+        await emailService.markEmailAsSuppressed(emailId, failureReason);
+      }
+      logger.warn(`Email not sent to suppressed recipients: ${emailId}`, {
+        emailId,
+        suppressed: suppressions.length,
+      });
+      metrics.emailsFailed.inc({ reason: metrics.FAILURE_REASON.SUPPRESSED });
+      return;
+    }
+
+    const retryAfterMs = await rateLimiter.acquire(email);
+    if (retryAfterMs > 0) {
+      logger.info(`Email send throttled: ${emailId}`, { emailId, retryAfterMs });
+      return { throttled: true, retryAfterMs };
+    }
+
+    // Another job running the same email may have claimed it in the meantime
+    if (!(await emailService.claimEmailForJob(emailId))) {
+      logger.info(`Email ${emailId} was claimed by another job, skipping`, { emailId });
+      return;
+    }
+
+    // Send email via the configured transport
+    // Templated emails are rendered with the version pinned when they were scheduled
+    const { subject, body } = email.templateId
+      ? await templateService.renderTemplate(
+          email.tenantId,
+          email.templateId,
+          email.templateVersion,
+          email.variables
+        )
+      : email;
+
+    // Attachments are read from the blob store only now, a missing file fails the send
+    const attachments = await emailService.loadAttachments(email);
+
+    const fanOut = Email.sendsMessagePerRecipient(email);
+    // A retried fanned out email only goes to the recipients that didn't get it the last time
+    const to = fanOut ? email.to.filter((address) => !email.sentTo.includes(address)) : email.to;
+    let message = email.unsubscribe
+      ? unsubscribeService.buildUnsubscribeMessage(email, body)
+      : { body };
+    if (email.tracking) {
+      message = trackingService.addTracking(email, message, fanOut);
+    }
+
+    result = await sendEmail({
+      to,
+      cc: email.cc,
+      bcc: email.bcc,
+      subject,
+      body: message.body,
+      attachments,
+      fanOut,
+      personalizations: message.personalizations,
     });
+    recordSendMetrics(email, occurrenceAt, result);
+
+    // Every occurrence of a recurring email is recorded as its own send attempt
+    if (email.recurrence) {
+      await emailService.recordOccurrence(emailId, occurrenceAt || new Date(), result);
+      logger.info(`Recurring email occurrence processed: ${emailId}`, {
+        emailId,
+        occurrenceAt,
+        success: result.success,
+        messageId: result.messageId,
+        error: result.error,
+        errorType: result.errorType,
+      });
+      return;
+    }
 
     if (result.success) {
-      await emailService.markEmailAsSent(emailId);
-      logger.info(`Email sent successfully: ${emailId}`, { emailId });
+      await emailService.markEmailAsSent(emailId, result.messageId);
+      logger.info(`Email sent successfully: ${emailId}`, { emailId, messageId: result.messageId });
     } else {
       const failureReason = result.error || 'Unknown error';
-      await emailService.markEmailAsFailed(emailId, failureReason);
+      await emailService.markEmailAsFailed(emailId, failureReason, result.sentTo);
       logger.error(`Email sending failed: ${emailId}`, {
         emailId,
         error: failureReason,
+        errorType: result.errorType,
+        sentTo: result.sentTo,
       });
     }
   } catch (error) {
@@ -44,9 +156,20 @@ const processEmail = async (emailId) => {
       emailId,
       error: error.message,
     });
+    // Failures after the send are counted by its result
+    if (!result) {
+      metrics.emailsFailed.inc({ reason: metrics.FAILURE_REASON.ERROR });
+    }
 
     try {
-      await emailService.markEmailAsFailed(emailId, error.message);
+      if (email && email.recurrence) {
+        await emailService.recordOccurrence(emailId, occurrenceAt || new Date(), {
+          success: false,
+          error: error.message,
+        });
+      } else {
+        await emailService.markEmailAsFailed(emailId, error.message);
+      }
     } catch (markError) {
       logger.error(`Error marking email as failed: ${emailId}`, markError);
     }
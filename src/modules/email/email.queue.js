@@ -4,6 +4,7 @@ const config = require('../../config/env');
 const { JOB_RETRY } = require('../../utils/constants');
 const logger = require('../../utils/logger');
 const inMemoryScheduler = require('../../utils/inMemoryScheduler');
+const { getPattern, getNextOccurrence, repeatStrategy } = require('../../utils/recurrence');
 // Use lazy import to avoid circular dependency
 const getEmailProcessor = () => require('./email.processor');
 
@@ -20,6 +21,9 @@ const getEmailQueue = async () => {
       const redisClient = await getRedisClient();
       emailQueue = new Queue('email-queue', {
         connection: redisClient,
+        settings: {
+          repeatStrategy,
+        },
         defaultJobOptions: {
           attempts: JOB_RETRY.ATTEMPTS,
           backoff: {
@@ -47,8 +51,90 @@ const getEmailQueue = async () => {
   return emailQueue;
 };
 
-const addEmailJob = async (emailId, scheduledAt) => {
+/**
+ * Run an email job of the in-memory scheduler
+ * A send throttled by a rate limit runs again once the limiter has tokens. Throttled occurrences
+ * of a recurring email get their own job, the series keeps the email id.
+ * @param {string} emailId - Email identifier
+ * @param {Object} [options] - Passed to processEmail
+ */
+const runInMemoryJob = async (emailId, options = {}) => {
+  const { processEmail } = getEmailProcessor();
+  const result = await processEmail(emailId, options);
+
+  if (result && result.throttled) {
+    const jobId = options.occurrenceAt
+      ? `${emailId}:${options.occurrenceAt.toISOString()}`
+      : emailId;
+    inMemoryScheduler.schedule(
+      jobId,
+      new Date(Date.now() + result.retryAfterMs),
+      () => runInMemoryJob(emailId, options),
+      { emailId }
+    );
+  }
+};
+
+/**
+ * Schedule the occurrences of a recurring email
+ * The job (scheduler) id is the email id, like for one-off emails
+ * @param {string} emailId - Email identifier
+ * @param {string|Date} scheduledAt - Series start
+ * @param {Object} recurrence - Recurrence definition ({ cron | rrule, endDate, count })
+ * @returns {string} The job ID
+ */
+const addRecurringEmailJob = async (emailId, scheduledAt, recurrence) => {
+  // A series that already started (e.g. when its recurrence is updated) resumes from now
+  const firstOccurrence = getNextOccurrence(recurrence, scheduledAt, Date.now());
+
+  if (!firstOccurrence) {
+    throw new Error('Recurrence does not produce any occurrence');
+  }
+
+  if (!config.redis.enabled) {
+    logger.info(`Scheduling recurring email with in-memory scheduler: ${emailId}`, {
+      emailId,
+      firstOccurrence,
+    });
+
+    inMemoryScheduler.scheduleRecurring(
+      emailId,
+      firstOccurrence,
+      (previousOccurrence) => getNextOccurrence(recurrence, scheduledAt, previousOccurrence),
+      async ({ occurrenceAt }) => {
+        await runInMemoryJob(emailId, { occurrenceAt });
+      },
+      { emailId }
+    );
+
+    return emailId;
+  }
+
+  // Use a BullMQ job scheduler (repeatable job)
+  const queue = await getEmailQueue();
+  await queue.upsertJobScheduler(
+    emailId,
+    {
+      pattern: getPattern(recurrence),
+      startDate: new Date(scheduledAt),
+      endDate: recurrence.endDate ? new Date(recurrence.endDate) : undefined,
+      limit: recurrence.count,
+    },
+    {
+      name: 'send-email',
+      data: { emailId },
+    }
+  );
+
+  return emailId;
+};
+
+const addEmailJob = async (emailId, scheduledAt, recurrence = null) => {
   try {
+    if (recurrence) {
+      return await addRecurringEmailJob(emailId, scheduledAt, recurrence);
+    }
+
     if (!config.redis.enabled) {
       // Use in-memory scheduler
       logger.info(`Scheduling email with in-memory scheduler: ${emailId}`, {
@@ -56,14 +142,11 @@ const addEmailJob = async (emailId, scheduledAt) => {
         scheduledAt,
       });
 
-      // Lazy load processor to avoid circular dependency
-      const { processEmail } = getEmailProcessor();
-      
       inMemoryScheduler.schedule(
         emailId,
         scheduledAt,
         async () => {
-          await processEmail(emailId);
+          await runInMemoryJob(emailId);
         },
         { emailId }
       );
@@ -72,12 +155,9 @@ const addEmailJob = async (emailId, scheduledAt) => {
     }
 
     // Use BullMQ with Redis
+    // A time in the past (e.g. a manual retry) runs the job right away
     const queue = await getEmailQueue();
-    const delay = new Date(scheduledAt).getTime() - Date.now();
-
-    if (delay <= 0) {
-      throw new Error('Scheduled time must be in the future');
-    }
+    const delay = Math.max(new Date(scheduledAt).getTime() - Date.now(), 0);
 
     const job = await queue.add(
       'send-email',
@@ -95,6 +175,50 @@ const addEmailJob = async (emailId, scheduledAt) => {
   }
 };
 
+/**
+ * Add the jobs of many emails at once, one-off emails in a single BullMQ addBulk call
+ * Recurring emails each get their job scheduler, as addEmailJob does.
+ * @param {Array<Object>} emails - { id, scheduledAt, recurrence } of the emails
+ * @returns {Array<string>} The job IDs, in the order of the emails
+ */
+const addEmailJobs = async (emails) => {
+  try {
+    if (!config.redis.enabled) {
+      const jobIds = [];
+      for (const { id, scheduledAt, recurrence } of emails) {
+        jobIds.push(await addEmailJob(id, scheduledAt, recurrence));
+      }
+      return jobIds;
+    }
+
+    const jobIds = new Map();
+    for (const { id, scheduledAt, recurrence } of emails.filter((email) => email.recurrence)) {
+      jobIds.set(id, await addRecurringEmailJob(id, scheduledAt, recurrence));
+    }
+
+    const oneOff = emails.filter((email) => !email.recurrence);
+    if (oneOff.length > 0) {
+      const queue = await getEmailQueue();
+      const jobs = await queue.addBulk(
+        oneOff.map(({ id, scheduledAt }) => ({
+          name: 'send-email',
+          data: { emailId: id },
+          opts: {
+            delay: Math.max(new Date(scheduledAt).getTime() - Date.now(), 0),
+            jobId: id,
+          },
+        }))
+      );
+      jobs.forEach((job, index) => jobIds.set(oneOff[index].id, job.id));
+    }
+
+    return emails.map(({ id }) => jobIds.get(id));
+  } catch (error) {
+    logger.error('Failed to add email jobs:', error);
+    throw error;
+  }
+};
+
 const removeEmailJob = async (jobId) => {
   try {
     if (!config.redis.enabled) {
@@ -104,11 +228,14 @@ const removeEmailJob = async (jobId) => {
     }
 
     // Remove BullMQ job
-    if (emailQueue) {
-      const job = await emailQueue.getJob(jobId);
-      if (job) {
-        await job.remove();
-      }
+    const queue = await getEmailQueue();
+
+    // Recurring emails are scheduled through a job scheduler with the same id
+    await queue.removeJobScheduler(jobId);
+
+    const job = await queue.getJob(jobId);
+    if (job) {
+      await job.remove();
     }
   } catch (error) {
     logger.error('Failed to remove email job:', error);
@@ -132,13 +259,12 @@ const rescheduleEmailJob = async (jobId, newScheduledAt) => {
         newScheduledAt,
       });
 
-      const { processEmail } = getEmailProcessor();
       // Use reschedule method which preserves jobId
       inMemoryScheduler.reschedule(
         jobId,
         newScheduledAt,
         async () => {
-          await processEmail(jobId);
+          await runInMemoryJob(jobId);
         },
         { emailId: jobId }
       );
@@ -215,5 +341,27 @@ const rescheduleEmailJob = async (jobId, newScheduledAt) => {
   }
 };
 
-module.exports = { getEmailQueue, addEmailJob, removeEmailJob, rescheduleEmailJob };
+/**
+ * Number of jobs of the email queue by state
+ * The in-memory scheduler has no states, it reports all its pending jobs as scheduled, webhook
+ * deliveries and CSV imports included
+ * @returns {Object} Counts by state
+ */
+const getEmailQueueCounts = async () => {
+  if (!config.redis.enabled) {
+    return { scheduled: inMemoryScheduler.size() };
+  }
+
+  const queue = await getEmailQueue();
+  return queue.getJobCounts('waiting', 'active', 'delayed', 'prioritized', 'paused', 'failed');
+};
+
+module.exports = {
+  getEmailQueue,
+  getEmailQueueCounts,
+  addEmailJob,
+  addEmailJobs,
+  removeEmailJob,
+  rescheduleEmailJob,
+};
 
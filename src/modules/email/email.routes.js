@@ -1,6 +1,17 @@
 const express = require('express');
 const emailController = require('./email.controller');
-const { validateCreateEmail, validateUpdateEmail } = require('./email.validator');
+const {
+  validateCreateEmail,
+  validateBulkCreateEmails,
+  validateUpdateEmail,
+  validateRetryFailedEmails,
+  validateCancelEmail,
+  validateListEmails,
+  validateExportEmails,
+  validatePagination,
+} = require('./email.validator');
+const idempotency = require('../../middlewares/idempotency.middleware');
+const { uploadAttachments } = require('../../middlewares/upload.middleware');
 
 const router = express.Router();
 
@@ -11,6 +22,14 @@ const router = express.Router();
  *     summary: Schedule a new email
  *     description: Create and schedule a new email to be sent at a future date and time
  *     tags: [Emails]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique key for this request. A retry with the same key and payload replays the original response instead of scheduling the email again.
  *     requestBody:
  *       required: true
  *       content:
@@ -18,10 +37,13 @@ const router = express.Router();
  *           schema:
  *             $ref: '#/components/schemas/CreateEmailRequest'
  *           example:
- *             to: recipient@example.com
+ *             to: [recipient@example.com]
  *             subject: Hello World
  *             body: This is the email body content
  *             scheduledAt: 2024-12-31T23:59:59.000Z
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateEmailMultipartRequest'
  *     responses:
  *       201:
  *         description: Email scheduled successfully
@@ -34,7 +56,7 @@ const router = express.Router();
  *               message: Email scheduled successfully
  *               data:
  *                 id: 550e8400-e29b-41d4-a716-446655440000
- *                 to: recipient@example.com
+ *                 to: [recipient@example.com]
  *                 subject: Hello World
  *                 body: This is the email body content
  *                 scheduledAt: 2024-12-31T23:59:59.000Z
@@ -44,8 +66,80 @@ const router = express.Router();
  *                 updatedAt: 2024-01-01T12:00:00.000Z
  *       400:
  *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: The Idempotency-Key was already used with a different payload, or its first request is still in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', validateCreateEmail, emailController.createEmail);
+router.post('/', uploadAttachments, idempotency, validateCreateEmail, emailController.createEmail);
+
+/**
+ * @swagger
+ * /api/emails/bulk:
+ *   post:
+ *     summary: Schedule emails in bulk
+ *     description: Schedule up to 1000 emails in one request. Each email is validated like those of POST /api/emails and gets a result of its own; invalid emails are reported in their result while the others are scheduled, unless atomic is set. The scheduled emails are saved and queued together.
+ *     tags: [Emails]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique key for this request. A retry with the same key and payload replays the original response instead of scheduling the emails again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkCreateEmailsRequest'
+ *           example:
+ *             emails:
+ *               - to: [first@example.com]
+ *                 subject: Your appointment tomorrow
+ *                 body: See you at 10:00
+ *                 scheduledAt: 2024-12-30T18:00:00.000Z
+ *               - to: [not-an-address]
+ *                 subject: Your appointment tomorrow
+ *                 body: See you at 11:00
+ *                 scheduledAt: 2024-12-30T18:00:00.000Z
+ *     responses:
+ *       200:
+ *         description: Bulk scheduling completed, see the result of each email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Bulk scheduling completed
+ *               data:
+ *                 total: 2
+ *                 created: 1
+ *                 failed: 1
+ *                 results:
+ *                   - index: 0
+ *                     success: true
+ *                     emailId: 550e8400-e29b-41d4-a716-446655440000
+ *                     scheduledAt: 2024-12-30T18:00:00.000Z
+ *                   - index: 1
+ *                     success: false
+ *                     errors:
+ *                       - field: to.0
+ *                         message: Invalid email address
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: The Idempotency-Key was already used with a different payload, or its first request is still in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/bulk', idempotency, validateBulkCreateEmails, emailController.createEmails);
 
 /**
  * @swagger
@@ -70,6 +164,8 @@ router.post('/', validateCreateEmail, emailController.createEmail);
  *           maximum: 100
  *           default: 10
  *         description: Number of items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: Failed emails retrieved successfully
@@ -83,7 +179,7 @@ router.post('/', validateCreateEmail, emailController.createEmail);
  *               data:
  *                 emails:
  *                   - id: 550e8400-e29b-41d4-a716-446655440000
- *                     to: recipient@example.com
+ *                     to: [recipient@example.com]
  *                     subject: Hello World
  *                     status: FAILED
  *                     failureReason: Invalid email address
@@ -93,14 +189,234 @@ router.post('/', validateCreateEmail, emailController.createEmail);
  *                   total: 5
  *                   totalPages: 1
  */
-router.get('/failed', emailController.getFailedEmails);
+router.get('/failed', validatePagination, emailController.getFailedEmails);
+
+/**
+ * @swagger
+ * /api/emails/failed/retry:
+ *   post:
+ *     summary: Retry failed emails
+ *     description: Re-queue FAILED emails matching the filters, oldest first. Each email is reset to PENDING, its failureReason is cleared and it is sent right away.
+ *     tags: [Emails]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               failureReason:
+ *                 type: string
+ *                 description: Only emails whose failure reason contains this text (case-insensitive)
+ *               scheduledFrom:
+ *                 type: string
+ *                 format: date-time
+ *               scheduledTo:
+ *                 type: string
+ *                 format: date-time
+ *               failedFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Only emails that failed at or after this time
+ *               failedTo:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Only emails that failed at or before this time
+ *               limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1000
+ *                 default: 100
+ *                 description: Maximum number of emails re-queued by this request
+ *           example:
+ *             failureReason: timeout
+ *             failedFrom: 2024-12-01T00:00:00.000Z
+ *     responses:
+ *       200:
+ *         description: Failed emails re-queued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Failed emails re-queued successfully
+ *               data:
+ *                 matched: 2
+ *                 requeued: 2
+ *                 emailIds:
+ *                   - 550e8400-e29b-41d4-a716-446655440000
+ *                   - 7c9e6679-7425-40de-944b-e07fc1f90ae7
+ *                 errors: []
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/failed/retry', validateRetryFailedEmails, emailController.retryFailedEmails);
+
+/**
+ * @swagger
+ * /api/emails/cancelled:
+ *   get:
+ *     summary: Get all cancelled emails
+ *     description: Retrieve a paginated list of all emails that were cancelled before being sent
+ *     tags: [Emails]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
+ *     responses:
+ *       200:
+ *         description: Cancelled emails retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Cancelled emails retrieved successfully
+ *               data:
+ *                 emails:
+ *                   - id: 550e8400-e29b-41d4-a716-446655440000
+ *                     to: [recipient@example.com]
+ *                     subject: Hello World
+ *                     status: CANCELLED
+ *                     cancelledAt: 2024-12-24T09:00:00.000Z
+ *                     cancelledBy: jane@example.com
+ *                     cancellationReason: Campaign postponed
+ *                 pagination:
+ *                   page: 1
+ *                   limit: 10
+ *                   total: 1
+ *                   totalPages: 1
+ */
+router.get('/cancelled', validatePagination, emailController.getCancelledEmails);
+
+/**
+ * @swagger
+ * /api/emails/export:
+ *   get:
+ *     summary: Export emails
+ *     description: Download every email matching the filters of GET /api/emails as CSV or NDJSON (one JSON object per line), without pagination. Rows are streamed from a database cursor as they are read, so exports of any size can be downloaded. In CSV files recipient lists are separated by semicolons and template variables and recurrences are written as JSON.
+ *     tags: [Emails]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [id, status, to, cc, bcc, subject, body, category, templateId, templateVersion, variables, scheduledAt, localScheduledAt, timezone, recurrence, occurrenceCount, retryCount, failureReason, providerMessageId, cancelledAt, cancellationReason, createdAt, updatedAt]
+ *         style: form
+ *         explode: false
+ *         description: Columns to export, comma separated, in this order (default all of them)
+ *         example: id,to,subject,status,scheduledAt
+ *       - in: query
+ *         name: includeBody
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to leave out the body of the emails, even if listed in columns
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [PENDING, PROCESSING, SENT, FAILED, CANCELLED, SUPPRESSED, DELIVERED, DEFERRED, BOUNCED, DROPPED, SPAM_REPORTED]
+ *         style: form
+ *         explode: false
+ *         description: Only emails with one of these statuses, comma separated
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *           format: email
+ *         description: Only emails sent to this exact address (to, cc or bcc)
+ *       - in: query
+ *         name: recipientDomain
+ *         schema:
+ *           type: string
+ *         description: Only emails with a recipient (to, cc or bcc) at this domain
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Full-text search on subject and body
+ *       - in: query
+ *         name: scheduledFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: scheduledTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, scheduledAt, updatedAt, status, subject]
+ *           default: createdAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     responses:
+ *       200:
+ *         description: The exported emails, as an attachment named emails-<date>.<format>
+ *         content:
+ *           text/csv:
+ *             example: |
+ *               id,to,subject,status,scheduledAt
+ *               550e8400-e29b-41d4-a716-446655440000,first@example.com;second@example.com,Hello World,SENT,2024-12-25T10:00:00.000Z
+ *           application/x-ndjson:
+ *             example: |
+ *               {"id":"550e8400-e29b-41d4-a716-446655440000","to":["first@example.com","second@example.com"],"subject":"Hello World","status":"SENT","scheduledAt":"2024-12-25T10:00:00.000Z"}
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/export', validateExportEmails, emailController.exportEmails);
 
 /**
  * @swagger
  * /api/emails/{id}:
  *   get:
  *     summary: Get email by ID
- *     description: Retrieve a specific email by its unique identifier
+ *     description: Retrieve a specific email by its unique identifier. Emails sent with tracking also include trackingStats, their open and click counts.
  *     tags: [Emails]
  *     parameters:
  *       - in: path
@@ -123,7 +439,7 @@ router.get('/failed', emailController.getFailedEmails);
  *               message: Email retrieved successfully
  *               data:
  *                 id: 550e8400-e29b-41d4-a716-446655440000
- *                 to: recipient@example.com
+ *                 to: [recipient@example.com]
  *                 subject: Hello World
  *                 body: This is the email body content
  *                 scheduledAt: 2024-12-31T23:59:59.000Z
@@ -134,12 +450,258 @@ router.get('/failed', emailController.getFailedEmails);
  */
 router.get('/:id', emailController.getEmailById);
 
+/**
+ * @swagger
+ * /api/emails/{id}/occurrences:
+ *   get:
+ *     summary: List occurrences of a recurring email
+ *     description: Retrieve the upcoming occurrences of a recurring email series and the send attempts recorded so far
+ *     tags: [Emails]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Email unique identifier
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Maximum number of upcoming occurrences and past attempts to return
+ *     responses:
+ *       200:
+ *         description: Email occurrences retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Email occurrences retrieved successfully
+ *               data:
+ *                 upcoming:
+ *                   - 2025-01-06T09:00:00.000Z
+ *                   - 2025-01-13T09:00:00.000Z
+ *                 history:
+ *                   - id: 7c9e6679-7425-40de-944b-e07fc1f90ae7
+ *                     emailId: 550e8400-e29b-41d4-a716-446655440000
+ *                     scheduledFor: 2024-12-30T09:00:00.000Z
+ *                     status: SENT
+ *                     failureReason: null
+ *                 occurrenceCount: 1
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/occurrences', emailController.getEmailOccurrences);
+
+/**
+ * @swagger
+ * /api/emails/{id}/delivery-events:
+ *   get:
+ *     summary: Get the delivery timeline of an email
+ *     description: Delivery events reported by the provider after the email was sent (processed, deferred, delivered, bounce, dropped, spam report...), oldest first. Events about occurrences of a recurring email have an occurrenceId.
+ *     tags: [Emails]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Email unique identifier
+ *     responses:
+ *       200:
+ *         description: Email delivery events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Email delivery events retrieved successfully
+ *               data:
+ *                 - id: 3f2b8c1d-5e6f-4a7b-8c9d-0e1f2a3b4c5d
+ *                   emailId: 550e8400-e29b-41d4-a716-446655440000
+ *                   occurrenceId: null
+ *                   provider: sendgrid
+ *                   event: delivered
+ *                   status: DELIVERED
+ *                   recipient: recipient@example.com
+ *                   reason: 250 2.0.0 OK
+ *                   providerEventId: ZGVsaXZlcmVkLTAtMjQ2NzY4NjAtVzg2RWdZ
+ *                   occurredAt: 2024-12-25T09:00:05.000Z
+ *                   payload: {}
+ *                   createdAt: 2024-12-25T09:00:07.000Z
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/delivery-events', emailController.getDeliveryEvents);
+
+/**
+ * @swagger
+ * /api/emails/{id}/events:
+ *   get:
+ *     summary: Get the status history of an email
+ *     description: Every change made to the email, oldest first - created, updated, rescheduled, processing started, sent, failed, suppressed, retried, cancelled, recurrence stopped or ended, and status changes caused by delivery events. Each event has the old and new value of the fields it changed and its actor - the API key (api_key:<id>), a CSV import (import:<id>), the provider (provider:<name>) or the scheduler (system). The provider's own events are listed by GET /api/emails/{id}/delivery-events.
+ *     tags: [Emails]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Email unique identifier
+ *     responses:
+ *       200:
+ *         description: Email events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Email events retrieved successfully
+ *               data:
+ *                 - id: 7c9e6679-7425-40de-944b-e07fc1f90ae7
+ *                   emailId: 550e8400-e29b-41d4-a716-446655440000
+ *                   type: created
+ *                   changes:
+ *                     status: { from: null, to: PENDING }
+ *                     scheduledAt: { from: null, to: 2024-12-25T10:00:00.000Z }
+ *                   actor: api_key:0b7d4a52-3f1e-4c8a-9d2b-6e5f4a3b2c1d
+ *                   createdAt: 2024-12-20T08:30:00.000Z
+ *                 - id: 9b2d8e4f-1a3c-4e5b-8d7f-0c1e2a3b4d5e
+ *                   emailId: 550e8400-e29b-41d4-a716-446655440000
+ *                   type: failed
+ *                   changes:
+ *                     status: { from: PENDING, to: FAILED }
+ *                     failureReason: { from: null, to: Connection timed out }
+ *                   actor: system
+ *                   createdAt: 2024-12-25T10:00:02.000Z
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/events', emailController.getEmailEvents);
+
+/**
+ * @swagger
+ * /api/emails/{id}/recurrence/stop:
+ *   post:
+ *     summary: Stop a recurring email
+ *     description: Cancel all future occurrences of a recurring email series. Past send attempts are kept.
+ *     tags: [Emails]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Email unique identifier
+ *     responses:
+ *       200:
+ *         description: Recurring email stopped successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/recurrence/stop', emailController.stopRecurrence);
+
+/**
+ * @swagger
+ * /api/emails/{id}/retry:
+ *   post:
+ *     summary: Retry a failed email
+ *     description: Reset a FAILED email to PENDING, clear its failureReason and send it right away
+ *     tags: [Emails]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Email unique identifier
+ *     responses:
+ *       200:
+ *         description: Email re-queued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/retry', emailController.retryEmail);
+
+/**
+ * @swagger
+ * /api/emails/{id}/cancel:
+ *   post:
+ *     summary: Cancel a pending email
+ *     description: Remove the scheduled job of a PENDING email and mark it CANCELLED, recording who cancelled it, when and why. The email is kept for the record.
+ *     tags: [Emails]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Email unique identifier
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Why the email was cancelled
+ *               cancelledBy:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Who cancelled the email
+ *           example:
+ *             reason: Campaign postponed
+ *             cancelledBy: jane@example.com
+ *     responses:
+ *       200:
+ *         description: Email cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/cancel', validateCancelEmail, emailController.cancelEmail);
+
 /**
  * @swagger
  * /api/emails:
  *   get:
  *     summary: Get all emails
- *     description: Retrieve a paginated list of all emails
+ *     description: Retrieve a paginated list of emails, optionally filtered, searched and sorted. Filters are combined with AND.
  *     tags: [Emails]
  *     parameters:
  *       - in: query
@@ -157,6 +719,70 @@ router.get('/:id', emailController.getEmailById);
  *           maximum: 100
  *           default: 10
  *         description: Number of items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [PENDING, PROCESSING, SENT, FAILED, CANCELLED, SUPPRESSED, DELIVERED, DEFERRED, BOUNCED, DROPPED, SPAM_REPORTED]
+ *         style: form
+ *         explode: false
+ *         description: Only emails with one of these statuses, comma separated
+ *         example: FAILED,CANCELLED
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *           format: email
+ *         description: Only emails sent to this exact address (to, cc or bcc)
+ *       - in: query
+ *         name: recipientDomain
+ *         schema:
+ *           type: string
+ *         description: Only emails with a recipient (to, cc or bcc) at this domain
+ *         example: corp.com
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Full-text search on subject and body. Supports "quoted phrases", OR and -excluded words.
+ *       - in: query
+ *         name: scheduledFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: scheduledTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, scheduledAt, updatedAt, status, subject]
+ *           default: createdAt
+ *         description: Cursor pagination only supports createdAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
  *     responses:
  *       200:
  *         description: Emails retrieved successfully
@@ -170,7 +796,7 @@ router.get('/:id', emailController.getEmailById);
  *               data:
  *                 emails:
  *                   - id: 550e8400-e29b-41d4-a716-446655440000
- *                     to: recipient@example.com
+ *                     to: [recipient@example.com]
  *                     subject: Hello World
  *                     status: PENDING
  *                 pagination:
@@ -178,8 +804,10 @@ router.get('/:id', emailController.getEmailById);
  *                   limit: 10
  *                   total: 25
  *                   totalPages: 3
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/', emailController.getAllEmails);
+router.get('/', validateListEmails, emailController.getAllEmails);
 
 /**
  * @swagger
@@ -232,7 +860,7 @@ router.put('/:id', validateUpdateEmail, emailController.updateEmail);
  * /api/emails/{id}:
  *   delete:
  *     summary: Delete an email
- *     description: Delete an email and cancel its scheduled job if it hasn't been sent yet
+ *     description: Soft delete an email and cancel its scheduled job if it hasn't been sent yet. The email no longer shows up in the API but is kept until it is purged through POST /api/admin/emails/purge.
  *     tags: [Emails]
  *     parameters:
  *       - in: path
@@ -1,17 +1,392 @@
+const { Op, QueryTypes, Utils, fn, col, literal, where: sqlWhere } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../../config/database');
 const Email = require('./email.model');
-const { addEmailJob, removeEmailJob, rescheduleEmailJob } = require('./email.queue');
-const { EMAIL_STATUS, PAGINATION } = require('../../utils/constants');
+const EmailOccurrence = require('./emailOccurrence.model');
+const EmailAttachment = require('./emailAttachment.model');
+const EmailDeliveryEvent = require('./emailDeliveryEvent.model');
+const EmailTrackingEvent = require('./emailTrackingEvent.model');
+const EmailEvent = require('./emailEvent.model');
+const { addEmailJob, addEmailJobs, removeEmailJob, rescheduleEmailJob } = require('./email.queue');
+const { resolveTemplateForEmail } = require('../template/template.service');
+const webhookService = require('../webhook/webhook.service');
+const suppressionService = require('../suppression/suppression.service');
+const {
+  EMAIL_STATUS,
+  RECURRENCE,
+  RETRY,
+  CATCH_UP_POLICY,
+  WEBHOOK_EVENT,
+  SUPPRESSION_POLICY,
+  TRACKING_EVENT,
+  EMAIL_EXPORT,
+  EMAIL_EXPORT_FORMAT,
+  EMAIL_EVENT_TYPE,
+  SYSTEM_ACTOR,
+} = require('../../utils/constants');
+const { getOccurrences, getNextOccurrence } = require('../../utils/recurrence');
+const { resolveLocalDateTime } = require('../../utils/timezone');
+const { findPage } = require('../../utils/pagination');
+const { formatCsvRecord } = require('../../utils/csv');
+const metrics = require('../../metrics');
+const { getBlobStore } = require('../../storage');
+const config = require('../../config/env');
 const logger = require('../../utils/logger');
 
-const createEmail = async (emailData) => {
+const ATTACHMENTS_INCLUDE = { model: EmailAttachment, as: 'attachments' };
+
+const assertRecurrenceHasOccurrences = (recurrence, scheduledAt) => {
+  if (recurrence && !getNextOccurrence(recurrence, scheduledAt, Date.now())) {
+    const error = new Error('Recurrence does not produce any future occurrence');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// Inclusive range condition, either bound may be missing
+const dateRange = (from, to) => ({
+  ...(from && { [Op.gte]: from }),
+  ...(to && { [Op.lte]: to }),
+});
+
+/**
+ * Where clause of the GET /api/emails filters, within the tenant's emails
+ * Recipient filters match to, cc and bcc; q is a full-text search on subject and body
+ */
+const buildListWhere = (
+  tenantId,
+  { status, recipient, recipientDomain, q, scheduledFrom, scheduledTo, createdFrom, createdTo }
+) => {
+  const conditions = [{ tenantId }];
+
+  if (status) {
+    conditions.push({ status: { [Op.in]: status } });
+  }
+  if (recipient) {
+    conditions.push({
+      [Op.or]: ['to', 'cc', 'bcc'].map((field) => ({ [field]: { [Op.contains]: [recipient] } })),
+    });
+  }
+  if (recipientDomain) {
+    const pattern = Email.sequelize.escape(`%@${recipientDomain}`);
+    conditions.push(
+      literal(
+        `EXISTS (SELECT 1 FROM unnest("to" || "cc" || "bcc") AS recipient WHERE recipient LIKE ${pattern})`
+      )
+    );
+  }
+  if (q) {
+    conditions.push(
+      sqlWhere(Email.SEARCH_VECTOR, { [Op.match]: fn('websearch_to_tsquery', 'english', q) })
+    );
+  }
+  if (scheduledFrom || scheduledTo) {
+    conditions.push({ scheduledAt: dateRange(scheduledFrom, scheduledTo) });
+  }
+  if (createdFrom || createdTo) {
+    conditions.push({ createdAt: dateRange(createdFrom, createdTo) });
+  }
+
+  return { [Op.and]: conditions };
+};
+
+// Reported by the error middleware as a 400 with per-field errors
+const validationError = (field, message) => {
+  const error = new Error('Validation error');
+  error.name = 'ValidationError';
+  error.details = [{ field, message }];
+  return error;
+};
+
+// Statuses of emails the transport accepted, such emails can't be changed anymore
+const SENT_STATUSES = [
+  EMAIL_STATUS.SENT,
+  EMAIL_STATUS.DELIVERED,
+  EMAIL_STATUS.DEFERRED,
+  EMAIL_STATUS.BOUNCED,
+  EMAIL_STATUS.DROPPED,
+  EMAIL_STATUS.SPAM_REPORTED,
+];
+
+// Internal bookkeeping left out of the status history
+const UNTRACKED_FIELDS = ['jobId'];
+
+/**
+ * Save changes to an email
+ * @param {Object} email
+ * @param {Object} updates - Values to set
+ * @returns {Object} Old and new value of each field that changed, { field: { from, to } }
+ */
+const saveChanges = async (email, updates) => {
+  email.set(updates);
+  const changes = Object.fromEntries(
+    (email.changed() || [])
+      .filter((field) => !UNTRACKED_FIELDS.includes(field))
+      .map((field) => [
+        field,
+        { from: email.previous(field) ?? null, to: email.get(field) ?? null },
+      ])
+  );
+  await email.save();
+  return changes;
+};
+
+/**
+ * Add a change to the status history of an email
+ * @param {string} emailId
+ * @param {string} type - One of EMAIL_EVENT_TYPE
+ * @param {Object} [details]
+ * @param {Object} [details.changes] - Old and new values, as returned by saveChanges
+ * @param {string} [details.actor] - Who made the change (default: SYSTEM_ACTOR)
+ */
+const recordEmailEvent = (emailId, type, { changes = {}, actor = SYSTEM_ACTOR } = {}) =>
+  EmailEvent.create({ emailId, type, changes, actor });
+
+// Changes recorded when an email is created
+const creationChanges = (email) => ({
+  status: { from: null, to: email.status },
+  scheduledAt: { from: null, to: email.scheduledAt },
+});
+
+// Unsubscribe and tracking links are signed at send time, they can't be used without a key
+const assertLinksConfigured = ({ unsubscribe, tracking }) => {
+  if ((unsubscribe || tracking) && !config.links.secret) {
+    const error = new Error(
+      'Unsubscribe links and tracking require LINK_SIGNING_SECRET to be configured'
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+const recipientLists = ({ to = [], cc = [], bcc = [] }) => ({
+  to: [].concat(to),
+  cc: [].concat(cc),
+  bcc: [].concat(bcc),
+});
+
+/**
+ * Apply SUPPRESSION_POLICY to the suppressed recipients of an email being created or updated
+ * The reject policy throws a validation error naming every suppressed recipient
+ * @param {string} tenantId
+ * @param {Object} recipients - { to, cc, bcc } lists
+ * @param {Array<Object>} suppressions - Suppressions of the recipients
+ * @returns {Array<Object>} { email, reason, expiresAt } of the suppressed recipients (warn policy)
+ */
+const applySuppressionPolicy = (tenantId, recipients, suppressions) => {
+  if (suppressions.length === 0) {
+    return [];
+  }
+
+  if (config.suppression.policy !== SUPPRESSION_POLICY.WARN) {
+    const error = new Error('Validation error');
+    error.name = 'ValidationError';
+    error.details = suppressions.map(({ email, reason }) => ({
+      field: Object.keys(recipients).find((field) =>
+        recipients[field].some((address) => address.toLowerCase() === email)
+      ),
+      message: `${email} is suppressed (${reason})`,
+    }));
+    throw error;
+  }
+
+  logger.warn('Email scheduled to suppressed recipients', {
+    tenantId,
+    suppressed: suppressions.length,
+  });
+  return suppressions.map(({ email, reason, expiresAt }) => ({ email, reason, expiresAt }));
+};
+
+/**
+ * Apply SUPPRESSION_POLICY to the recipients of an email being created or updated
+ * @param {string} tenantId
+ * @param {Object} recipients - { to, cc, bcc }
+ * @param {string} [category] - Category of the email
+ * @returns {Array<Object>} { email, reason, expiresAt } of the suppressed recipients (warn policy)
+ */
+const checkSuppressedRecipients = async (tenantId, recipients, category = null) => {
+  const lists = recipientLists(recipients);
+  const suppressions = await suppressionService.findSuppressed(
+    tenantId,
+    Object.values(lists).flat(),
+    category
+  );
+  return applySuppressionPolicy(tenantId, lists, suppressions);
+};
+
+/**
+ * Resolve a local wall-clock time and timezone into scheduledAt
+ * On update, a new local time or timezone is combined with the one stored on the email,
+ * so a reschedule stays anchored to local time; an absolute scheduledAt drops the anchor.
+ * @param {Object} data - Create or update data, modified in place
+ * @param {Object} [email] - Email being updated
+ */
+const resolveSchedule = (data, email = null) => {
+  if (data.scheduledAt) {
+    if (email) {
+      data.localScheduledAt = null;
+      data.timezone = null;
+    }
+    return;
+  }
+
+  if (data.localScheduledAt === undefined && data.timezone === undefined) {
+    return;
+  }
+
+  const localScheduledAt = data.localScheduledAt || (email && email.localScheduledAt);
+  const timezone = data.timezone || (email && email.timezone);
+  if (!localScheduledAt) {
+    throw validationError('localScheduledAt', 'Local scheduled time is required with timezone');
+  }
+  if (!timezone) {
+    throw validationError('timezone', 'Timezone is required with localScheduledAt');
+  }
+
+  const scheduledAt = resolveLocalDateTime(localScheduledAt, timezone);
+  if (scheduledAt <= new Date()) {
+    throw validationError('localScheduledAt', 'Scheduled date must be in the future');
+  }
+
+  Object.assign(data, { scheduledAt, localScheduledAt, timezone });
+};
+
+// Failures are only logged, a leftover blob must not block deleting an email
+const removeAttachmentBlobs = async (attachments) => {
+  const store = getBlobStore();
+  await Promise.all(
+    attachments.map(async ({ storageKey }) => {
+      try {
+        await store.remove(storageKey);
+      } catch (error) {
+        logger.error(`Error removing attachment blob: ${storageKey}`, {
+          storageKey,
+          error: error.message,
+        });
+      }
+    })
+  );
+};
+
+/**
+ * Store attachment contents in the blob store and their metadata in email_attachments
+ * @param {string} emailId - Email identifier
+ * @param {Array<Object>} attachments - { filename, contentType, content: Buffer }
+ */
+const saveAttachments = async (emailId, attachments) => {
+  const store = getBlobStore();
+  const saved = [];
+
   try {
-    const email = await Email.create(emailData);
+    for (const { filename, contentType, content } of attachments) {
+      const id = uuidv4();
+      const storageKey = `attachments/${emailId}/${id}`;
+      await store.put(storageKey, content);
+      saved.push({ id, emailId, filename, contentType, size: content.length, storageKey });
+    }
+    return await EmailAttachment.bulkCreate(saved);
+  } catch (error) {
+    await removeAttachmentBlobs(saved);
+    throw error;
+  }
+};
+
+/**
+ * Every function called for an API request takes the tenant of the caller first and only
+ * reads or changes that tenant's emails; an email of another tenant is reported as not found
+ */
+
+/**
+ * Aggregate opens and clicks of a tracked email
+ * @param {string} emailId
+ * @returns {Object} { opens, clicks, firstOpenedAt, lastOpenedAt }
+ */
+const getTrackingStats = async (emailId) => {
+  const rows = await EmailTrackingEvent.findAll({
+    where: { emailId },
+    attributes: [
+      'type',
+      [fn('COUNT', col('id')), 'count'],
+      [fn('MIN', col('created_at')), 'firstAt'],
+      [fn('MAX', col('created_at')), 'lastAt'],
+    ],
+    group: ['type'],
+    raw: true,
+  });
+  const byType = Object.fromEntries(rows.map((row) => [row.type, row]));
+  const opens = byType[TRACKING_EVENT.OPEN];
+
+  return {
+    opens: Number(opens?.count || 0),
+    clicks: Number(byType[TRACKING_EVENT.CLICK]?.count || 0),
+    firstOpenedAt: opens?.firstAt || null,
+    lastOpenedAt: opens?.lastAt || null,
+  };
+};
+
+/**
+ * Check a new email and resolve its schedule and template version
+ * @param {string} tenantId
+ * @param {Object} emailData - Create data, modified in place
+ */
+const prepareEmailData = async (tenantId, emailData) => {
+  resolveSchedule(emailData);
+  assertRecurrenceHasOccurrences(emailData.recurrence, emailData.scheduledAt);
+  assertLinksConfigured(emailData);
+
+  // Pin the template version and reject missing variables now rather than at send time
+  if (emailData.templateId) {
+    emailData.templateVersion = await resolveTemplateForEmail(
+      tenantId,
+      emailData.templateId,
+      emailData.templateVersion,
+      emailData.variables
+    );
+  }
+};
+
+/**
+ * Schedule an email
+ * @param {string} tenantId
+ * @param {Object} emailData - Validated body of POST /api/emails
+ * @param {string} [actor] - Who scheduled it, for the status history
+ */
+const createEmail = async (tenantId, emailData, actor = SYSTEM_ACTOR) => {
+  try {
+    await prepareEmailData(tenantId, emailData);
+
+    const suppressedRecipients = await checkSuppressedRecipients(
+      tenantId,
+      emailData,
+      emailData.category
+    );
+
+    const { attachments = [], ...data } = emailData;
+    const email = await Email.create({ ...data, tenantId });
+
+    if (attachments.length > 0) {
+      try {
+        await saveAttachments(email.id, attachments);
+      } catch (error) {
+        await email.destroy();
+        throw error;
+      }
+    }
 
     // Add job to queue
-    const jobId = await addEmailJob(email.id, email.scheduledAt);
+    const jobId = await addEmailJob(email.id, email.scheduledAt, email.recurrence);
     await email.update({ jobId });
+    await recordEmailEvent(email.id, EMAIL_EVENT_TYPE.CREATED, {
+      changes: creationChanges(email),
+      actor,
+    });
+    metrics.emailsCreated.inc();
 
     logger.info(`Email scheduled: ${email.id}`, { emailId: email.id, jobId });
+    await email.reload({ include: [ATTACHMENTS_INCLUDE] });
+    if (suppressedRecipients.length > 0) {
+      email.suppressedRecipients = suppressedRecipients;
+    }
     return email;
   } catch (error) {
     logger.error('Error creating email:', error);
@@ -19,14 +394,176 @@ const createEmail = async (emailData) => {
   }
 };
 
-const getEmailById = async (id) => {
+// Errors rejecting a single email of a bulk request, any other error fails the whole request
+const bulkItemErrors = (error) => {
+  if (error.name === 'ValidationError') {
+    return error.details;
+  }
+  if (error.statusCode === 400) {
+    return [{ field: '', message: error.message }];
+  }
+  throw error;
+};
+
+/**
+ * Schedule many emails at once
+ * Each email is checked as by createEmail, then the accepted ones are inserted with one
+ * bulkCreate and their jobs added together once committed. They are saved all together or not at
+ * all; atomic only decides whether an invalid email rejects the request or is reported in its
+ * result.
+ * @param {string} tenantId
+ * @param {Object} request
+ * @param {Array<Object>} request.emails - { value } of the valid emails, { errors } of the others
+ * @param {boolean} [request.atomic] - Reject the whole request when any email is invalid
+ * @param {string} [actor] - Who scheduled them, for the status history
+ * @returns {Object} { total, created, failed, results }, with one result per email in order:
+ * { index, success: true, emailId, scheduledAt } or { index, success: false, errors }
+ */
+const createEmails = async (tenantId, { emails, atomic = false }, actor = SYSTEM_ACTOR) => {
   try {
-    const email = await Email.findByPk(id);
+    const items = [];
+    for (const [index, { value, errors }] of emails.entries()) {
+      if (errors) {
+        items.push({ index, errors });
+        continue;
+      }
+      try {
+        await prepareEmailData(tenantId, value);
+        items.push({ index, data: value });
+      } catch (error) {
+        items.push({ index, errors: bulkItemErrors(error) });
+      }
+    }
+
+    // Suppressions are looked up once per category rather than once per email
+    const categories = new Set(items.filter((item) => item.data).map(({ data }) => data.category));
+    for (const category of categories) {
+      const group = items.filter((item) => item.data && item.data.category === category);
+      const suppressions = await suppressionService.findSuppressed(
+        tenantId,
+        group.flatMap(({ data }) => Object.values(recipientLists(data)).flat()),
+        category
+      );
+
+      for (const item of group) {
+        const recipients = recipientLists(item.data);
+        // Suppressed addresses are stored lower-cased
+        const addresses = Object.values(recipients)
+          .flat()
+          .map((address) => address.toLowerCase());
+        try {
+          item.suppressedRecipients = applySuppressionPolicy(
+            tenantId,
+            recipients,
+            suppressions.filter(({ email }) => addresses.includes(email))
+          );
+        } catch (error) {
+          item.errors = bulkItemErrors(error);
+          delete item.data;
+        }
+      }
+    }
+
+    const rejected = items.filter((item) => item.errors);
+    if (atomic && rejected.length > 0) {
+      const error = new Error('Validation error');
+      error.name = 'ValidationError';
+      error.details = rejected.flatMap(({ index, errors }) =>
+        errors.map(({ field, message }) => ({
+          field: field ? `emails.${index}.${field}` : `emails.${index}`,
+          message,
+        }))
+      );
+      throw error;
+    }
+
+    const accepted = items.filter((item) => item.data);
+    if (accepted.length > 0) {
+      // Jobs are keyed by the email id, as for createEmail
+      const created = await sequelize.transaction(async (transaction) => {
+        const rows = await Email.bulkCreate(
+          accepted.map(({ data }) => {
+            const id = uuidv4();
+            return { ...data, id, jobId: id, tenantId };
+          }),
+          { transaction }
+        );
+        await EmailEvent.bulkCreate(
+          rows.map((row) => ({
+            emailId: row.id,
+            type: EMAIL_EVENT_TYPE.CREATED,
+            changes: creationChanges(row),
+            actor,
+          })),
+          { transaction }
+        );
+
+        // Jobs are only added once the emails can be read by the worker
+        transaction.afterCommit(async () => {
+          try {
+            await addEmailJobs(rows);
+          } catch (error) {
+            // The emails were never scheduled, they are removed for good rather than deleted
+            const ids = rows.map((row) => row.id);
+            await Promise.all(ids.map((id) => removeEmailJob(id)));
+            await EmailEvent.destroy({ where: { emailId: ids } });
+            await Email.destroy({ where: { id: ids }, force: true });
+            throw error;
+          }
+        });
+        return rows;
+      });
+      created.forEach((email, position) => {
+        accepted[position].email = email;
+      });
+      metrics.emailsCreated.inc({}, created.length);
+    }
+
+    const results = items.map(({ index, email, suppressedRecipients, errors }) => {
+      if (errors) {
+        return { index, success: false, errors };
+      }
+      return {
+        index,
+        success: true,
+        emailId: email.id,
+        scheduledAt: email.scheduledAt,
+        ...(suppressedRecipients.length > 0 && { suppressedRecipients }),
+      };
+    });
+
+    logger.info(`Emails scheduled in bulk: ${accepted.length}`, {
+      tenantId,
+      total: items.length,
+      created: accepted.length,
+      failed: rejected.length,
+    });
+    return {
+      total: items.length,
+      created: accepted.length,
+      failed: rejected.length,
+      results,
+    };
+  } catch (error) {
+    logger.error('Error creating emails in bulk:', error);
+    throw error;
+  }
+};
+
+const getEmailById = async (tenantId, id) => {
+  try {
+    const email = await Email.findOne({
+      where: { id, tenantId },
+      include: [ATTACHMENTS_INCLUDE],
+    });
     if (!email) {
       const error = new Error('Email not found');
       error.statusCode = 404;
       throw error;
     }
+    if (email.tracking) {
+      email.trackingStats = await getTrackingStats(id);
+    }
     return email;
   } catch (error) {
     logger.error('Error getting email:', error);
@@ -34,35 +571,158 @@ const getEmailById = async (id) => {
   }
 };
 
-const getAllEmails = async (page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT) => {
+/**
+ * Claim a PENDING email before sending it, so that it is sent once when two jobs run it at the
+ * same time: only the job that moved it to PROCESSING may send it
+ * @param {string} id - Email identifier
+ * @returns {boolean} Whether the email was claimed
+ */
+const claimEmailForJob = async (id) => {
+  const [claimed] = await Email.update(
+    { status: EMAIL_STATUS.PROCESSING },
+    { where: { id, status: EMAIL_STATUS.PENDING } }
+  );
+  if (claimed > 0) {
+    await recordEmailEvent(id, EMAIL_EVENT_TYPE.PROCESSING_STARTED, {
+      changes: { status: { from: EMAIL_STATUS.PENDING, to: EMAIL_STATUS.PROCESSING } },
+    });
+  }
+  return claimed > 0;
+};
+
+// Unscoped lookup for the worker, API requests go through getEmailById
+const getEmailForJob = async (id) => {
   try {
-    const offset = (page - 1) * limit;
-    const actualLimit = Math.min(limit, PAGINATION.MAX_LIMIT);
+    const email = await Email.findByPk(id, { include: [ATTACHMENTS_INCLUDE] });
+    if (!email) {
+      const error = new Error('Email not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return email;
+  } catch (error) {
+    logger.error('Error getting email:', error);
+    throw error;
+  }
+};
 
-    const { count, rows } = await Email.findAndCountAll({
-      limit: actualLimit,
-      offset,
-      order: [['createdAt', 'DESC']],
+/**
+ * List emails matching the filters of GET /api/emails
+ * @param {string} tenantId
+ * @param {Object} options - Validated query: pagination (see findPage), sortBy, sortOrder and filters
+ */
+const getAllEmails = async (
+  tenantId,
+  { page, limit, cursor, includeTotal, sortBy, sortOrder, ...filters } = {}
+) => {
+  try {
+    const { rows, pagination } = await findPage(Email, {
+      where: buildListWhere(tenantId, filters),
+      page,
+      limit,
+      cursor,
+      includeTotal,
+      sortBy,
+      sortOrder,
     });
 
-    return {
-      emails: rows,
-      pagination: {
-        page,
-        limit: actualLimit,
-        total: count,
-        totalPages: Math.ceil(count / actualLimit),
-      },
-    };
+    return { emails: rows, pagination };
   } catch (error) {
     logger.error('Error getting emails:', error);
     throw error;
   }
 };
 
-const updateEmail = async (id, updateData) => {
+// CSV cell of an exported value, recipient lists are written like the CSV import reads them
+const formatExportValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.join(';');
+  }
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+/**
+ * Export the emails matching the filters of GET /api/emails
+ * Rows are read from a database cursor, EMAIL_EXPORT.BATCH_SIZE at a time, and formatted as they
+ * come, so that exports of any size are streamed without being held in memory. The cursor lives
+ * in a transaction that is ended when the export finishes or its consumer stops reading.
+ * @param {string} tenantId
+ * @param {Object} options - Validated query: format, columns, includeBody, sortBy, sortOrder and filters
+ * @yields {string} CSV records (after a header record) or NDJSON lines
+ */
+async function* exportEmails(
+  tenantId,
+  { format, columns, includeBody = true, sortBy = 'createdAt', sortOrder = 'desc', ...filters }
+) {
+  const attributes = columns.filter((column) => includeBody || column !== 'body');
+  const query = sequelize
+    .getQueryInterface()
+    .queryGenerator.selectQuery(
+      Email.getTableName(),
+      Utils.mapOptionFieldNames(
+        {
+          attributes,
+          // Soft deleted emails are left out like in the listing
+          where: { [Op.and]: [buildListWhere(tenantId, filters), { deletedAt: null }] },
+          order: [
+            [sortBy, sortOrder],
+            ['id', sortOrder],
+          ],
+        },
+        Email
+      ),
+      Email
+    )
+    .replace(/;$/, '');
+
+  const transaction = await sequelize.transaction();
+  let exported = 0;
   try {
-    const email = await Email.findByPk(id);
+    await sequelize.query(`DECLARE email_export NO SCROLL CURSOR FOR ${query}`, { transaction });
+
+    if (format === EMAIL_EXPORT_FORMAT.CSV) {
+      yield formatCsvRecord(attributes);
+    }
+    let rows;
+    do {
+      rows = await sequelize.query(`FETCH ${EMAIL_EXPORT.BATCH_SIZE} FROM email_export`, {
+        type: QueryTypes.SELECT,
+        transaction,
+      });
+      if (rows.length > 0) {
+        exported += rows.length;
+        yield rows
+          .map((row) =>
+            format === EMAIL_EXPORT_FORMAT.CSV
+              ? formatCsvRecord(attributes.map((column) => formatExportValue(row[column])))
+              : `${JSON.stringify(row)}\n`
+          )
+          .join('');
+      }
+    } while (rows.length === EMAIL_EXPORT.BATCH_SIZE);
+
+    await transaction.commit();
+    logger.info(`Emails exported: ${exported}`, { tenantId, format, exported });
+  } catch (error) {
+    logger.error('Error exporting emails:', error);
+    throw error;
+  } finally {
+    // Closes the cursor when the export failed or was abandoned
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+  }
+}
+
+const updateEmail = async (tenantId, id, updateData, actor = SYSTEM_ACTOR) => {
+  try {
+    const email = await Email.findOne({ where: { id, tenantId } });
     if (!email) {
       const error = new Error('Email not found');
       error.statusCode = 404;
@@ -70,14 +730,107 @@ const updateEmail = async (id, updateData) => {
     }
 
     // If email is already sent, don't allow updates
-    if (email.status === EMAIL_STATUS.SENT) {
+    if (SENT_STATUSES.includes(email.status)) {
       const error = new Error('Cannot update email that has already been sent');
       error.statusCode = 400;
       throw error;
     }
 
-    // If scheduledAt is being updated, reschedule the job
-    if (updateData.scheduledAt && updateData.scheduledAt !== email.scheduledAt) {
+    if (email.status === EMAIL_STATUS.CANCELLED) {
+      const error = new Error('Cannot update email that has been cancelled');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (email.status === EMAIL_STATUS.PROCESSING) {
+      const error = new Error('Cannot update email while it is being sent');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const templateId =
+      updateData.templateId !== undefined ? updateData.templateId : email.templateId;
+    if (templateId && (updateData.subject || updateData.body)) {
+      const error = new Error('Cannot set subject or body on an email that uses a template');
+      error.statusCode = 400;
+      throw error;
+    }
+    // Emails leaving their template need their own content, checked here rather than by the model
+    // so that updates of other columns (status...) don't validate the content
+    if (
+      !templateId &&
+      !((updateData.subject || email.subject) && (updateData.body || email.body))
+    ) {
+      const error = new Error('Subject and body are required unless a template is used');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (templateId) {
+      const templateChanged = updateData.templateId !== undefined;
+      if (templateChanged || updateData.templateVersion || updateData.variables) {
+        updateData.templateVersion = await resolveTemplateForEmail(
+          tenantId,
+          templateId,
+          updateData.templateVersion || (templateChanged ? undefined : email.templateVersion),
+          updateData.variables !== undefined ? updateData.variables : email.variables
+        );
+      }
+    } else if (updateData.templateId === null) {
+      updateData.templateVersion = null;
+      updateData.variables = null;
+    }
+
+    resolveSchedule(updateData, email);
+
+    const fanOut = updateData.fanOut !== undefined ? updateData.fanOut : email.fanOut;
+    const cc = updateData.cc || email.cc;
+    const bcc = updateData.bcc || email.bcc;
+    if (fanOut && (cc.length > 0 || bcc.length > 0)) {
+      const error = new Error('cc and bcc cannot be used when fanOut is enabled');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const unsubscribe =
+      updateData.unsubscribe !== undefined ? updateData.unsubscribe : email.unsubscribe;
+    if (unsubscribe && (cc.length > 0 || bcc.length > 0)) {
+      const error = new Error('cc and bcc cannot be used with unsubscribe links');
+      error.statusCode = 400;
+      throw error;
+    }
+    assertLinksConfigured(updateData);
+
+    // Only the recipient lists being changed are checked, the send checks them all again
+    const suppressedRecipients =
+      updateData.to || updateData.cc || updateData.bcc
+        ? await checkSuppressedRecipients(
+            tenantId,
+            { to: updateData.to, cc: updateData.cc, bcc: updateData.bcc },
+            updateData.category !== undefined ? updateData.category : email.category
+          )
+        : [];
+
+    const recurrence =
+      updateData.recurrence !== undefined ? updateData.recurrence : email.recurrence;
+    const scheduleChanged = Boolean(updateData.scheduledAt) || updateData.recurrence !== undefined;
+
+    // Recurring series (or emails becoming / ceasing to be recurring) are re-created from scratch
+    if (scheduleChanged && (recurrence || email.recurrence)) {
+      const scheduledAt = updateData.scheduledAt || email.scheduledAt;
+      assertRecurrenceHasOccurrences(recurrence, scheduledAt);
+
+      if (email.jobId) {
+        await removeEmailJob(email.jobId);
+      }
+      updateData.jobId = await addEmailJob(id, scheduledAt, recurrence);
+      logger.info(`Email job recreated: ${id}`, {
+        emailId: id,
+        jobId: updateData.jobId,
+        recurrence,
+      });
+    } else if (updateData.scheduledAt && updateData.scheduledAt !== email.scheduledAt) {
+      // If scheduledAt is being updated, reschedule the job
       if (email.jobId) {
         // Reschedule existing job (preserves jobId)
         try {
@@ -103,7 +856,19 @@ const updateEmail = async (id, updateData) => {
       }
     }
 
-    await email.update(updateData);
+    const changes = await saveChanges(email, updateData);
+    if (Object.keys(changes).length > 0) {
+      await recordEmailEvent(
+        id,
+        changes.scheduledAt || changes.recurrence
+          ? EMAIL_EVENT_TYPE.RESCHEDULED
+          : EMAIL_EVENT_TYPE.UPDATED,
+        { changes, actor }
+      );
+    }
+    if (suppressedRecipients.length > 0) {
+      email.suppressedRecipients = suppressedRecipients;
+    }
     logger.info(`Email updated: ${id}`, { emailId: id });
     return email;
   } catch (error) {
@@ -112,9 +877,10 @@ const updateEmail = async (id, updateData) => {
   }
 };
 
-const deleteEmail = async (id) => {
+// Soft delete: the row is kept with deletedAt set until purgeDeletedEmails removes it
+const deleteEmail = async (tenantId, id) => {
   try {
-    const email = await Email.findByPk(id);
+    const email = await Email.findOne({ where: { id, tenantId } });
     if (!email) {
       const error = new Error('Email not found');
       error.statusCode = 404;
@@ -135,44 +901,278 @@ const deleteEmail = async (id) => {
   }
 };
 
-const getFailedEmails = async (page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT) => {
+// Most recent first, like the other listings
+const getEmailsByStatus = async (tenantId, status, options) => {
+  const { rows, pagination } = await findPage(Email, { ...options, where: { tenantId, status } });
+  return { emails: rows, pagination };
+};
+
+/**
+ * @param {string} tenantId
+ * @param {Object} [options] - Pagination: page and limit, or cursor (see findPage)
+ */
+const getFailedEmails = async (tenantId, options = {}) => {
   try {
-    const offset = (page - 1) * limit;
-    const actualLimit = Math.min(limit, PAGINATION.MAX_LIMIT);
+    return await getEmailsByStatus(tenantId, EMAIL_STATUS.FAILED, options);
+  } catch (error) {
+    logger.error('Error getting failed emails:', error);
+    throw error;
+  }
+};
+
+/**
+ * @param {string} tenantId
+ * @param {Object} [options] - Pagination: page and limit, or cursor (see findPage)
+ */
+const getCancelledEmails = async (tenantId, options = {}) => {
+  try {
+    return await getEmailsByStatus(tenantId, EMAIL_STATUS.CANCELLED, options);
+  } catch (error) {
+    logger.error('Error getting cancelled emails:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify the webhooks of the email's tenant of a status change
+ * Subscribers get the email without its body, variables and attachments
+ * @param {string} event - One of WEBHOOK_EVENT
+ * @param {Object} email
+ */
+const emitEmailEvent = (event, email) =>
+  webhookService.emitEvent(email.tenantId, event, {
+    email: {
+      id: email.id,
+      status: email.status,
+      to: email.to,
+      cc: email.cc,
+      bcc: email.bcc,
+      subject: email.subject,
+      templateId: email.templateId,
+      scheduledAt: email.scheduledAt,
+      failureReason: email.failureReason,
+      cancelledAt: email.cancelledAt,
+      cancelledBy: email.cancelledBy,
+      cancellationReason: email.cancellationReason,
+      updatedAt: email.updatedAt,
+    },
+  });
+
+/**
+ * Call off a pending email (or an active recurring series) without deleting it
+ * @param {string} tenantId
+ * @param {string} id - Email identifier
+ * @param {Object} details
+ * @param {string} [details.reason] - Why the email was cancelled
+ * @param {string} [details.cancelledBy] - Who cancelled the email
+ * @param {string} [actor] - API key that cancelled it, for the status history
+ */
+const cancelEmail = async (tenantId, id, { reason, cancelledBy } = {}, actor = SYSTEM_ACTOR) => {
+  try {
+    const email = await Email.findOne({ where: { id, tenantId } });
+    if (!email) {
+      const error = new Error('Email not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (email.status !== EMAIL_STATUS.PENDING) {
+      const error = new Error('Only pending emails can be cancelled');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (email.jobId) {
+      await removeEmailJob(email.jobId);
+    }
+
+    const changes = await saveChanges(email, {
+      status: EMAIL_STATUS.CANCELLED,
+      cancelledAt: new Date(),
+      cancelledBy: cancelledBy || null,
+      cancellationReason: reason || null,
+    });
+    await recordEmailEvent(id, EMAIL_EVENT_TYPE.CANCELLED, { changes, actor });
+
+    logger.info(`Email cancelled: ${id}`, { emailId: id, cancelledBy, reason });
+    await emitEmailEvent(WEBHOOK_EVENT.EMAIL_CANCELLED, email);
+    return email;
+  } catch (error) {
+    logger.error('Error cancelling email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Permanently remove soft-deleted emails, with their occurrences and attachments
+ * @param {Object} options
+ * @param {Date} [options.olderThan] - Only emails deleted before this time
+ * @returns {Object} { purged }
+ */
+const purgeDeletedEmails = async ({ olderThan } = {}) => {
+  try {
+    const emails = await Email.findAll({
+      where: { deletedAt: olderThan ? { [Op.lt]: olderThan } : { [Op.ne]: null } },
+      include: [ATTACHMENTS_INCLUDE],
+      paranoid: false,
+    });
+
+    if (emails.length === 0) {
+      return { purged: 0 };
+    }
+
+    await Email.destroy({ where: { id: emails.map((email) => email.id) }, force: true });
+    await removeAttachmentBlobs(emails.flatMap((email) => email.attachments));
+
+    logger.info(`Deleted emails purged: ${emails.length}`, { purged: emails.length, olderThan });
+    return { purged: emails.length };
+  } catch (error) {
+    logger.error('Error purging deleted emails:', error);
+    throw error;
+  }
+};
+
+/**
+ * Put a FAILED email back in the queue to be sent right away
+ * The status is reset before the job is added, as the job may run immediately
+ * @param {Object} email - FAILED email
+ * @param {string} actor - Who retried it, for the status history
+ */
+const requeueEmail = async (email, actor) => {
+  const { failureReason } = email;
+
+  if (email.jobId) {
+    await removeEmailJob(email.jobId);
+  }
+  const changes = await saveChanges(email, {
+    status: EMAIL_STATUS.PENDING,
+    failureReason: null,
+    retryCount: email.retryCount + 1,
+  });
+
+  try {
+    const jobId = await addEmailJob(email.id, new Date());
+    await email.update({ jobId });
+  } catch (error) {
+    await email.update({ status: EMAIL_STATUS.FAILED, failureReason });
+    throw error;
+  }
+  await recordEmailEvent(email.id, EMAIL_EVENT_TYPE.RETRIED, { changes, actor });
+
+  logger.info(`Email re-queued: ${email.id}`, { emailId: email.id, retryCount: email.retryCount });
+};
+
+const retryEmail = async (tenantId, id, actor = SYSTEM_ACTOR) => {
+  try {
+    const email = await Email.findOne({ where: { id, tenantId } });
+    if (!email) {
+      const error = new Error('Email not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (email.status !== EMAIL_STATUS.FAILED) {
+      const error = new Error('Only failed emails can be retried');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await requeueEmail(email, actor);
+    return email;
+  } catch (error) {
+    logger.error('Error retrying email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-queue FAILED emails matching the given filters, oldest first
+ * @param {string} tenantId
+ * @param {Object} filters
+ * @param {string} [filters.failureReason] - Case-insensitive part of the failure reason
+ * @param {Date} [filters.scheduledFrom] - scheduledAt lower bound (inclusive)
+ * @param {Date} [filters.scheduledTo] - scheduledAt upper bound (inclusive)
+ * @param {Date} [filters.failedFrom] - Lower bound (inclusive) of when the email failed
+ * @param {Date} [filters.failedTo] - Upper bound (inclusive) of when the email failed
+ * @param {number} [filters.limit] - Maximum number of emails re-queued by this call
+ * @param {string} [actor] - Who retried them, for the status history
+ * @returns {Object} { matched, requeued, emailIds, errors }
+ */
+const retryFailedEmails = async (
+  tenantId,
+  {
+    failureReason,
+    scheduledFrom,
+    scheduledTo,
+    failedFrom,
+    failedTo,
+    limit = RETRY.DEFAULT_BATCH_SIZE,
+  } = {},
+  actor = SYSTEM_ACTOR
+) => {
+  try {
+    const where = { tenantId, status: EMAIL_STATUS.FAILED };
+
+    if (failureReason) {
+      // Match the text literally, not as a LIKE pattern
+      const escaped = failureReason.replace(/[\\%_]/g, '\\$&');
+      where.failureReason = { [Op.iLike]: `%${escaped}%` };
+    }
+    if (scheduledFrom || scheduledTo) {
+      where.scheduledAt = dateRange(scheduledFrom, scheduledTo);
+    }
+    // A FAILED email is not updated after it failed, so updatedAt is the failure time
+    if (failedFrom || failedTo) {
+      where.updatedAt = dateRange(failedFrom, failedTo);
+    }
 
     const { count, rows } = await Email.findAndCountAll({
-      where: {
-        status: EMAIL_STATUS.FAILED,
-      },
-      limit: actualLimit,
-      offset,
-      order: [['createdAt', 'DESC']],
+      where,
+      limit: Math.min(limit, RETRY.MAX_BATCH_SIZE),
+      order: [['createdAt', 'ASC']],
     });
 
-    return {
-      emails: rows,
-      pagination: {
-        page,
-        limit: actualLimit,
-        total: count,
-        totalPages: Math.ceil(count / actualLimit),
-      },
-    };
+    const emailIds = [];
+    const errors = [];
+    for (const email of rows) {
+      try {
+        await requeueEmail(email, actor);
+        emailIds.push(email.id);
+      } catch (error) {
+        errors.push({ emailId: email.id, error: error.message });
+      }
+    }
+
+    logger.info(`Failed emails re-queued: ${emailIds.length}`, {
+      matched: count,
+      requeued: emailIds.length,
+      errors: errors.length,
+    });
+
+    return { matched: count, requeued: emailIds.length, emailIds, errors };
   } catch (error) {
-    logger.error('Error getting failed emails:', error);
+    logger.error('Error retrying failed emails:', error);
     throw error;
   }
 };
 
-const markEmailAsSent = async (id) => {
+/**
+ * Mark an email as accepted by the transport
+ * @param {string} id - Email identifier
+ * @param {string} [messageId] - Provider message id, to match the delivery events reported later
+ */
+const markEmailAsSent = async (id, messageId = null) => {
   try {
     const email = await Email.findByPk(id);
     if (email) {
-      await email.update({
+      const changes = await saveChanges(email, {
         status: EMAIL_STATUS.SENT,
         failureReason: null,
+        providerMessageId: messageId,
       });
+      await recordEmailEvent(id, EMAIL_EVENT_TYPE.SENT, { changes });
       logger.info(`Email marked as sent: ${id}`, { emailId: id });
+      await emitEmailEvent(WEBHOOK_EVENT.EMAIL_SENT, email);
     }
   } catch (error) {
     logger.error('Error marking email as sent:', error);
@@ -180,15 +1180,25 @@ const markEmailAsSent = async (id) => {
   }
 };
 
-const markEmailAsFailed = async (id, failureReason) => {
+/**
+ * Mark an email as not sent
+ * @param {string} id - Email identifier
+ * @param {string} failureReason
+ * @param {Array<string>} [sentTo] - Recipients of a fanned out email that got their message
+ * anyway, a retry leaves them out
+ */
+const markEmailAsFailed = async (id, failureReason, sentTo = []) => {
   try {
     const email = await Email.findByPk(id);
     if (email) {
-      await email.update({
+      const changes = await saveChanges(email, {
         status: EMAIL_STATUS.FAILED,
         failureReason,
+        ...(sentTo.length > 0 && { sentTo: [...email.sentTo, ...sentTo] }),
       });
+      await recordEmailEvent(id, EMAIL_EVENT_TYPE.FAILED, { changes });
       logger.error(`Email marked as failed: ${id}`, { emailId: id, failureReason });
+      await emitEmailEvent(WEBHOOK_EVENT.EMAIL_FAILED, email);
     }
   } catch (error) {
     logger.error('Error marking email as failed:', error);
@@ -196,14 +1206,507 @@ const markEmailAsFailed = async (id, failureReason) => {
   }
 };
 
+/**
+ * Mark an email that was not sent because some of its recipients are suppressed
+ * @param {string} id - Email identifier
+ * @param {string} failureReason - The suppressed recipients
+ */
+const markEmailAsSuppressed = async (id, failureReason) => {
+  try {
+    const email = await Email.findByPk(id);
+    if (email) {
+      const changes = await saveChanges(email, {
+        status: EMAIL_STATUS.SUPPRESSED,
+        failureReason,
+      });
+      await recordEmailEvent(id, EMAIL_EVENT_TYPE.SUPPRESSED, { changes });
+      logger.warn(`Email marked as suppressed: ${id}`, { emailId: id });
+      await emitEmailEvent(WEBHOOK_EVENT.EMAIL_SUPPRESSED, email);
+    }
+  } catch (error) {
+    logger.error('Error marking email as suppressed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record the outcome of one occurrence of a recurring email
+ * The series goes back to PENDING for its next occurrence, or is marked as SENT once its last
+ * occurrence has been processed
+ * @param {string} id - Email identifier
+ * @param {Date} occurrenceAt - Occurrence that was processed
+ * @param {Object} result - Transport result ({ success, messageId, error })
+ * @returns {Object|null} The recorded occurrence
+ */
+const recordOccurrence = async (id, occurrenceAt, result) => {
+  try {
+    const email = await Email.findByPk(id);
+    if (!email) {
+      return null;
+    }
+
+    const occurrence = await EmailOccurrence.create({
+      emailId: id,
+      scheduledFor: occurrenceAt,
+      status: result.success ? EMAIL_STATUS.SENT : EMAIL_STATUS.FAILED,
+      failureReason: result.success ? null : result.error || 'Unknown error',
+      providerMessageId: (result.success && result.messageId) || null,
+    });
+
+    const updates = {
+      occurrenceCount: email.occurrenceCount + 1,
+      lastOccurrenceAt: occurrenceAt,
+      ...(email.status === EMAIL_STATUS.PROCESSING && { status: EMAIL_STATUS.PENDING }),
+    };
+
+    if (!getNextOccurrence(email.recurrence, email.scheduledAt, occurrenceAt)) {
+      updates.status = EMAIL_STATUS.SENT;
+      updates.recurrenceEndedAt = new Date();
+    }
+
+    const changes = await saveChanges(email, updates);
+    await recordEmailEvent(
+      id,
+      occurrence.status === EMAIL_STATUS.SENT ? EMAIL_EVENT_TYPE.SENT : EMAIL_EVENT_TYPE.FAILED,
+      { changes }
+    );
+    logger.info(`Email occurrence recorded: ${id}`, {
+      emailId: id,
+      occurrenceId: occurrence.id,
+      status: occurrence.status,
+    });
+    return occurrence;
+  } catch (error) {
+    logger.error('Error recording email occurrence:', error);
+    throw error;
+  }
+};
+
+const getRecurringEmail = async (tenantId, id) => {
+  const email = await Email.findOne({ where: { id, tenantId } });
+  if (!email) {
+    const error = new Error('Email not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!email.recurrence) {
+    const error = new Error('Email is not recurring');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return email;
+};
+
+const getEmailOccurrences = async (tenantId, id, limit = RECURRENCE.DEFAULT_UPCOMING_LIMIT) => {
+  try {
+    const email = await getRecurringEmail(tenantId, id);
+    const actualLimit = Math.min(limit, RECURRENCE.MAX_UPCOMING_LIMIT);
+
+    const lastOccurrenceAt = email.lastOccurrenceAt ? email.lastOccurrenceAt.getTime() : 0;
+    const after = Math.max(Date.now(), lastOccurrenceAt);
+    const upcoming =
+      email.status === EMAIL_STATUS.PENDING
+        ? getOccurrences(email.recurrence, email.scheduledAt, { after, limit: actualLimit })
+        : [];
+
+    const history = await EmailOccurrence.findAll({
+      where: { emailId: id },
+      order: [['scheduledFor', 'DESC']],
+      limit: actualLimit,
+    });
+
+    return {
+      upcoming,
+      history,
+      occurrenceCount: email.occurrenceCount,
+    };
+  } catch (error) {
+    logger.error('Error getting email occurrences:', error);
+    throw error;
+  }
+};
+
+const stopRecurrence = async (tenantId, id, actor = SYSTEM_ACTOR) => {
+  try {
+    const email = await getRecurringEmail(tenantId, id);
+
+    if (email.status !== EMAIL_STATUS.PENDING) {
+      const error = new Error('Recurring series has already ended');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (email.jobId) {
+      await removeEmailJob(email.jobId);
+    }
+
+    const changes = await saveChanges(email, {
+      status: EMAIL_STATUS.SENT,
+      recurrenceEndedAt: new Date(),
+    });
+    await recordEmailEvent(id, EMAIL_EVENT_TYPE.RECURRENCE_STOPPED, { changes, actor });
+    logger.info(`Recurring series stopped: ${id}`, {
+      emailId: id,
+      occurrenceCount: email.occurrenceCount,
+    });
+    return email;
+  } catch (error) {
+    logger.error('Error stopping recurring email:', error);
+    throw error;
+  }
+};
+
+// Provider statuses only move forward, e.g. a late "deferred" doesn't undo a delivery
+const DELIVERY_STATUS_RANK = {
+  [EMAIL_STATUS.SENT]: 0,
+  [EMAIL_STATUS.DEFERRED]: 1,
+  [EMAIL_STATUS.DELIVERED]: 2,
+  [EMAIL_STATUS.BOUNCED]: 3,
+  [EMAIL_STATUS.DROPPED]: 3,
+  [EMAIL_STATUS.SPAM_REPORTED]: 4,
+};
+
+const DELIVERY_WEBHOOK_EVENTS = {
+  [EMAIL_STATUS.DEFERRED]: WEBHOOK_EVENT.EMAIL_DEFERRED,
+  [EMAIL_STATUS.DELIVERED]: WEBHOOK_EVENT.EMAIL_DELIVERED,
+  [EMAIL_STATUS.BOUNCED]: WEBHOOK_EVENT.EMAIL_BOUNCED,
+  [EMAIL_STATUS.DROPPED]: WEBHOOK_EVENT.EMAIL_DROPPED,
+  [EMAIL_STATUS.SPAM_REPORTED]: WEBHOOK_EVENT.EMAIL_SPAM_REPORTED,
+};
+
+/**
+ * Add a provider delivery event to the timeline of the email it is about
+ * The email moves to the event's status unless it already has a more significant one. Events
+ * about an occurrence of a recurring email are only added to the timeline.
+ * @param {Object} event
+ * @param {string} event.provider - One of PROVIDER
+ * @param {string} event.messageId - Provider message id returned when the email was sent
+ * @param {string} event.event - Event name as reported by the provider
+ * @param {string|null} event.status - Email status the event maps to
+ * @param {string} [event.recipient]
+ * @param {string} [event.reason]
+ * @param {string} [event.providerEventId] - Used to ignore events delivered twice
+ * @param {Date} event.occurredAt
+ * @param {Object} event.payload - Event as received
+ * @param {string} [event.suppressionReason] - Suppress the recipient for this reason (one of
+ * SUPPRESSION_REASON), for hard bounces and complaints
+ * @returns {Object|null} The recorded event, null when it is unknown or a duplicate
+ */
+const recordDeliveryEvent = async ({
+  provider,
+  messageId,
+  status,
+  providerEventId,
+  suppressionReason,
+  ...event
+}) => {
+  try {
+    let email = await Email.findOne({ where: { providerMessageId: messageId } });
+    let occurrence = null;
+    if (!email) {
+      occurrence = await EmailOccurrence.findOne({
+        where: { providerMessageId: messageId },
+        include: [{ model: Email, as: 'email' }],
+      });
+      email = occurrence && occurrence.email;
+    }
+    if (!email) {
+      logger.debug(`Delivery event for an unknown message: ${messageId}`, { provider, messageId });
+      return null;
+    }
+
+    if (
+      providerEventId &&
+      (await EmailDeliveryEvent.count({ where: { provider, providerEventId } })) > 0
+    ) {
+      return null;
+    }
+
+    const deliveryEvent = await EmailDeliveryEvent.create({
+      ...event,
+      emailId: email.id,
+      occurrenceId: occurrence ? occurrence.id : null,
+      provider,
+      status,
+      providerEventId,
+    });
+
+    if (suppressionReason && event.recipient) {
+      await suppressionService.suppressAddress(
+        email.tenantId,
+        event.recipient,
+        suppressionReason,
+        event.reason
+      );
+    }
+
+    // The status is the email's, not the recipient's: one bounced recipient marks it BOUNCED even
+    // when the others were delivered, their own outcomes are on the delivery timeline
+    const currentRank = DELIVERY_STATUS_RANK[email.status];
+    if (
+      !occurrence &&
+      status &&
+      currentRank !== undefined &&
+      DELIVERY_STATUS_RANK[status] > currentRank
+    ) {
+      const changes = await saveChanges(email, { status });
+      await recordEmailEvent(email.id, EMAIL_EVENT_TYPE.DELIVERY_STATUS_CHANGED, {
+        changes,
+        actor: `provider:${provider}`,
+      });
+      logger.info(`Email marked as ${status.toLowerCase()}: ${email.id}`, {
+        emailId: email.id,
+        provider,
+        event: event.event,
+      });
+      await emitEmailEvent(DELIVERY_WEBHOOK_EVENTS[status], email);
+    }
+
+    return deliveryEvent;
+  } catch (error) {
+    logger.error('Error recording delivery event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delivery timeline of an email, oldest event first
+ * @param {string} tenantId
+ * @param {string} id - Email identifier
+ * @returns {Array<Object>} Delivery events
+ */
+const getDeliveryEvents = async (tenantId, id) => {
+  try {
+    const email = await Email.findOne({ where: { id, tenantId }, attributes: ['id'] });
+    if (!email) {
+      const error = new Error('Email not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return await EmailDeliveryEvent.findAll({
+      where: { emailId: id },
+      order: [
+        ['occurredAt', 'ASC'],
+        ['createdAt', 'ASC'],
+      ],
+    });
+  } catch (error) {
+    logger.error('Error getting email delivery events:', error);
+    throw error;
+  }
+};
+
+/**
+ * Status history of an email, oldest change first
+ * @param {string} tenantId
+ * @param {string} id - Email identifier
+ * @returns {Array<Object>} Email events
+ */
+const getEmailEvents = async (tenantId, id) => {
+  try {
+    const email = await Email.findOne({ where: { id, tenantId }, attributes: ['id'] });
+    if (!email) {
+      const error = new Error('Email not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return await EmailEvent.findAll({
+      where: { emailId: id },
+      order: [['createdAt', 'ASC']],
+    });
+  } catch (error) {
+    logger.error('Error getting email events:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load the content of an email's attachments from the blob store
+ * @param {Object} email - Email loaded with its attachments
+ * @returns {Array<Object>} { filename, contentType, content: Buffer }
+ */
+const loadAttachments = async (email) => {
+  const store = getBlobStore();
+  return Promise.all(
+    (email.attachments || []).map(async (attachment) => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      content: await store.get(attachment.storageKey),
+    }))
+  );
+};
+
+/**
+ * Whether an email whose send time passed while the scheduler was down should still be sent
+ * @param {Date} scheduledAt - Missed send time
+ * @param {Date} now
+ */
+const shouldCatchUp = (scheduledAt, now) => {
+  const { catchUpPolicy, catchUpGraceSeconds } = config.scheduler;
+
+  if (catchUpPolicy === CATCH_UP_POLICY.SEND) {
+    return true;
+  }
+  if (catchUpPolicy === CATCH_UP_POLICY.GRACE) {
+    return now - scheduledAt <= catchUpGraceSeconds * 1000;
+  }
+  return false;
+};
+
+/**
+ * Release the emails left PROCESSING by a worker that stopped while sending them (a crash, a
+ * stalled BullMQ job), which could otherwise never be updated, cancelled or retried
+ * Emails claimed more than SCHEDULER_PROCESSING_TIMEOUT_SECONDS ago are handled as on a restart
+ * of the in-memory scheduler: one-off emails are marked FAILED, as they may or may not have been
+ * sent, and recurring ones go back to PENDING for their next occurrence.
+ * @returns {number} Number of emails released
+ */
+const recoverStalledEmails = async () => {
+  try {
+    const claimedBefore = new Date(Date.now() - config.scheduler.processingTimeoutSeconds * 1000);
+    const emails = await Email.findAll({
+      where: { status: EMAIL_STATUS.PROCESSING, updatedAt: { [Op.lte]: claimedBefore } },
+    });
+
+    for (const email of emails) {
+      if (email.recurrence) {
+        await saveChanges(email, { status: EMAIL_STATUS.PENDING });
+      } else {
+        await markEmailAsFailed(email.id, 'Sending was interrupted before it completed');
+      }
+    }
+
+    if (emails.length > 0) {
+      logger.warn(`Stalled emails released: ${emails.length}`, { count: emails.length });
+    }
+    return emails.length;
+  } catch (error) {
+    logger.error('Error recovering stalled emails:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-register every PENDING email with the scheduler, used on startup by the in-memory
+ * scheduler which loses its jobs on restart
+ * One-off emails whose send time already passed follow SCHEDULER_CATCH_UP_POLICY; skipped
+ * ones are marked FAILED so they can be retried, as are PROCESSING ones, whose send was
+ * interrupted and may or may not have reached the transport. Recurring emails resume from their
+ * next occurrence, occurrences missed while the server was down are not sent.
+ * @returns {Object} { scheduled, caughtUp, skipped, ended, errors }
+ */
+const rehydrateScheduledEmails = async () => {
+  try {
+    if (!Object.values(CATCH_UP_POLICY).includes(config.scheduler.catchUpPolicy)) {
+      throw new Error(
+        `Unknown scheduler catch-up policy "${config.scheduler.catchUpPolicy}". ` +
+          `Available: ${Object.values(CATCH_UP_POLICY).join(', ')}`
+      );
+    }
+
+    const emails = await Email.findAll({
+      where: { status: [EMAIL_STATUS.PENDING, EMAIL_STATUS.PROCESSING] },
+      order: [['scheduledAt', 'ASC']],
+    });
+    const now = new Date();
+    const result = { scheduled: 0, caughtUp: 0, skipped: 0, ended: 0, errors: [] };
+
+    for (const email of emails) {
+      try {
+        if (email.status === EMAIL_STATUS.PROCESSING && !email.recurrence) {
+          await markEmailAsFailed(email.id, 'Sending was interrupted by a restart');
+          result.skipped += 1;
+          continue;
+        }
+
+        if (email.recurrence) {
+          if (email.status === EMAIL_STATUS.PROCESSING) {
+            await saveChanges(email, { status: EMAIL_STATUS.PENDING });
+          }
+
+          // The series ran out of occurrences while the server was down
+          if (!getNextOccurrence(email.recurrence, email.scheduledAt, now)) {
+            const changes = await saveChanges(email, {
+              status: EMAIL_STATUS.SENT,
+              recurrenceEndedAt: now,
+            });
+            await recordEmailEvent(email.id, EMAIL_EVENT_TYPE.RECURRENCE_ENDED, { changes });
+            result.ended += 1;
+            continue;
+          }
+
+          await addEmailJob(email.id, email.scheduledAt, email.recurrence);
+          result.scheduled += 1;
+          continue;
+        }
+
+        if (email.scheduledAt > now) {
+          await addEmailJob(email.id, email.scheduledAt);
+          result.scheduled += 1;
+        } else if (shouldCatchUp(email.scheduledAt, now)) {
+          await addEmailJob(email.id, now);
+          result.caughtUp += 1;
+        } else {
+          await markEmailAsFailed(email.id, 'Scheduled time passed while the scheduler was down');
+          metrics.emailsFailed.inc({ reason: metrics.FAILURE_REASON.MISSED });
+          result.skipped += 1;
+        }
+      } catch (error) {
+        logger.error(`Failed to reschedule email on startup: ${email.id}`, {
+          emailId: email.id,
+          error: error.message,
+        });
+        result.errors.push({ emailId: email.id, message: error.message });
+      }
+    }
+
+    logger.info('Pending emails rescheduled', {
+      policy: config.scheduler.catchUpPolicy,
+      scheduled: result.scheduled,
+      caughtUp: result.caughtUp,
+      skipped: result.skipped,
+      ended: result.ended,
+      errors: result.errors.length,
+    });
+    return result;
+  } catch (error) {
+    logger.error('Error rescheduling pending emails:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   createEmail,
+  createEmails,
   getEmailById,
+  getEmailForJob,
+  claimEmailForJob,
   getAllEmails,
+  exportEmails,
   updateEmail,
   deleteEmail,
   getFailedEmails,
+  getCancelledEmails,
+  cancelEmail,
+  purgeDeletedEmails,
+  retryEmail,
+  retryFailedEmails,
   markEmailAsSent,
   markEmailAsFailed,
+  markEmailAsSuppressed,
+  recordOccurrence,
+  getEmailOccurrences,
+  stopRecurrence,
+  recordDeliveryEvent,
+  getDeliveryEvents,
+  recordEmailEvent,
+  getEmailEvents,
+  loadAttachments,
+  rehydrateScheduledEmails,
+  recoverStalledEmails,
 };
 
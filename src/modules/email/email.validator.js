@@ -1,45 +1,341 @@
 const Joi = require('joi');
+const config = require('../../config/env');
+const {
+  EMAIL_STATUS,
+  EMAIL_SORT_FIELDS,
+  EMAIL_EXPORT_COLUMNS,
+  EMAIL_EXPORT_FORMAT,
+  BULK,
+  PAGINATION,
+  RECURRENCE,
+  RETRY,
+  SUPPRESSION,
+} = require('../../utils/constants');
+const { isValidPattern } = require('../../utils/recurrence');
+const { normalizeTimezone, isValidLocalDateTime } = require('../../utils/timezone');
+const { decodeCursor } = require('../../utils/pagination');
+
+// Query string lists, given as ?status=SENT,FAILED as well as ?status=SENT&status=FAILED
+const QueryJoi = Joi.extend((joi) => ({
+  type: 'list',
+  base: joi.array(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({
+      value: value
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean),
+    }),
+  },
+}));
+
+// A single address is accepted and converted to a one-item list
+const recipientListSchema = Joi.array()
+  .items(
+    Joi.string().trim().lowercase().email().messages({
+      'string.email': 'Invalid email address',
+    })
+  )
+  .single()
+  .max(config.email.maxRecipients)
+  .messages({
+    'array.max': `No more than ${config.email.maxRecipients} recipients are allowed`,
+  });
+
+/**
+ * Cross-field recipient rules: total recipient cap, no duplicates across to/cc/bcc,
+ * and no cc/bcc when sending one message per recipient (fanOut or unsubscribe links)
+ */
+const validateRecipients = (value, helpers) => {
+  const recipients = [...(value.to || []), ...(value.cc || []), ...(value.bcc || [])];
+
+  if (recipients.length > config.email.maxRecipients) {
+    return helpers.message(
+      `No more than ${config.email.maxRecipients} recipients are allowed across to, cc and bcc`
+    );
+  }
+
+  if (new Set(recipients).size !== recipients.length) {
+    return helpers.message('Each recipient may only appear once across to, cc and bcc');
+  }
+
+  if (value.fanOut && ((value.cc || []).length > 0 || (value.bcc || []).length > 0)) {
+    return helpers.message('cc and bcc cannot be used when fanOut is enabled');
+  }
+
+  if (value.unsubscribe && ((value.cc || []).length > 0 || (value.bcc || []).length > 0)) {
+    return helpers.message('cc and bcc cannot be used with unsubscribe links');
+  }
+
+  return value;
+};
+
+// Category of the email, recipients can unsubscribe from it alone
+const categorySchema = Joi.string()
+  .trim()
+  .min(1)
+  .max(SUPPRESSION.MAX_CATEGORY_LENGTH)
+  .messages({
+    'string.max': `Category must not exceed ${SUPPRESSION.MAX_CATEGORY_LENGTH} characters`,
+  });
+
+const recurrenceSchema = Joi.object({
+  cron: Joi.string()
+    .trim()
+    .custom((value, helpers) => {
+      if (!isValidPattern(value)) {
+        return helpers.message('Invalid cron expression');
+      }
+      return value;
+    }),
+  rrule: Joi.string()
+    .trim()
+    .custom((value, helpers) => {
+      if (!isValidPattern(value)) {
+        return helpers.message('Invalid RRULE');
+      }
+      return value;
+    }),
+  endDate: Joi.date().iso().messages({
+    'date.base': 'Invalid recurrence end date format',
+  }),
+  count: Joi.number()
+    .integer()
+    .min(1)
+    .max(RECURRENCE.MAX_COUNT)
+    .messages({
+      'number.min': 'Recurrence count must be at least 1',
+      'number.max': `Recurrence count must not exceed ${RECURRENCE.MAX_COUNT}`,
+    }),
+})
+  .xor('cron', 'rrule')
+  .messages({
+    'object.missing': 'Recurrence requires either a cron expression or an RRULE',
+    'object.xor': 'Recurrence accepts either a cron expression or an RRULE, not both',
+  });
+
+// Wall-clock time without offset, stored with seconds so equal times compare equal
+const localScheduledAtSchema = Joi.string()
+  .trim()
+  .custom((value, helpers) => {
+    if (!isValidLocalDateTime(value)) {
+      return helpers.message(
+        'Local scheduled time must be a date and time without offset, e.g. 2025-01-01T09:00'
+      );
+    }
+    return value.length === 16 ? `${value}:00` : value;
+  });
+
+const timezoneSchema = Joi.string()
+  .trim()
+  .custom((value, helpers) => {
+    const timezone = normalizeTimezone(value);
+    if (!timezone) {
+      return helpers.message('Invalid IANA timezone');
+    }
+    return timezone;
+  });
+
+// Leading bytes of binary formats, so the declared type can be checked against the content
+const FILE_SIGNATURES = {
+  'application/pdf': '%PDF',
+  'image/png': '\x89PNG',
+  'image/jpeg': '\xff\xd8\xff',
+  'image/gif': 'GIF8',
+  'application/zip': 'PK\x03\x04',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'PK\x03\x04',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'PK\x03\x04',
+};
+
+const formatSize = (bytes) => `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB`;
+
+// content is base64 encoded and converted to a Buffer
+const attachmentSchema = Joi.object({
+  filename: Joi.string().trim().min(1).max(255).required().messages({
+    'any.required': 'Attachment filename is required',
+  }),
+  contentType: Joi.string()
+    .trim()
+    .lowercase()
+    .valid(...config.attachments.allowedTypes)
+    .required()
+    .messages({
+      'any.only': 'Attachment type is not allowed',
+      'any.required': 'Attachment content type is required',
+    }),
+  content: Joi.string()
+    .base64({ paddingRequired: false })
+    .required()
+    .custom((value, helpers) => {
+      const content = Buffer.from(value, 'base64');
+      if (content.length === 0) {
+        return helpers.message('Attachment must not be empty');
+      }
+      if (content.length > config.attachments.maxFileSize) {
+        return helpers.message(
+          `Attachment must not exceed ${formatSize(config.attachments.maxFileSize)}`
+        );
+      }
+      return content;
+    })
+    .messages({
+      'string.base64': 'Attachment content must be base64 encoded',
+      'any.required': 'Attachment content is required',
+    }),
+}).custom((value, helpers) => {
+  const signature = FILE_SIGNATURES[value.contentType];
+  if (
+    signature &&
+    !value.content.subarray(0, signature.length).equals(Buffer.from(signature, 'latin1'))
+  ) {
+    return helpers.message(`Attachment content does not match type ${value.contentType}`);
+  }
+  return value;
+});
+
+const attachmentsSchema = Joi.array()
+  .items(attachmentSchema)
+  .max(config.attachments.maxCount)
+  .custom((value, helpers) => {
+    const totalSize = value.reduce((sum, attachment) => sum + attachment.content.length, 0);
+    if (totalSize > config.attachments.maxTotalSize) {
+      return helpers.message(
+        `Attachments must not exceed ${formatSize(config.attachments.maxTotalSize)} in total`
+      );
+    }
+    return value;
+  })
+  .messages({
+    'array.max': `No more than ${config.attachments.maxCount} attachments are allowed`,
+  });
+
+const variablesSchema = Joi.object()
+  .pattern(
+    Joi.string(),
+    Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean())
+  )
+  .messages({
+    'alternatives.types': 'Template variables must be strings, numbers or booleans',
+  });
 
 const createEmailSchema = Joi.object({
-  to: Joi.string().email().required().messages({
-    'string.email': 'Invalid email address',
+  to: recipientListSchema.min(1).required().messages({
+    'array.min': 'At least one recipient is required',
     'any.required': 'Email address is required',
   }),
-  subject: Joi.string().min(1).max(500).required().messages({
-    'string.min': 'Subject must be at least 1 character',
-    'string.max': 'Subject must not exceed 500 characters',
-    'any.required': 'Subject is required',
-  }),
-  body: Joi.string().min(1).required().messages({
-    'string.min': 'Body must be at least 1 character',
-    'any.required': 'Body is required',
+  cc: recipientListSchema.optional(),
+  bcc: recipientListSchema.optional(),
+  fanOut: Joi.boolean().optional(),
+  unsubscribe: Joi.boolean().optional(),
+  category: categorySchema.optional(),
+  tracking: Joi.boolean().optional(),
+  // Either subject/body or a template (rendered at send time) must be given
+  subject: Joi.string()
+    .min(1)
+    .max(500)
+    .when('templateId', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() })
+    .messages({
+      'string.min': 'Subject must be at least 1 character',
+      'string.max': 'Subject must not exceed 500 characters',
+      'any.required': 'Subject is required',
+      'any.unknown': 'Subject cannot be combined with templateId',
+    }),
+  body: Joi.string()
+    .min(1)
+    .when('templateId', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() })
+    .messages({
+      'string.min': 'Body must be at least 1 character',
+      'any.required': 'Body is required',
+      'any.unknown': 'Body cannot be combined with templateId',
+    }),
+  templateId: Joi.string().uuid().optional().messages({
+    'string.guid': 'Invalid template ID',
   }),
+  templateVersion: Joi.number().integer().min(1).optional(),
+  variables: variablesSchema.optional(),
+  // Either an absolute instant or a local time in a timezone
   scheduledAt: Joi.date()
     .iso()
-    .required()
     .custom((value, helpers) => {
       if (new Date(value) <= new Date()) {
         return helpers.message('Scheduled date must be in the future');
       }
       return value;
     })
+    .when('localScheduledAt', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() })
     .messages({
       'date.base': 'Invalid date format',
       'any.required': 'Scheduled date is required',
+      'any.unknown': 'scheduledAt cannot be combined with localScheduledAt',
+    }),
+  localScheduledAt: localScheduledAtSchema.optional(),
+  timezone: timezoneSchema
+    .when('localScheduledAt', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'Timezone is required with localScheduledAt',
+      'any.unknown': 'Timezone can only be used with localScheduledAt',
     }),
+  recurrence: recurrenceSchema.optional(),
+  attachments: attachmentsSchema.optional(),
+}).custom(validateRecipients);
+
+// Emails of a bulk request or a CSV import, attachments are only accepted one email at a time
+const bulkEmailSchema = createEmailSchema.keys({
+  attachments: Joi.forbidden().messages({
+    'any.unknown': 'Attachments are not supported in bulk requests',
+  }),
+});
+
+const bulkCreateEmailsSchema = Joi.object({
+  emails: Joi.array()
+    .items(Joi.object())
+    .min(1)
+    .max(BULK.MAX_EMAILS)
+    .required()
+    .messages({
+      'array.min': 'At least one email is required',
+      'array.max': `At most ${BULK.MAX_EMAILS} emails can be scheduled at once`,
+      'any.required': 'Emails are required',
+    }),
+  // All emails are scheduled or none is
+  atomic: Joi.boolean().default(false),
 });
 
 const updateEmailSchema = Joi.object({
-  to: Joi.string().email().optional().messages({
-    'string.email': 'Invalid email address',
+  to: recipientListSchema.min(1).optional().messages({
+    'array.min': 'At least one recipient is required',
   }),
-  subject: Joi.string().min(1).max(500).optional().messages({
-    'string.min': 'Subject must be at least 1 character',
-    'string.max': 'Subject must not exceed 500 characters',
-  }),
-  body: Joi.string().min(1).optional().messages({
-    'string.min': 'Body must be at least 1 character',
+  cc: recipientListSchema.optional(),
+  bcc: recipientListSchema.optional(),
+  fanOut: Joi.boolean().optional(),
+  unsubscribe: Joi.boolean().optional(),
+  category: categorySchema.allow(null).optional(),
+  tracking: Joi.boolean().optional(),
+  subject: Joi.string()
+    .min(1)
+    .max(500)
+    .optional()
+    .when('templateId', { is: Joi.string().required(), then: Joi.forbidden() })
+    .messages({
+      'string.min': 'Subject must be at least 1 character',
+      'string.max': 'Subject must not exceed 500 characters',
+      'any.unknown': 'Subject cannot be combined with templateId',
+    }),
+  body: Joi.string()
+    .min(1)
+    .optional()
+    .when('templateId', { is: Joi.string().required(), then: Joi.forbidden() })
+    .messages({
+      'string.min': 'Body must be at least 1 character',
+      'any.unknown': 'Body cannot be combined with templateId',
+    }),
+  // templateId: null switches back to a plain subject/body email
+  templateId: Joi.string().uuid().allow(null).optional().messages({
+    'string.guid': 'Invalid template ID',
   }),
+  templateVersion: Joi.number().integer().min(1).optional(),
+  variables: variablesSchema.optional(),
   scheduledAt: Joi.date()
     .iso()
     .optional()
@@ -52,6 +348,134 @@ const updateEmailSchema = Joi.object({
     .messages({
       'date.base': 'Invalid date format',
     }),
+  // A new local time or timezone is resolved together with the one already stored
+  localScheduledAt: localScheduledAtSchema.optional(),
+  timezone: timezoneSchema.optional(),
+  recurrence: recurrenceSchema.allow(null).optional(),
+})
+  .without('scheduledAt', ['localScheduledAt', 'timezone'])
+  .messages({
+    'object.without': 'scheduledAt cannot be combined with localScheduledAt or timezone',
+  })
+  .custom(validateRecipients);
+
+// Filters selecting the FAILED emails to re-queue
+const retryFailedEmailsSchema = Joi.object({
+  failureReason: Joi.string().trim().min(1).max(500).optional(),
+  scheduledFrom: Joi.date().iso().optional(),
+  scheduledTo: Joi.date().iso().min(Joi.ref('scheduledFrom')).optional(),
+  failedFrom: Joi.date().iso().optional(),
+  failedTo: Joi.date().iso().min(Joi.ref('failedFrom')).optional(),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(RETRY.MAX_BATCH_SIZE)
+    .default(RETRY.DEFAULT_BATCH_SIZE)
+    .messages({
+      'number.max': `Limit must not exceed ${RETRY.MAX_BATCH_SIZE}`,
+    }),
+}).messages({
+  'date.base': 'Invalid date format',
+  'date.format': 'Invalid date format',
+  'date.min': 'End of the date range must not be before its start',
+});
+
+// Offset (page) or cursor pagination of list endpoints, an empty cursor starts cursor mode
+const paginationKeys = {
+  page: Joi.number().integer().min(1).default(PAGINATION.DEFAULT_PAGE),
+  limit: Joi.number().integer().min(1).default(PAGINATION.DEFAULT_LIMIT),
+  cursor: Joi.string()
+    .allow('')
+    .custom((value, helpers) => decodeCursor(value) || helpers.error('any.invalid'))
+    .messages({
+      'any.invalid': 'Invalid cursor',
+    }),
+  includeTotal: Joi.boolean().default(false),
+};
+
+const paginationSchema = Joi.object(paginationKeys);
+
+// Filters of GET /api/emails, shared with the export
+const listFilterKeys = {
+  status: QueryJoi.list()
+    .items(
+      Joi.string()
+        .uppercase()
+        .valid(...Object.values(EMAIL_STATUS))
+    )
+    .min(1)
+    .optional()
+    .messages({
+      'any.only': `Status must be one of ${Object.values(EMAIL_STATUS).join(', ')}`,
+    }),
+  recipient: Joi.string().trim().lowercase().email().optional().messages({
+    'string.email': 'Invalid email address',
+  }),
+  recipientDomain: Joi.string().trim().lowercase().replace(/^@/, '').domain().optional().messages({
+    'string.domain': 'Invalid domain',
+  }),
+  q: Joi.string().trim().min(1).max(200).optional(),
+  scheduledFrom: Joi.date().iso().optional(),
+  scheduledTo: Joi.date().iso().min(Joi.ref('scheduledFrom')).optional(),
+  createdFrom: Joi.date().iso().optional(),
+  createdTo: Joi.date().iso().min(Joi.ref('createdFrom')).optional(),
+};
+
+const listMessages = {
+  'date.base': 'Invalid date format',
+  'date.format': 'Invalid date format',
+  'date.min': 'End of the date range must not be before its start',
+};
+
+const sortBySchema = Joi.string()
+  .valid(...EMAIL_SORT_FIELDS)
+  .default('createdAt')
+  .messages({
+    'any.only': `sortBy must be one of ${EMAIL_SORT_FIELDS.join(', ')}`,
+  });
+
+const sortOrderSchema = Joi.string().lowercase().valid('asc', 'desc').default('desc');
+
+// Query of GET /api/emails
+const listEmailsSchema = Joi.object({
+  ...paginationKeys,
+  ...listFilterKeys,
+  sortBy: sortBySchema.when('cursor', {
+    is: Joi.exist(),
+    then: Joi.valid(Joi.override, 'createdAt').messages({
+      'any.only': 'Cursor pagination only supports sorting by createdAt',
+    }),
+  }),
+  sortOrder: sortOrderSchema,
+}).messages(listMessages);
+
+// Query of GET /api/emails/export, the listing filters without pagination
+const exportEmailsSchema = Joi.object({
+  ...listFilterKeys,
+  format: Joi.string()
+    .lowercase()
+    .valid(...Object.values(EMAIL_EXPORT_FORMAT))
+    .required()
+    .messages({
+      'any.only': `Format must be one of ${Object.values(EMAIL_EXPORT_FORMAT).join(', ')}`,
+    }),
+  columns: QueryJoi.list()
+    .items(Joi.string().valid(...EMAIL_EXPORT_COLUMNS))
+    .min(1)
+    .unique()
+    .default(EMAIL_EXPORT_COLUMNS)
+    .messages({
+      'any.only': `Columns must be among ${EMAIL_EXPORT_COLUMNS.join(', ')}`,
+    }),
+  // Leave out the body even when it is among the columns
+  includeBody: Joi.boolean().default(true),
+  sortBy: sortBySchema,
+  sortOrder: sortOrderSchema,
+}).messages(listMessages);
+
+const cancelEmailSchema = Joi.object({
+  reason: Joi.string().trim().max(1000).optional().allow(''),
+  cancelledBy: Joi.string().trim().max(255).optional(),
 });
 
 const validateCreateEmail = (req, res, next) => {
@@ -75,6 +499,50 @@ const validateCreateEmail = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate one email of a bulk request or a CSV import
+ * @param {Object} data - Email fields, as for POST /api/emails
+ * @returns {Object} { value } of a valid email, { errors } of an invalid one
+ */
+const validateEmailData = (data) => {
+  const { error, value } = bulkEmailSchema.validate(data, { abortEarly: false });
+  if (error) {
+    return {
+      errors: error.details.map((detail) => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      })),
+    };
+  }
+  return { value };
+};
+
+/**
+ * Validate a bulk request, then each of its emails on its own
+ * The errors of an email are passed on with it, the service reports them in its result
+ * (or rejects the whole request in atomic mode).
+ */
+const validateBulkCreateEmails = (req, res, next) => {
+  const { error, value } = bulkCreateEmailsSchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = { emails: value.emails.map(validateEmailData), atomic: value.atomic };
+  next();
+};
+
 const validateUpdateEmail = (req, res, next) => {
   const { error, value } = updateEmailSchema.validate(req.body, {
     abortEarly: false,
@@ -96,5 +564,119 @@ const validateUpdateEmail = (req, res, next) => {
   next();
 };
 
-module.exports = { validateCreateEmail, validateUpdateEmail };
+const validateRetryFailedEmails = (req, res, next) => {
+  const { error, value } = retryFailedEmailsSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+const validateListEmails = (req, res, next) => {
+  const { error, value } = listEmailsSchema.validate(req.query, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+const validateExportEmails = (req, res, next) => {
+  const { error, value } = exportEmailsSchema.validate(req.query, {
+    abortEarly: false,
+  });
 
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+const validatePagination = (req, res, next) => {
+  const { error, value } = paginationSchema.validate(req.query, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+const validateCancelEmail = (req, res, next) => {
+  const { error, value } = cancelEmailSchema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+module.exports = {
+  validateEmailData,
+  validateCreateEmail,
+  validateBulkCreateEmails,
+  validateUpdateEmail,
+  validateRetryFailedEmails,
+  validateCancelEmail,
+  validateListEmails,
+  validateExportEmails,
+  validatePagination,
+};
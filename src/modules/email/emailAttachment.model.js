@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const Email = require('./email.model');
+
+/**
+ * A file attached to an email
+ * The content lives in the blob store under storageKey and is loaded at send time
+ */
+const EmailAttachment = sequelize.define(
+  'EmailAttachment',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    emailId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    filename: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    contentType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    storageKey: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+  },
+  {
+    tableName: 'email_attachments',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [{ fields: ['email_id'] }],
+  }
+);
+
+Email.hasMany(EmailAttachment, { as: 'attachments', foreignKey: 'emailId', onDelete: 'CASCADE' });
+EmailAttachment.belongsTo(Email, { as: 'email', foreignKey: 'emailId' });
+
+module.exports = EmailAttachment;
@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const { EMAIL_STATUS } = require('../../utils/constants');
+const Email = require('./email.model');
+const EmailOccurrence = require('./emailOccurrence.model');
+
+/**
+ * A delivery event reported by the provider for a sent email (delivered, bounced, opened...)
+ * Together they form the email's delivery timeline, one event per recipient
+ */
+const EmailDeliveryEvent = sequelize.define(
+  'EmailDeliveryEvent',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    emailId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    // Set when the event is about one occurrence of a recurring email
+    occurrenceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    provider: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+    },
+    // Event name as reported by the provider
+    event: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    // Email status the event maps to, null for events that don't change it
+    status: {
+      type: DataTypes.ENUM(...Object.values(EMAIL_STATUS)),
+      allowNull: true,
+    },
+    recipient: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Id the provider gives the event, events delivered twice are only recorded once
+    providerEventId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    occurredAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+  },
+  {
+    tableName: 'email_delivery_events',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+      { fields: ['email_id', 'occurred_at'] },
+      { unique: true, fields: ['provider', 'provider_event_id'] },
+    ],
+  }
+);
+
+Email.hasMany(EmailDeliveryEvent, {
+  as: 'deliveryEvents',
+  foreignKey: 'emailId',
+  onDelete: 'CASCADE',
+});
+EmailDeliveryEvent.belongsTo(Email, { as: 'email', foreignKey: 'emailId' });
+EmailOccurrence.hasMany(EmailDeliveryEvent, {
+  as: 'deliveryEvents',
+  foreignKey: 'occurrenceId',
+  onDelete: 'CASCADE',
+});
+
+module.exports = EmailDeliveryEvent;
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const { EMAIL_EVENT_TYPE } = require('../../utils/constants');
+const Email = require('./email.model');
+
+/**
+ * A change made to an email by the API, the scheduler or a provider (created, rescheduled,
+ * sent, failed, retried...)
+ * Together they form the email's status history, the provider's own events are kept apart as
+ * delivery events
+ */
+const EmailEvent = sequelize.define(
+  'EmailEvent',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    emailId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    type: {
+      type: DataTypes.ENUM(...Object.values(EMAIL_EVENT_TYPE)),
+      allowNull: false,
+    },
+    // Old and new value of each changed field, { status: { from: 'PENDING', to: 'FAILED' } }
+    changes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    // Who made the change: "api_key:<id>", "import:<id>", "provider:<name>" or "system"
+    actor: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+    },
+  },
+  {
+    tableName: 'email_events',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [{ fields: ['email_id', 'created_at'] }],
+  }
+);
+
+Email.hasMany(EmailEvent, { as: 'events', foreignKey: 'emailId', onDelete: 'CASCADE' });
+EmailEvent.belongsTo(Email, { as: 'email', foreignKey: 'emailId' });
+
+module.exports = EmailEvent;
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const { EMAIL_STATUS } = require('../../utils/constants');
+const Email = require('./email.model');
+
+/**
+ * A single send attempt of a recurring email series
+ */
+const EmailOccurrence = sequelize.define(
+  'EmailOccurrence',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    emailId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    scheduledFor: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM(EMAIL_STATUS.SENT, EMAIL_STATUS.FAILED),
+      allowNull: false,
+    },
+    failureReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    providerMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: 'email_occurrences',
+    timestamps: true,
+    underscored: true,
+    indexes: [{ fields: ['email_id', 'scheduled_for'] }, { fields: ['provider_message_id'] }],
+  }
+);
+
+Email.hasMany(EmailOccurrence, { as: 'occurrences', foreignKey: 'emailId', onDelete: 'CASCADE' });
+EmailOccurrence.belongsTo(Email, { as: 'email', foreignKey: 'emailId' });
+
+module.exports = EmailOccurrence;
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const { TRACKING_EVENT } = require('../../utils/constants');
+const Email = require('./email.model');
+
+/**
+ * An open or a click of a tracked email, recorded when the recipient's mail client loads the
+ * tracking pixel or follows a tracked link; createdAt is when it happened
+ */
+const EmailTrackingEvent = sequelize.define(
+  'EmailTrackingEvent',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    emailId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    type: {
+      type: DataTypes.ENUM(...Object.values(TRACKING_EVENT)),
+      allowNull: false,
+    },
+    // Known when every recipient got its own message (fanOut or unsubscribe links)
+    recipient: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Link followed, for clicks
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: 'email_tracking_events',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [{ fields: ['email_id', 'type', 'created_at'] }],
+  }
+);
+
+Email.hasMany(EmailTrackingEvent, {
+  as: 'trackingEvents',
+  foreignKey: 'emailId',
+  onDelete: 'CASCADE',
+});
+EmailTrackingEvent.belongsTo(Email, { as: 'email', foreignKey: 'emailId' });
+
+module.exports = EmailTrackingEvent;
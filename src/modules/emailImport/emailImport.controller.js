@@ -0,0 +1,40 @@
+const emailImportService = require('./emailImport.service');
+const { successResponse } = require('../../utils/response');
+
+const createImport = async (req, res, next) => {
+  try {
+    const emailImport = await emailImportService.createImport(
+      req.tenantId,
+      req.file,
+      req.validatedData
+    );
+    return successResponse(res, 202, 'Import queued successfully', emailImport);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getImport = async (req, res, next) => {
+  try {
+    const emailImport = await emailImportService.getImport(req.tenantId, req.params.id);
+    return successResponse(res, 200, 'Import retrieved successfully', emailImport);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getImportReport = async (req, res, next) => {
+  try {
+    const { filename, content } = await emailImportService.getImportReport(
+      req.tenantId,
+      req.params.id
+    );
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(filename);
+    return res.status(200).send(content);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { createImport, getImport, getImportReport };
@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const { EMAIL_IMPORT_STATUS } = require('../../utils/constants');
+
+/**
+ * A CSV file of emails to schedule, imported in the background
+ * The file is kept in the blob store until its rows are read, rejected rows are listed in a
+ * CSV report stored next to it
+ */
+const EmailImport = sequelize.define(
+  'EmailImport',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    tenantId: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM(...Object.values(EMAIL_IMPORT_STATUS)),
+      defaultValue: EMAIL_IMPORT_STATUS.PENDING,
+      allowNull: false,
+    },
+    filename: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    // Bytes
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // How rows become emails: { mapping, templateId, templateVersion, timezone, delimiter }
+    options: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+    // Share of the file read so far, in percent
+    progress: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+    },
+    processedRows: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+    },
+    importedRows: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+    },
+    rejectedRows: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+    },
+    failureReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: 'email_imports',
+    timestamps: true,
+    underscored: true,
+    indexes: [{ fields: ['tenant_id', 'created_at'] }, { fields: ['status'] }],
+  }
+);
+
+module.exports = EmailImport;
@@ -0,0 +1,65 @@
+const { Queue } = require('bullmq');
+const { getRedisClient } = require('../../config/redis');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const inMemoryScheduler = require('../../utils/inMemoryScheduler');
+// Use lazy import to avoid circular dependency
+const getEmailImportService = () => require('./emailImport.service');
+
+/**
+ * CSV imports have their own queue so that large files never hold up emails. An import is not
+ * retried: rows scheduled before a failure would be scheduled twice.
+ */
+let importQueue = null;
+
+const getImportQueue = async () => {
+  if (!importQueue) {
+    const redisClient = await getRedisClient();
+    importQueue = new Queue('import-queue', {
+      connection: redisClient,
+      defaultJobOptions: {
+        attempts: 1,
+        removeOnComplete: {
+          age: 3600,
+          count: 1000,
+        },
+        removeOnFail: {
+          age: 86400,
+        },
+      },
+    });
+  }
+
+  return importQueue;
+};
+
+/**
+ * Queue an import to be processed right away
+ * @param {string} importId - Email import identifier
+ * @returns {string} The job ID
+ */
+const addImportJob = async (importId) => {
+  try {
+    if (!config.redis.enabled) {
+      inMemoryScheduler.schedule(
+        `import:${importId}`,
+        new Date(),
+        () =>
+          getEmailImportService()
+            .processImport(importId)
+            .catch((error) => logger.error(`Error processing email import: ${importId}`, error)),
+        { importId }
+      );
+      return importId;
+    }
+
+    const queue = await getImportQueue();
+    const job = await queue.add('import-emails', { importId }, { jobId: importId });
+    return job.id;
+  } catch (error) {
+    logger.error('Failed to add import job:', error);
+    throw error;
+  }
+};
+
+module.exports = { getImportQueue, addImportJob };
@@ -0,0 +1,107 @@
+const express = require('express');
+const emailImportController = require('./emailImport.controller');
+const { validateImportEmails } = require('./emailImport.validator');
+const { uploadCsv } = require('../../middlewares/upload.middleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/emails/import:
+ *   post:
+ *     summary: Import emails from a CSV file
+ *     description: Upload a CSV file with a header row, one email per row. The file is imported in the background; every row is validated like POST /api/emails, valid rows are scheduled and rejected rows are listed in a report. Columns named like the email fields (to, cc, bcc, subject, body, scheduledAt, timezone, category) are read without a mapping.
+ *     tags: [Imports]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportEmailsRequest'
+ *     responses:
+ *       202:
+ *         description: Import queued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Import queued successfully
+ *               data:
+ *                 id: 8a1f0c9e-5b7d-4e2a-9c3f-6d8e0a1b2c3d
+ *                 status: PENDING
+ *                 filename: reminders.csv
+ *                 size: 48213
+ *                 progress: 0
+ *                 processedRows: 0
+ *                 importedRows: 0
+ *                 rejectedRows: 0
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/', uploadCsv, validateImportEmails, emailImportController.createImport);
+
+/**
+ * @swagger
+ * /api/emails/import/{id}:
+ *   get:
+ *     summary: Get an import
+ *     description: Status, progress and row counts of a CSV import
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Import retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/EmailImport'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id', emailImportController.getImport);
+
+/**
+ * @swagger
+ * /api/emails/import/{id}/report:
+ *   get:
+ *     summary: Download the rejected rows of an import
+ *     description: CSV file with the row number, the reasons and the original columns of every rejected row, available once the import has finished. Only the header is returned when no row was rejected.
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Report of the rejected rows
+ *         content:
+ *           text/csv:
+ *             example: |
+ *               row,errors,to,subject,body,scheduledAt
+ *               3,to.0: Invalid email address,not-an-address,Reminder,See you soon,2025-01-06 09:00
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The import has not finished yet
+ */
+router.get('/:id/report', emailImportController.getImportReport);
+
+module.exports = router;
@@ -0,0 +1,367 @@
+const { createReadStream } = require('fs');
+const EmailImport = require('./emailImport.model');
+const { addImportJob } = require('./emailImport.queue');
+const emailService = require('../email/email.service');
+const { validateEmailData } = require('../email/email.validator');
+const { getBlobStore } = require('../../storage');
+const { parseCsv, formatCsvRecord } = require('../../utils/csv');
+const { EMAIL_IMPORT, EMAIL_IMPORT_STATUS } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+// Email fields read from the column of the same name unless mapped to another one
+const DEFAULT_COLUMNS = [
+  'to',
+  'cc',
+  'bcc',
+  'subject',
+  'body',
+  'scheduledAt',
+  'timezone',
+  'category',
+];
+const REQUIRED_FIELDS = ['to', 'scheduledAt'];
+const RECIPIENT_FIELDS = ['to', 'cc', 'bcc'];
+
+const sourceKey = (importId) => `imports/${importId}/source.csv`;
+const reportKey = (importId) => `imports/${importId}/report.csv`;
+
+/**
+ * Find the columns of each email field in the header of the file
+ * Without a variable mapping, the columns not read as email fields are the template variables.
+ * @param {Array<string>} header - Column names
+ * @param {Object} options - Options of the import
+ * @returns {Function} Turning a row into the email fields of POST /api/emails
+ */
+const buildRowReader = (header, { mapping = {}, templateId, templateVersion, timezone }) => {
+  const { variables: variableColumns, ...fieldColumns } = mapping;
+  const columns = {};
+  const missing = [];
+
+  // A template replaces the subject and body, columns of that name are variables
+  const defaults = DEFAULT_COLUMNS.filter(
+    (field) => !templateId || (field !== 'subject' && field !== 'body')
+  );
+  for (const field of defaults) {
+    if (!fieldColumns[field] && header.includes(field)) {
+      columns[field] = header.indexOf(field);
+    }
+  }
+  for (const [field, column] of Object.entries(fieldColumns)) {
+    if (header.includes(column)) {
+      columns[field] = header.indexOf(column);
+    } else {
+      missing.push(column);
+    }
+  }
+  for (const field of REQUIRED_FIELDS) {
+    if (columns[field] === undefined && !fieldColumns[field]) {
+      missing.push(field);
+    }
+  }
+
+  let variables = {};
+  if (variableColumns) {
+    for (const [name, column] of Object.entries(variableColumns)) {
+      if (header.includes(column)) {
+        variables[name] = header.indexOf(column);
+      } else {
+        missing.push(column);
+      }
+    }
+  } else if (templateId) {
+    const used = Object.values(columns);
+    variables = Object.fromEntries(
+      header
+        .map((column, index) => [column, index])
+        .filter(([column, index]) => column && !used.includes(index))
+    );
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Missing columns: ${[...new Set(missing)].join(', ')}`);
+  }
+
+  return (row) => {
+    const cell = (index) => (row[index] || '').trim();
+    const data = {};
+
+    for (const [field, index] of Object.entries(columns)) {
+      const value = cell(index);
+      if (value === '') {
+        continue;
+      }
+      if (RECIPIENT_FIELDS.includes(field)) {
+        data[field] = value
+          .split(/[;,]/)
+          .map((address) => address.trim())
+          .filter(Boolean);
+      } else if (field === 'scheduledAt') {
+        // Spreadsheets write dates as "2025-01-06 09:00"
+        data[field] = value.replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T');
+      } else {
+        data[field] = value;
+      }
+    }
+
+    if (templateId) {
+      data.templateId = templateId;
+      if (templateVersion) {
+        data.templateVersion = templateVersion;
+      }
+      data.variables = Object.fromEntries(
+        Object.entries(variables).map(([name, index]) => [name, cell(index)])
+      );
+    }
+
+    // With a timezone, the send time is a wall-clock time in that timezone
+    const rowTimezone = data.timezone || timezone;
+    if (rowTimezone && data.scheduledAt) {
+      data.localScheduledAt = data.scheduledAt;
+      data.timezone = rowTimezone;
+      delete data.scheduledAt;
+    }
+    return data;
+  };
+};
+
+const describeErrors = (errors) =>
+  errors.map(({ field, message }) => (field ? `${field}: ${message}` : message)).join('; ');
+
+/**
+ * Store an uploaded CSV file and queue its import
+ * @param {string} tenantId
+ * @param {Object} file - Uploaded file { originalname, size, path }
+ * @param {Object} options - { mapping, templateId, templateVersion, timezone, delimiter }
+ * @returns {Object} The PENDING import
+ */
+const createImport = async (tenantId, file, options) => {
+  try {
+    const store = getBlobStore();
+    const emailImport = await EmailImport.create({
+      tenantId,
+      filename: file.originalname,
+      size: file.size,
+      options,
+    });
+
+    try {
+      // Streamed from the temporary upload, the file is never held in memory
+      await store.put(sourceKey(emailImport.id), createReadStream(file.path));
+      await addImportJob(emailImport.id);
+    } catch (error) {
+      await store.remove(sourceKey(emailImport.id));
+      await emailImport.destroy();
+      throw error;
+    }
+
+    logger.info(`Email import queued: ${emailImport.id}`, {
+      importId: emailImport.id,
+      tenantId,
+      size: file.size,
+    });
+    return emailImport;
+  } catch (error) {
+    logger.error('Error creating email import:', error);
+    throw error;
+  }
+};
+
+const getImport = async (tenantId, id) => {
+  try {
+    const emailImport = await EmailImport.findOne({ where: { id, tenantId } });
+    if (!emailImport) {
+      const error = new Error('Import not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return emailImport;
+  } catch (error) {
+    logger.error('Error fetching email import:', error);
+    throw error;
+  }
+};
+
+/**
+ * CSV report of the rows an import rejected
+ * Its columns are the row number, the reasons and the original columns of the row, so that
+ * the rows can be fixed and imported again.
+ * @param {string} tenantId
+ * @param {string} id - Import identifier
+ * @returns {Object} { filename, content: Buffer }
+ */
+const getImportReport = async (tenantId, id) => {
+  try {
+    const emailImport = await getImport(tenantId, id);
+    if (
+      [EMAIL_IMPORT_STATUS.PENDING, EMAIL_IMPORT_STATUS.PROCESSING].includes(emailImport.status)
+    ) {
+      const error = new Error('The report is available once the import has finished');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // Imports interrupted by a restart have no report
+    const content = await getBlobStore()
+      .get(reportKey(id))
+      .catch(() => {
+        const error = new Error('No report is available for this import');
+        error.statusCode = 404;
+        throw error;
+      });
+    return {
+      filename: `${emailImport.filename.replace(/\.csv$/i, '')}-rejected.csv`,
+      content,
+    };
+  } catch (error) {
+    logger.error('Error fetching email import report:', error);
+    throw error;
+  }
+};
+
+/**
+ * Import the rows of a CSV file
+ * The file is streamed from the blob store into the parser, and its rows validated like
+ * POST /api/emails and scheduled in batches through createEmails; progress, the share of the
+ * file read, and counts are saved after every batch. A failure
+ * stops the import, the rows scheduled before it stay scheduled.
+ * @param {string} importId
+ */
+const processImport = async (importId) => {
+  // Claim the import, a job that runs twice only imports the file once
+  const [claimed] = await EmailImport.update(
+    { status: EMAIL_IMPORT_STATUS.PROCESSING, startedAt: new Date() },
+    { where: { id: importId, status: EMAIL_IMPORT_STATUS.PENDING } }
+  );
+  if (claimed === 0) {
+    logger.info(`Email import ${importId} is no longer pending, skipping`, { importId });
+    return;
+  }
+
+  const emailImport = await EmailImport.findByPk(importId);
+  const { tenantId, options } = emailImport;
+  const store = getBlobStore();
+  const counts = { processedRows: 0, importedRows: 0, rejectedRows: 0 };
+  let reportHeader = ['row', 'errors'];
+  const reportRows = [];
+
+  try {
+    let bytesRead = 0;
+    const chunks = async function* () {
+      for await (const chunk of store.getStream(sourceKey(importId))) {
+        bytesRead += chunk.length;
+        yield chunk;
+      }
+    };
+
+    let readRow = null;
+    let rowNumber = 1;
+    let batch = [];
+
+    const scheduleBatch = async () => {
+      const { results } = await emailService.createEmails(
+        tenantId,
+        { emails: batch.map(({ email }) => email) },
+        `import:${importId}`
+      );
+      results.forEach(({ success, errors }, index) => {
+        if (success) {
+          counts.importedRows += 1;
+        } else {
+          counts.rejectedRows += 1;
+          const { number, row } = batch[index];
+          reportRows.push(formatCsvRecord([number, describeErrors(errors), ...row]));
+        }
+      });
+      counts.processedRows += batch.length;
+      batch = [];
+
+      await emailImport.update({
+        ...counts,
+        progress: Math.floor((bytesRead / emailImport.size) * 100),
+      });
+    };
+
+    for await (const row of parseCsv(chunks(), { delimiter: options.delimiter })) {
+      if (!readRow) {
+        const header = row.map((column) => column.trim());
+        readRow = buildRowReader(header, options);
+        reportHeader = [...reportHeader, ...header];
+        continue;
+      }
+
+      rowNumber += 1;
+      batch.push({ number: rowNumber, row, email: validateEmailData(readRow(row)) });
+      if (batch.length >= EMAIL_IMPORT.BATCH_SIZE) {
+        await scheduleBatch();
+      }
+    }
+    if (batch.length > 0) {
+      await scheduleBatch();
+    }
+    if (!readRow) {
+      throw new Error('The file is empty');
+    }
+
+    await emailImport.update({
+      ...counts,
+      status: EMAIL_IMPORT_STATUS.COMPLETED,
+      progress: 100,
+      completedAt: new Date(),
+    });
+    logger.info(`Email import completed: ${importId}`, { importId, tenantId, ...counts });
+  } catch (error) {
+    logger.error(`Email import failed: ${importId}`, { importId, error: error.message });
+    await emailImport.update({
+      ...counts,
+      status: EMAIL_IMPORT_STATUS.FAILED,
+      failureReason: error.message,
+      completedAt: new Date(),
+    });
+  } finally {
+    await store.put(
+      reportKey(importId),
+      Buffer.from(formatCsvRecord(reportHeader) + reportRows.join(''))
+    );
+    await store.remove(sourceKey(importId));
+  }
+};
+
+/**
+ * Queue pending imports again and fail interrupted ones
+ * Used on startup with the in-memory scheduler, which loses its jobs on restart. An import
+ * interrupted halfway is not resumed, as part of its rows may already be scheduled.
+ * @returns {number} Number of imports queued
+ */
+const requeuePendingImports = async () => {
+  try {
+    await EmailImport.update(
+      {
+        status: EMAIL_IMPORT_STATUS.FAILED,
+        failureReason: 'The import was interrupted by a restart',
+        completedAt: new Date(),
+      },
+      { where: { status: EMAIL_IMPORT_STATUS.PROCESSING } }
+    );
+
+    const imports = await EmailImport.findAll({
+      where: { status: EMAIL_IMPORT_STATUS.PENDING },
+      attributes: ['id'],
+      order: [['createdAt', 'ASC']],
+    });
+    for (const emailImport of imports) {
+      await addImportJob(emailImport.id);
+    }
+    return imports.length;
+  } catch (error) {
+    logger.error('Error requeuing pending email imports:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createImport,
+  getImport,
+  getImportReport,
+  processImport,
+  requeuePendingImports,
+};
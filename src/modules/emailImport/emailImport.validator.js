@@ -0,0 +1,64 @@
+const Joi = require('joi');
+const { normalizeTimezone } = require('../../utils/timezone');
+
+// Name of a column of the CSV header
+const columnSchema = Joi.string().trim().min(1).max(255);
+
+// Email fields read from the columns of the file; any field left out is read from the column
+// of the same name when there is one
+const mappingSchema = Joi.object({
+  to: columnSchema,
+  cc: columnSchema,
+  bcc: columnSchema,
+  subject: columnSchema,
+  body: columnSchema,
+  scheduledAt: columnSchema,
+  timezone: columnSchema,
+  category: columnSchema,
+  // Template variables by name
+  variables: Joi.object().pattern(Joi.string(), columnSchema),
+}).messages({
+  'object.unknown': 'Unknown email field {#label} in mapping',
+});
+
+// Form fields sent with the CSV file
+const importEmailsSchema = Joi.object({
+  mapping: mappingSchema.default({}),
+  templateId: Joi.string().uuid().optional().messages({
+    'string.guid': 'Invalid template ID',
+  }),
+  templateVersion: Joi.number().integer().min(1).optional(),
+  // Send times of rows without a timezone of their own are local times in this timezone
+  timezone: Joi.string()
+    .trim()
+    .custom(
+      (value, helpers) => normalizeTimezone(value) || helpers.message('Invalid IANA timezone')
+    )
+    .optional(),
+  delimiter: Joi.string().valid(',', ';', '\t').default(',').messages({
+    'any.only': 'Delimiter must be a comma, a semicolon or a tab',
+  }),
+}).with('templateVersion', 'templateId');
+
+const validateImportEmails = (req, res, next) => {
+  const { error, value } = importEmailsSchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+module.exports = { validateImportEmails };
@@ -0,0 +1,34 @@
+const healthService = require('./health.service');
+
+/**
+ * GET /health/live
+ * The process is up and serving requests, dependencies are not checked
+ */
+const getLiveness = (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Server is alive',
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * GET /health/ready
+ * 503 when a component is down, the server shouldn't get traffic until it recovers
+ */
+const getReadiness = async (req, res, next) => {
+  try {
+    const { ready, checks } = await healthService.checkReadiness();
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      message: ready ? 'Server is ready' : 'Server is not ready',
+      checks,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getLiveness, getReadiness };
@@ -0,0 +1,92 @@
+const express = require('express');
+const healthController = require('./health.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness check
+ *     description: Answers as long as the process serves requests, without checking the database or Redis. A failing liveness check means the process should be restarted.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The process is alive
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Server is alive
+ *               uptime: 3600
+ *               timestamp: 2024-01-01T12:00:00.000Z
+ */
+router.get('/live', healthController.getLiveness);
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness check
+ *     description: Checks the database, Redis, the email queue and the heartbeat of the email worker, each within HEALTH_CHECK_TIMEOUT. With the in-memory scheduler, Redis and the worker are disabled since emails are sent by the server itself.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Every component is up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 checks:
+ *                   type: object
+ *                   properties:
+ *                     database:
+ *                       $ref: '#/components/schemas/ComponentHealth'
+ *                     redis:
+ *                       $ref: '#/components/schemas/ComponentHealth'
+ *                     queue:
+ *                       $ref: '#/components/schemas/ComponentHealth'
+ *                     worker:
+ *                       $ref: '#/components/schemas/ComponentHealth'
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *             example:
+ *               success: true
+ *               message: Server is ready
+ *               checks:
+ *                 database: { status: up, latencyMs: 2 }
+ *                 redis: { status: up, latencyMs: 1 }
+ *                 queue:
+ *                   status: up
+ *                   latencyMs: 3
+ *                   details: { jobs: { waiting: 0, active: 2, delayed: 118, prioritized: 0, paused: 0, failed: 1 } }
+ *                 worker:
+ *                   status: up
+ *                   latencyMs: 1
+ *                   details: { lastHeartbeatAt: 2024-01-01T11:59:55.000Z, host: worker-7d9f8 }
+ *               timestamp: 2024-01-01T12:00:00.000Z
+ *       503:
+ *         description: A component is down, with the reason in its error
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               message: Server is not ready
+ *               checks:
+ *                 database: { status: up, latencyMs: 2 }
+ *                 redis: { status: up, latencyMs: 1 }
+ *                 queue: { status: up, latencyMs: 3, details: { jobs: { waiting: 0, active: 0, delayed: 118, prioritized: 0, paused: 0, failed: 1 } } }
+ *                 worker: { status: down, latencyMs: 1, error: Last worker heartbeat 95s ago }
+ *               timestamp: 2024-01-01T12:00:00.000Z
+ */
+router.get('/ready', healthController.getReadiness);
+
+module.exports = router;
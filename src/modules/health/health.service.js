@@ -0,0 +1,95 @@
+const os = require('os');
+const { sequelize } = require('../../config/database');
+const { getRedisClient } = require('../../config/redis');
+const config = require('../../config/env');
+const { getEmailQueueCounts } = require('../email/email.queue');
+const { HEALTH_STATUS, WORKER_HEARTBEAT_KEY } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run a check within HEALTH_CHECK_TIMEOUT
+ * @param {Function} check - Resolves to optional details, rejects when the component is down
+ * @returns {Object} { status, latencyMs, details, error }
+ */
+const runCheck = async (check) => {
+  const start = Date.now();
+  try {
+    const details = await withTimeout(check(), config.health.checkTimeout);
+    return { status: HEALTH_STATUS.UP, latencyMs: Date.now() - start, ...(details && { details }) };
+  } catch (error) {
+    return { status: HEALTH_STATUS.DOWN, latencyMs: Date.now() - start, error: error.message };
+  }
+};
+
+const checkDatabase = async () => {
+  await sequelize.authenticate();
+};
+
+const checkRedis = async () => {
+  const client = await getRedisClient();
+  await client.ping();
+};
+
+const checkQueue = async () => ({ jobs: await getEmailQueueCounts() });
+
+const checkWorker = async () => {
+  const client = await getRedisClient();
+  const heartbeat = JSON.parse(await client.get(WORKER_HEARTBEAT_KEY));
+  if (!heartbeat) {
+    throw new Error('No worker heartbeat');
+  }
+
+  const age = Date.now() - heartbeat.at;
+  if (age > config.health.heartbeatMaxAge) {
+    throw new Error(`Last worker heartbeat ${Math.round(age / 1000)}s ago`);
+  }
+  return { lastHeartbeatAt: new Date(heartbeat.at).toISOString(), host: heartbeat.host };
+};
+
+/**
+ * Check the components needed to serve requests and send emails
+ * With the in-memory scheduler, Redis is not used and emails are sent by this process
+ * @returns {Object} { ready, checks } where checks maps each component to its runCheck result
+ */
+const checkReadiness = async () => {
+  const disabled = { status: HEALTH_STATUS.DISABLED };
+  const [database, redis, queue, worker] = await Promise.all([
+    runCheck(checkDatabase),
+    config.redis.enabled ? runCheck(checkRedis) : disabled,
+    runCheck(checkQueue),
+    config.redis.enabled ? runCheck(checkWorker) : disabled,
+  ]);
+  const checks = { database, redis, queue, worker };
+
+  const down = Object.keys(checks).filter((name) => checks[name].status === HEALTH_STATUS.DOWN);
+  if (down.length > 0) {
+    logger.warn('Readiness check failed', {
+      down: Object.fromEntries(down.map((name) => [name, checks[name].error])),
+    });
+  }
+  return { ready: down.length === 0, checks };
+};
+
+/**
+ * Record that the worker is running, read by the worker check of checkReadiness
+ * The key expires with the heartbeat, a stopped worker leaves no heartbeat behind
+ */
+const recordWorkerHeartbeat = async () => {
+  const client = await getRedisClient();
+  await client.set(
+    WORKER_HEARTBEAT_KEY,
+    JSON.stringify({ at: Date.now(), host: os.hostname(), pid: process.pid }),
+    'PX',
+    config.health.heartbeatMaxAge
+  );
+};
+
+module.exports = { checkReadiness, recordWorkerHeartbeat };
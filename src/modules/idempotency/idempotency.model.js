@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+
+/**
+ * Idempotency-Key reservations and the response they produced
+ * A key without responseStatus is still being processed. Keys are scoped to the tenant, two
+ * tenants using the same key don't see each other's responses.
+ */
+const IdempotencyKey = sequelize.define(
+  'IdempotencyKey',
+  {
+    tenantId: {
+      type: DataTypes.STRING(64),
+      primaryKey: true,
+    },
+    key: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+    },
+    requestHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    responseBody: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+  },
+  {
+    tableName: 'idempotency_keys',
+    timestamps: true,
+    underscored: true,
+    indexes: [{ fields: ['expires_at'] }],
+  }
+);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const IdempotencyKey = require('./idempotency.model');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+
+// JSON with sorted object keys, so equal payloads always hash the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash the parts of a request that must match for a retry to be replayed
+ * @param {Object} request - { method, path, body }
+ * @returns {string} sha256 hex digest
+ */
+const hashRequest = ({ method, path, body }) =>
+  crypto.createHash('sha256').update(canonicalize({ method, path, body })).digest('hex');
+
+/**
+ * Reserve an idempotency key for a request
+ * Expired keys are discarded and reserved again, as are reservations still without a response
+ * after IDEMPOTENCY_LEASE_SECONDS, left by a process that stopped while handling the request
+ * @param {string} tenantId - Tenant of the caller
+ * @param {string} key - Idempotency-Key header value
+ * @param {string} requestHash - Hash of the request
+ * @returns {Object} { record, created }
+ */
+const reserveKey = async (tenantId, key, requestHash) => {
+  try {
+    const defaults = {
+      requestHash,
+      expiresAt: new Date(Date.now() + config.idempotency.ttlSeconds * 1000),
+    };
+
+    let [record, created] = await IdempotencyKey.findOrCreate({
+      where: { tenantId, key },
+      defaults,
+    });
+
+    const leaseStart = new Date(Date.now() - config.idempotency.leaseSeconds * 1000);
+    const abandoned = record.responseStatus === null && record.createdAt <= leaseStart;
+    if (!created && (record.expiresAt <= new Date() || abandoned)) {
+      await record.destroy();
+      [record, created] = await IdempotencyKey.findOrCreate({
+        where: { tenantId, key },
+        defaults,
+      });
+    }
+
+    return { record, created };
+  } catch (error) {
+    logger.error('Error reserving idempotency key:', error);
+    throw error;
+  }
+};
+
+const saveResponse = async (tenantId, key, responseStatus, responseBody) => {
+  try {
+    // Serialize model instances the same way the response did
+    await IdempotencyKey.update(
+      { responseStatus, responseBody: JSON.parse(JSON.stringify(responseBody)) },
+      { where: { tenantId, key } }
+    );
+  } catch (error) {
+    logger.error('Error saving idempotent response:', error);
+    throw error;
+  }
+};
+
+// Release a reservation whose request did not succeed, so it can be retried
+const releaseKey = async (tenantId, key) => {
+  try {
+    await IdempotencyKey.destroy({ where: { tenantId, key, responseStatus: null } });
+  } catch (error) {
+    logger.error('Error releasing idempotency key:', error);
+    throw error;
+  }
+};
+
+const purgeExpiredKeys = async () => {
+  try {
+    const count = await IdempotencyKey.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } });
+    logger.info(`Purged expired idempotency keys: ${count}`, { count });
+    return count;
+  } catch (error) {
+    logger.error('Error purging idempotency keys:', error);
+    throw error;
+  }
+};
+
+module.exports = { hashRequest, reserveKey, saveResponse, releaseKey, purgeExpiredKeys };
@@ -0,0 +1,44 @@
+const providerService = require('./provider.service');
+const config = require('../../config/env');
+const { successResponse, errorResponse } = require('../../utils/response');
+
+const receiveSendGridEvents = async (req, res, next) => {
+  try {
+    const publicKey = config.sendgrid.webhookPublicKey;
+    if (!publicKey) {
+      return errorResponse(
+        res,
+        403,
+        'SendGrid events are disabled, SENDGRID_WEBHOOK_PUBLIC_KEY is not configured'
+      );
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const verified = providerService.verifySendGridSignature(
+      publicKey,
+      rawBody,
+      req.get('X-Twilio-Email-Event-Webhook-Signature'),
+      req.get('X-Twilio-Email-Event-Webhook-Timestamp')
+    );
+    if (!verified) {
+      return errorResponse(res, 401, 'Invalid signature');
+    }
+
+    let events;
+    try {
+      events = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      events = null;
+    }
+    if (!Array.isArray(events)) {
+      return errorResponse(res, 400, 'Request body must be a JSON array of events');
+    }
+
+    const result = await providerService.ingestSendGridEvents(events);
+    return successResponse(res, 200, 'Events received successfully', result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { receiveSendGridEvents };
@@ -0,0 +1,70 @@
+const express = require('express');
+const providerController = require('./provider.controller');
+
+const router = express.Router();
+
+// SendGrid posts events in batches, the signature is checked against the raw body
+const EVENTS_BODY_LIMIT = '5mb';
+
+/**
+ * @swagger
+ * /api/providers/sendgrid/events:
+ *   post:
+ *     summary: Receive SendGrid delivery events
+ *     description: Endpoint for the SendGrid Event Webhook. Requests are authenticated with the Event Webhook signature instead of an API key. Events are matched to emails by their message id and recorded on the email's delivery timeline; delivered, deferred, bounce, dropped and spamreport events also update the email's status.
+ *     tags: [Providers]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Twilio-Email-Event-Webhook-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Base64 ECDSA signature of the timestamp followed by the raw body
+ *       - in: header
+ *         name: X-Twilio-Email-Event-Webhook-Timestamp
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *             example:
+ *               - email: recipient@example.com
+ *                 timestamp: 1735117205
+ *                 event: delivered
+ *                 response: 250 2.0.0 OK
+ *                 sg_event_id: ZGVsaXZlcmVkLTAtMjQ2NzY4NjAtVzg2RWdZ
+ *                 sg_message_id: W86EgYT6SQKk0lRflfLRsA.filterdrecv-5645d9c87f-78xgx-1-64A5F4C5-1.0
+ *     responses:
+ *       200:
+ *         description: Events received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Events received successfully
+ *               data:
+ *                 received: 3
+ *                 recorded: 2
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Missing or invalid signature
+ *       403:
+ *         description: SENDGRID_WEBHOOK_PUBLIC_KEY is not configured
+ */
+router.post(
+  '/sendgrid/events',
+  express.raw({ type: 'application/json', limit: EVENTS_BODY_LIMIT }),
+  providerController.receiveSendGridEvents
+);
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const emailService = require('../email/email.service');
+const { EMAIL_STATUS, PROVIDER, SUPPRESSION_REASON } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+// Signed requests older or newer than this are rejected, so that a captured request can't be replayed
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// SendGrid Event Webhook events that change the email's status, the others only go on its timeline
+const SENDGRID_EVENT_STATUS = {
+  deferred: EMAIL_STATUS.DEFERRED,
+  delivered: EMAIL_STATUS.DELIVERED,
+  bounce: EMAIL_STATUS.BOUNCED,
+  dropped: EMAIL_STATUS.DROPPED,
+  spamreport: EMAIL_STATUS.SPAM_REPORTED,
+};
+
+/**
+ * Addresses that should not be mailed again: hard bounces (not blocks, which are usually
+ * temporary), spam reports and global unsubscribes
+ */
+const getSuppressionReason = (event) => {
+  if (event.event === 'bounce' && event.type !== 'blocked') {
+    return SUPPRESSION_REASON.BOUNCE;
+  }
+  if (event.event === 'spamreport') {
+    return SUPPRESSION_REASON.COMPLAINT;
+  }
+  if (event.event === 'unsubscribe') {
+    return SUPPRESSION_REASON.UNSUBSCRIBE;
+  }
+  return null;
+};
+
+/**
+ * Load the verification key shown in the SendGrid settings
+ * Accepts the base64 DER key as shown there, or a PEM key
+ */
+const toPublicKey = (key) =>
+  key.includes('BEGIN PUBLIC KEY')
+    ? crypto.createPublicKey(key)
+    : crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+
+/**
+ * Check the ECDSA signature of a SendGrid Event Webhook request
+ * SendGrid signs "<timestamp><raw body>" and sends the base64 signature in a header; the timestamp,
+ * in seconds, must be within SIGNATURE_TOLERANCE_SECONDS of now
+ * @param {string} publicKey - Verification key of the Event Webhook
+ * @param {Buffer} rawBody - Request body as received
+ * @param {string} signature - X-Twilio-Email-Event-Webhook-Signature header
+ * @param {string} timestamp - X-Twilio-Email-Event-Webhook-Timestamp header
+ * @returns {boolean}
+ */
+const verifySendGridSignature = (publicKey, rawBody, signature, timestamp) => {
+  if (!signature || !timestamp) {
+    return false;
+  }
+  if (!(Math.abs(Date.now() / 1000 - Number(timestamp)) <= SIGNATURE_TOLERANCE_SECONDS)) {
+    return false;
+  }
+
+  const key = toPublicKey(publicKey);
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.concat([Buffer.from(timestamp), rawBody]),
+      key,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    // Malformed signature
+    return false;
+  }
+};
+
+/**
+ * Record a batch of SendGrid Event Webhook events on the timelines of their emails
+ * sg_message_id is the X-Message-Id returned when sending, followed by a suffix per recipient
+ * @param {Array<Object>} events - Events as posted by SendGrid
+ * @returns {Object} { received, recorded }
+ */
+const ingestSendGridEvents = async (events) => {
+  try {
+    let recorded = 0;
+    const ordered = [...events].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+    for (const event of ordered) {
+      if (!event.sg_message_id || !event.event) {
+        continue;
+      }
+
+      const deliveryEvent = await emailService.recordDeliveryEvent({
+        provider: PROVIDER.SENDGRID,
+        messageId: event.sg_message_id.split('.')[0],
+        event: event.event,
+        status: SENDGRID_EVENT_STATUS[event.event] || null,
+        recipient: event.email || null,
+        reason: event.reason || event.response || null,
+        providerEventId: event.sg_event_id || null,
+        occurredAt: event.timestamp ? new Date(event.timestamp * 1000) : new Date(),
+        payload: event,
+        suppressionReason: getSuppressionReason(event),
+      });
+      if (deliveryEvent) {
+        recorded += 1;
+      }
+    }
+
+    logger.info(`SendGrid events ingested: ${recorded}/${events.length}`, {
+      received: events.length,
+      recorded,
+    });
+    return { received: events.length, recorded };
+  } catch (error) {
+    logger.error('Error ingesting SendGrid events:', error);
+    throw error;
+  }
+};
+
+module.exports = { verifySendGridSignature, ingestSendGridEvents };
@@ -0,0 +1,72 @@
+const suppressionService = require('./suppression.service');
+const { successResponse } = require('../../utils/response');
+
+const createSuppression = async (req, res, next) => {
+  try {
+    const suppression = await suppressionService.createSuppression(req.tenantId, req.validatedData);
+    return successResponse(res, 201, 'Address suppressed successfully', suppression);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const importSuppressions = async (req, res, next) => {
+  try {
+    const result = await suppressionService.importSuppressions(
+      req.tenantId,
+      req.validatedData.suppressions
+    );
+    return successResponse(res, 200, 'Suppressions imported successfully', result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listSuppressions = async (req, res, next) => {
+  try {
+    const result = await suppressionService.listSuppressions(req.tenantId, req.validatedData);
+    return successResponse(res, 200, 'Suppressions retrieved successfully', result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSuppressionById = async (req, res, next) => {
+  try {
+    const suppression = await suppressionService.getSuppressionById(req.tenantId, req.params.id);
+    return successResponse(res, 200, 'Suppression retrieved successfully', suppression);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateSuppression = async (req, res, next) => {
+  try {
+    const suppression = await suppressionService.updateSuppression(
+      req.tenantId,
+      req.params.id,
+      req.validatedData
+    );
+    return successResponse(res, 200, 'Suppression updated successfully', suppression);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteSuppression = async (req, res, next) => {
+  try {
+    await suppressionService.deleteSuppression(req.tenantId, req.params.id);
+    return successResponse(res, 200, 'Suppression deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createSuppression,
+  importSuppressions,
+  listSuppressions,
+  getSuppressionById,
+  updateSuppression,
+  deleteSuppression,
+};
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const { SUPPRESSION_REASON, SUPPRESSION } = require('../../utils/constants');
+
+/**
+ * An address the tenant's emails must not be sent to
+ * Addresses are stored lowercased, a suppression past its expiresAt no longer applies.
+ * A suppression with a category only blocks emails of that category, one without blocks them all.
+ */
+const Suppression = sequelize.define(
+  'Suppression',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    tenantId: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      set(value) {
+        this.setDataValue('email', typeof value === 'string' ? value.toLowerCase() : value);
+      },
+      validate: {
+        isEmail: true,
+      },
+    },
+    // Stored as '' rather than NULL so that the unique index covers suppressions of every category
+    category: {
+      type: DataTypes.STRING(SUPPRESSION.MAX_CATEGORY_LENGTH),
+      allowNull: false,
+      defaultValue: '',
+      get() {
+        return this.getDataValue('category') || null;
+      },
+      set(value) {
+        this.setDataValue('category', value || '');
+      },
+    },
+    reason: {
+      type: DataTypes.ENUM(...Object.values(SUPPRESSION_REASON)),
+      defaultValue: SUPPRESSION_REASON.MANUAL,
+      allowNull: false,
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: 'suppressions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { unique: true, fields: ['tenant_id', 'email', 'category'] },
+      { fields: ['tenant_id', 'created_at', 'id'] },
+    ],
+  }
+);
+
+module.exports = Suppression;
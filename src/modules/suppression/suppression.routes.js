@@ -0,0 +1,233 @@
+const express = require('express');
+const suppressionController = require('./suppression.controller');
+const {
+  validateCreateSuppression,
+  validateImportSuppressions,
+  validateUpdateSuppression,
+  validateListSuppressions,
+} = require('./suppression.validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/suppressions:
+ *   post:
+ *     summary: Suppress an address
+ *     description: Stop sending your tenant's emails to an address, until the suppression expires or is deleted
+ *     tags: [Suppressions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateSuppressionRequest'
+ *           example:
+ *             email: former.customer@example.com
+ *             reason: unsubscribe
+ *             note: Asked by phone
+ *     responses:
+ *       201:
+ *         description: Address suppressed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Address suppressed successfully
+ *               data:
+ *                 id: 2d4f6a8c-1b3e-4d5f-8a9b-0c1d2e3f4a5b
+ *                 tenantId: acme
+ *                 email: former.customer@example.com
+ *                 category: null
+ *                 reason: unsubscribe
+ *                 note: Asked by phone
+ *                 expiresAt: null
+ *                 createdAt: 2024-01-01T12:00:00.000Z
+ *                 updatedAt: 2024-01-01T12:00:00.000Z
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         description: Address is already suppressed for this category
+ *   get:
+ *     summary: List suppressions
+ *     description: Suppressed addresses of your tenant, most recent first
+ *     tags: [Suppressions]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [bounce, complaint, unsubscribe, manual]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only suppressions of this category
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *           format: email
+ *         description: Only the suppressions of this address
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: true for suppressions in effect, false for expired ones
+ *     responses:
+ *       200:
+ *         description: Suppressions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/', validateCreateSuppression, suppressionController.createSuppression);
+router.get('/', validateListSuppressions, suppressionController.listSuppressions);
+
+/**
+ * @swagger
+ * /api/suppressions/import:
+ *   post:
+ *     summary: Import suppressions in bulk
+ *     description: Suppress up to 1000 addresses at once, e.g. from another provider's suppression list. Addresses already suppressed for the same category get the imported reason, note and expiry.
+ *     tags: [Suppressions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [suppressions]
+ *             properties:
+ *               suppressions:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 1000
+ *                 items:
+ *                   $ref: '#/components/schemas/CreateSuppressionRequest'
+ *           example:
+ *             suppressions:
+ *               - email: bounced@example.com
+ *                 reason: bounce
+ *               - email: later@example.com
+ *                 reason: manual
+ *                 expiresAt: 2025-06-30T00:00:00.000Z
+ *     responses:
+ *       200:
+ *         description: Suppressions imported successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Suppressions imported successfully
+ *               data:
+ *                 imported: 2
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/import', validateImportSuppressions, suppressionController.importSuppressions);
+
+/**
+ * @swagger
+ * /api/suppressions/{id}:
+ *   get:
+ *     summary: Get a suppression
+ *     tags: [Suppressions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Suppression retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   put:
+ *     summary: Update a suppression
+ *     description: Change the reason, the note or the expiry of a suppression
+ *     tags: [Suppressions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateSuppressionRequest'
+ *           example:
+ *             expiresAt: 2025-06-30T00:00:00.000Z
+ *     responses:
+ *       200:
+ *         description: Suppression updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Delete a suppression
+ *     description: Emails can be sent to the address again
+ *     tags: [Suppressions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Suppression deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id', suppressionController.getSuppressionById);
+router.put('/:id', validateUpdateSuppression, suppressionController.updateSuppression);
+router.delete('/:id', suppressionController.deleteSuppression);
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const { Op } = require('sequelize');
+const Suppression = require('./suppression.model');
+const { SUPPRESSION_REASON } = require('../../utils/constants');
+const { findPage } = require('../../utils/pagination');
+const logger = require('../../utils/logger');
+
+// Suppressions without an expiry, or expiring later
+const activeCondition = () => ({
+  [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }],
+});
+
+const getSuppression = async (tenantId, id) => {
+  const suppression = await Suppression.findOne({ where: { id, tenantId } });
+  if (!suppression) {
+    const error = new Error('Suppression not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return suppression;
+};
+
+/**
+ * Suppressions in effect for some of the given addresses
+ * @param {string} tenantId
+ * @param {Array<string>} addresses - Recipients, compared case-insensitively
+ * @param {string} [category] - Category of the email, suppressions of other categories don't apply
+ * @returns {Array<Object>} Active suppressions of the addresses
+ */
+const findSuppressed = async (tenantId, addresses, category = null) => {
+  try {
+    if (addresses.length === 0) {
+      return [];
+    }
+
+    return await Suppression.findAll({
+      where: {
+        tenantId,
+        email: [...new Set(addresses.map((address) => address.toLowerCase()))],
+        category: category ? ['', category] : '',
+        ...activeCondition(),
+      },
+      order: [['email', 'ASC']],
+    });
+  } catch (error) {
+    logger.error('Error finding suppressed addresses:', error);
+    throw error;
+  }
+};
+
+/**
+ * Describe suppressed recipients for a failure reason or an error message
+ * @param {Array<Object>} suppressions
+ * @returns {string} e.g. "bounced@example.com (bounce), reader@example.com (unsubscribe: newsletter)"
+ */
+const describeSuppressions = (suppressions) =>
+  suppressions
+    .map(({ email, reason, category }) => `${email} (${reason}${category ? `: ${category}` : ''})`)
+    .join(', ');
+
+const createSuppression = async (tenantId, data) => {
+  try {
+    const existing = await Suppression.findOne({
+      where: { tenantId, email: data.email.toLowerCase(), category: data.category || '' },
+    });
+    if (existing) {
+      const error = new Error('Address is already suppressed');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const suppression = await Suppression.create({ ...data, tenantId });
+    logger.info(`Address suppressed: ${suppression.id}`, {
+      suppressionId: suppression.id,
+      tenantId,
+      reason: suppression.reason,
+    });
+    return suppression;
+  } catch (error) {
+    logger.error('Error creating suppression:', error);
+    throw error;
+  }
+};
+
+/**
+ * Suppress an address on behalf of the service (hard bounce, complaint, unsubscribe)
+ * An existing suppression of the address gets the new reason and no longer expires
+ * @param {string} tenantId
+ * @param {string} email
+ * @param {string} reason - One of SUPPRESSION_REASON
+ * @param {string} [note]
+ * @param {string} [category] - Only suppress emails of this category
+ */
+const suppressAddress = async (tenantId, email, reason, note = null, category = null) => {
+  try {
+    await Suppression.upsert(
+      { tenantId, email, category, reason, note, expiresAt: null },
+      {
+        conflictFields: ['tenant_id', 'email', 'category'],
+        fields: ['reason', 'note', 'expiresAt'],
+      }
+    );
+    logger.info('Address suppressed automatically', { tenantId, reason, category });
+  } catch (error) {
+    logger.error('Error suppressing address:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add or update many suppressions at once
+ * Addresses already suppressed (in the same category) get the imported reason, note and expiry
+ * @param {string} tenantId
+ * @param {Array<Object>} suppressions - { email, category, reason, note, expiresAt }
+ * @returns {Object} { imported }
+ */
+const importSuppressions = async (tenantId, suppressions) => {
+  try {
+    // One row per address and category, the last one wins
+    const byEmail = new Map();
+    for (const suppression of suppressions) {
+      byEmail.set(`${suppression.email.toLowerCase()} ${suppression.category || ''}`, {
+        category: null,
+        reason: SUPPRESSION_REASON.MANUAL,
+        note: null,
+        expiresAt: null,
+        ...suppression,
+        tenantId,
+      });
+    }
+
+    const rows = await Suppression.bulkCreate([...byEmail.values()], {
+      validate: true,
+      updateOnDuplicate: ['reason', 'note', 'expiresAt', 'updatedAt'],
+      conflictAttributes: ['tenantId', 'email', 'category'],
+    });
+
+    logger.info(`Suppressions imported: ${rows.length}`, { tenantId, imported: rows.length });
+    return { imported: rows.length };
+  } catch (error) {
+    logger.error('Error importing suppressions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Suppressions of a tenant, most recent first
+ * @param {string} tenantId
+ * @param {Object} [options] - Pagination (see findPage), reason, category, email and active filters
+ */
+const listSuppressions = async (tenantId, { reason, category, email, active, ...options } = {}) => {
+  try {
+    const conditions = [{ tenantId }];
+    if (reason) {
+      conditions.push({ reason });
+    }
+    if (category) {
+      conditions.push({ category });
+    }
+    if (email) {
+      conditions.push({ email: email.toLowerCase() });
+    }
+    if (active === true) {
+      conditions.push(activeCondition());
+    }
+    if (active === false) {
+      conditions.push({ expiresAt: { [Op.lte]: new Date() } });
+    }
+
+    const { rows, pagination } = await findPage(Suppression, {
+      ...options,
+      where: { [Op.and]: conditions },
+    });
+    return { suppressions: rows, pagination };
+  } catch (error) {
+    logger.error('Error listing suppressions:', error);
+    throw error;
+  }
+};
+
+const getSuppressionById = async (tenantId, id) => {
+  try {
+    return await getSuppression(tenantId, id);
+  } catch (error) {
+    logger.error('Error getting suppression:', error);
+    throw error;
+  }
+};
+
+const updateSuppression = async (tenantId, id, updateData) => {
+  try {
+    const suppression = await getSuppression(tenantId, id);
+    await suppression.update(updateData);
+
+    logger.info(`Suppression updated: ${id}`, { suppressionId: id, tenantId });
+    return suppression;
+  } catch (error) {
+    logger.error('Error updating suppression:', error);
+    throw error;
+  }
+};
+
+// Removing a suppression lets emails be sent to the address again
+const deleteSuppression = async (tenantId, id) => {
+  try {
+    const suppression = await getSuppression(tenantId, id);
+    await suppression.destroy();
+
+    logger.info(`Suppression deleted: ${id}`, { suppressionId: id, tenantId });
+    return true;
+  } catch (error) {
+    logger.error('Error deleting suppression:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  findSuppressed,
+  describeSuppressions,
+  createSuppression,
+  suppressAddress,
+  importSuppressions,
+  listSuppressions,
+  getSuppressionById,
+  updateSuppression,
+  deleteSuppression,
+};
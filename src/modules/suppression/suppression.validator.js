@@ -0,0 +1,145 @@
+const Joi = require('joi');
+const { SUPPRESSION_REASON, SUPPRESSION, PAGINATION } = require('../../utils/constants');
+
+const reasonSchema = Joi.string()
+  .lowercase()
+  .valid(...Object.values(SUPPRESSION_REASON));
+
+// Category of emails the suppression applies to, every category when missing
+const categorySchema = Joi.string().trim().min(1).max(SUPPRESSION.MAX_CATEGORY_LENGTH);
+
+const suppressionFields = {
+  email: Joi.string().trim().lowercase().email().max(255).required().messages({
+    'string.email': 'Invalid email address',
+    'any.required': 'Email is required',
+  }),
+  category: categorySchema.allow(null).optional(),
+  reason: reasonSchema.optional(),
+  note: Joi.string().max(1000).allow('', null).optional(),
+  expiresAt: Joi.date().iso().greater('now').allow(null).optional().messages({
+    'date.greater': 'Expiry date must be in the future',
+  }),
+};
+
+const createSuppressionSchema = Joi.object(suppressionFields);
+
+const importSuppressionsSchema = Joi.object({
+  suppressions: Joi.array()
+    .items(Joi.object(suppressionFields))
+    .min(1)
+    .max(SUPPRESSION.MAX_IMPORT)
+    .required()
+    .messages({
+      'array.max': `At most ${SUPPRESSION.MAX_IMPORT} suppressions can be imported at once`,
+    }),
+});
+
+const updateSuppressionSchema = Joi.object({
+  reason: suppressionFields.reason,
+  note: suppressionFields.note,
+  expiresAt: suppressionFields.expiresAt,
+})
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update',
+  });
+
+const listSuppressionsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(PAGINATION.DEFAULT_PAGE),
+  limit: Joi.number().integer().min(1).default(PAGINATION.DEFAULT_LIMIT),
+  reason: reasonSchema.optional(),
+  category: categorySchema.optional(),
+  email: Joi.string().trim().lowercase().email().optional(),
+  active: Joi.boolean().optional(),
+});
+
+const validateCreateSuppression = (req, res, next) => {
+  const { error, value } = createSuppressionSchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+const validateImportSuppressions = (req, res, next) => {
+  const { error, value } = importSuppressionsSchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+const validateUpdateSuppression = (req, res, next) => {
+  const { error, value } = updateSuppressionSchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+const validateListSuppressions = (req, res, next) => {
+  const { error, value } = listSuppressionsSchema.validate(req.query, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+module.exports = {
+  validateCreateSuppression,
+  validateImportSuppressions,
+  validateUpdateSuppression,
+  validateListSuppressions,
+};
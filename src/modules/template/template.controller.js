@@ -0,0 +1,85 @@
+const templateService = require('./template.service');
+const { successResponse } = require('../../utils/response');
+
+const createTemplate = async (req, res, next) => {
+  try {
+    const template = await templateService.createTemplate(req.tenantId, req.validatedData);
+    return successResponse(res, 201, 'Template created successfully', template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getTemplateById = async (req, res, next) => {
+  try {
+    const template = await templateService.getTemplateById(req.tenantId, req.params.id);
+    return successResponse(res, 200, 'Template retrieved successfully', template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getAllTemplates = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const result = await templateService.getAllTemplates(req.tenantId, page, limit);
+    return successResponse(res, 200, 'Templates retrieved successfully', result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateTemplate = async (req, res, next) => {
+  try {
+    const template = await templateService.updateTemplate(
+      req.tenantId,
+      req.params.id,
+      req.validatedData
+    );
+    return successResponse(res, 200, 'Template updated successfully', template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteTemplate = async (req, res, next) => {
+  try {
+    await templateService.deleteTemplate(req.tenantId, req.params.id);
+    return successResponse(res, 200, 'Template deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getTemplateVersions = async (req, res, next) => {
+  try {
+    const versions = await templateService.getTemplateVersions(req.tenantId, req.params.id);
+    return successResponse(res, 200, 'Template versions retrieved successfully', versions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getTemplateVersion = async (req, res, next) => {
+  try {
+    const version = await templateService.getTemplateVersion(
+      req.tenantId,
+      req.params.id,
+      parseInt(req.params.version) || 0
+    );
+    return successResponse(res, 200, 'Template version retrieved successfully', version);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createTemplate,
+  getTemplateById,
+  getAllTemplates,
+  updateTemplate,
+  deleteTemplate,
+  getTemplateVersions,
+  getTemplateVersion,
+};
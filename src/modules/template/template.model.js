@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+
+const Template = sequelize.define(
+  'Template',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    tenantId: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    // Unique per tenant
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    latestVersion: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1,
+      allowNull: false,
+    },
+  },
+  {
+    tableName: 'templates',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { unique: true, fields: ['tenant_id', 'name'] },
+      { fields: ['tenant_id', 'created_at'] },
+    ],
+  }
+);
+
+module.exports = Template;
@@ -0,0 +1,216 @@
+const express = require('express');
+const templateController = require('./template.controller');
+const { validateCreateTemplate, validateUpdateTemplate } = require('./template.validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/templates:
+ *   post:
+ *     summary: Create a template
+ *     description: Create a reusable email template. Subject and body may contain {{placeholders}} that are filled from the variables of each scheduled email.
+ *     tags: [Templates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateTemplateRequest'
+ *           example:
+ *             name: welcome
+ *             description: Welcome email for new users
+ *             subject: Welcome, {{firstName}}!
+ *             body: Hi {{firstName}}, your account {{accountId}} is ready.
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Template created successfully
+ *               data:
+ *                 id: 6fa459ea-ee8a-3ca4-894e-db77e160355e
+ *                 name: welcome
+ *                 description: Welcome email for new users
+ *                 latestVersion: 1
+ *                 subject: Welcome, {{firstName}}!
+ *                 body: Hi {{firstName}}, your account {{accountId}} is ready.
+ *                 placeholders: [firstName, accountId]
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: A template with this name already exists
+ */
+router.post('/', validateCreateTemplate, templateController.createTemplate);
+
+/**
+ * @swagger
+ * /api/templates:
+ *   get:
+ *     summary: Get all templates
+ *     description: Retrieve a paginated list of templates (without their content)
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ */
+router.get('/', templateController.getAllTemplates);
+
+/**
+ * @swagger
+ * /api/templates/{id}:
+ *   get:
+ *     summary: Get template by ID
+ *     description: Retrieve a template with the content of its latest version
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Template unique identifier
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id', templateController.getTemplateById);
+
+/**
+ * @swagger
+ * /api/templates/{id}:
+ *   put:
+ *     summary: Update a template
+ *     description: Update a template. Changing the subject or body creates a new version; emails already scheduled keep the version they were created with.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Template unique identifier
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateTemplateRequest'
+ *           example:
+ *             body: Hello {{firstName}}, your account {{accountId}} is now active.
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put('/:id', validateUpdateTemplate, templateController.updateTemplate);
+
+/**
+ * @swagger
+ * /api/templates/{id}:
+ *   delete:
+ *     summary: Delete a template
+ *     description: Delete a template and all of its versions. Templates used by emails that are still scheduled cannot be deleted.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Template unique identifier
+ *     responses:
+ *       200:
+ *         description: Template deleted successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Template is used by emails that are still scheduled
+ */
+router.delete('/:id', templateController.deleteTemplate);
+
+/**
+ * @swagger
+ * /api/templates/{id}/versions:
+ *   get:
+ *     summary: List template versions
+ *     description: Retrieve all versions of a template, newest first
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Template unique identifier
+ *     responses:
+ *       200:
+ *         description: Template versions retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/versions', templateController.getTemplateVersions);
+
+/**
+ * @swagger
+ * /api/templates/{id}/versions/{version}:
+ *   get:
+ *     summary: Get a template version
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Template unique identifier
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Version number
+ *     responses:
+ *       200:
+ *         description: Template version retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/versions/:version', templateController.getTemplateVersion);
+
+module.exports = router;
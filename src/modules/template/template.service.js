@@ -0,0 +1,278 @@
+const { sequelize } = require('../../config/database');
+const Template = require('./template.model');
+const TemplateVersion = require('./templateVersion.model');
+const Email = require('../email/email.model');
+const { EMAIL_STATUS, PAGINATION } = require('../../utils/constants');
+const {
+  extractPlaceholders,
+  findMissingVariables,
+  render,
+} = require('../../utils/templateRenderer');
+const logger = require('../../utils/logger');
+
+const notFoundError = () => {
+  const error = new Error('Template not found');
+  error.statusCode = 404;
+  return error;
+};
+
+// Reported by the error middleware as a 400 with per-field errors
+const validationError = (details) => {
+  const error = new Error('Validation error');
+  error.name = 'ValidationError';
+  error.details = details;
+  return error;
+};
+
+// Templates of other tenants are reported as not found
+const findTemplate = async (tenantId, id) => {
+  const template = await Template.findOne({ where: { id, tenantId } });
+  if (!template) {
+    throw notFoundError();
+  }
+  return template;
+};
+
+const findVersion = (templateId, version) =>
+  TemplateVersion.findOne({ where: { templateId, version } });
+
+const formatTemplate = (template, version) => ({
+  ...template.toJSON(),
+  subject: version.subject,
+  body: version.body,
+  placeholders: version.placeholders,
+});
+
+const createTemplate = async (tenantId, { name, description, subject, body }) => {
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const template = await Template.create({ tenantId, name, description }, { transaction });
+      const version = await TemplateVersion.create(
+        {
+          templateId: template.id,
+          version: 1,
+          subject,
+          body,
+          placeholders: extractPlaceholders(subject, body),
+        },
+        { transaction }
+      );
+      return formatTemplate(template, version);
+    });
+
+    logger.info(`Template created: ${result.id}`, { templateId: result.id });
+    return result;
+  } catch (error) {
+    logger.error('Error creating template:', error);
+    throw error;
+  }
+};
+
+const getTemplateById = async (tenantId, id) => {
+  try {
+    const template = await findTemplate(tenantId, id);
+    const version = await findVersion(id, template.latestVersion);
+    return formatTemplate(template, version);
+  } catch (error) {
+    logger.error('Error getting template:', error);
+    throw error;
+  }
+};
+
+const getAllTemplates = async (
+  tenantId,
+  page = PAGINATION.DEFAULT_PAGE,
+  limit = PAGINATION.DEFAULT_LIMIT
+) => {
+  try {
+    const offset = (page - 1) * limit;
+    const actualLimit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+    const { count, rows } = await Template.findAndCountAll({
+      where: { tenantId },
+      limit: actualLimit,
+      offset,
+      order: [['createdAt', 'DESC']],
+    });
+
+    return {
+      templates: rows,
+      pagination: {
+        page,
+        limit: actualLimit,
+        total: count,
+        totalPages: Math.ceil(count / actualLimit),
+      },
+    };
+  } catch (error) {
+    logger.error('Error getting templates:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a template
+ * A change of subject or body creates a new version; emails already scheduled keep their version
+ */
+const updateTemplate = async (tenantId, id, { name, description, subject, body }) => {
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const template = await Template.findOne({
+        where: { id, tenantId },
+        transaction,
+        lock: true,
+      });
+      if (!template) {
+        throw notFoundError();
+      }
+
+      let version = await TemplateVersion.findOne({
+        where: { templateId: id, version: template.latestVersion },
+        transaction,
+      });
+
+      const nextSubject = subject !== undefined ? subject : version.subject;
+      const nextBody = body !== undefined ? body : version.body;
+
+      if (nextSubject !== version.subject || nextBody !== version.body) {
+        version = await TemplateVersion.create(
+          {
+            templateId: id,
+            version: template.latestVersion + 1,
+            subject: nextSubject,
+            body: nextBody,
+            placeholders: extractPlaceholders(nextSubject, nextBody),
+          },
+          { transaction }
+        );
+      }
+
+      const updates = { latestVersion: version.version };
+      if (name !== undefined) updates.name = name;
+      if (description !== undefined) updates.description = description;
+      await template.update(updates, { transaction });
+
+      return formatTemplate(template, version);
+    });
+
+    logger.info(`Template updated: ${id}`, { templateId: id, version: result.latestVersion });
+    return result;
+  } catch (error) {
+    logger.error('Error updating template:', error);
+    throw error;
+  }
+};
+
+const deleteTemplate = async (tenantId, id) => {
+  try {
+    const template = await findTemplate(tenantId, id);
+
+    const pendingEmails = await Email.count({
+      where: { templateId: id, status: EMAIL_STATUS.PENDING },
+    });
+    if (pendingEmails > 0) {
+      const error = new Error('Template is used by emails that are still scheduled');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await template.destroy();
+    logger.info(`Template deleted: ${id}`, { templateId: id });
+    return true;
+  } catch (error) {
+    logger.error('Error deleting template:', error);
+    throw error;
+  }
+};
+
+const getTemplateVersions = async (tenantId, id) => {
+  try {
+    await findTemplate(tenantId, id);
+    return await TemplateVersion.findAll({
+      where: { templateId: id },
+      order: [['version', 'DESC']],
+    });
+  } catch (error) {
+    logger.error('Error getting template versions:', error);
+    throw error;
+  }
+};
+
+const getTemplateVersion = async (tenantId, id, versionNumber) => {
+  try {
+    await findTemplate(tenantId, id);
+    const version = await findVersion(id, versionNumber);
+    if (!version) {
+      const error = new Error('Template version not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return version;
+  } catch (error) {
+    logger.error('Error getting template version:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check that an email can be scheduled with a template
+ * Resolves the version to pin (latest when not given) and rejects missing variables up front
+ * @param {string} tenantId - Tenant of the email, only its templates can be used
+ * @param {string} templateId - Template identifier
+ * @param {number} [versionNumber] - Template version, defaults to the latest
+ * @param {Object} [variables] - Placeholder values
+ * @returns {number} The template version the email is pinned to
+ */
+const resolveTemplateForEmail = async (tenantId, templateId, versionNumber, variables = {}) => {
+  const template = await Template.findOne({ where: { id: templateId, tenantId } });
+  if (!template) {
+    throw validationError([{ field: 'templateId', message: 'Template not found' }]);
+  }
+
+  const version = await findVersion(templateId, versionNumber || template.latestVersion);
+  if (!version) {
+    throw validationError([{ field: 'templateVersion', message: 'Template version not found' }]);
+  }
+
+  const missing = findMissingVariables(version.placeholders, variables || {});
+  if (missing.length > 0) {
+    throw validationError(
+      missing.map((name) => ({
+        field: `variables.${name}`,
+        message: `Variable "${name}" is required by the template`,
+      }))
+    );
+  }
+
+  return version.version;
+};
+
+/**
+ * Render the subject and body of a template version
+ * @param {string} tenantId - Tenant of the email
+ * @returns {Object} { subject, body }
+ */
+const renderTemplate = async (tenantId, templateId, versionNumber, variables = {}) => {
+  const template = await Template.findOne({ where: { id: templateId, tenantId } });
+  const version = template && (await findVersion(templateId, versionNumber));
+  if (!version) {
+    throw new Error(`Template ${templateId} version ${versionNumber} not found`);
+  }
+
+  return {
+    subject: render(version.subject, variables || {}),
+    body: render(version.body, variables || {}),
+  };
+};
+
+module.exports = {
+  createTemplate,
+  getTemplateById,
+  getAllTemplates,
+  updateTemplate,
+  deleteTemplate,
+  getTemplateVersions,
+  getTemplateVersion,
+  resolveTemplateForEmail,
+  renderTemplate,
+};
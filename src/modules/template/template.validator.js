@@ -0,0 +1,82 @@
+const Joi = require('joi');
+
+const createTemplateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).required().messages({
+    'string.min': 'Name must be at least 1 character',
+    'string.max': 'Name must not exceed 255 characters',
+    'any.required': 'Name is required',
+  }),
+  description: Joi.string().allow('').optional(),
+  subject: Joi.string().min(1).max(500).required().messages({
+    'string.min': 'Subject must be at least 1 character',
+    'string.max': 'Subject must not exceed 500 characters',
+    'any.required': 'Subject is required',
+  }),
+  body: Joi.string().min(1).required().messages({
+    'string.min': 'Body must be at least 1 character',
+    'any.required': 'Body is required',
+  }),
+});
+
+const updateTemplateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).optional().messages({
+    'string.min': 'Name must be at least 1 character',
+    'string.max': 'Name must not exceed 255 characters',
+  }),
+  description: Joi.string().allow('').optional(),
+  subject: Joi.string().min(1).max(500).optional().messages({
+    'string.min': 'Subject must be at least 1 character',
+    'string.max': 'Subject must not exceed 500 characters',
+  }),
+  body: Joi.string().min(1).optional().messages({
+    'string.min': 'Body must be at least 1 character',
+  }),
+})
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided',
+  });
+
+const validateCreateTemplate = (req, res, next) => {
+  const { error, value } = createTemplateSchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+const validateUpdateTemplate = (req, res, next) => {
+  const { error, value } = updateTemplateSchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+module.exports = { validateCreateTemplate, validateUpdateTemplate };
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const Template = require('./template.model');
+
+/**
+ * Immutable subject/body content of a template
+ * Every content change of a template creates a new version
+ */
+const TemplateVersion = sequelize.define(
+  'TemplateVersion',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    templateId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    subject: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    placeholders: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+      allowNull: false,
+    },
+  },
+  {
+    tableName: 'template_versions',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [{ unique: true, fields: ['template_id', 'version'] }],
+  }
+);
+
+Template.hasMany(TemplateVersion, {
+  as: 'versions',
+  foreignKey: 'templateId',
+  onDelete: 'CASCADE',
+});
+TemplateVersion.belongsTo(Template, { as: 'template', foreignKey: 'templateId' });
+
+module.exports = TemplateVersion;
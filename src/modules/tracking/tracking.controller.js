@@ -0,0 +1,39 @@
+const trackingService = require('./tracking.service');
+const { htmlResponse } = require('../../utils/response');
+const { escapeHtml } = require('../../utils/html');
+const { TRACKING_EVENT } = require('../../utils/constants');
+
+// Transparent 1x1 GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// The pixel is always answered, an invalid token is just not recorded
+const trackOpen = async (req, res) => {
+  try {
+    const event = trackingService.readTrackingToken(TRACKING_EVENT.OPEN, req.params.token);
+    await trackingService.recordTrackingEvent(event, req.get('User-Agent'));
+  } catch (error) {
+    // Invalid token, nothing to record
+  }
+
+  return res
+    .status(200)
+    .set('Cache-Control', 'no-store, no-cache, must-revalidate, private')
+    .type('gif')
+    .send(PIXEL);
+};
+
+// Only links signed by this service are redirected to, so the route can't be used as an open redirect
+const trackClick = async (req, res, next) => {
+  try {
+    const event = trackingService.readTrackingToken(TRACKING_EVENT.CLICK, req.params.token);
+    await trackingService.recordTrackingEvent(event, req.get('User-Agent'));
+    return res.redirect(302, event.url);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return htmlResponse(res, 400, 'Invalid link', `<p>${escapeHtml(error.message)}.</p>`);
+    }
+    next(error);
+  }
+};
+
+module.exports = { trackOpen, trackClick };
@@ -0,0 +1,55 @@
+const express = require('express');
+const trackingController = require('./tracking.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /track/open/{token}:
+ *   get:
+ *     summary: Tracking pixel
+ *     description: Loaded by the recipient's mail client from the pixel added to emails sent with tracking. Records an open with its time and user agent, and always answers a transparent 1x1 GIF. Mail clients that block or proxy images don't report opens, or report them without the recipient's user agent.
+ *     tags: [Tracking]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed token naming the email and, for emails sent once per recipient, the recipient
+ *     responses:
+ *       200:
+ *         description: Transparent pixel
+ *         content:
+ *           image/gif:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/open/:token', trackingController.trackOpen);
+
+/**
+ * @swagger
+ * /track/click/{token}:
+ *   get:
+ *     summary: Tracked link
+ *     description: Target of the links of emails sent with tracking. Records a click with its time and user agent, then redirects to the original link.
+ *     tags: [Tracking]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed token naming the email, the recipient when known, and the original link
+ *     responses:
+ *       302:
+ *         description: Redirect to the original link
+ *       400:
+ *         description: Invalid or forged link
+ */
+router.get('/click/:token', trackingController.trackClick);
+
+module.exports = router;
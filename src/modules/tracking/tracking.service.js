@@ -0,0 +1,130 @@
+const Email = require('../email/email.model');
+const EmailTrackingEvent = require('../email/emailTrackingEvent.model');
+const { createSignedToken, verifySignedToken } = require('../../utils/signedToken');
+const { isHtml, appendHtml } = require('../../utils/html');
+const { applySubstitutions } = require('../../transports/transport.utils');
+const { TRACKING_EVENT } = require('../../utils/constants');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+
+// Absolute links of the body; placeholders such as %%unsubscribe_url%% are left alone
+const LINK_PATTERN = /(<a\s[^>]*?href\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi;
+
+// Stand-ins for the tracking URLs until they are known for every recipient
+const OPEN_PLACEHOLDER = '%%tracking_open%%';
+const clickPlaceholder = (index) => `%%tracking_click_${index}%%`;
+
+/**
+ * Tracking URL of an email for one recipient
+ * @param {string} type - One of TRACKING_EVENT
+ * @param {Object} email - Email being sent
+ * @param {string|null} recipient - null when the message is shared by all recipients
+ * @param {string} [url] - Link target, for clicks
+ * @returns {string}
+ */
+const getTrackingUrl = (type, email, recipient, url) => {
+  const token = createSignedToken(type, { m: email.id, r: recipient, u: url });
+  return `${config.links.baseUrl}/track/${type}/${token}`;
+};
+
+/**
+ * Add open and click tracking to the body of a message
+ * Links are sent through the click redirect and a pixel is added at the end, for HTML bodies only.
+ * A message sent once per recipient gets tracking URLs of its own through its personalizations.
+ * @param {Object} email - Email being sent
+ * @param {Object} message - { body, personalizations } of the transport message
+ * @param {boolean} fanOut - Whether every recipient gets its own message
+ * @returns {Object} { body, personalizations }
+ */
+const addTracking = (email, { body, personalizations }, fanOut) => {
+  if (!isHtml(body)) {
+    return { body, personalizations };
+  }
+
+  const links = [];
+  const trackedBody = appendHtml(
+    body.replace(LINK_PATTERN, (match, attribute, quote, url) => {
+      links.push(url.replace(/&amp;/g, '&'));
+      return `${attribute}${quote}${clickPlaceholder(links.length - 1)}${quote}`;
+    }),
+    `<img src="${OPEN_PLACEHOLDER}" width="1" height="1" alt="" style="display:none">`
+  );
+
+  const trackingUrls = (recipient) => ({
+    [OPEN_PLACEHOLDER]: getTrackingUrl(TRACKING_EVENT.OPEN, email, recipient),
+    ...Object.fromEntries(
+      links.map((url, index) => [
+        clickPlaceholder(index),
+        getTrackingUrl(TRACKING_EVENT.CLICK, email, recipient, url),
+      ])
+    ),
+  });
+
+  if (!fanOut) {
+    return { body: applySubstitutions(trackedBody, trackingUrls(null)), personalizations };
+  }
+
+  return {
+    body: trackedBody,
+    personalizations: Object.fromEntries(
+      email.to.map((recipient) => {
+        const personalization = personalizations?.[recipient] || {};
+        return [
+          recipient,
+          {
+            ...personalization,
+            substitutions: { ...personalization.substitutions, ...trackingUrls(recipient) },
+          },
+        ];
+      })
+    ),
+  };
+};
+
+/**
+ * Read a tracking token
+ * @param {string} type - One of TRACKING_EVENT
+ * @param {string} token
+ * @returns {Object} { type, emailId, recipient, url }
+ */
+const readTrackingToken = (type, token) => {
+  const payload = verifySignedToken(type, token);
+  if (!payload) {
+    const error = new Error('Invalid tracking link');
+    error.statusCode = 400;
+    throw error;
+  }
+  return { type, emailId: payload.m, recipient: payload.r || null, url: payload.u || null };
+};
+
+/**
+ * Record an open or a click
+ * Errors are logged and not thrown: tracking must never keep the recipient from the pixel or
+ * the link. Events of emails deleted since are ignored.
+ * @param {Object} event - { type, emailId, recipient, url } as read from the token
+ * @param {string} [userAgent] - User-Agent of the recipient's mail client or browser
+ * @returns {boolean} Whether the event was recorded
+ */
+const recordTrackingEvent = async ({ type, emailId, recipient, url }, userAgent) => {
+  try {
+    const email = await Email.findByPk(emailId, { attributes: ['id'] });
+    if (!email) {
+      return false;
+    }
+
+    await EmailTrackingEvent.create({
+      emailId,
+      type,
+      recipient,
+      url,
+      userAgent: userAgent || null,
+    });
+    logger.debug(`Tracking event recorded: ${emailId}`, { emailId, type });
+    return true;
+  } catch (error) {
+    logger.error('Error recording tracking event:', error);
+    return false;
+  }
+};
+
+module.exports = { getTrackingUrl, addTracking, readTrackingToken, recordTrackingEvent };
@@ -0,0 +1,51 @@
+const unsubscribeService = require('./unsubscribe.service');
+const { htmlResponse } = require('../../utils/response');
+const { escapeHtml } = require('../../utils/html');
+
+const describeSubscription = ({ email, category }) =>
+  category
+    ? `<strong>${escapeHtml(email)}</strong> from <strong>${escapeHtml(category)}</strong> emails`
+    : `<strong>${escapeHtml(email)}</strong> from all emails`;
+
+const renderInvalidLink = (res, error) =>
+  htmlResponse(res, error.statusCode, 'Invalid link', `<p>${escapeHtml(error.message)}.</p>`);
+
+// Mail scanners follow links, so opening one only asks for a confirmation
+const showUnsubscribe = async (req, res, next) => {
+  try {
+    const subscription = unsubscribeService.readUnsubscribeToken(req.params.token);
+    return htmlResponse(
+      res,
+      200,
+      'Unsubscribe',
+      `<p>Unsubscribe ${describeSubscription(subscription)}?</p>` +
+        '<form method="post"><input type="hidden" name="List-Unsubscribe" value="One-Click">' +
+        '<button type="submit">Unsubscribe</button></form>'
+    );
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return renderInvalidLink(res, error);
+    }
+    next(error);
+  }
+};
+
+// Posted by the confirmation form and by mail clients' one-click unsubscribe
+const unsubscribe = async (req, res, next) => {
+  try {
+    const subscription = await unsubscribeService.unsubscribe(req.params.token);
+    return htmlResponse(
+      res,
+      200,
+      'Unsubscribed',
+      `<p>You have unsubscribed ${describeSubscription(subscription)}.</p>`
+    );
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return renderInvalidLink(res, error);
+    }
+    next(error);
+  }
+};
+
+module.exports = { showUnsubscribe, unsubscribe };
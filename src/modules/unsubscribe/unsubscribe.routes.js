@@ -0,0 +1,64 @@
+const express = require('express');
+const unsubscribeController = require('./unsubscribe.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /unsubscribe/{token}:
+ *   get:
+ *     summary: Unsubscribe confirmation page
+ *     description: Target of the unsubscribe link of emails sent with unsubscribe enabled. Answers an HTML page asking the recipient to confirm, opening the link alone doesn't unsubscribe since mail scanners follow links.
+ *     tags: [Unsubscribe]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed token of the link, naming the recipient and the email's category
+ *     responses:
+ *       200:
+ *         description: Confirmation page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid or forged link
+ *   post:
+ *     summary: Unsubscribe
+ *     description: Adds the recipient to the tenant's suppression list with the reason unsubscribe, scoped to the email's category when it has one. Posted by the confirmation page and by mail clients implementing the one-click unsubscribe of RFC 8058 (List-Unsubscribe-Post header). Unsubscribing twice changes nothing.
+ *     tags: [Unsubscribe]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               List-Unsubscribe:
+ *                 type: string
+ *                 example: One-Click
+ *     responses:
+ *       200:
+ *         description: Recipient unsubscribed
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid or forged link
+ */
+router.get('/:token', unsubscribeController.showUnsubscribe);
+router.post('/:token', unsubscribeController.unsubscribe);
+
+module.exports = router;
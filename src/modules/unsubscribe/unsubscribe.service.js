@@ -0,0 +1,115 @@
+const suppressionService = require('../suppression/suppression.service');
+const { createSignedToken, verifySignedToken } = require('../../utils/signedToken');
+const { isHtml, appendHtml } = require('../../utils/html');
+const { SUPPRESSION_REASON, UNSUBSCRIBE_URL_PLACEHOLDER } = require('../../utils/constants');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+
+const TOKEN_PURPOSE = 'unsubscribe';
+
+/**
+ * Unsubscribe URL of one recipient of an email
+ * @param {Object} email - Email being sent
+ * @param {string} recipient - Address the link unsubscribes
+ * @returns {string}
+ */
+const getUnsubscribeUrl = (email, recipient) => {
+  const token = createSignedToken(TOKEN_PURPOSE, {
+    t: email.tenantId,
+    m: email.id,
+    e: recipient,
+    c: email.category || null,
+  });
+  return `${config.links.baseUrl}/unsubscribe/${token}`;
+};
+
+/**
+ * Make sure the body links to the unsubscribe URL
+ * A body without the placeholder gets a footer: a link for HTML bodies, a line of text otherwise
+ * @param {string} body
+ * @returns {string}
+ */
+const addUnsubscribeFooter = (body) => {
+  if (body.includes(UNSUBSCRIBE_URL_PLACEHOLDER)) {
+    return body;
+  }
+
+  return isHtml(body)
+    ? appendHtml(body, `<p><a href="${UNSUBSCRIBE_URL_PLACEHOLDER}">Unsubscribe</a></p>`)
+    : `${body}\n\nUnsubscribe: ${UNSUBSCRIBE_URL_PLACEHOLDER}`;
+};
+
+/**
+ * Personalize an email for the transport with one unsubscribe link per recipient
+ * The link replaces the placeholder of the body and is given in the List-Unsubscribe headers,
+ * List-Unsubscribe-Post offers mail clients the one-click unsubscribe of RFC 8058
+ * @param {Object} email - Email being sent
+ * @param {string} body - Rendered body
+ * @returns {Object} { body, personalizations } of the transport message, sent with fanOut
+ */
+const buildUnsubscribeMessage = (email, body) => ({
+  body: addUnsubscribeFooter(body),
+  personalizations: Object.fromEntries(
+    email.to.map((recipient) => {
+      const url = getUnsubscribeUrl(email, recipient);
+      return [
+        recipient,
+        {
+          headers: {
+            'List-Unsubscribe': `<${url}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+          },
+          substitutions: { [UNSUBSCRIBE_URL_PLACEHOLDER]: url },
+        },
+      ];
+    })
+  ),
+});
+
+/**
+ * Read an unsubscribe token
+ * @param {string} token
+ * @returns {Object} { tenantId, emailId, email, category }
+ */
+const readUnsubscribeToken = (token) => {
+  const payload = verifySignedToken(TOKEN_PURPOSE, token);
+  if (!payload) {
+    const error = new Error('Invalid unsubscribe link');
+    error.statusCode = 400;
+    throw error;
+  }
+  return { tenantId: payload.t, emailId: payload.m, email: payload.e, category: payload.c };
+};
+
+/**
+ * Opt the recipient of an unsubscribe link out of the email's category, or of every email
+ * The address is added to the tenant's suppression list, unsubscribing twice changes nothing
+ * @param {string} token
+ * @returns {Object} { email, category }
+ */
+const unsubscribe = async (token) => {
+  try {
+    const { tenantId, emailId, email, category } = readUnsubscribeToken(token);
+    await suppressionService.suppressAddress(
+      tenantId,
+      email,
+      SUPPRESSION_REASON.UNSUBSCRIBE,
+      `Unsubscribe link of email ${emailId}`,
+      category
+    );
+
+    logger.info('Recipient unsubscribed', { tenantId, emailId, category });
+    return { email, category };
+  } catch (error) {
+    logger.error('Error unsubscribing:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getUnsubscribeUrl,
+  addUnsubscribeFooter,
+  buildUnsubscribeMessage,
+  readUnsubscribeToken,
+  unsubscribe,
+};
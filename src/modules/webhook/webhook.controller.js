@@ -0,0 +1,104 @@
+const webhookService = require('./webhook.service');
+const { successResponse } = require('../../utils/response');
+
+const createWebhook = async (req, res, next) => {
+  try {
+    const { webhook, secret } = await webhookService.createWebhook(req.tenantId, req.validatedData);
+    return successResponse(res, 201, 'Webhook created successfully', {
+      ...webhook.toJSON(),
+      secret,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await webhookService.listWebhooks(req.tenantId);
+    return successResponse(res, 200, 'Webhooks retrieved successfully', webhooks);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getWebhookById = async (req, res, next) => {
+  try {
+    const webhook = await webhookService.getWebhookById(req.tenantId, req.params.id);
+    return successResponse(res, 200, 'Webhook retrieved successfully', webhook);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateWebhook = async (req, res, next) => {
+  try {
+    const webhook = await webhookService.updateWebhook(
+      req.tenantId,
+      req.params.id,
+      req.validatedData
+    );
+    return successResponse(res, 200, 'Webhook updated successfully', webhook);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteWebhook = async (req, res, next) => {
+  try {
+    await webhookService.deleteWebhook(req.tenantId, req.params.id);
+    return successResponse(res, 200, 'Webhook deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getDeliveries = async (req, res, next) => {
+  try {
+    const result = await webhookService.getDeliveries(
+      req.tenantId,
+      req.params.id,
+      req.validatedData
+    );
+    return successResponse(res, 200, 'Webhook deliveries retrieved successfully', result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await webhookService.getDelivery(
+      req.tenantId,
+      req.params.id,
+      req.params.deliveryId
+    );
+    return successResponse(res, 200, 'Webhook delivery retrieved successfully', delivery);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const replayDelivery = async (req, res, next) => {
+  try {
+    const delivery = await webhookService.replayDelivery(
+      req.tenantId,
+      req.params.id,
+      req.params.deliveryId
+    );
+    return successResponse(res, 200, 'Webhook delivery re-queued successfully', delivery);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  getDelivery,
+  replayDelivery,
+};
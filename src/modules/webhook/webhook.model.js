@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+
+/**
+ * Webhook subscriptions of a tenant
+ * The secret signs every delivery, it is only returned when the webhook is created
+ */
+const Webhook = sequelize.define(
+  'Webhook',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    tenantId: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    url: {
+      type: DataTypes.STRING(2048),
+      allowNull: false,
+    },
+    // Subscribed events, see WEBHOOK_EVENT
+    events: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    secret: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    // Inactive webhooks are kept with their deliveries but receive no new events
+    active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      allowNull: false,
+    },
+  },
+  {
+    tableName: 'webhooks',
+    timestamps: true,
+    underscored: true,
+    indexes: [{ fields: ['tenant_id'] }],
+    defaultScope: {
+      attributes: { exclude: ['secret'] },
+    },
+  }
+);
+
+module.exports = Webhook;
@@ -0,0 +1,94 @@
+const { Queue } = require('bullmq');
+const { getRedisClient } = require('../../config/redis');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const inMemoryScheduler = require('../../utils/inMemoryScheduler');
+// Use lazy import to avoid circular dependency
+const getWebhookService = () => require('./webhook.service');
+
+/**
+ * Webhook deliveries have their own queue so that slow or failing subscribers never hold up
+ * emails. A failed attempt is retried with exponential backoff (WEBHOOK_BACKOFF_DELAY, doubled
+ * every time) until WEBHOOK_MAX_ATTEMPTS attempts have been made.
+ */
+let webhookQueue = null;
+
+const getWebhookQueue = async () => {
+  if (!webhookQueue) {
+    const redisClient = await getRedisClient();
+    webhookQueue = new Queue('webhook-queue', {
+      connection: redisClient,
+      defaultJobOptions: {
+        attempts: config.webhooks.maxAttempts,
+        backoff: {
+          type: 'exponential',
+          delay: config.webhooks.backoffDelay,
+        },
+        removeOnComplete: {
+          age: 3600,
+          count: 1000,
+        },
+        removeOnFail: {
+          age: 86400,
+        },
+      },
+    });
+  }
+
+  return webhookQueue;
+};
+
+/**
+ * Run a delivery attempt with the in-memory scheduler, scheduling the next one when it fails
+ * @param {string} deliveryId - Webhook delivery identifier
+ * @param {number} attempt - Attempt number, starting at 1
+ */
+const runInMemoryDelivery = async (deliveryId, attempt) => {
+  const { deliverWebhook } = getWebhookService();
+  const final = attempt >= config.webhooks.maxAttempts;
+
+  try {
+    await deliverWebhook(deliveryId, { final });
+  } catch (error) {
+    if (final) {
+      return;
+    }
+
+    const delay = config.webhooks.backoffDelay * 2 ** (attempt - 1);
+    inMemoryScheduler.schedule(
+      `webhook:${deliveryId}`,
+      new Date(Date.now() + delay),
+      () => runInMemoryDelivery(deliveryId, attempt + 1),
+      { deliveryId }
+    );
+  }
+};
+
+/**
+ * Queue a webhook delivery to be sent right away
+ * @param {string} deliveryId - Webhook delivery identifier
+ * @returns {string} The job ID
+ */
+const addWebhookJob = async (deliveryId) => {
+  try {
+    if (!config.redis.enabled) {
+      inMemoryScheduler.schedule(
+        `webhook:${deliveryId}`,
+        new Date(),
+        () => runInMemoryDelivery(deliveryId, 1),
+        { deliveryId }
+      );
+      return deliveryId;
+    }
+
+    // No fixed job id, a replayed delivery is queued again while its previous job may be kept
+    const queue = await getWebhookQueue();
+    const job = await queue.add('deliver-webhook', { deliveryId });
+    return job.id;
+  } catch (error) {
+    logger.error('Failed to add webhook job:', error);
+    throw error;
+  }
+};
+
+module.exports = { getWebhookQueue, addWebhookJob };
@@ -0,0 +1,297 @@
+const express = require('express');
+const webhookController = require('./webhook.controller');
+const {
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateListDeliveries,
+} = require('./webhook.validator');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: Subscribe a URL to email events of your tenant. The signing secret is only returned in this response, store it safely.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateWebhookRequest'
+ *           example:
+ *             url: https://example.com/hooks/email
+ *             events: [email.sent, email.failed]
+ *             description: Order notifications
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Webhook created successfully
+ *               data:
+ *                 id: 7c9e6679-7425-40de-944b-e07fc1f90ae7
+ *                 url: https://example.com/hooks/email
+ *                 events: [email.sent, email.failed]
+ *                 description: Order notifications
+ *                 active: true
+ *                 secret: whsec_Hq3vX8kP2mLw9RtZ4nWc6bJd1fHs5gKe
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   get:
+ *     summary: List webhooks
+ *     description: Webhooks of your tenant, most recent first
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/', validateCreateWebhook, webhookController.createWebhook);
+router.get('/', webhookController.listWebhooks);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   put:
+ *     summary: Update a webhook
+ *     description: Change the URL or the subscribed events, or pause the webhook with active=false
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateWebhookRequest'
+ *           example:
+ *             active: false
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Delete a webhook together with its deliveries
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id', webhookController.getWebhookById);
+router.put('/:id', validateUpdateWebhook, webhookController.updateWebhook);
+router.delete('/:id', webhookController.deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List the deliveries of a webhook
+ *     description: Events sent to the webhook with the outcome of their last attempt, most recent first
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, SUCCEEDED, FAILED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Webhook deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Webhook deliveries retrieved successfully
+ *               data:
+ *                 deliveries:
+ *                   - id: 1b4e28ba-2fa1-41d2-883f-0016d3cca427
+ *                     event: email.failed
+ *                     status: FAILED
+ *                     attemptCount: 8
+ *                     lastResponseStatus: 503
+ *                     lastError: Subscriber responded with HTTP 503
+ *                 pagination:
+ *                   page: 1
+ *                   limit: 10
+ *                   total: 1
+ *                   totalPages: 1
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/deliveries', validateListDeliveries, webhookController.getDeliveries);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a delivery with its attempts
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook delivery retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *             example:
+ *               success: true
+ *               message: Webhook delivery retrieved successfully
+ *               data:
+ *                 id: 1b4e28ba-2fa1-41d2-883f-0016d3cca427
+ *                 event: email.sent
+ *                 status: SUCCEEDED
+ *                 attemptCount: 2
+ *                 payload:
+ *                   id: 1b4e28ba-2fa1-41d2-883f-0016d3cca427
+ *                   event: email.sent
+ *                   createdAt: 2024-12-24T09:00:00.000Z
+ *                   data:
+ *                     email:
+ *                       id: 550e8400-e29b-41d4-a716-446655440000
+ *                       status: SENT
+ *                 attempts:
+ *                   - success: false
+ *                     responseStatus: 502
+ *                     error: Subscriber responded with HTTP 502
+ *                     durationMs: 120
+ *                   - success: true
+ *                     responseStatus: 200
+ *                     error: null
+ *                     durationMs: 85
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/deliveries/:deliveryId', webhookController.getDelivery);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Replay a delivery
+ *     description: Send a delivered or failed event again, with the same event id and payload. The delivery gets a new series of attempts.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook delivery re-queued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The delivery is still pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/deliveries/:deliveryId/replay', webhookController.replayDelivery);
+
+module.exports = router;
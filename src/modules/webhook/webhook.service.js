@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const Webhook = require('./webhook.model');
+const WebhookDelivery = require('./webhookDelivery.model');
+const WebhookDeliveryAttempt = require('./webhookDeliveryAttempt.model');
+const { addWebhookJob } = require('./webhook.queue');
+const { WEBHOOK_DELIVERY_STATUS } = require('../../utils/constants');
+const { findPage } = require('../../utils/pagination');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+
+const SECRET_PREFIX = 'whsec_';
+
+/**
+ * Signature of a delivery, sent as "X-Webhook-Signature: t=<timestamp>,v1=<signature>"
+ * Subscribers compute the HMAC-SHA256 of "<timestamp>.<raw body>" with the webhook secret and
+ * compare it with v1; the timestamp lets them reject old (replayed) requests.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex encoded signature
+ */
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const getWebhook = async (tenantId, id) => {
+  const webhook = await Webhook.findOne({ where: { id, tenantId } });
+  if (!webhook) {
+    const error = new Error('Webhook not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return webhook;
+};
+
+/**
+ * Register a webhook
+ * @param {string} tenantId
+ * @param {Object} data - { url, events, description }
+ * @returns {Object} { webhook, secret } where secret signs the deliveries, it cannot be retrieved later
+ */
+const createWebhook = async (tenantId, { url, events, description }) => {
+  try {
+    const secret = `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const webhook = await Webhook.create({ tenantId, url, events, description, secret });
+
+    logger.info(`Webhook created: ${webhook.id}`, { webhookId: webhook.id, tenantId, events });
+    // Reload through the default scope so the secret is only returned once, by the caller
+    return { webhook: await Webhook.findByPk(webhook.id), secret };
+  } catch (error) {
+    logger.error('Error creating webhook:', error);
+    throw error;
+  }
+};
+
+const listWebhooks = async (tenantId) => {
+  try {
+    return await Webhook.findAll({ where: { tenantId }, order: [['createdAt', 'DESC']] });
+  } catch (error) {
+    logger.error('Error listing webhooks:', error);
+    throw error;
+  }
+};
+
+const getWebhookById = async (tenantId, id) => {
+  try {
+    return await getWebhook(tenantId, id);
+  } catch (error) {
+    logger.error('Error getting webhook:', error);
+    throw error;
+  }
+};
+
+const updateWebhook = async (tenantId, id, updateData) => {
+  try {
+    const webhook = await getWebhook(tenantId, id);
+    await webhook.update(updateData);
+
+    logger.info(`Webhook updated: ${id}`, { webhookId: id, tenantId });
+    return webhook;
+  } catch (error) {
+    logger.error('Error updating webhook:', error);
+    throw error;
+  }
+};
+
+// Deleting a webhook deletes its deliveries, queued ones are then skipped
+const deleteWebhook = async (tenantId, id) => {
+  try {
+    const webhook = await getWebhook(tenantId, id);
+    await webhook.destroy();
+
+    logger.info(`Webhook deleted: ${id}`, { webhookId: id, tenantId });
+    return true;
+  } catch (error) {
+    logger.error('Error deleting webhook:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deliveries of a webhook, most recent first
+ * @param {string} tenantId
+ * @param {string} id - Webhook identifier
+ * @param {Object} [options] - Pagination (see findPage) and status
+ */
+const getDeliveries = async (tenantId, id, { status, ...options } = {}) => {
+  try {
+    await getWebhook(tenantId, id);
+
+    const { rows, pagination } = await findPage(WebhookDelivery, {
+      ...options,
+      where: { webhookId: id, ...(status && { status }) },
+    });
+    return { deliveries: rows, pagination };
+  } catch (error) {
+    logger.error('Error getting webhook deliveries:', error);
+    throw error;
+  }
+};
+
+const findDelivery = async (tenantId, webhookId, deliveryId) => {
+  await getWebhook(tenantId, webhookId);
+
+  const delivery = await WebhookDelivery.findOne({
+    where: { id: deliveryId, webhookId },
+    include: [{ model: WebhookDeliveryAttempt, as: 'attempts' }],
+    order: [[{ model: WebhookDeliveryAttempt, as: 'attempts' }, 'createdAt', 'ASC']],
+  });
+  if (!delivery) {
+    const error = new Error('Webhook delivery not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return delivery;
+};
+
+/**
+ * A delivery with all its attempts
+ * @param {string} tenantId
+ * @param {string} webhookId
+ * @param {string} deliveryId
+ */
+const getDelivery = async (tenantId, webhookId, deliveryId) => {
+  try {
+    return await findDelivery(tenantId, webhookId, deliveryId);
+  } catch (error) {
+    logger.error('Error getting webhook delivery:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a delivery again, with the same event id and payload
+ * The delivery goes back to PENDING and gets a new series of attempts
+ * @param {string} tenantId
+ * @param {string} webhookId
+ * @param {string} deliveryId
+ */
+const replayDelivery = async (tenantId, webhookId, deliveryId) => {
+  try {
+    const delivery = await findDelivery(tenantId, webhookId, deliveryId);
+
+    if (delivery.status === WEBHOOK_DELIVERY_STATUS.PENDING) {
+      const error = new Error('Webhook delivery is still pending');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await delivery.update({ status: WEBHOOK_DELIVERY_STATUS.PENDING });
+    await addWebhookJob(delivery.id);
+
+    logger.info(`Webhook delivery replayed: ${deliveryId}`, { deliveryId, webhookId });
+    return delivery;
+  } catch (error) {
+    logger.error('Error replaying webhook delivery:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send an event to every active webhook of the tenant subscribed to it
+ * Failures are logged and never reach the caller, an event must not break the operation
+ * that emitted it
+ * @param {string} tenantId
+ * @param {string} event - One of WEBHOOK_EVENT
+ * @param {Object} data - Event data
+ * @returns {Array} The created deliveries
+ */
+const emitEvent = async (tenantId, event, data) => {
+  try {
+    const webhooks = await Webhook.findAll({
+      where: { tenantId, active: true, events: { [Op.contains]: [event] } },
+    });
+
+    const deliveries = [];
+    for (const webhook of webhooks) {
+      // The delivery id is the event id, subscribers use it to drop duplicates
+      const id = uuidv4();
+      const delivery = await WebhookDelivery.create({
+        id,
+        webhookId: webhook.id,
+        event,
+        payload: { id, event, createdAt: new Date().toISOString(), data },
+      });
+      await addWebhookJob(delivery.id);
+      deliveries.push(delivery);
+    }
+
+    if (deliveries.length > 0) {
+      logger.info(`Webhook event emitted: ${event}`, { tenantId, event, count: deliveries.length });
+    }
+    return deliveries;
+  } catch (error) {
+    logger.error(`Error emitting webhook event ${event}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Make one delivery attempt, called by the webhook queue
+ * Any 2xx response is a success. A failed attempt throws so the queue retries it; the last one
+ * marks the delivery FAILED.
+ * @param {string} deliveryId
+ * @param {Object} options
+ * @param {boolean} [options.final] - Whether this is the last attempt
+ * @returns {Object|null} The delivery, or null when it no longer exists
+ */
+const deliverWebhook = async (deliveryId, { final = true } = {}) => {
+  const delivery = await WebhookDelivery.findByPk(deliveryId, {
+    include: [{ model: Webhook.unscoped(), as: 'webhook' }],
+  });
+  if (!delivery) {
+    logger.warn(`Webhook delivery no longer exists: ${deliveryId}`, { deliveryId });
+    return null;
+  }
+
+  const { webhook } = delivery;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  let responseStatus = null;
+  let failure = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'mail-scheduler-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.webhooks.timeout),
+    });
+    responseStatus = response.status;
+    // Only the status matters, the body is discarded
+    await response.body?.cancel();
+
+    if (!response.ok) {
+      failure = `Subscriber responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    failure = error.name === 'TimeoutError' ? 'Subscriber did not respond in time' : error.message;
+  }
+
+  await WebhookDeliveryAttempt.create({
+    deliveryId,
+    success: !failure,
+    responseStatus,
+    error: failure,
+    durationMs: Date.now() - startedAt,
+  });
+
+  let status = WEBHOOK_DELIVERY_STATUS.SUCCEEDED;
+  if (failure) {
+    status = final ? WEBHOOK_DELIVERY_STATUS.FAILED : WEBHOOK_DELIVERY_STATUS.PENDING;
+  }
+
+  const now = new Date();
+  await delivery.update({
+    status,
+    attemptCount: delivery.attemptCount + 1,
+    lastAttemptAt: now,
+    lastResponseStatus: responseStatus,
+    lastError: failure,
+    deliveredAt: failure ? delivery.deliveredAt : now,
+  });
+
+  if (failure) {
+    logger.warn(`Webhook delivery attempt failed: ${deliveryId}`, {
+      deliveryId,
+      webhookId: webhook.id,
+      attempt: delivery.attemptCount,
+      final,
+      error: failure,
+    });
+    throw new Error(failure);
+  }
+
+  logger.info(`Webhook delivered: ${deliveryId}`, { deliveryId, webhookId: webhook.id });
+  return delivery;
+};
+
+/**
+ * Queue pending deliveries again
+ * Used on startup with the in-memory scheduler, which loses its jobs on restart
+ * @returns {number} Number of deliveries queued
+ */
+const requeuePendingDeliveries = async () => {
+  try {
+    const deliveries = await WebhookDelivery.findAll({
+      where: { status: WEBHOOK_DELIVERY_STATUS.PENDING },
+      attributes: ['id'],
+      order: [['createdAt', 'ASC']],
+    });
+
+    for (const delivery of deliveries) {
+      await addWebhookJob(delivery.id);
+    }
+    return deliveries.length;
+  } catch (error) {
+    logger.error('Error requeuing pending webhook deliveries:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  signPayload,
+  createWebhook,
+  listWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  getDelivery,
+  replayDelivery,
+  emitEvent,
+  deliverWebhook,
+  requeuePendingDeliveries,
+};
@@ -0,0 +1,107 @@
+const Joi = require('joi');
+const { WEBHOOK_EVENT, WEBHOOK_DELIVERY_STATUS, PAGINATION } = require('../../utils/constants');
+
+const urlSchema = Joi.string()
+  .trim()
+  .uri({ scheme: ['https', 'http'] })
+  .max(2048)
+  .messages({
+    'string.uri': 'url must be an http or https URL',
+    'string.uriCustomScheme': 'url must be an http or https URL',
+  });
+
+const eventsSchema = Joi.array()
+  .items(Joi.string().valid(...Object.values(WEBHOOK_EVENT)))
+  .min(1)
+  .unique();
+
+const createWebhookSchema = Joi.object({
+  url: urlSchema.required(),
+  events: eventsSchema.required(),
+  description: Joi.string().trim().max(255).allow('', null).optional(),
+});
+
+const updateWebhookSchema = Joi.object({
+  url: urlSchema.optional(),
+  events: eventsSchema.optional(),
+  description: Joi.string().trim().max(255).allow('', null).optional(),
+  active: Joi.boolean().optional(),
+})
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update',
+  });
+
+const listDeliveriesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(PAGINATION.DEFAULT_PAGE),
+  limit: Joi.number().integer().min(1).default(PAGINATION.DEFAULT_LIMIT),
+  status: Joi.string()
+    .uppercase()
+    .valid(...Object.values(WEBHOOK_DELIVERY_STATUS))
+    .optional(),
+});
+
+const validateCreateWebhook = (req, res, next) => {
+  const { error, value } = createWebhookSchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+const validateUpdateWebhook = (req, res, next) => {
+  const { error, value } = updateWebhookSchema.validate(req.body, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+const validateListDeliveries = (req, res, next) => {
+  const { error, value } = listDeliveriesSchema.validate(req.query, {
+    abortEarly: false,
+  });
+
+  if (error) {
+    const errors = error.details.map((detail) => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors,
+    });
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+module.exports = { validateCreateWebhook, validateUpdateWebhook, validateListDeliveries };
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const { WEBHOOK_DELIVERY_STATUS } = require('../../utils/constants');
+const Webhook = require('./webhook.model');
+
+/**
+ * One event sent to one webhook, with the outcome of its last attempt
+ * The payload is stored as sent so that a replay delivers the same event again
+ */
+const WebhookDelivery = sequelize.define(
+  'WebhookDelivery',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    webhookId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    event: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM(...Object.values(WEBHOOK_DELIVERY_STATUS)),
+      defaultValue: WEBHOOK_DELIVERY_STATUS.PENDING,
+      allowNull: false,
+    },
+    attemptCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    lastResponseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: 'webhook_deliveries',
+    timestamps: true,
+    underscored: true,
+    indexes: [{ fields: ['webhook_id', 'created_at', 'id'] }, { fields: ['status'] }],
+  }
+);
+
+Webhook.hasMany(WebhookDelivery, {
+  as: 'deliveries',
+  foreignKey: 'webhookId',
+  onDelete: 'CASCADE',
+});
+WebhookDelivery.belongsTo(Webhook, { as: 'webhook', foreignKey: 'webhookId' });
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../../config/database');
+const WebhookDelivery = require('./webhookDelivery.model');
+
+/**
+ * A single HTTP request of a webhook delivery
+ */
+const WebhookDeliveryAttempt = sequelize.define(
+  'WebhookDeliveryAttempt',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    deliveryId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+    },
+    // Null when no response was received (network error, timeout)
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    durationMs: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+  },
+  {
+    tableName: 'webhook_delivery_attempts',
+    timestamps: true,
+    underscored: true,
+    indexes: [{ fields: ['delivery_id', 'created_at'] }],
+  }
+);
+
+WebhookDelivery.hasMany(WebhookDeliveryAttempt, {
+  as: 'attempts',
+  foreignKey: 'deliveryId',
+  onDelete: 'CASCADE',
+});
+WebhookDeliveryAttempt.belongsTo(WebhookDelivery, { as: 'delivery', foreignKey: 'deliveryId' });
+
+module.exports = WebhookDeliveryAttempt;
@@ -0,0 +1,147 @@
+const config = require('../config/env');
+const Email = require('../modules/email/email.model');
+const logger = require('../utils/logger');
+const { RATE_LIMIT_SCOPE } = require('../utils/constants');
+const { refill } = require('./rateLimit.utils');
+
+/**
+ * Outbound sending rate limits
+ *
+ * Sends are limited by token buckets: globally, per tenant and per recipient domain. A bucket
+ * holds up to `burst` tokens and refills at `rate` tokens per second; a rate of 0 disables the
+ * limit. Sending an email takes one token per message from the global and tenant buckets, and
+ * one token per recipient from the bucket of every recipient domain, all at once or not at all.
+ *
+ * Buckets are kept in Redis so that all workers share them, or in memory when Redis is disabled.
+ * A store is an object { name, take(requests), list(), clear() } where requests are
+ * { key, rate, capacity, cost }; take resolves to 0 when the tokens were taken, otherwise to the
+ * milliseconds to wait before trying again.
+ */
+const KEY_PREFIX = 'rate-limit';
+
+const getStore = () =>
+  config.redis.enabled ? require('./redis.store') : require('./memory.store');
+
+/**
+ * Limit of a bucket
+ * @param {string} scope - One of RATE_LIMIT_SCOPE
+ * @param {string} [name] - Tenant id or domain
+ * @returns {Object|null} { rate, capacity }, or null when the scope is not limited
+ */
+const getLimit = (scope, name) => {
+  const limit =
+    (scope === RATE_LIMIT_SCOPE.DOMAIN && config.rateLimit.domains[name]) ||
+    config.rateLimit[scope];
+
+  if (!limit || !(limit.rate > 0)) {
+    return null;
+  }
+  // Without a burst, a bucket holds one second worth of sends
+  return { rate: limit.rate, capacity: limit.burst || Math.max(Math.ceil(limit.rate), 1) };
+};
+
+const bucketKey = (scope, name) =>
+  scope === RATE_LIMIT_SCOPE.GLOBAL ? `${KEY_PREFIX}:${scope}` : `${KEY_PREFIX}:${scope}:${name}`;
+
+const parseKey = (key) => {
+  const [, scope, ...name] = key.split(':');
+  return { scope, name: name.join(':') || null };
+};
+
+/**
+ * Buckets a send of the email takes tokens from
+ * @param {Object} email - { tenantId, to, cc, bcc, fanOut, unsubscribe }
+ * @returns {Array} [{ key, rate, capacity, cost }]
+ */
+const getBucketRequests = (email) => {
+  const messages = Email.sendsMessagePerRecipient(email) ? email.to.length : 1;
+  const recipientsByDomain = new Map();
+
+  [...email.to, ...(email.cc || []), ...(email.bcc || [])].forEach((address) => {
+    const domain = address.split('@').pop().toLowerCase();
+    recipientsByDomain.set(domain, (recipientsByDomain.get(domain) || 0) + 1);
+  });
+
+  return [
+    [RATE_LIMIT_SCOPE.GLOBAL, null, messages],
+    [RATE_LIMIT_SCOPE.TENANT, email.tenantId, messages],
+    ...[...recipientsByDomain].map(([domain, count]) => [RATE_LIMIT_SCOPE.DOMAIN, domain, count]),
+  ]
+    .map(([scope, name, cost]) => ({ scope, name, cost, limit: getLimit(scope, name) }))
+    .filter(({ limit }) => limit)
+    .map(({ scope, name, cost, limit }) => ({
+      key: bucketKey(scope, name),
+      ...limit,
+      // A send larger than a whole bucket goes through once the bucket is full
+      cost: Math.min(cost, limit.capacity),
+    }));
+};
+
+/**
+ * Take the tokens needed to send an email
+ * @param {Object} email - { tenantId, to, cc, bcc, fanOut, unsubscribe }
+ * @returns {number} 0 when the email may be sent now, otherwise milliseconds to wait
+ */
+const acquire = async (email) => {
+  const requests = getBucketRequests(email);
+  if (requests.length === 0) {
+    return 0;
+  }
+
+  try {
+    return await getStore().take(requests);
+  } catch (error) {
+    // An unavailable limiter should not stop emails from going out
+    logger.error('Rate limiter unavailable, sending without limits:', error);
+    return 0;
+  }
+};
+
+/**
+ * Configured limits and the buckets currently in use
+ * Buckets that are full are not listed
+ * @returns {Object} { store, limits, buckets }
+ */
+const getState = async () => {
+  const store = getStore();
+  const now = Date.now();
+  const entries = await store.list();
+
+  const buckets = entries
+    .map(({ key, tokens, updatedAt }) => {
+      const { scope, name } = parseKey(key);
+      const limit = getLimit(scope, name);
+      // Limits may have been lowered or disabled since the bucket was last used
+      if (!limit) {
+        return null;
+      }
+      return {
+        scope,
+        name,
+        rate: limit.rate,
+        capacity: limit.capacity,
+        tokens: Math.max(0, Math.floor(refill({ tokens, updatedAt }, limit, now) * 100) / 100),
+        updatedAt: new Date(updatedAt),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.scope.localeCompare(b.scope) || (a.name || '').localeCompare(b.name || ''));
+
+  return {
+    store: store.name,
+    limits: {
+      global: getLimit(RATE_LIMIT_SCOPE.GLOBAL),
+      tenant: getLimit(RATE_LIMIT_SCOPE.TENANT),
+      domain: getLimit(RATE_LIMIT_SCOPE.DOMAIN),
+      domains: Object.fromEntries(
+        Object.keys(config.rateLimit.domains).map((domain) => [
+          domain,
+          getLimit(RATE_LIMIT_SCOPE.DOMAIN, domain),
+        ])
+      ),
+    },
+    buckets,
+  };
+};
+
+module.exports = { acquire, getState, getBucketRequests };
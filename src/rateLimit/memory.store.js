@@ -0,0 +1,55 @@
+const { refill } = require('./rateLimit.utils');
+
+/**
+ * Token buckets kept in the memory of this process, used when Redis is disabled
+ * Buckets are dropped once they would be full again, like the expiring Redis keys
+ */
+const buckets = new Map(); // key -> { tokens, updatedAt, expiresAt }
+
+const take = async (requests) => {
+  const now = Date.now();
+  const available = requests.map(({ key, rate, capacity }) =>
+    refill(buckets.get(key), { rate, capacity }, now)
+  );
+
+  const retryAfterMs = Math.max(
+    0,
+    ...requests.map(({ rate, cost }, i) =>
+      available[i] < cost ? Math.ceil(((cost - available[i]) * 1000) / rate) : 0
+    )
+  );
+
+  // All or nothing, a throttled send doesn't use up tokens of the other buckets
+  if (retryAfterMs === 0) {
+    requests.forEach(({ key, rate, capacity, cost }, i) => {
+      buckets.set(key, {
+        tokens: available[i] - cost,
+        updatedAt: now,
+        expiresAt: now + Math.ceil((capacity * 1000) / rate),
+      });
+    });
+  }
+
+  return retryAfterMs;
+};
+
+const list = async () => {
+  const now = Date.now();
+  const entries = [];
+
+  buckets.forEach((bucket, key) => {
+    if (bucket.expiresAt <= now) {
+      buckets.delete(key);
+      return;
+    }
+    entries.push({ key, tokens: bucket.tokens, updatedAt: bucket.updatedAt });
+  });
+
+  return entries;
+};
+
+const clear = async () => {
+  buckets.clear();
+};
+
+module.exports = { name: 'memory', take, list, clear };
@@ -0,0 +1,16 @@
+/**
+ * Tokens in a bucket at a given time
+ * A bucket refills at `rate` tokens per second up to `capacity`, a missing bucket is full
+ * @param {Object} [bucket] - { tokens, updatedAt } as last stored
+ * @param {Object} limit - { rate, capacity }
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {number}
+ */
+const refill = (bucket, { rate, capacity }, now) => {
+  if (!bucket) {
+    return capacity;
+  }
+  return Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) * rate) / 1000);
+};
+
+module.exports = { refill };
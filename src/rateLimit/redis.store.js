@@ -0,0 +1,94 @@
+const { getRedisClient } = require('../config/redis');
+
+const KEY_PATTERN = 'rate-limit:*';
+
+/**
+ * Check and take tokens from several buckets atomically
+ * KEYS are the buckets, ARGV holds rate, capacity and cost for every key. Redis' clock is used so
+ * that workers on different hosts agree on the refill. Returns 0 when the tokens were taken,
+ * otherwise the milliseconds until all buckets have enough tokens, in which case nothing is taken.
+ */
+const TAKE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local available = {}
+local wait = 0
+
+for i, key in ipairs(KEYS) do
+  local rate = tonumber(ARGV[i * 3 - 2])
+  local capacity = tonumber(ARGV[i * 3 - 1])
+  local cost = tonumber(ARGV[i * 3])
+  local bucket = redis.call('HMGET', key, 'tokens', 'updatedAt')
+
+  available[i] = capacity
+  if bucket[1] then
+    available[i] = math.min(capacity, tonumber(bucket[1]) + (now - tonumber(bucket[2])) * rate / 1000)
+  end
+  if available[i] < cost then
+    wait = math.max(wait, math.ceil((cost - available[i]) * 1000 / rate))
+  end
+end
+
+if wait == 0 then
+  for i, key in ipairs(KEYS) do
+    local rate = tonumber(ARGV[i * 3 - 2])
+    local capacity = tonumber(ARGV[i * 3 - 1])
+    redis.call('HSET', key, 'tokens', tostring(available[i] - tonumber(ARGV[i * 3])), 'updatedAt', now)
+    redis.call('PEXPIRE', key, math.ceil(capacity * 1000 / rate))
+  end
+end
+
+return wait
+`;
+
+const getClient = async () => {
+  const client = await getRedisClient();
+  if (!client.takeRateLimitTokens) {
+    client.defineCommand('takeRateLimitTokens', { lua: TAKE_SCRIPT });
+  }
+  return client;
+};
+
+/**
+ * Token buckets shared by every API server and worker through Redis
+ * Each bucket is a hash { tokens, updatedAt }, expiring once it would be full again
+ */
+const take = async (requests) => {
+  const client = await getClient();
+  const args = requests.flatMap(({ rate, capacity, cost }) => [rate, capacity, cost]);
+  return client.takeRateLimitTokens(requests.length, ...requests.map(({ key }) => key), ...args);
+};
+
+const list = async () => {
+  const client = await getClient();
+  const keys = [];
+  let cursor = '0';
+
+  do {
+    const [next, batch] = await client.scan(cursor, 'MATCH', KEY_PATTERN, 'COUNT', 100);
+    cursor = next;
+    keys.push(...batch);
+  } while (cursor !== '0');
+
+  const buckets = await Promise.all(keys.map((key) => client.hmget(key, 'tokens', 'updatedAt')));
+
+  // A key may expire between SCAN and HMGET
+  return keys
+    .map((key, i) => ({ key, tokens: buckets[i][0], updatedAt: buckets[i][1] }))
+    .filter(({ tokens }) => tokens !== null)
+    .map(({ key, tokens, updatedAt }) => ({
+      key,
+      tokens: parseFloat(tokens),
+      updatedAt: parseInt(updatedAt),
+    }));
+};
+
+const clear = async () => {
+  const client = await getClient();
+  const buckets = await list();
+  if (buckets.length > 0) {
+    await client.del(...buckets.map(({ key }) => key));
+  }
+};
+
+module.exports = { name: 'redis', take, list, clear };
@@ -2,15 +2,66 @@ const app = require('./app');
 const { connectDB } = require('./config/database');
 const logger = require('./utils/logger');
 const config = require('./config/env');
+const { purgeExpiredKeys } = require('./modules/idempotency/idempotency.service');
+const { rehydrateScheduledEmails, recoverStalledEmails } = require('./modules/email/email.service');
+const { requeuePendingDeliveries } = require('./modules/webhook/webhook.service');
+const { requeuePendingImports } = require('./modules/emailImport/emailImport.service');
+const { getTransport } = require('./transports');
+
+const IDEMPOTENCY_PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+const STALLED_EMAILS_INTERVAL = 60 * 1000; // 1 minute
 
 const startServer = async () => {
   try {
     // Connect to database
     await connectDB();
 
+    // Fail fast on an unknown EMAIL_TRANSPORT
+    logger.info(`Email transport: ${getTransport().name}`);
+
     // Sync database models (create tables if they don't exist)
     const Email = require('./modules/email/email.model');
+    const EmailOccurrence = require('./modules/email/emailOccurrence.model');
+    const EmailAttachment = require('./modules/email/emailAttachment.model');
+    const EmailDeliveryEvent = require('./modules/email/emailDeliveryEvent.model');
+    const EmailTrackingEvent = require('./modules/email/emailTrackingEvent.model');
+    const EmailEvent = require('./modules/email/emailEvent.model');
+    const Template = require('./modules/template/template.model');
+    const TemplateVersion = require('./modules/template/templateVersion.model');
+    const IdempotencyKey = require('./modules/idempotency/idempotency.model');
+    const ApiKey = require('./modules/apiKey/apiKey.model');
+    const Suppression = require('./modules/suppression/suppression.model');
+    const Webhook = require('./modules/webhook/webhook.model');
+    const WebhookDelivery = require('./modules/webhook/webhookDelivery.model');
+    const WebhookDeliveryAttempt = require('./modules/webhook/webhookDeliveryAttempt.model');
+    const EmailImport = require('./modules/emailImport/emailImport.model');
+    await Template.sync({ alter: config.nodeEnv === 'development' });
+    await TemplateVersion.sync({ alter: config.nodeEnv === 'development' });
     await Email.sync({ alter: config.nodeEnv === 'development' });
+    await IdempotencyKey.sync({ alter: config.nodeEnv === 'development' });
+    await EmailOccurrence.sync({ alter: config.nodeEnv === 'development' });
+    await EmailAttachment.sync({ alter: config.nodeEnv === 'development' });
+    await EmailDeliveryEvent.sync({ alter: config.nodeEnv === 'development' });
+    await EmailTrackingEvent.sync({ alter: config.nodeEnv === 'development' });
+    await EmailEvent.sync({ alter: config.nodeEnv === 'development' });
+    await ApiKey.sync({ alter: config.nodeEnv === 'development' });
+    await Suppression.sync({ alter: config.nodeEnv === 'development' });
+    await Webhook.sync({ alter: config.nodeEnv === 'development' });
+    await WebhookDelivery.sync({ alter: config.nodeEnv === 'development' });
+    await WebhookDeliveryAttempt.sync({ alter: config.nodeEnv === 'development' });
+    await EmailImport.sync({ alter: config.nodeEnv === 'development' });
+
+    if (!config.auth.adminApiKey) {
+      logger.warn('ADMIN_API_KEY is not set, the admin API and issuing API keys are disabled');
+    }
+
+    // The in-memory scheduler starts empty, pending emails, webhook deliveries and imports are
+    // scheduled again from the database
+    if (!config.redis.enabled) {
+      await rehydrateScheduledEmails();
+      await requeuePendingDeliveries();
+      await requeuePendingImports();
+    }
 
     // Start server
     const server = app.listen(config.port, () => {
@@ -20,6 +71,18 @@ const startServer = async () => {
       });
     });
 
+    // Drop expired Idempotency-Key records periodically (errors are logged by the service)
+    const idempotencyPurge = setInterval(() => {
+      purgeExpiredKeys().catch(() => {});
+    }, IDEMPOTENCY_PURGE_INTERVAL);
+    idempotencyPurge.unref();
+
+    // Release emails left PROCESSING by a crashed or stalled worker (errors are logged by the service)
+    const stalledEmailsRecovery = setInterval(() => {
+      recoverStalledEmails().catch(() => {});
+    }, STALLED_EMAILS_INTERVAL);
+    stalledEmailsRecovery.unref();
+
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       logger.info(`${signal} received, shutting down gracefully...`);
@@ -0,0 +1,31 @@
+const config = require('../config/env');
+
+/**
+ * Blob stores by name, selected with STORAGE_DRIVER
+ *
+ * A blob store is an object { name, put(key, content), get(key), getStream(key), remove(key) }
+ * where content is a Buffer, or a readable stream for blobs too large to be held in memory, and
+ * getStream returns a readable stream of the content. get rejects, and the stream errors, when the key does not
+ * exist; remove does not.
+ */
+const stores = new Map();
+
+const registerBlobStore = (store) => {
+  stores.set(store.name, store);
+};
+
+[require('./local.storage')].forEach(registerBlobStore);
+
+/**
+ * Get a registered blob store
+ * @param {string} [name] - Store name, defaults to the configured one
+ */
+const getBlobStore = (name = config.storage.driver) => {
+  const store = stores.get(name);
+  if (!store) {
+    throw new Error(`Unknown blob store "${name}". Available: ${[...stores.keys()].join(', ')}`);
+  }
+  return store;
+};
+
+module.exports = { registerBlobStore, getBlobStore };
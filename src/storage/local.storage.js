@@ -0,0 +1,35 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+const config = require('../config/env');
+
+// Keys are relative paths below STORAGE_LOCAL_DIR, never outside of it
+const resolvePath = (key) => {
+  const root = path.resolve(config.storage.localDirectory);
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+/**
+ * Store blobs as files on the local filesystem
+ * writeFile takes the content as a Buffer or a readable stream alike
+ */
+const put = async (key, content) => {
+  const filePath = resolvePath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content);
+};
+
+const get = async (key) => fs.readFile(resolvePath(key));
+
+const getStream = (key) => createReadStream(resolvePath(key));
+
+// Removing a missing blob is not an error
+const remove = async (key) => {
+  await fs.rm(resolvePath(key), { force: true });
+};
+
+module.exports = { name: 'local', put, get, getStream, remove };
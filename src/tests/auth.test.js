@@ -0,0 +1,171 @@
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config/env');
+const Email = require('../modules/email/email.model');
+const { createApiKey } = require('../modules/apiKey/apiKey.service');
+const { EMAIL_STATUS } = require('../utils/constants');
+
+jest.mock('../transports', () => ({
+  sendEmail: jest.fn(),
+}));
+
+describe('Authentication and tenancy', () => {
+  const ADMIN_API_KEY = 'test-admin-key';
+  const originalAuth = config.auth;
+
+  const validEmailData = {
+    to: 'test@example.com',
+    subject: 'Test Email',
+    body: 'This is a test email body',
+    scheduledAt: new Date(Date.now() + 60000).toISOString(),
+  };
+
+  let tenantA;
+  let tenantB;
+
+  beforeEach(async () => {
+    config.auth = { ...originalAuth, adminApiKey: ADMIN_API_KEY };
+    const keyA = await createApiKey({ tenantId: 'tenant-a', name: 'Tenant A' });
+    const keyB = await createApiKey({ tenantId: 'tenant-b', name: 'Tenant B' });
+    tenantA = request.agent(app).set('X-API-Key', keyA.key);
+    tenantB = request.agent(app).set('X-API-Key', keyB.key);
+  });
+
+  afterEach(() => {
+    config.auth = originalAuth;
+  });
+
+  describe('API keys', () => {
+    it('should reject requests without an API key', async () => {
+      const response = await request(app).get('/api/emails');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject an unknown API key', async () => {
+      const response = await request(app).get('/api/emails').set('X-API-Key', 'msk_unknown');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should accept the key as a bearer token', async () => {
+      const { key } = await createApiKey({ tenantId: 'tenant-a', name: 'Bearer' });
+
+      const response = await request(app).get('/api/emails').set('Authorization', `Bearer ${key}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should issue a key through the admin API and reject it once revoked', async () => {
+      const admin = request.agent(app).set('X-API-Key', ADMIN_API_KEY);
+
+      const created = await admin
+        .post('/api/admin/api-keys')
+        .send({ tenantId: 'tenant-c', name: 'Reporting' });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.key).toMatch(/^msk_/);
+      expect(created.body.data.keyHash).toBeUndefined();
+
+      const { id, key } = created.body.data;
+      const before = await request(app).get('/api/emails').set('X-API-Key', key);
+      expect(before.status).toBe(200);
+
+      const revoked = await admin.post(`/api/admin/api-keys/${id}/revoke`);
+      expect(revoked.status).toBe(200);
+      expect(revoked.body.data.revokedAt).not.toBeNull();
+
+      const after = await request(app).get('/api/emails').set('X-API-Key', key);
+      expect(after.status).toBe(401);
+    });
+
+    it('should list keys without their hashes', async () => {
+      const response = await request(app)
+        .get('/api/admin/api-keys?tenantId=tenant-a')
+        .set('X-API-Key', ADMIN_API_KEY);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].keyHash).toBeUndefined();
+    });
+
+    it('should not let tenant keys use the admin API', async () => {
+      const response = await tenantA
+        .post('/api/admin/api-keys')
+        .send({ tenantId: 'tenant-a', name: 'Escalation' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should disable the admin API when ADMIN_API_KEY is not set', async () => {
+      config.auth = { ...originalAuth, adminApiKey: '' };
+
+      const response = await request(app).post('/api/admin/emails/purge').set('X-API-Key', '');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Tenant isolation', () => {
+    let email;
+
+    beforeEach(async () => {
+      const response = await tenantA.post('/api/emails').send(validEmailData);
+      email = response.body.data;
+    });
+
+    it('should record the tenant of the email', () => {
+      expect(email.tenantId).toBe('tenant-a');
+    });
+
+    it('should not show emails of another tenant', async () => {
+      const single = await tenantB.get(`/api/emails/${email.id}`);
+      const list = await tenantB.get('/api/emails');
+
+      expect(single.status).toBe(404);
+      expect(list.body.data.emails).toHaveLength(0);
+    });
+
+    it('should not let another tenant update, cancel or delete an email', async () => {
+      const update = await tenantB.put(`/api/emails/${email.id}`).send({ subject: 'Hijacked' });
+      const cancel = await tenantB.post(`/api/emails/${email.id}/cancel`);
+      const remove = await tenantB.delete(`/api/emails/${email.id}`);
+
+      expect(update.status).toBe(404);
+      expect(cancel.status).toBe(404);
+      expect(remove.status).toBe(404);
+
+      const unchanged = await Email.findByPk(email.id);
+      expect(unchanged.subject).toBe(validEmailData.subject);
+      expect(unchanged.status).toBe(EMAIL_STATUS.PENDING);
+    });
+
+    it('should only retry failed emails of the caller', async () => {
+      await Email.update({ status: EMAIL_STATUS.FAILED }, { where: { id: email.id } });
+
+      const single = await tenantB.post(`/api/emails/${email.id}/retry`);
+      const bulk = await tenantB.post('/api/emails/failed/retry');
+      const failed = await tenantB.get('/api/emails/failed');
+
+      expect(single.status).toBe(404);
+      expect(bulk.body.data.matched).toBe(0);
+      expect(failed.body.data.emails).toHaveLength(0);
+    });
+
+    it('should keep Idempotency-Keys apart between tenants', async () => {
+      const first = await tenantA
+        .post('/api/emails')
+        .set('Idempotency-Key', 'shared-key')
+        .send(validEmailData);
+      const second = await tenantB
+        .post('/api/emails')
+        .set('Idempotency-Key', 'shared-key')
+        .send(validEmailData);
+
+      expect(second.status).toBe(201);
+      expect(second.headers['idempotent-replayed']).toBeUndefined();
+      expect(second.body.data.id).not.toBe(first.body.data.id);
+      expect(second.body.data.tenantId).toBe('tenant-b');
+    });
+  });
+});
@@ -1,15 +1,44 @@
 const request = require('supertest');
 const app = require('../app');
+const config = require('../config/env');
+const { createApiKey } = require('../modules/apiKey/apiKey.service');
 const Email = require('../modules/email/email.model');
-const { sendEmail } = require('../config/sendgrid');
-const { EMAIL_STATUS } = require('../utils/constants');
+const EmailEvent = require('../modules/email/emailEvent.model');
+const IdempotencyKey = require('../modules/idempotency/idempotency.model');
+const { processEmail } = require('../modules/email/email.processor');
+const { recoverStalledEmails } = require('../modules/email/email.service');
+const { sendEmail } = require('../transports');
+const { getBlobStore } = require('../storage');
+const inMemoryScheduler = require('../utils/inMemoryScheduler');
+const { EMAIL_STATUS, BULK, TRANSPORT_ERROR } = require('../utils/constants');
 
-// Mock SendGrid
-jest.mock('../config/sendgrid', () => ({
+// Mock the email transport
+jest.mock('../transports', () => ({
   sendEmail: jest.fn(),
 }));
 
 describe('Email API', () => {
+  const TENANT_ID = 'test-tenant';
+  const ADMIN_API_KEY = 'test-admin-key';
+  const originalAuth = config.auth;
+  let api;
+  let admin;
+
+  // Requests are authenticated with an API key of TENANT_ID, admin requests with ADMIN_API_KEY
+  beforeEach(async () => {
+    config.auth = { ...originalAuth, adminApiKey: ADMIN_API_KEY };
+    const { key } = await createApiKey({ tenantId: TENANT_ID, name: 'Tests' });
+    api = request.agent(app).set('X-API-Key', key);
+    admin = request.agent(app).set('X-API-Key', ADMIN_API_KEY);
+  });
+
+  afterEach(() => {
+    config.auth = originalAuth;
+  });
+
+  // Emails created directly belong to the same tenant
+  const createEmailRecord = (data) => Email.create({ ...data, tenantId: TENANT_ID });
+
   const validEmailData = {
     to: 'test@example.com',
     subject: 'Test Email',
@@ -19,19 +48,19 @@ describe('Email API', () => {
 
   describe('POST /api/emails', () => {
     it('should create a new email successfully', async () => {
-      const response = await request(app).post('/api/emails').send(validEmailData);
+      const response = await api.post('/api/emails').send(validEmailData);
 
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('id');
-      expect(response.body.data.to).toBe(validEmailData.to);
+      expect(response.body.data.to).toEqual([validEmailData.to]);
       expect(response.body.data.subject).toBe(validEmailData.subject);
       expect(response.body.data.status).toBe(EMAIL_STATUS.PENDING);
     });
 
     it('should return validation error for invalid email', async () => {
       const invalidData = { ...validEmailData, to: 'invalid-email' };
-      const response = await request(app).post('/api/emails').send(invalidData);
+      const response = await api.post('/api/emails').send(invalidData);
 
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
@@ -43,24 +72,228 @@ describe('Email API', () => {
         ...validEmailData,
         scheduledAt: new Date(Date.now() - 60000).toISOString(),
       };
-      const response = await request(app).post('/api/emails').send(invalidData);
+      const response = await api.post('/api/emails').send(invalidData);
 
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
     });
 
     it('should return validation error for missing required fields', async () => {
-      const response = await request(app).post('/api/emails').send({});
+      const response = await api.post('/api/emails').send({});
 
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
     });
+
+    it('should create an email with multiple recipients, cc and bcc', async () => {
+      const response = await api.post('/api/emails').send({
+        ...validEmailData,
+        to: ['first@example.com', 'second@example.com'],
+        cc: 'manager@example.com',
+        bcc: ['archive@example.com'],
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.to).toEqual(['first@example.com', 'second@example.com']);
+      expect(response.body.data.cc).toEqual(['manager@example.com']);
+      expect(response.body.data.bcc).toEqual(['archive@example.com']);
+    });
+
+    it('should report each invalid recipient address', async () => {
+      const response = await api
+        .post('/api/emails')
+        .send({ ...validEmailData, to: ['valid@example.com', 'invalid-email'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].field).toBe('to.1');
+    });
+
+    it('should reject duplicate recipients across to, cc and bcc', async () => {
+      const response = await api
+        .post('/api/emails')
+        .send({ ...validEmailData, cc: [validEmailData.to] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject cc and bcc when fanning out', async () => {
+      const response = await api.post('/api/emails').send({
+        ...validEmailData,
+        to: ['first@example.com', 'second@example.com'],
+        bcc: ['archive@example.com'],
+        fanOut: true,
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/emails with Idempotency-Key', () => {
+    const originalIdempotency = config.idempotency;
+
+    afterEach(() => {
+      config.idempotency = originalIdempotency;
+    });
+
+    it('should replay the original response on retry', async () => {
+      const first = await api
+        .post('/api/emails')
+        .set('Idempotency-Key', 'retry-key-1')
+        .send(validEmailData);
+      const retry = await api
+        .post('/api/emails')
+        .set('Idempotency-Key', 'retry-key-1')
+        .send(validEmailData);
+
+      expect(first.status).toBe(201);
+      expect(retry.status).toBe(201);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.data.id).toBe(first.body.data.id);
+      expect(await Email.count()).toBe(1);
+    });
+
+    it('should return 409 when the key is reused with a different payload', async () => {
+      await api.post('/api/emails').set('Idempotency-Key', 'retry-key-2').send(validEmailData);
+      const response = await api
+        .post('/api/emails')
+        .set('Idempotency-Key', 'retry-key-2')
+        .send({ ...validEmailData, subject: 'Another subject' });
+
+      expect(response.status).toBe(409);
+      expect(await Email.count()).toBe(1);
+    });
+
+    it('should not keep the key when the request fails validation', async () => {
+      await api
+        .post('/api/emails')
+        .set('Idempotency-Key', 'retry-key-3')
+        .send({ ...validEmailData, to: 'invalid-email' });
+      const response = await api
+        .post('/api/emails')
+        .set('Idempotency-Key', 'retry-key-3')
+        .send(validEmailData);
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should take over a key whose request never completed', async () => {
+      config.idempotency = { ...originalIdempotency, leaseSeconds: 0 };
+      await IdempotencyKey.create({
+        tenantId: TENANT_ID,
+        key: 'retry-key-4',
+        requestHash: 'hash-of-a-crashed-request',
+        expiresAt: new Date(Date.now() + 60000),
+      });
+
+      const response = await api
+        .post('/api/emails')
+        .set('Idempotency-Key', 'retry-key-4')
+        .send(validEmailData);
+
+      expect(response.status).toBe(201);
+      expect(await Email.count()).toBe(1);
+    });
+  });
+
+  describe('POST /api/emails/bulk', () => {
+    it('should schedule every email and report one result per email', async () => {
+      const response = await api.post('/api/emails/bulk').send({
+        emails: [validEmailData, { ...validEmailData, to: 'second@example.com' }],
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ total: 2, created: 2, failed: 0 });
+      const [first, second] = response.body.data.results;
+      expect(first).toMatchObject({ index: 0, success: true });
+      expect(second).toMatchObject({ index: 1, success: true });
+
+      const email = await Email.findByPk(second.emailId);
+      expect(email.to).toEqual(['second@example.com']);
+      expect(email.status).toBe(EMAIL_STATUS.PENDING);
+      expect(email.jobId).toBe(email.id);
+    });
+
+    it('should schedule the valid emails and report the errors of the others', async () => {
+      const response = await api.post('/api/emails/bulk').send({
+        emails: [
+          validEmailData,
+          { ...validEmailData, to: 'invalid-email' },
+          { ...validEmailData, scheduledAt: new Date(Date.now() - 60000).toISOString() },
+        ],
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ total: 3, created: 1, failed: 2 });
+      expect(response.body.data.results[1]).toEqual({
+        index: 1,
+        success: false,
+        errors: [{ field: 'to', message: 'Invalid email address' }],
+      });
+      expect(response.body.data.results[2]).toMatchObject({ index: 2, success: false });
+      expect(await Email.count()).toBe(1);
+    });
+
+    it('should schedule nothing in atomic mode when an email is invalid', async () => {
+      const response = await api.post('/api/emails/bulk').send({
+        emails: [validEmailData, { ...validEmailData, to: 'invalid-email' }],
+        atomic: true,
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { field: 'emails.1.to', message: 'Invalid email address' },
+      ]);
+      expect(await Email.count()).toBe(0);
+    });
+
+    it('should reject requests over the size cap', async () => {
+      const response = await api.post('/api/emails/bulk').send({
+        emails: Array.from({ length: BULK.MAX_EMAILS + 1 }, () => validEmailData),
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].field).toBe('emails');
+      expect(await Email.count()).toBe(0);
+    });
+
+    it('should not accept attachments', async () => {
+      const response = await api.post('/api/emails/bulk').send({
+        emails: [
+          {
+            ...validEmailData,
+            attachments: [{ filename: 'a.txt', contentType: 'text/plain', content: 'aGk=' }],
+          },
+        ],
+      });
+
+      expect(response.body.data.results[0].errors).toEqual([
+        { field: 'attachments', message: 'Attachments are not supported in bulk requests' },
+      ]);
+    });
+
+    it('should remove the emails for good when they cannot be queued', async () => {
+      const schedule = jest.spyOn(inMemoryScheduler, 'schedule');
+      schedule
+        .mockImplementationOnce(() => {})
+        .mockImplementationOnce(() => {
+          throw new Error('Queue unavailable');
+        });
+
+      const response = await api.post('/api/emails/bulk').send({
+        emails: [validEmailData, { ...validEmailData, to: 'other@example.com' }],
+      });
+      schedule.mockRestore();
+
+      expect(response.status).toBe(500);
+      expect(await Email.count({ paranoid: false })).toBe(0);
+      expect(await EmailEvent.count()).toBe(0);
+    });
   });
 
   describe('GET /api/emails/:id', () => {
     it('should get email by id', async () => {
-      const email = await Email.create(validEmailData);
-      const response = await request(app).get(`/api/emails/${email.id}`);
+      const email = await createEmailRecord(validEmailData);
+      const response = await api.get(`/api/emails/${email.id}`);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -69,7 +302,7 @@ describe('Email API', () => {
 
     it('should return 404 for non-existent email', async () => {
       const fakeId = '00000000-0000-0000-0000-000000000000';
-      const response = await request(app).get(`/api/emails/${fakeId}`);
+      const response = await api.get(`/api/emails/${fakeId}`);
 
       expect(response.status).toBe(404);
     });
@@ -78,10 +311,10 @@ describe('Email API', () => {
   describe('GET /api/emails', () => {
     it('should get all emails with pagination', async () => {
       // Create multiple emails
-      await Email.create(validEmailData);
-      await Email.create({ ...validEmailData, to: 'test2@example.com' });
+      await createEmailRecord(validEmailData);
+      await createEmailRecord({ ...validEmailData, to: 'test2@example.com' });
 
-      const response = await request(app).get('/api/emails?page=1&limit=10');
+      const response = await api.get('/api/emails?page=1&limit=10');
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -93,10 +326,10 @@ describe('Email API', () => {
     it('should handle pagination correctly', async () => {
       // Create 5 emails
       for (let i = 0; i < 5; i++) {
-        await Email.create({ ...validEmailData, to: `test${i}@example.com` });
+        await createEmailRecord({ ...validEmailData, to: `test${i}@example.com` });
       }
 
-      const response = await request(app).get('/api/emails?page=1&limit=2');
+      const response = await api.get('/api/emails?page=1&limit=2');
 
       expect(response.status).toBe(200);
       expect(response.body.data.emails).toHaveLength(2);
@@ -104,17 +337,296 @@ describe('Email API', () => {
       expect(response.body.data.pagination.limit).toBe(2);
       expect(response.body.data.pagination.total).toBe(5);
     });
+
+    it('should walk every email once with cursor pagination', async () => {
+      for (let i = 0; i < 5; i++) {
+        await createEmailRecord({ ...validEmailData, to: `test${i}@example.com` });
+      }
+
+      const seen = [];
+      let cursor = '';
+      do {
+        const response = await api.get('/api/emails').query({ limit: 2, cursor });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.pagination.total).toBeUndefined();
+        seen.push(...response.body.data.emails.map((email) => email.id));
+        cursor = response.body.data.pagination.nextCursor;
+      } while (cursor);
+
+      expect(seen).toHaveLength(5);
+      expect(new Set(seen).size).toBe(5);
+    });
+
+    it('should not repeat emails created while paging with a cursor', async () => {
+      await createEmailRecord(validEmailData);
+      await createEmailRecord(validEmailData);
+
+      const first = await api.get('/api/emails').query({ limit: 1, cursor: '' });
+      await createEmailRecord(validEmailData);
+      const second = await api
+        .get('/api/emails')
+        .query({ limit: 1, cursor: first.body.data.pagination.nextCursor, includeTotal: true });
+
+      expect(second.body.data.emails[0].id).not.toBe(first.body.data.emails[0].id);
+      expect(second.body.data.pagination.total).toBe(3);
+      expect(second.body.data.pagination.nextCursor).toBeNull();
+    });
+
+    it('should return a cursor with offset pagination', async () => {
+      await createEmailRecord(validEmailData);
+      await createEmailRecord(validEmailData);
+
+      const first = await api.get('/api/emails?page=1&limit=1');
+      const second = await api
+        .get('/api/emails')
+        .query({ limit: 1, cursor: first.body.data.pagination.nextCursor });
+
+      expect(second.body.data.emails).toHaveLength(1);
+      expect(second.body.data.emails[0].id).not.toBe(first.body.data.emails[0].id);
+    });
+
+    it('should reject an invalid cursor', async () => {
+      const response = await api.get('/api/emails?cursor=not-a-cursor');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].field).toBe('cursor');
+    });
+
+    it('should reject cursor pagination sorted by another field', async () => {
+      const response = await api.get('/api/emails?cursor=&sortBy=subject');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should filter by several statuses', async () => {
+      await createEmailRecord({ ...validEmailData, status: EMAIL_STATUS.PENDING });
+      await createEmailRecord({ ...validEmailData, status: EMAIL_STATUS.FAILED });
+      await createEmailRecord({ ...validEmailData, status: EMAIL_STATUS.CANCELLED });
+
+      const response = await api.get('/api/emails?status=FAILED,cancelled');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.emails.map((email) => email.status).sort()).toEqual([
+        EMAIL_STATUS.CANCELLED,
+        EMAIL_STATUS.FAILED,
+      ]);
+    });
+
+    it('should filter by exact recipient and by recipient domain', async () => {
+      await createEmailRecord({ ...validEmailData, to: 'alice@corp.com' });
+      await createEmailRecord({ ...validEmailData, to: 'bob@example.com', cc: ['bob@corp.com'] });
+      await createEmailRecord({ ...validEmailData, to: 'carol@example.com' });
+
+      const exact = await api.get('/api/emails?recipient=alice@corp.com');
+      const domain = await api.get('/api/emails?recipientDomain=corp.com');
+
+      expect(exact.body.data.emails).toHaveLength(1);
+      expect(exact.body.data.emails[0].to).toEqual(['alice@corp.com']);
+      expect(domain.body.data.emails).toHaveLength(2);
+    });
+
+    it('should filter by scheduledAt range', async () => {
+      const inRange = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+      await createEmailRecord({ ...validEmailData, scheduledAt: inRange });
+      await createEmailRecord({
+        ...validEmailData,
+        scheduledAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      });
+
+      const from = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const to = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+      const response = await api.get('/api/emails').query({ scheduledFrom: from, scheduledTo: to });
+
+      expect(response.body.data.emails).toHaveLength(1);
+      expect(new Date(response.body.data.emails[0].scheduledAt)).toEqual(inRange);
+    });
+
+    it('should search subject and body', async () => {
+      await createEmailRecord({ ...validEmailData, subject: 'Your invoice is ready' });
+      await createEmailRecord({ ...validEmailData, body: 'Please find the invoices attached' });
+      await createEmailRecord({ ...validEmailData, subject: 'Weekly newsletter' });
+
+      const response = await api.get('/api/emails?q=invoice');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.emails).toHaveLength(2);
+    });
+
+    it('should sort by the requested field and direction', async () => {
+      await createEmailRecord({ ...validEmailData, subject: 'Bravo' });
+      await createEmailRecord({ ...validEmailData, subject: 'Alpha' });
+      await createEmailRecord({ ...validEmailData, subject: 'Charlie' });
+
+      const response = await api.get('/api/emails?sortBy=subject&sortOrder=asc');
+
+      expect(response.body.data.emails.map((email) => email.subject)).toEqual([
+        'Alpha',
+        'Bravo',
+        'Charlie',
+      ]);
+    });
+
+    it('should reject invalid filters', async () => {
+      const response = await api.get(
+        '/api/emails?status=UNKNOWN&sortBy=password&scheduledFrom=not-a-date'
+      );
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map((error) => error.field)).toEqual(
+        expect.arrayContaining(['status.0', 'sortBy', 'scheduledFrom'])
+      );
+    });
+  });
+
+  describe('GET /api/emails/export', () => {
+    it('should export the matching emails as CSV', async () => {
+      const email = await createEmailRecord({
+        ...validEmailData,
+        to: ['first@example.com', 'second@example.com'],
+        subject: 'Hello, "World"',
+      });
+      await createEmailRecord({ ...validEmailData, status: EMAIL_STATUS.SENT });
+
+      const response = await api.get(
+        '/api/emails/export?format=csv&status=PENDING&columns=id,to,subject,scheduledAt'
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch('text/csv');
+      expect(response.headers['content-disposition']).toMatch(
+        /attachment; filename="emails-.*\.csv"/
+      );
+      expect(response.text).toBe(
+        'id,to,subject,scheduledAt\r\n' +
+          `${email.id},first@example.com;second@example.com,"Hello, ""World""",${email.scheduledAt.toISOString()}\r\n`
+      );
+    });
+
+    it('should export every email as NDJSON, beyond the page size limit', async () => {
+      await Email.bulkCreate(
+        Array.from({ length: 120 }, (_, i) => ({
+          ...validEmailData,
+          to: [`test${i}@example.com`],
+          tenantId: TENANT_ID,
+        }))
+      );
+
+      const response = await api.get('/api/emails/export?format=ndjson').buffer(true);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch('application/x-ndjson');
+      const rows = response.text.trim().split('\n').map(JSON.parse);
+      expect(rows).toHaveLength(120);
+      expect(rows[0]).toMatchObject({ subject: validEmailData.subject, status: 'PENDING' });
+    });
+
+    it('should leave out the body when asked to', async () => {
+      await createEmailRecord(validEmailData);
+
+      const response = await api
+        .get('/api/emails/export?format=ndjson&columns=id,subject,body&includeBody=false')
+        .buffer(true);
+
+      expect(Object.keys(JSON.parse(response.text))).toEqual(['id', 'subject']);
+    });
+
+    it('should not export emails of other tenants or deleted emails', async () => {
+      await Email.create({ ...validEmailData, tenantId: 'other-tenant' });
+      const deleted = await createEmailRecord(validEmailData);
+      await deleted.destroy();
+
+      const response = await api.get('/api/emails/export?format=csv&columns=id');
+
+      expect(response.text).toBe('id\r\n');
+    });
+
+    it('should reject an unknown format or column', async () => {
+      const response = await api.get('/api/emails/export?format=xml&columns=id,password');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map((error) => error.field)).toEqual(['format', 'columns.1']);
+    });
+  });
+
+  describe('GET /api/emails/:id/events', () => {
+    it('should record the creation and rescheduling of an email with their actor', async () => {
+      const created = await api.post('/api/emails').send(validEmailData);
+      const scheduledAt = new Date(Date.now() + 3600000).toISOString();
+      await api.put(`/api/emails/${created.body.data.id}`).send({ scheduledAt });
+
+      const response = await api.get(`/api/emails/${created.body.data.id}/events`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((event) => event.type)).toEqual(['created', 'rescheduled']);
+      expect(response.body.data[0].changes.status).toEqual({ from: null, to: 'PENDING' });
+      expect(response.body.data[1].changes.scheduledAt).toEqual({
+        from: created.body.data.scheduledAt,
+        to: scheduledAt,
+      });
+      expect(response.body.data[1].actor).toMatch(/^api_key:/);
+    });
+
+    it('should keep every failure and retry of an email', async () => {
+      sendEmail.mockResolvedValue({ success: false, error: 'Connection timed out' });
+      const created = await api.post('/api/emails').send(validEmailData);
+      const { id } = created.body.data;
+      await processEmail(id);
+      sendEmail.mockResolvedValue({ success: true, messageId: 'test-message-id' });
+      await api.post(`/api/emails/${id}/retry`);
+
+      // The retry queues the email again, it is sent by the in-memory scheduler
+      let email = await Email.findByPk(id);
+      for (let tries = 0; email.status !== EMAIL_STATUS.SENT && tries < 100; tries++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        email = await Email.findByPk(id);
+      }
+      expect(email.status).toBe(EMAIL_STATUS.SENT);
+
+      const response = await api.get(`/api/emails/${id}/events`);
+
+      expect(response.body.data.map((event) => event.type)).toEqual([
+        'created',
+        'processing_started',
+        'failed',
+        'retried',
+        'processing_started',
+        'sent',
+      ]);
+      expect(response.body.data[1].changes).toEqual({
+        status: { from: 'PENDING', to: 'PROCESSING' },
+      });
+      expect(response.body.data[2]).toMatchObject({
+        actor: 'system',
+        changes: {
+          status: { from: 'PROCESSING', to: 'FAILED' },
+          failureReason: { from: null, to: 'Connection timed out' },
+        },
+      });
+      expect(response.body.data[3].changes.failureReason).toEqual({
+        from: 'Connection timed out',
+        to: null,
+      });
+    });
+
+    it('should not show the events of emails of other tenants', async () => {
+      const email = await Email.create({ ...validEmailData, tenantId: 'other-tenant' });
+
+      const response = await api.get(`/api/emails/${email.id}/events`);
+
+      expect(response.status).toBe(404);
+    });
   });
 
   describe('PUT /api/emails/:id', () => {
     it('should update email successfully', async () => {
-      const email = await Email.create(validEmailData);
+      const email = await createEmailRecord(validEmailData);
       const updateData = {
         subject: 'Updated Subject',
         scheduledAt: new Date(Date.now() + 120000).toISOString(),
       };
 
-      const response = await request(app).put(`/api/emails/${email.id}`).send(updateData);
+      const response = await api.put(`/api/emails/${email.id}`).send(updateData);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -122,21 +634,21 @@ describe('Email API', () => {
     });
 
     it('should preserve jobId when rescheduling email', async () => {
-      const email = await Email.create(validEmailData);
+      const email = await createEmailRecord(validEmailData);
       const originalJobId = email.jobId;
 
       const updateData = {
         scheduledAt: new Date(Date.now() + 180000).toISOString(), // 3 minutes from now
       };
 
-      const response = await request(app).put(`/api/emails/${email.id}`).send(updateData);
+      const response = await api.put(`/api/emails/${email.id}`).send(updateData);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      
+
       // Reload email to get updated jobId
       const updatedEmail = await Email.findByPk(email.id);
-      
+
       // JobId should be preserved (same as original)
       if (originalJobId) {
         expect(updatedEmail.jobId).toBe(originalJobId);
@@ -149,18 +661,18 @@ describe('Email API', () => {
 
     it('should return 404 for non-existent email', async () => {
       const fakeId = '00000000-0000-0000-0000-000000000000';
-      const response = await request(app).put(`/api/emails/${fakeId}`).send({ subject: 'New' });
+      const response = await api.put(`/api/emails/${fakeId}`).send({ subject: 'New' });
 
       expect(response.status).toBe(404);
     });
 
     it('should not allow updating sent emails', async () => {
-      const email = await Email.create({
+      const email = await createEmailRecord({
         ...validEmailData,
         status: EMAIL_STATUS.SENT,
       });
 
-      const response = await request(app).put(`/api/emails/${email.id}`).send({
+      const response = await api.put(`/api/emails/${email.id}`).send({
         subject: 'New Subject',
       });
 
@@ -170,8 +682,8 @@ describe('Email API', () => {
 
   describe('DELETE /api/emails/:id', () => {
     it('should delete email successfully', async () => {
-      const email = await Email.create(validEmailData);
-      const response = await request(app).delete(`/api/emails/${email.id}`);
+      const email = await createEmailRecord(validEmailData);
+      const response = await api.delete(`/api/emails/${email.id}`);
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -181,9 +693,20 @@ describe('Email API', () => {
       expect(deletedEmail).toBeNull();
     });
 
+    it('should keep the deleted email until it is purged', async () => {
+      const email = await createEmailRecord(validEmailData);
+      await api.delete(`/api/emails/${email.id}`);
+
+      const deletedEmail = await Email.findByPk(email.id, { paranoid: false });
+      expect(deletedEmail.deletedAt).not.toBeNull();
+
+      const response = await api.get(`/api/emails/${email.id}`);
+      expect(response.status).toBe(404);
+    });
+
     it('should return 404 for non-existent email', async () => {
       const fakeId = '00000000-0000-0000-0000-000000000000';
-      const response = await request(app).delete(`/api/emails/${fakeId}`);
+      const response = await api.delete(`/api/emails/${fakeId}`);
 
       expect(response.status).toBe(404);
     });
@@ -192,21 +715,21 @@ describe('Email API', () => {
   describe('GET /api/emails/failed', () => {
     it('should get only failed emails', async () => {
       // Create emails with different statuses
-      await Email.create({ ...validEmailData, status: EMAIL_STATUS.PENDING });
-      await Email.create({
+      await createEmailRecord({ ...validEmailData, status: EMAIL_STATUS.PENDING });
+      await createEmailRecord({
         ...validEmailData,
         to: 'failed1@example.com',
         status: EMAIL_STATUS.FAILED,
         failureReason: 'Test failure',
       });
-      await Email.create({
+      await createEmailRecord({
         ...validEmailData,
         to: 'failed2@example.com',
         status: EMAIL_STATUS.FAILED,
         failureReason: 'Another failure',
       });
 
-      const response = await request(app).get('/api/emails/failed');
+      const response = await api.get('/api/emails/failed');
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -215,6 +738,463 @@ describe('Email API', () => {
         expect(email.status).toBe(EMAIL_STATUS.FAILED);
       });
     });
+
+    it('should support cursor pagination', async () => {
+      for (let i = 0; i < 3; i++) {
+        await createEmailRecord({ ...validEmailData, status: EMAIL_STATUS.FAILED });
+      }
+
+      const first = await api.get('/api/emails/failed?limit=2&cursor=');
+      const second = await api
+        .get('/api/emails/failed')
+        .query({ limit: 2, cursor: first.body.data.pagination.nextCursor });
+
+      expect(first.body.data.emails).toHaveLength(2);
+      expect(second.body.data.emails).toHaveLength(1);
+      expect(second.body.data.pagination.nextCursor).toBeNull();
+    });
   });
-});
 
+  describe('POST /api/emails/:id/cancel', () => {
+    it('should cancel a pending email and record who, when and why', async () => {
+      const email = await createEmailRecord(validEmailData);
+
+      const response = await api
+        .post(`/api/emails/${email.id}/cancel`)
+        .send({ reason: 'Campaign postponed', cancelledBy: 'jane@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe(EMAIL_STATUS.CANCELLED);
+      expect(response.body.data.cancelledAt).toBeDefined();
+      expect(response.body.data.cancelledBy).toBe('jane@example.com');
+      expect(response.body.data.cancellationReason).toBe('Campaign postponed');
+    });
+
+    it('should cancel without a request body', async () => {
+      const email = await createEmailRecord(validEmailData);
+
+      const response = await api.post(`/api/emails/${email.id}/cancel`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe(EMAIL_STATUS.CANCELLED);
+    });
+
+    it('should not cancel an email that was already sent', async () => {
+      const email = await createEmailRecord({ ...validEmailData, status: EMAIL_STATUS.SENT });
+
+      const response = await api.post(`/api/emails/${email.id}/cancel`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not update a cancelled email', async () => {
+      const email = await createEmailRecord({ ...validEmailData, status: EMAIL_STATUS.CANCELLED });
+
+      const response = await api
+        .put(`/api/emails/${email.id}`)
+        .send({ subject: 'Updated Subject' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for non-existent email', async () => {
+      const fakeId = '00000000-0000-0000-0000-000000000000';
+      const response = await api.post(`/api/emails/${fakeId}/cancel`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/emails/cancelled', () => {
+    it('should get only cancelled emails', async () => {
+      await createEmailRecord({ ...validEmailData, status: EMAIL_STATUS.PENDING });
+      await createEmailRecord({ ...validEmailData, status: EMAIL_STATUS.CANCELLED });
+
+      const response = await api.get('/api/emails/cancelled');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.emails).toHaveLength(1);
+      expect(response.body.data.emails[0].status).toBe(EMAIL_STATUS.CANCELLED);
+    });
+  });
+
+  describe('POST /api/admin/emails/purge', () => {
+    it('should permanently remove deleted emails only', async () => {
+      const kept = await createEmailRecord(validEmailData);
+      const deleted = await createEmailRecord(validEmailData);
+      await deleted.destroy();
+
+      const response = await admin.post('/api/admin/emails/purge');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.purged).toBe(1);
+      expect(await Email.findByPk(deleted.id, { paranoid: false })).toBeNull();
+      expect(await Email.findByPk(kept.id)).not.toBeNull();
+    });
+
+    it('should only purge emails deleted before olderThan', async () => {
+      const deleted = await createEmailRecord(validEmailData);
+      await deleted.destroy();
+
+      const response = await admin
+        .post('/api/admin/emails/purge')
+        .send({ olderThan: new Date(Date.now() - 60000).toISOString() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.purged).toBe(0);
+    });
+  });
+
+  describe('Retrying failed emails', () => {
+    const createFailedEmail = (overrides = {}) =>
+      createEmailRecord({
+        ...validEmailData,
+        status: EMAIL_STATUS.FAILED,
+        failureReason: 'Connection timeout',
+        ...overrides,
+      });
+
+    beforeEach(() => {
+      sendEmail.mockResolvedValue({ success: true, messageId: 'test-message-id' });
+    });
+
+    it('should re-queue a failed email', async () => {
+      const email = await createFailedEmail();
+
+      const response = await api.post(`/api/emails/${email.id}/retry`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe(EMAIL_STATUS.PENDING);
+      expect(response.body.data.failureReason).toBeNull();
+      expect(response.body.data.retryCount).toBe(1);
+    });
+
+    it('should only resend a fanned out email to the recipients that did not get it', async () => {
+      const email = await createEmailRecord({
+        ...validEmailData,
+        to: ['first@example.com', 'second@example.com', 'third@example.com'],
+        fanOut: true,
+      });
+      sendEmail.mockResolvedValueOnce({
+        success: false,
+        messageId: null,
+        error: 'Mailbox unavailable',
+        errorType: TRANSPORT_ERROR.TRANSIENT,
+        sentTo: ['first@example.com', 'third@example.com'],
+      });
+
+      await processEmail(email.id);
+      await email.reload();
+      expect(email.status).toBe(EMAIL_STATUS.FAILED);
+      expect(email.sentTo).toEqual(['first@example.com', 'third@example.com']);
+
+      await email.update({ status: EMAIL_STATUS.PENDING });
+      await processEmail(email.id);
+
+      expect(sendEmail).toHaveBeenLastCalledWith(
+        expect.objectContaining({ to: ['second@example.com'] })
+      );
+      expect((await email.reload()).status).toBe(EMAIL_STATUS.SENT);
+    });
+
+    it('should not retry an email that has not failed', async () => {
+      const email = await createEmailRecord(validEmailData);
+
+      const response = await api.post(`/api/emails/${email.id}/retry`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for non-existent email', async () => {
+      const fakeId = '00000000-0000-0000-0000-000000000000';
+      const response = await api.post(`/api/emails/${fakeId}/retry`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should re-queue only failed emails matching the filters', async () => {
+      const timedOut = await createFailedEmail();
+      await createFailedEmail({ to: 'other@example.com', failureReason: 'Invalid API key' });
+
+      const response = await api
+        .post('/api/emails/failed/retry')
+        .send({ failureReason: 'TIMEOUT' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        matched: 1,
+        requeued: 1,
+        emailIds: [timedOut.id],
+        errors: [],
+      });
+    });
+
+    it('should reject an invalid date range', async () => {
+      const response = await api.post('/api/emails/failed/retry').send({
+        scheduledFrom: '2024-12-31T00:00:00.000Z',
+        scheduledTo: '2024-12-01T00:00:00.000Z',
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Recurring emails', () => {
+    const recurringEmailData = {
+      ...validEmailData,
+      recurrence: { cron: '0 9 * * 1', count: 4 },
+    };
+
+    it('should create a recurring email', async () => {
+      const response = await api.post('/api/emails').send(recurringEmailData);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.recurrence).toMatchObject({ cron: '0 9 * * 1', count: 4 });
+      expect(response.body.data.occurrenceCount).toBe(0);
+    });
+
+    it('should accept an RRULE recurrence', async () => {
+      const response = await api
+        .post('/api/emails')
+        .send({ ...validEmailData, recurrence: { rrule: 'FREQ=MONTHLY;BYMONTHDAY=1' } });
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should reject an invalid cron expression', async () => {
+      const response = await api
+        .post('/api/emails')
+        .send({ ...validEmailData, recurrence: { cron: 'every monday' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject a recurrence with both cron and rrule', async () => {
+      const response = await api
+        .post('/api/emails')
+        .send({ ...validEmailData, recurrence: { cron: '0 9 * * 1', rrule: 'FREQ=DAILY' } });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should list upcoming occurrences', async () => {
+      const email = await createEmailRecord(recurringEmailData);
+      const response = await api.get(`/api/emails/${email.id}/occurrences?limit=10`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.upcoming).toHaveLength(4);
+      expect(response.body.data.history).toHaveLength(0);
+    });
+
+    it('should return 400 when listing occurrences of a one-off email', async () => {
+      const email = await createEmailRecord(validEmailData);
+      const response = await api.get(`/api/emails/${email.id}/occurrences`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should stop a recurring series', async () => {
+      const email = await createEmailRecord(recurringEmailData);
+      const response = await api.post(`/api/emails/${email.id}/recurrence/stop`);
+
+      expect(response.status).toBe(200);
+
+      const stoppedEmail = await Email.findByPk(email.id);
+      expect(stoppedEmail.status).toBe(EMAIL_STATUS.SENT);
+      expect(stoppedEmail.recurrenceEndedAt).not.toBeNull();
+    });
+
+    it('should leave the series pending for its next occurrence', async () => {
+      sendEmail.mockResolvedValue({ success: true, messageId: 'test-message-id' });
+      const email = await createEmailRecord(recurringEmailData);
+
+      await processEmail(email.id, { occurrenceAt: new Date() });
+
+      await email.reload();
+      expect(email.status).toBe(EMAIL_STATUS.PENDING);
+      expect(email.occurrenceCount).toBe(1);
+    });
+  });
+
+  describe('Sending', () => {
+    it('should send an email once when two jobs run it at the same time', async () => {
+      sendEmail.mockClear();
+      sendEmail.mockResolvedValue({ success: true, messageId: 'test-message-id' });
+      const email = await createEmailRecord(validEmailData);
+
+      await Promise.all([processEmail(email.id), processEmail(email.id)]);
+
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+      await email.reload();
+      expect(email.status).toBe(EMAIL_STATUS.SENT);
+    });
+
+    it('should fail emails left processing by a stopped worker so they can be retried', async () => {
+      const originalScheduler = config.scheduler;
+      const email = await createEmailRecord({ ...validEmailData, status: EMAIL_STATUS.PROCESSING });
+
+      expect(await recoverStalledEmails()).toBe(0);
+      config.scheduler = { ...originalScheduler, processingTimeoutSeconds: 0 };
+      const released = await recoverStalledEmails();
+      config.scheduler = originalScheduler;
+
+      expect(released).toBe(1);
+      await email.reload();
+      expect(email.status).toBe(EMAIL_STATUS.FAILED);
+      expect(email.failureReason).toBe('Sending was interrupted before it completed');
+      const retry = await api.post(`/api/emails/${email.id}/retry`);
+      expect(retry.status).toBe(200);
+    });
+  });
+
+  describe('Local send times', () => {
+    const localEmailData = {
+      to: 'test@example.com',
+      subject: 'Good morning',
+      body: 'This is a test email body',
+      localScheduledAt: '2030-07-01T09:00',
+      timezone: 'Europe/Paris',
+    };
+
+    it('should resolve a local time with the summer offset', async () => {
+      const response = await api.post('/api/emails').send(localEmailData);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.scheduledAt).toBe('2030-07-01T07:00:00.000Z');
+      expect(response.body.data.localScheduledAt).toBe('2030-07-01T09:00:00');
+      expect(response.body.data.timezone).toBe('Europe/Paris');
+    });
+
+    it('should resolve a local time with the winter offset', async () => {
+      const response = await api
+        .post('/api/emails')
+        .send({ ...localEmailData, localScheduledAt: '2030-01-15T09:00' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.scheduledAt).toBe('2030-01-15T08:00:00.000Z');
+    });
+
+    it('should move a time skipped by a DST change forward', async () => {
+      const response = await api.post('/api/emails').send({
+        ...localEmailData,
+        localScheduledAt: '2030-03-10T02:30',
+        timezone: 'America/New_York',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.scheduledAt).toBe('2030-03-10T07:30:00.000Z');
+    });
+
+    it('should require a timezone with a local time', async () => {
+      const response = await api
+        .post('/api/emails')
+        .send({ ...localEmailData, timezone: undefined });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].field).toBe('timezone');
+    });
+
+    it('should reject an unknown timezone', async () => {
+      const response = await api
+        .post('/api/emails')
+        .send({ ...localEmailData, timezone: 'Mars/Olympus_Mons' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should keep a reschedule anchored to the stored timezone', async () => {
+      const created = await api.post('/api/emails').send(localEmailData);
+
+      const response = await api
+        .put(`/api/emails/${created.body.data.id}`)
+        .send({ localScheduledAt: '2030-12-01T09:00' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.scheduledAt).toBe('2030-12-01T08:00:00.000Z');
+      expect(response.body.data.timezone).toBe('Europe/Paris');
+    });
+
+    it('should drop the local anchor when rescheduled to an absolute time', async () => {
+      const created = await api.post('/api/emails').send(localEmailData);
+
+      const response = await api
+        .put(`/api/emails/${created.body.data.id}`)
+        .send({ scheduledAt: '2030-12-01T12:00:00.000Z' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.localScheduledAt).toBeNull();
+      expect(response.body.data.timezone).toBeNull();
+    });
+  });
+
+  describe('Attachments', () => {
+    const pdf = Buffer.from('%PDF-1.4 test invoice');
+    const attachment = {
+      filename: 'invoice.pdf',
+      contentType: 'application/pdf',
+      content: pdf.toString('base64'),
+    };
+
+    it('should schedule an email with a base64 attachment', async () => {
+      const response = await api
+        .post('/api/emails')
+        .send({ ...validEmailData, attachments: [attachment] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.attachments).toHaveLength(1);
+      expect(response.body.data.attachments[0].filename).toBe('invoice.pdf');
+      expect(response.body.data.attachments[0].size).toBe(pdf.length);
+    });
+
+    it('should schedule an email with a multipart upload', async () => {
+      const response = await api
+        .post('/api/emails')
+        .field('to', validEmailData.to)
+        .field('subject', validEmailData.subject)
+        .field('body', validEmailData.body)
+        .field('scheduledAt', validEmailData.scheduledAt)
+        .attach('attachments', pdf, { filename: 'invoice.pdf', contentType: 'application/pdf' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.attachments).toHaveLength(1);
+    });
+
+    it('should reject a disallowed MIME type', async () => {
+      const response = await api.post('/api/emails').send({
+        ...validEmailData,
+        attachments: [{ ...attachment, contentType: 'application/x-msdownload' }],
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].field).toBe('attachments.0.contentType');
+    });
+
+    it('should reject content that does not match its type', async () => {
+      const response = await api.post('/api/emails').send({
+        ...validEmailData,
+        attachments: [{ ...attachment, content: Buffer.from('not a pdf').toString('base64') }],
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should remove stored attachments when the deleted email is purged', async () => {
+      const created = await api
+        .post('/api/emails')
+        .send({ ...validEmailData, attachments: [attachment] });
+      const email = await Email.findByPk(created.body.data.id, { include: ['attachments'] });
+      const { storageKey } = email.attachments[0];
+
+      await expect(getBlobStore().get(storageKey)).resolves.toEqual(pdf);
+
+      await api.delete(`/api/emails/${email.id}`);
+      await expect(getBlobStore().get(storageKey)).resolves.toEqual(pdf);
+
+      const response = await admin.post('/api/admin/emails/purge');
+
+      expect(response.status).toBe(200);
+      await expect(getBlobStore().get(storageKey)).rejects.toThrow();
+    });
+  });
+});
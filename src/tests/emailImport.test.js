@@ -0,0 +1,182 @@
+const { Readable } = require('stream');
+const request = require('supertest');
+const app = require('../app');
+const Email = require('../modules/email/email.model');
+const { createApiKey } = require('../modules/apiKey/apiKey.service');
+const { processImport } = require('../modules/emailImport/emailImport.service');
+const { addImportJob } = require('../modules/emailImport/emailImport.queue');
+const { getBlobStore } = require('../storage');
+const { EMAIL_IMPORT_STATUS } = require('../utils/constants');
+
+// Imports are processed explicitly rather than by the scheduler
+jest.mock('../modules/emailImport/emailImport.queue', () => ({
+  addImportJob: jest.fn(),
+}));
+
+describe('CSV import of emails', () => {
+  const TENANT_ID = 'test-tenant';
+  let api;
+
+  beforeEach(async () => {
+    const { key } = await createApiKey({ tenantId: TENANT_ID, name: 'Tests' });
+    api = request.agent(app).set('X-API-Key', key);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // Send time as written by spreadsheets, tomorrow
+  const sendAt = new Date(Date.now() + 86400000).toISOString().slice(0, 16).replace('T', ' ');
+
+  const CSV = [
+    'Email,Subject,Message,Send at',
+    `first@example.com,Reminder,"See you tomorrow, 10:00",${sendAt}`,
+    `not-an-address,Reminder,See you tomorrow,${sendAt}`,
+    `second@example.com;third@example.com,Reminder,See you tomorrow,${sendAt}`,
+  ].join('\r\n');
+
+  const MAPPING = { to: 'Email', subject: 'Subject', body: 'Message', scheduledAt: 'Send at' };
+
+  const upload = (csv, fields = {}) => {
+    let req = api.post('/api/emails/import');
+    for (const [name, value] of Object.entries(fields)) {
+      req = req.field(name, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+    return req.attach('file', Buffer.from(csv), {
+      filename: 'reminders.csv',
+      contentType: 'text/csv',
+    });
+  };
+
+  const importFile = async (csv, fields) => {
+    const response = await upload(csv, fields);
+    await processImport(response.body.data.id);
+    return api.get(`/api/emails/import/${response.body.data.id}`);
+  };
+
+  it('should queue the import of an uploaded file', async () => {
+    const response = await upload(CSV, { mapping: MAPPING });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data).toMatchObject({
+      status: EMAIL_IMPORT_STATUS.PENDING,
+      filename: 'reminders.csv',
+      progress: 0,
+    });
+    expect(addImportJob).toHaveBeenCalledWith(response.body.data.id);
+  });
+
+  it('should schedule the valid rows and count the rejected ones', async () => {
+    const response = await importFile(CSV, { mapping: MAPPING });
+
+    expect(response.body.data).toMatchObject({
+      status: EMAIL_IMPORT_STATUS.COMPLETED,
+      progress: 100,
+      processedRows: 3,
+      importedRows: 2,
+      rejectedRows: 1,
+    });
+    const emails = await Email.findAll({ order: [['createdAt', 'ASC']] });
+    expect(emails.map((email) => email.to)).toEqual([
+      ['first@example.com'],
+      ['second@example.com', 'third@example.com'],
+    ]);
+    expect(emails[0].body).toBe('See you tomorrow, 10:00');
+    expect(emails[0].tenantId).toBe(TENANT_ID);
+  });
+
+  it('should stream the file instead of loading it at once', async () => {
+    const store = getBlobStore();
+    const put = jest.spyOn(store, 'put');
+    const get = jest.spyOn(store, 'get');
+    const getStream = jest.spyOn(store, 'getStream');
+
+    const response = await importFile(CSV, { mapping: MAPPING });
+
+    expect(response.body.data.importedRows).toBe(2);
+    expect(put.mock.calls[0][1]).toBeInstanceOf(Readable);
+    expect(getStream).toHaveBeenCalledTimes(1);
+    expect(get).not.toHaveBeenCalled();
+    put.mockRestore();
+    get.mockRestore();
+    getStream.mockRestore();
+  });
+
+  it('should report the rejected rows with their reasons', async () => {
+    const { body } = await importFile(CSV, { mapping: MAPPING });
+
+    const response = await api.get(`/api/emails/import/${body.data.id}/report`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch('text/csv');
+    expect(response.headers['content-disposition']).toMatch('reminders-rejected.csv');
+    expect(response.text).toBe(
+      'row,errors,Email,Subject,Message,Send at\r\n' +
+        `3,to.0: Invalid email address,not-an-address,Reminder,See you tomorrow,${sendAt}\r\n`
+    );
+  });
+
+  it('should read columns named like the email fields without a mapping', async () => {
+    const csv = `to;subject;body;scheduledAt\nfirst@example.com;Reminder;See you;${sendAt}\n`;
+
+    const response = await importFile(csv, { delimiter: ';' });
+
+    expect(response.body.data.importedRows).toBe(1);
+  });
+
+  it('should read send times as local times with a timezone', async () => {
+    const response = await importFile(CSV, { mapping: MAPPING, timezone: 'America/New_York' });
+
+    expect(response.body.data.importedRows).toBe(2);
+    const email = (await Email.findAll()).find(({ to }) => to[0] === 'first@example.com');
+    expect(email.timezone).toBe('America/New_York');
+    expect(email.localScheduledAt).toBe(`${sendAt.replace(' ', 'T')}:00`);
+  });
+
+  it('should fail the import when a mapped column is missing', async () => {
+    const response = await importFile(CSV, { mapping: { ...MAPPING, to: 'Recipient' } });
+
+    expect(response.body.data).toMatchObject({
+      status: EMAIL_IMPORT_STATUS.FAILED,
+      failureReason: 'Missing columns: Recipient',
+    });
+    expect(await Email.count()).toBe(0);
+  });
+
+  it('should not offer the report before the import has finished', async () => {
+    const { body } = await upload(CSV, { mapping: MAPPING });
+
+    const response = await api.get(`/api/emails/import/${body.data.id}/report`);
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should reject files that are not CSV', async () => {
+    const response = await api.post('/api/emails/import').attach('file', Buffer.from('%PDF-1.4'), {
+      filename: 'reminders.pdf',
+      contentType: 'application/pdf',
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([{ field: 'file', message: 'File must be a CSV file' }]);
+  });
+
+  it('should reject unknown fields in the mapping', async () => {
+    const response = await upload(CSV, { mapping: { ...MAPPING, priority: 'Priority' } });
+
+    expect(response.status).toBe(400);
+    expect(addImportJob).not.toHaveBeenCalled();
+  });
+
+  it('should not show imports of other tenants', async () => {
+    const { body } = await upload(CSV, { mapping: MAPPING });
+    const { key } = await createApiKey({ tenantId: 'other-tenant', name: 'Other' });
+
+    const response = await request(app)
+      .get(`/api/emails/import/${body.data.id}`)
+      .set('X-API-Key', key);
+
+    expect(response.status).toBe(404);
+  });
+});
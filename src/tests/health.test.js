@@ -0,0 +1,140 @@
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config/env');
+const { sequelize } = require('../config/database');
+const { getEmailQueueCounts } = require('../modules/email/email.queue');
+const { recordWorkerHeartbeat } = require('../modules/health/health.service');
+const { HEALTH_STATUS, WORKER_HEARTBEAT_KEY } = require('../utils/constants');
+
+// Redis is replaced by a key-value map, the queue by its job counts
+const mockRedisStore = new Map();
+jest.mock('../config/redis', () => {
+  const client = {
+    ping: jest.fn(async () => 'PONG'),
+    get: jest.fn(async (key) => mockRedisStore.get(key) ?? null),
+    set: jest.fn(async (key, value) => {
+      mockRedisStore.set(key, value);
+      return 'OK';
+    }),
+  };
+  return { getRedisClient: async () => client, createRedisClient: () => client };
+});
+jest.mock('../modules/email/email.queue', () => ({
+  ...jest.requireActual('../modules/email/email.queue'),
+  getEmailQueueCounts: jest.fn(),
+}));
+
+describe('Health checks', () => {
+  const originalConfig = { redis: config.redis, health: config.health };
+
+  beforeEach(() => {
+    config.redis = { ...config.redis, enabled: false };
+    mockRedisStore.clear();
+    getEmailQueueCounts.mockResolvedValue({ scheduled: 3 });
+  });
+
+  afterEach(() => {
+    Object.assign(config, originalConfig);
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /health/live', () => {
+    it('should answer without checking dependencies', async () => {
+      jest.spyOn(sequelize, 'authenticate').mockRejectedValue(new Error('Connection refused'));
+
+      const response = await request(app).get('/health/live');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, message: 'Server is alive' });
+    });
+  });
+
+  describe('GET /health/ready', () => {
+    it('should be ready with the in-memory scheduler', async () => {
+      const response = await request(app).get('/health/ready');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.checks).toEqual({
+        database: { status: HEALTH_STATUS.UP, latencyMs: expect.any(Number) },
+        redis: { status: HEALTH_STATUS.DISABLED },
+        queue: {
+          status: HEALTH_STATUS.UP,
+          latencyMs: expect.any(Number),
+          details: { jobs: { scheduled: 3 } },
+        },
+        worker: { status: HEALTH_STATUS.DISABLED },
+      });
+    });
+
+    it('should not be ready when the database is down', async () => {
+      jest.spyOn(sequelize, 'authenticate').mockRejectedValue(new Error('Connection refused'));
+
+      const response = await request(app).get('/health/ready');
+
+      expect(response.status).toBe(503);
+      expect(response.body.success).toBe(false);
+      expect(response.body.checks.database).toMatchObject({
+        status: HEALTH_STATUS.DOWN,
+        error: 'Connection refused',
+      });
+      expect(response.body.checks.queue.status).toBe(HEALTH_STATUS.UP);
+    });
+
+    it('should fail checks that take too long', async () => {
+      config.health = { ...config.health, checkTimeout: 50 };
+      jest.spyOn(sequelize, 'authenticate').mockReturnValue(new Promise(() => {}));
+
+      const response = await request(app).get('/health/ready');
+
+      expect(response.status).toBe(503);
+      expect(response.body.checks.database.error).toBe('Timed out after 50ms');
+    });
+
+    describe('with Redis', () => {
+      beforeEach(() => {
+        config.redis = { ...config.redis, enabled: true };
+        getEmailQueueCounts.mockResolvedValue({ waiting: 0, active: 1, delayed: 4 });
+      });
+
+      it('should be ready while the worker sends heartbeats', async () => {
+        await recordWorkerHeartbeat();
+
+        const response = await request(app).get('/health/ready');
+
+        expect(response.status).toBe(200);
+        expect(response.body.checks.redis.status).toBe(HEALTH_STATUS.UP);
+        expect(response.body.checks.worker).toMatchObject({
+          status: HEALTH_STATUS.UP,
+          details: { lastHeartbeatAt: expect.any(String) },
+        });
+      });
+
+      it('should not be ready without a worker', async () => {
+        const response = await request(app).get('/health/ready');
+
+        expect(response.status).toBe(503);
+        expect(response.body.checks.worker).toMatchObject({
+          status: HEALTH_STATUS.DOWN,
+          error: 'No worker heartbeat',
+        });
+      });
+
+      it('should not be ready when the last heartbeat is too old', async () => {
+        mockRedisStore.set(WORKER_HEARTBEAT_KEY, JSON.stringify({ at: Date.now() - 60000 }));
+
+        const response = await request(app).get('/health/ready');
+
+        expect(response.status).toBe(503);
+        expect(response.body.checks.worker.error).toBe('Last worker heartbeat 60s ago');
+      });
+    });
+  });
+
+  it('should keep GET /health for compatibility', async () => {
+    const response = await request(app).get('/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Server is running');
+  });
+});
@@ -0,0 +1,65 @@
+const inMemoryScheduler = require('../utils/inMemoryScheduler');
+const logger = require('../utils/logger');
+
+describe('In-memory scheduler', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    inMemoryScheduler.clear();
+    jest.useRealTimers();
+  });
+
+  it('should wait for jobs due later than setTimeout can wait', async () => {
+    const callback = jest.fn();
+
+    inMemoryScheduler.schedule('far-job', new Date(Date.now() + 30 * DAY), callback);
+
+    await jest.advanceTimersByTimeAsync(29 * DAY);
+    expect(callback).not.toHaveBeenCalled();
+    expect(inMemoryScheduler.size()).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(DAY);
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(inMemoryScheduler.size()).toBe(0);
+  });
+
+  it('should cancel a job waiting for its next hop', async () => {
+    const callback = jest.fn();
+    inMemoryScheduler.schedule('far-job', new Date(Date.now() + 30 * DAY), callback);
+    await jest.advanceTimersByTimeAsync(26 * DAY);
+
+    inMemoryScheduler.cancel('far-job');
+    await jest.advanceTimersByTimeAsync(5 * DAY);
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should log the rejections of async callbacks', async () => {
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const callback = jest.fn().mockRejectedValue(new Error('Database is down'));
+
+    inMemoryScheduler.schedule('job', new Date(Date.now() + 1000), callback);
+    inMemoryScheduler.scheduleRecurring(
+      'series',
+      new Date(Date.now() + 1000),
+      () => null,
+      callback
+    );
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(error).toHaveBeenCalledWith('Error executing in-memory job: job', {
+      jobId: 'job',
+      error: 'Database is down',
+    });
+    expect(error).toHaveBeenCalledWith('Error executing recurring in-memory job: series', {
+      jobId: 'series',
+      error: 'Database is down',
+    });
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config/env');
+const { createApiKey } = require('../modules/apiKey/apiKey.service');
+const Email = require('../modules/email/email.model');
+const { processEmail } = require('../modules/email/email.processor');
+const { registry } = require('../metrics');
+const { sendEmail } = require('../transports');
+const { TRANSPORT_ERROR } = require('../utils/constants');
+
+jest.mock('../transports', () => ({
+  sendEmail: jest.fn(),
+}));
+
+describe('Metrics', () => {
+  const TENANT_ID = 'test-tenant';
+  const originalRedis = config.redis;
+  let api;
+
+  beforeEach(async () => {
+    config.redis = { ...config.redis, enabled: false };
+    registry.resetMetrics();
+    const { key } = await createApiKey({ tenantId: TENANT_ID, name: 'Tests' });
+    api = request.agent(app).set('X-API-Key', key);
+  });
+
+  afterEach(() => {
+    config.redis = originalRedis;
+    jest.clearAllMocks();
+  });
+
+  // Value of a series in the text exposition format, undefined when it is not rendered
+  const scrape = async () => (await request(app).get('/metrics')).text;
+  const valueOf = (text, series) => {
+    const line = text.split('\n').find((entry) => entry.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+  };
+
+  describe('GET /metrics', () => {
+    it('should serve the metrics without an API key', async () => {
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0.0.4/);
+      expect(valueOf(response.text, 'email_queue_jobs{state="scheduled"}')).toEqual(
+        expect.any(Number)
+      );
+    });
+
+    it('should serve the default process metrics', async () => {
+      const text = await scrape();
+
+      expect(valueOf(text, 'process_cpu_user_seconds_total')).toEqual(expect.any(Number));
+      expect(valueOf(text, 'nodejs_heap_size_used_bytes')).toEqual(expect.any(Number));
+    });
+
+    it('should count requests by route pattern', async () => {
+      const email = await Email.create({
+        tenantId: TENANT_ID,
+        to: ['test@example.com'],
+        subject: 'Hello',
+        body: 'Hi',
+        scheduledAt: new Date(Date.now() + 60000),
+      });
+      await api.get(`/api/emails/${email.id}`);
+      // Passed on to the error middleware by the route
+      await api.get('/api/emails/00000000-0000-0000-0000-000000000000');
+      await request(app).get('/no/such/path');
+
+      const text = await scrape();
+      expect(
+        valueOf(text, 'http_requests_total{method="GET",route="/api/emails/:id",status_code="200"}')
+      ).toBe(1);
+      expect(
+        valueOf(text, 'http_requests_total{method="GET",route="/api/emails/:id",status_code="404"}')
+      ).toBe(1);
+      expect(
+        valueOf(text, 'http_requests_total{method="GET",route="unmatched",status_code="404"}')
+      ).toBe(1);
+    });
+
+    it('should count created, sent and failed emails', async () => {
+      const scheduledAt = new Date(Date.now() + 60000).toISOString();
+      const created = await Promise.all(
+        ['first@example.com', 'second@example.com'].map((to) =>
+          api.post('/api/emails').send({ to, subject: 'Hello', body: 'Hi', scheduledAt })
+        )
+      );
+      sendEmail.mockResolvedValueOnce({ success: true, messageId: 'msg-1' }).mockResolvedValueOnce({
+        success: false,
+        error: 'Mailbox does not exist',
+        errorType: TRANSPORT_ERROR.PERMANENT,
+      });
+
+      for (const { body } of created) {
+        await processEmail(body.data.id);
+      }
+
+      const text = await scrape();
+      expect(valueOf(text, 'emails_created_total')).toBe(2);
+      expect(valueOf(text, 'emails_sent_total')).toBe(1);
+      expect(valueOf(text, 'emails_failed_total{reason="permanent"}')).toBe(1);
+      expect(valueOf(text, 'email_send_delay_seconds_count')).toBe(1);
+    });
+
+    it('should count emails that could not be processed', async () => {
+      const email = await Email.create({
+        tenantId: TENANT_ID,
+        to: ['test@example.com'],
+        subject: 'Hello',
+        templateId: '00000000-0000-4000-8000-000000000000',
+        scheduledAt: new Date(),
+      });
+
+      await processEmail(email.id);
+
+      expect(valueOf(await scrape(), 'emails_failed_total{reason="error"}')).toBe(1);
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+  });
+});
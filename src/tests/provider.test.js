@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const Email = require('../modules/email/email.model');
+const EmailDeliveryEvent = require('../modules/email/emailDeliveryEvent.model');
+const { createApiKey } = require('../modules/apiKey/apiKey.service');
+const { processEmail } = require('../modules/email/email.processor');
+const { sendEmail } = require('../transports');
+const config = require('../config/env');
+const { EMAIL_STATUS } = require('../utils/constants');
+const fixtureEvents = require('./fixtures/sendgridEvents.json');
+
+jest.mock('../transports', () => ({
+  sendEmail: jest.fn(),
+}));
+
+describe('Provider delivery events', () => {
+  const TENANT_ID = 'test-tenant';
+  const originalSendGrid = config.sendgrid;
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'prime256v1',
+  });
+
+  const now = () => String(Math.floor(Date.now() / 1000));
+
+  // Sign like the SendGrid Event Webhook: ECDSA over "<timestamp><raw body>"
+  const postEvents = (events, { key = privateKey, timestamp = now() } = {}) => {
+    const body = JSON.stringify(events);
+    const signature = crypto.sign('sha256', Buffer.from(timestamp + body), key);
+    return request(app)
+      .post('/api/providers/sendgrid/events')
+      .set('Content-Type', 'application/json')
+      .set('X-Twilio-Email-Event-Webhook-Signature', signature.toString('base64'))
+      .set('X-Twilio-Email-Event-Webhook-Timestamp', timestamp)
+      .send(body);
+  };
+
+  const createSentEmail = (providerMessageId, to = 'recipient@example.com') =>
+    Email.create({
+      tenantId: TENANT_ID,
+      to: [to],
+      subject: 'Test Email',
+      body: 'This is a test email body',
+      scheduledAt: new Date(Date.now() - 60000),
+      status: EMAIL_STATUS.SENT,
+      providerMessageId,
+    });
+
+  beforeEach(() => {
+    config.sendgrid = {
+      ...originalSendGrid,
+      webhookPublicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+    };
+  });
+
+  afterEach(() => {
+    config.sendgrid = originalSendGrid;
+    jest.clearAllMocks();
+  });
+
+  describe('signature verification', () => {
+    it('should accept events signed with the configured key', async () => {
+      const response = await postEvents([]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ received: 0, recorded: 0 });
+    });
+
+    it('should accept a PEM verification key', async () => {
+      config.sendgrid.webhookPublicKey = publicKey.export({ type: 'spki', format: 'pem' });
+
+      const response = await postEvents([]);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject events signed with another key', async () => {
+      const other = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+      const response = await postEvents(fixtureEvents, { key: other.privateKey });
+
+      expect(response.status).toBe(401);
+      expect(await EmailDeliveryEvent.count()).toBe(0);
+    });
+
+    it('should reject a tampered body', async () => {
+      const body = JSON.stringify(fixtureEvents);
+      const timestamp = now();
+      const signature = crypto.sign('sha256', Buffer.from(timestamp + body), privateKey);
+
+      const response = await request(app)
+        .post('/api/providers/sendgrid/events')
+        .set('Content-Type', 'application/json')
+        .set('X-Twilio-Email-Event-Webhook-Signature', signature.toString('base64'))
+        .set('X-Twilio-Email-Event-Webhook-Timestamp', String(Number(timestamp) + 1))
+        .send(body);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject replayed requests signed too long ago', async () => {
+      const signedAt = Math.floor(Date.now() / 1000);
+
+      const recent = await postEvents([], { timestamp: String(signedAt - 4 * 60) });
+      const replayed = await postEvents(fixtureEvents, { timestamp: String(signedAt - 6 * 60) });
+      const future = await postEvents([], { timestamp: String(signedAt + 6 * 60) });
+
+      expect(recent.status).toBe(200);
+      expect(replayed.status).toBe(401);
+      expect(future.status).toBe(401);
+      expect(await EmailDeliveryEvent.count()).toBe(0);
+    });
+
+    it('should reject requests without a signature', async () => {
+      const response = await request(app)
+        .post('/api/providers/sendgrid/events')
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify(fixtureEvents));
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should be disabled without a verification key', async () => {
+      config.sendgrid.webhookPublicKey = '';
+
+      const response = await postEvents(fixtureEvents);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject a body that is not a list of events', async () => {
+      const response = await postEvents({ event: 'delivered' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('status mapping', () => {
+    it('should map the fixture events onto the email statuses', async () => {
+      const delivered = await createSentEmail('msg-delivered');
+      const deferred = await createSentEmail('msg-deferred');
+      const bounced = await createSentEmail('msg-bounced');
+      const dropped = await createSentEmail('msg-dropped');
+      const spam = await createSentEmail('msg-spam');
+
+      const response = await postEvents(fixtureEvents);
+
+      expect(response.status).toBe(200);
+      // The event of an unknown message is ignored
+      expect(response.body.data).toEqual({ received: 9, recorded: 8 });
+      await Promise.all([delivered, deferred, bounced, dropped, spam].map((e) => e.reload()));
+      expect(delivered.status).toBe(EMAIL_STATUS.DELIVERED);
+      expect(deferred.status).toBe(EMAIL_STATUS.DEFERRED);
+      expect(bounced.status).toBe(EMAIL_STATUS.BOUNCED);
+      expect(dropped.status).toBe(EMAIL_STATUS.DROPPED);
+      expect(spam.status).toBe(EMAIL_STATUS.SPAM_REPORTED);
+    });
+
+    it('should not let a late deferral undo a delivery', async () => {
+      const email = await createSentEmail('msg-deferred');
+      const [deferral] = fixtureEvents.filter((event) => event.event === 'deferred');
+
+      await postEvents([{ ...deferral, event: 'delivered', sg_event_id: 'delivered-first' }]);
+      await postEvents([{ ...deferral, timestamp: deferral.timestamp + 60 }]);
+
+      await email.reload();
+      expect(email.status).toBe(EMAIL_STATUS.DELIVERED);
+      expect(await EmailDeliveryEvent.count({ where: { emailId: email.id } })).toBe(2);
+    });
+
+    it('should record an event delivered twice only once', async () => {
+      await createSentEmail('msg-bounced');
+      const bounce = fixtureEvents.filter((event) => event.event === 'bounce');
+
+      await postEvents(bounce);
+      const response = await postEvents(bounce);
+
+      expect(response.body.data).toEqual({ received: 1, recorded: 0 });
+      expect(await EmailDeliveryEvent.count()).toBe(1);
+    });
+
+    it('should not change emails that were not sent', async () => {
+      const email = await createSentEmail('msg-delivered');
+      await email.update({ status: EMAIL_STATUS.FAILED });
+
+      await postEvents(fixtureEvents);
+
+      await email.reload();
+      expect(email.status).toBe(EMAIL_STATUS.FAILED);
+    });
+
+    it('should store the message id returned by the transport', async () => {
+      sendEmail.mockResolvedValue({ success: true, messageId: 'msg-delivered' });
+      const email = await Email.create({
+        tenantId: TENANT_ID,
+        to: ['delivered@example.com'],
+        subject: 'Test Email',
+        body: 'This is a test email body',
+        scheduledAt: new Date(Date.now() + 60000),
+      });
+
+      await processEmail(email.id);
+      await postEvents(fixtureEvents);
+
+      await email.reload();
+      expect(email.providerMessageId).toBe('msg-delivered');
+      expect(email.status).toBe(EMAIL_STATUS.DELIVERED);
+    });
+  });
+
+  describe('timeline', () => {
+    it('should list the delivery events of an email oldest first', async () => {
+      const email = await createSentEmail('msg-spam');
+      await postEvents(fixtureEvents);
+      const { key } = await createApiKey({ tenantId: TENANT_ID, name: 'Tests' });
+
+      const response = await request(app)
+        .get(`/api/emails/${email.id}/delivery-events`)
+        .set('X-API-Key', key);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((event) => [event.event, event.status])).toEqual([
+        ['delivered', EMAIL_STATUS.DELIVERED],
+        ['spamreport', EMAIL_STATUS.SPAM_REPORTED],
+      ]);
+      expect(response.body.data[0]).toMatchObject({
+        provider: 'sendgrid',
+        recipient: 'spam@example.com',
+        reason: '250 2.0.0 OK',
+        occurredAt: '2024-12-25T09:00:25.000Z',
+      });
+    });
+
+    it('should not show the timeline to other tenants', async () => {
+      const email = await createSentEmail('msg-delivered');
+      const { key } = await createApiKey({ tenantId: 'other-tenant', name: 'Other' });
+
+      const response = await request(app)
+        .get(`/api/emails/${email.id}/delivery-events`)
+        .set('X-API-Key', key);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
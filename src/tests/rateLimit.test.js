@@ -0,0 +1,153 @@
+const request = require('supertest');
+const app = require('../app');
+const config = require('../config/env');
+const Email = require('../modules/email/email.model');
+const { processEmail } = require('../modules/email/email.processor');
+const rateLimiter = require('../rateLimit');
+const memoryStore = require('../rateLimit/memory.store');
+const { sendEmail } = require('../transports');
+const { EMAIL_STATUS } = require('../utils/constants');
+
+jest.mock('../transports', () => ({
+  sendEmail: jest.fn(),
+}));
+
+describe('Outbound rate limits', () => {
+  const originalConfig = { redis: config.redis, rateLimit: config.rateLimit, auth: config.auth };
+  const noLimit = { rate: 0, burst: 0 };
+
+  const email = {
+    tenantId: 'test-tenant',
+    to: ['alice@gmail.com', 'bob@gmail.com', 'carol@example.com'],
+    cc: [],
+    bcc: [],
+    fanOut: false,
+  };
+
+  const useLimits = (limits) => {
+    config.rateLimit = {
+      global: noLimit,
+      tenant: noLimit,
+      domain: noLimit,
+      domains: {},
+      ...limits,
+    };
+  };
+
+  beforeEach(async () => {
+    config.redis = { ...config.redis, enabled: false };
+    await memoryStore.clear();
+  });
+
+  afterEach(() => {
+    Object.assign(config, originalConfig);
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('buckets', () => {
+    it('should take one token per message and one per recipient of each domain', () => {
+      useLimits({ global: { rate: 10 }, tenant: { rate: 5 }, domain: { rate: 2, burst: 4 } });
+
+      expect(rateLimiter.getBucketRequests(email)).toEqual([
+        { key: 'rate-limit:global', rate: 10, capacity: 10, cost: 1 },
+        { key: 'rate-limit:tenant:test-tenant', rate: 5, capacity: 5, cost: 1 },
+        { key: 'rate-limit:domain:gmail.com', rate: 2, capacity: 4, cost: 2 },
+        { key: 'rate-limit:domain:example.com', rate: 2, capacity: 4, cost: 1 },
+      ]);
+    });
+
+    it('should count every message of a fanned out email', () => {
+      useLimits({ tenant: { rate: 10 } });
+
+      const [tenant] = rateLimiter.getBucketRequests({ ...email, fanOut: true });
+
+      expect(tenant.cost).toBe(3);
+    });
+
+    it('should count a message per recipient of an email with unsubscribe links', () => {
+      useLimits({ tenant: { rate: 10 } });
+
+      const [tenant] = rateLimiter.getBucketRequests({ ...email, unsubscribe: true });
+
+      expect(tenant.cost).toBe(3);
+    });
+
+    it('should apply domain overrides and skip disabled limits', () => {
+      useLimits({
+        domain: { rate: 1 },
+        domains: { 'gmail.com': { rate: 20, burst: 40 }, 'example.com': noLimit },
+      });
+
+      expect(rateLimiter.getBucketRequests(email)).toEqual([
+        { key: 'rate-limit:domain:gmail.com', rate: 20, capacity: 40, cost: 2 },
+      ]);
+    });
+  });
+
+  describe('acquire', () => {
+    it('should throttle once the burst is used up and refill over time', async () => {
+      useLimits({ tenant: { rate: 1, burst: 2 } });
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      expect(await rateLimiter.acquire(email)).toBe(0);
+      expect(await rateLimiter.acquire(email)).toBe(0);
+      expect(await rateLimiter.acquire(email)).toBe(1000);
+
+      Date.now.mockReturnValue(now + 1000);
+      expect(await rateLimiter.acquire(email)).toBe(0);
+    });
+
+    it('should not take tokens when another bucket is empty', async () => {
+      useLimits({ tenant: { rate: 1, burst: 1 }, domains: { 'gmail.com': { rate: 1, burst: 2 } } });
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now());
+      const toGmail = { ...email, to: ['alice@gmail.com'] };
+
+      expect(await rateLimiter.acquire(toGmail)).toBe(0);
+      expect(await rateLimiter.acquire(toGmail)).toBe(1000);
+      // The refused send left its gmail.com token to another tenant
+      expect(await rateLimiter.acquire({ ...toGmail, tenantId: 'other-tenant' })).toBe(0);
+    });
+  });
+
+  describe('sending', () => {
+    it('should leave a throttled email pending without sending it', async () => {
+      useLimits({ global: { rate: 1, burst: 1 } });
+      sendEmail.mockResolvedValue({ success: true, messageId: 'test-message-id' });
+      const scheduledAt = new Date(Date.now() + 60000);
+      const first = await Email.create({ ...email, subject: 'First', body: 'Body', scheduledAt });
+      const second = await Email.create({ ...email, subject: 'Second', body: 'Body', scheduledAt });
+
+      await processEmail(first.id);
+      const result = await processEmail(second.id);
+
+      expect(result).toEqual({ throttled: true, retryAfterMs: expect.any(Number) });
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+
+      await second.reload();
+      expect(second.status).toBe(EMAIL_STATUS.PENDING);
+    });
+  });
+
+  describe('GET /api/admin/rate-limits', () => {
+    it('should return the limits and the buckets in use', async () => {
+      config.auth = { ...config.auth, adminApiKey: 'test-admin-key' };
+      useLimits({ tenant: { rate: 1, burst: 5 } });
+      await rateLimiter.acquire(email);
+
+      const response = await request(app)
+        .get('/api/admin/rate-limits')
+        .set('X-API-Key', 'test-admin-key');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.store).toBe('memory');
+      expect(response.body.data.limits.tenant).toEqual({ rate: 1, capacity: 5 });
+      expect(response.body.data.limits.global).toBeNull();
+      expect(response.body.data.buckets).toEqual([
+        expect.objectContaining({ scope: 'tenant', name: 'test-tenant', capacity: 5 }),
+      ]);
+      expect(response.body.data.buckets[0].tokens).toBeGreaterThanOrEqual(4);
+    });
+  });
+});
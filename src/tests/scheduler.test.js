@@ -0,0 +1,139 @@
+const Email = require('../modules/email/email.model');
+const { addEmailJob } = require('../modules/email/email.queue');
+const { rehydrateScheduledEmails } = require('../modules/email/email.service');
+const config = require('../config/env');
+const inMemoryScheduler = require('../utils/inMemoryScheduler');
+const { EMAIL_STATUS, CATCH_UP_POLICY } = require('../utils/constants');
+
+jest.mock('../modules/email/email.queue', () => ({
+  addEmailJob: jest.fn().mockImplementation(async (emailId) => emailId),
+  removeEmailJob: jest.fn(),
+  rescheduleEmailJob: jest.fn(),
+}));
+
+describe('Rescheduling pending emails on startup', () => {
+  const originalScheduler = config.scheduler;
+  const originalRedis = config.redis;
+
+  const emailData = {
+    tenantId: 'test-tenant',
+    to: ['test@example.com'],
+    subject: 'Test Email',
+    body: 'This is a test email body',
+  };
+
+  const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000);
+
+  const usePolicy = (catchUpPolicy) => {
+    config.scheduler = { ...originalScheduler, catchUpPolicy, catchUpGraceSeconds: 3600 };
+  };
+
+  afterEach(() => {
+    config.scheduler = originalScheduler;
+    config.redis = originalRedis;
+    inMemoryScheduler.clear();
+    jest.clearAllMocks();
+  });
+
+  it('should schedule future emails again and ignore other statuses', async () => {
+    usePolicy(CATCH_UP_POLICY.SEND);
+    const pending = await Email.create({ ...emailData, scheduledAt: minutesFromNow(60) });
+    await Email.create({
+      ...emailData,
+      scheduledAt: minutesFromNow(60),
+      status: EMAIL_STATUS.CANCELLED,
+    });
+
+    const result = await rehydrateScheduledEmails();
+
+    expect(result.scheduled).toBe(1);
+    expect(addEmailJob).toHaveBeenCalledTimes(1);
+    expect(addEmailJob).toHaveBeenCalledWith(pending.id, pending.scheduledAt);
+  });
+
+  it('should not send emails due in more than 25 days with the in-memory scheduler', async () => {
+    usePolicy(CATCH_UP_POLICY.SEND);
+    config.redis = { ...originalRedis, enabled: false };
+    addEmailJob.mockImplementationOnce(
+      jest.requireActual('../modules/email/email.queue').addEmailJob
+    );
+    const email = await Email.create({ ...emailData, scheduledAt: minutesFromNow(60 * 24 * 30) });
+
+    await rehydrateScheduledEmails();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(inMemoryScheduler.getJobs()).toEqual([
+      expect.objectContaining({ scheduledAt: email.scheduledAt }),
+    ]);
+    expect((await email.reload()).status).toBe(EMAIL_STATUS.PENDING);
+  });
+
+  it('should send missed emails right away with the send policy', async () => {
+    usePolicy(CATCH_UP_POLICY.SEND);
+    const missed = await Email.create({ ...emailData, scheduledAt: minutesFromNow(-600) });
+
+    const result = await rehydrateScheduledEmails();
+
+    expect(result.caughtUp).toBe(1);
+    expect(addEmailJob).toHaveBeenCalledWith(missed.id, expect.any(Date));
+  });
+
+  it('should mark missed emails as failed with the skip policy', async () => {
+    usePolicy(CATCH_UP_POLICY.SKIP);
+    const missed = await Email.create({ ...emailData, scheduledAt: minutesFromNow(-1) });
+
+    const result = await rehydrateScheduledEmails();
+
+    expect(result.skipped).toBe(1);
+    expect(addEmailJob).not.toHaveBeenCalled();
+
+    await missed.reload();
+    expect(missed.status).toBe(EMAIL_STATUS.FAILED);
+    expect(missed.failureReason).toMatch(/scheduler was down/);
+  });
+
+  it('should only send emails missed within the grace window', async () => {
+    usePolicy(CATCH_UP_POLICY.GRACE);
+    const recent = await Email.create({ ...emailData, scheduledAt: minutesFromNow(-30) });
+    const old = await Email.create({ ...emailData, scheduledAt: minutesFromNow(-120) });
+
+    const result = await rehydrateScheduledEmails();
+
+    expect(result.caughtUp).toBe(1);
+    expect(result.skipped).toBe(1);
+    expect(addEmailJob).toHaveBeenCalledWith(recent.id, expect.any(Date));
+
+    await old.reload();
+    expect(old.status).toBe(EMAIL_STATUS.FAILED);
+  });
+
+  it('should resume recurring emails and end series without further occurrences', async () => {
+    usePolicy(CATCH_UP_POLICY.SKIP);
+    const recurrence = { cron: '0 9 * * 1' };
+    const active = await Email.create({
+      ...emailData,
+      scheduledAt: minutesFromNow(-60 * 24 * 30),
+      recurrence,
+    });
+    const ended = await Email.create({
+      ...emailData,
+      scheduledAt: minutesFromNow(-60 * 24 * 30),
+      recurrence: { ...recurrence, endDate: minutesFromNow(-60).toISOString() },
+    });
+
+    const result = await rehydrateScheduledEmails();
+
+    expect(result.scheduled).toBe(1);
+    expect(result.ended).toBe(1);
+    expect(addEmailJob).toHaveBeenCalledWith(active.id, active.scheduledAt, recurrence);
+
+    await ended.reload();
+    expect(ended.status).toBe(EMAIL_STATUS.SENT);
+  });
+
+  it('should reject an unknown catch-up policy', async () => {
+    usePolicy('later');
+
+    await expect(rehydrateScheduledEmails()).rejects.toThrow('Unknown scheduler catch-up policy');
+  });
+});
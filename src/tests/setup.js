@@ -13,6 +13,18 @@ afterAll(async () => {
 beforeEach(async () => {
   // Clear all tables before each test
   const Email = require('../modules/email/email.model');
-  await Email.destroy({ where: {}, truncate: true, cascade: true });
+  const Template = require('../modules/template/template.model');
+  const IdempotencyKey = require('../modules/idempotency/idempotency.model');
+  const ApiKey = require('../modules/apiKey/apiKey.model');
+  const Webhook = require('../modules/webhook/webhook.model');
+  const Suppression = require('../modules/suppression/suppression.model');
+  const EmailImport = require('../modules/emailImport/emailImport.model');
+  await Email.destroy({ where: {}, truncate: true, cascade: true, force: true });
+  await Template.destroy({ where: {}, truncate: true, cascade: true });
+  await IdempotencyKey.destroy({ where: {}, truncate: true });
+  await ApiKey.destroy({ where: {}, truncate: true });
+  await Webhook.destroy({ where: {}, truncate: true, cascade: true });
+  await Suppression.destroy({ where: {}, truncate: true });
+  await EmailImport.destroy({ where: {}, truncate: true });
 });
 
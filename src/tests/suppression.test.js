@@ -0,0 +1,217 @@
+const request = require('supertest');
+const app = require('../app');
+const Email = require('../modules/email/email.model');
+const Suppression = require('../modules/suppression/suppression.model');
+const { createApiKey } = require('../modules/apiKey/apiKey.service');
+const { ingestSendGridEvents } = require('../modules/provider/provider.service');
+const { processEmail } = require('../modules/email/email.processor');
+const { createEmails } = require('../modules/email/email.service');
+const { sendEmail } = require('../transports');
+const config = require('../config/env');
+const { EMAIL_STATUS, SUPPRESSION_POLICY } = require('../utils/constants');
+
+jest.mock('../transports', () => ({
+  sendEmail: jest.fn(),
+}));
+
+describe('Suppressions', () => {
+  const TENANT_ID = 'test-tenant';
+  const originalSuppression = config.suppression;
+  let api;
+
+  beforeEach(async () => {
+    const { key } = await createApiKey({ tenantId: TENANT_ID, name: 'Tests' });
+    api = request.agent(app).set('X-API-Key', key);
+  });
+
+  afterEach(() => {
+    config.suppression = originalSuppression;
+    jest.clearAllMocks();
+  });
+
+  const suppress = (data) => Suppression.create({ tenantId: TENANT_ID, ...data });
+
+  const emailData = {
+    to: ['customer@example.com'],
+    cc: ['bounced@example.com'],
+    subject: 'Test Email',
+    body: 'This is a test email body',
+    scheduledAt: new Date(Date.now() + 60000).toISOString(),
+  };
+
+  describe('management', () => {
+    it('should suppress an address case-insensitively and reject duplicates', async () => {
+      const response = await api
+        .post('/api/suppressions')
+        .send({ email: 'Bounced@Example.com', reason: 'bounce' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ email: 'bounced@example.com', reason: 'bounce' });
+
+      const duplicate = await api.post('/api/suppressions').send({ email: 'bounced@example.com' });
+      expect(duplicate.status).toBe(409);
+    });
+
+    it('should reject an expiry in the past and unknown reasons', async () => {
+      const response = await api.post('/api/suppressions').send({
+        email: 'bounced@example.com',
+        reason: 'angry',
+        expiresAt: new Date(Date.now() - 60000).toISOString(),
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map((error) => error.field)).toEqual(['reason', 'expiresAt']);
+    });
+
+    it('should import suppressions and update the existing ones', async () => {
+      await suppress({ email: 'bounced@example.com', reason: 'manual' });
+
+      const response = await api.post('/api/suppressions/import').send({
+        suppressions: [
+          { email: 'bounced@example.com', reason: 'bounce' },
+          { email: 'complaint@example.com', reason: 'complaint' },
+          { email: 'COMPLAINT@example.com', reason: 'complaint', note: 'Reported twice' },
+        ],
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.imported).toBe(2);
+      const suppressions = await Suppression.findAll({ order: [['email', 'ASC']] });
+      expect(suppressions.map(({ email, reason }) => [email, reason])).toEqual([
+        ['bounced@example.com', 'bounce'],
+        ['complaint@example.com', 'complaint'],
+      ]);
+      expect(suppressions[1].note).toBe('Reported twice');
+    });
+
+    it('should list suppressions by reason and activity', async () => {
+      await suppress({ email: 'bounced@example.com', reason: 'bounce' });
+      const expired = await suppress({ email: 'later@example.com' });
+      await expired.update({ expiresAt: new Date(Date.now() - 60000) });
+
+      const bounces = await api.get('/api/suppressions?reason=bounce');
+      const active = await api.get('/api/suppressions?active=true');
+      const inactive = await api.get('/api/suppressions?active=false');
+
+      expect(bounces.body.data.suppressions).toHaveLength(1);
+      expect(active.body.data.suppressions.map((s) => s.email)).toEqual(['bounced@example.com']);
+      expect(inactive.body.data.suppressions.map((s) => s.email)).toEqual(['later@example.com']);
+    });
+
+    it('should update and delete suppressions of the tenant only', async () => {
+      const suppression = await suppress({ email: 'bounced@example.com' });
+      const { key } = await createApiKey({ tenantId: 'other-tenant', name: 'Other' });
+
+      const other = await request(app)
+        .delete(`/api/suppressions/${suppression.id}`)
+        .set('X-API-Key', key);
+      expect(other.status).toBe(404);
+
+      const updated = await api.put(`/api/suppressions/${suppression.id}`).send({ note: 'Typo' });
+      expect(updated.body.data.note).toBe('Typo');
+
+      const deleted = await api.delete(`/api/suppressions/${suppression.id}`);
+      expect(deleted.status).toBe(200);
+      expect(await Suppression.count()).toBe(0);
+    });
+  });
+
+  describe('scheduling', () => {
+    it('should reject emails to suppressed recipients', async () => {
+      await suppress({ email: 'bounced@example.com', reason: 'bounce' });
+
+      const response = await api.post('/api/emails').send(emailData);
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { field: 'cc', message: 'bounced@example.com is suppressed (bounce)' },
+      ]);
+      expect(await Email.count()).toBe(0);
+    });
+
+    it('should only warn with the warn policy', async () => {
+      config.suppression = { ...originalSuppression, policy: SUPPRESSION_POLICY.WARN };
+      await suppress({ email: 'bounced@example.com', reason: 'bounce' });
+
+      const response = await api.post('/api/emails').send(emailData);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.suppressedRecipients).toEqual([
+        { email: 'bounced@example.com', reason: 'bounce', expiresAt: null },
+      ]);
+    });
+
+    it('should ignore other tenants and expired suppressions', async () => {
+      await Suppression.create({ tenantId: 'other-tenant', email: 'bounced@example.com' });
+      const expired = await suppress({ email: 'customer@example.com' });
+      await expired.update({ expiresAt: new Date(Date.now() - 60000) });
+
+      const response = await api.post('/api/emails').send(emailData);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.suppressedRecipients).toBeUndefined();
+    });
+
+    it('should check new recipients when an email is updated', async () => {
+      await suppress({ email: 'bounced@example.com', reason: 'complaint' });
+      const created = await api.post('/api/emails').send({ ...emailData, cc: [] });
+
+      const response = await api
+        .put(`/api/emails/${created.body.data.id}`)
+        .send({ to: ['BOUNCED@example.com'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].field).toBe('to');
+    });
+
+    it('should match suppressed recipients of bulk emails case-insensitively', async () => {
+      await suppress({ email: 'bounced@example.com', reason: 'bounce' });
+
+      // The API lower-cases addresses, other callers may not
+      const { results } = await createEmails(TENANT_ID, {
+        emails: [{ value: { ...emailData, cc: ['Bounced@Example.com'] } }],
+      });
+
+      expect(results[0].errors).toEqual([
+        { field: 'cc', message: 'bounced@example.com is suppressed (bounce)' },
+      ]);
+      expect(await Email.count()).toBe(0);
+    });
+  });
+
+  describe('sending', () => {
+    it('should mark the email suppressed instead of sending it', async () => {
+      const email = await Email.create({ ...emailData, tenantId: TENANT_ID });
+      await suppress({ email: 'bounced@example.com', reason: 'bounce' });
+
+      await processEmail(email.id);
+
+      expect(sendEmail).not.toHaveBeenCalled();
+      await email.reload();
+      expect(email.status).toBe(EMAIL_STATUS.SUPPRESSED);
+      expect(email.failureReason).toBe('Suppressed recipients: bounced@example.com (bounce)');
+    });
+
+    it('should suppress hard bounces and complaints reported by the provider', async () => {
+      await Email.create({
+        ...emailData,
+        tenantId: TENANT_ID,
+        status: EMAIL_STATUS.SENT,
+        providerMessageId: 'msg-1',
+      });
+      const event = { sg_message_id: 'msg-1.filter0001', timestamp: 1735117200 };
+
+      await ingestSendGridEvents([
+        { ...event, event: 'bounce', type: 'blocked', email: 'customer@example.com' },
+        { ...event, event: 'bounce', type: 'bounce', email: 'bounced@example.com' },
+        { ...event, event: 'spamreport', email: 'customer@example.com' },
+      ]);
+
+      const suppressions = await Suppression.findAll({ order: [['email', 'ASC']] });
+      expect(suppressions.map(({ email, reason }) => [email, reason])).toEqual([
+        ['bounced@example.com', 'bounce'],
+        ['customer@example.com', 'complaint'],
+      ]);
+    });
+  });
+});
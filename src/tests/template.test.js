@@ -0,0 +1,248 @@
+const request = require('supertest');
+const app = require('../app');
+const { createApiKey } = require('../modules/apiKey/apiKey.service');
+const Email = require('../modules/email/email.model');
+const { EMAIL_STATUS } = require('../utils/constants');
+
+jest.mock('../transports', () => ({
+  sendEmail: jest.fn(),
+}));
+
+describe('Template API', () => {
+  const TENANT_ID = 'test-tenant';
+  let api;
+
+  // Requests are authenticated with an API key of TENANT_ID
+  beforeEach(async () => {
+    const { key } = await createApiKey({ tenantId: TENANT_ID, name: 'Tests' });
+    api = request.agent(app).set('X-API-Key', key);
+  });
+
+  // Emails created directly belong to the same tenant
+  const createEmailRecord = (data) => Email.create({ ...data, tenantId: TENANT_ID });
+
+  const validTemplateData = {
+    name: 'welcome',
+    description: 'Welcome email',
+    subject: 'Welcome, {{firstName}}!',
+    body: 'Hi {{ firstName }}, your account {{accountId}} is ready.',
+  };
+
+  const createTemplate = async (data = validTemplateData) => {
+    const response = await api.post('/api/templates').send(data);
+    return response.body.data;
+  };
+
+  describe('POST /api/templates', () => {
+    it('should create a template with its placeholders', async () => {
+      const response = await api.post('/api/templates').send(validTemplateData);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.latestVersion).toBe(1);
+      expect(response.body.data.placeholders).toEqual(['firstName', 'accountId']);
+    });
+
+    it('should return validation error for missing body', async () => {
+      const invalidData = { ...validTemplateData, body: undefined };
+      const response = await api.post('/api/templates').send(invalidData);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject duplicate template names', async () => {
+      await createTemplate();
+      const response = await api.post('/api/templates').send(validTemplateData);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('PUT /api/templates/:id', () => {
+    it('should create a new version when the content changes', async () => {
+      const template = await createTemplate();
+
+      const response = await api
+        .put(`/api/templates/${template.id}`)
+        .send({ body: 'Hello {{firstName}}' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.latestVersion).toBe(2);
+      expect(response.body.data.subject).toBe(validTemplateData.subject);
+
+      const versions = await api.get(`/api/templates/${template.id}/versions`);
+      expect(versions.body.data).toHaveLength(2);
+    });
+
+    it('should not create a new version when only the name changes', async () => {
+      const template = await createTemplate();
+
+      const response = await api.put(`/api/templates/${template.id}`).send({ name: 'welcome-v2' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.latestVersion).toBe(1);
+    });
+  });
+
+  describe('DELETE /api/templates/:id', () => {
+    it('should not delete a template used by a pending email', async () => {
+      const template = await createTemplate();
+      await createEmailRecord({
+        to: 'test@example.com',
+        templateId: template.id,
+        templateVersion: 1,
+        variables: { firstName: 'Alice', accountId: 42 },
+        scheduledAt: new Date(Date.now() + 60000),
+        status: EMAIL_STATUS.PENDING,
+      });
+
+      const response = await api.delete(`/api/templates/${template.id}`);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return 404 for non-existent template', async () => {
+      const fakeId = '00000000-0000-0000-0000-000000000000';
+      const response = await api.delete(`/api/templates/${fakeId}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Scheduling emails with a template', () => {
+    const emailData = {
+      to: 'test@example.com',
+      scheduledAt: new Date(Date.now() + 60000).toISOString(),
+    };
+
+    it('should schedule an email pinned to the latest template version', async () => {
+      const template = await createTemplate();
+
+      const response = await api.post('/api/emails').send({
+        ...emailData,
+        templateId: template.id,
+        variables: { firstName: 'Alice', accountId: 42 },
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.templateVersion).toBe(1);
+      expect(response.body.data.subject).toBeNull();
+    });
+
+    it('should reject missing variables when the email is scheduled', async () => {
+      const template = await createTemplate();
+
+      const response = await api
+        .post('/api/emails')
+        .send({ ...emailData, templateId: template.id, variables: { firstName: 'Alice' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        {
+          field: 'variables.accountId',
+          message: 'Variable "accountId" is required by the template',
+        },
+      ]);
+    });
+
+    it('should reject an unknown template', async () => {
+      const response = await api
+        .post('/api/emails')
+        .send({ ...emailData, templateId: '00000000-0000-0000-0000-000000000000' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject subject and body together with a template', async () => {
+      const template = await createTemplate();
+
+      const response = await api
+        .post('/api/emails')
+        .send({ ...emailData, templateId: template.id, subject: 'Hello', body: 'Body' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should switch a templated email back to its own subject and body', async () => {
+      const template = await createTemplate();
+      const { body } = await api.post('/api/emails').send({
+        ...emailData,
+        templateId: template.id,
+        variables: { firstName: 'Alice', accountId: 42 },
+      });
+
+      const response = await api
+        .put(`/api/emails/${body.data.id}`)
+        .send({ templateId: null, subject: 'Hello', body: 'Hi Alice' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        templateId: null,
+        templateVersion: null,
+        subject: 'Hello',
+      });
+    });
+
+    it('should require a subject and body when an email leaves its template', async () => {
+      const template = await createTemplate();
+      const { body } = await api.post('/api/emails').send({
+        ...emailData,
+        templateId: template.id,
+        variables: { firstName: 'Alice', accountId: 42 },
+      });
+
+      const response = await api
+        .put(`/api/emails/${body.data.id}`)
+        .send({ templateId: null, subject: 'Hello' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Subject and body are required unless a template is used');
+    });
+  });
+
+  describe('Tenants', () => {
+    let otherApi;
+
+    beforeEach(async () => {
+      const { key } = await createApiKey({ tenantId: 'other-tenant', name: 'Tests' });
+      otherApi = request.agent(app).set('X-API-Key', key);
+    });
+
+    it('should only show the templates of the caller tenant', async () => {
+      const template = await createTemplate();
+
+      const listResponse = await otherApi.get('/api/templates');
+      const getResponse = await otherApi.get(`/api/templates/${template.id}`);
+      const versionResponse = await otherApi.get(`/api/templates/${template.id}/versions/1`);
+      const deleteResponse = await otherApi.delete(`/api/templates/${template.id}`);
+
+      expect(listResponse.body.data.templates).toHaveLength(0);
+      expect(getResponse.status).toBe(404);
+      expect(versionResponse.status).toBe(404);
+      expect(deleteResponse.status).toBe(404);
+      expect((await api.get(`/api/templates/${template.id}`)).status).toBe(200);
+    });
+
+    it('should allow the same template name in another tenant', async () => {
+      await createTemplate();
+      const response = await otherApi.post('/api/templates').send(validTemplateData);
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should not schedule an email with a template of another tenant', async () => {
+      const template = await createTemplate();
+
+      const response = await otherApi.post('/api/emails').send({
+        to: 'test@example.com',
+        scheduledAt: new Date(Date.now() + 60000).toISOString(),
+        templateId: template.id,
+        variables: { firstName: 'Alice', accountId: 42 },
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { field: 'templateId', message: 'Template not found' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const request = require('supertest');
+const app = require('../app');
+const Email = require('../modules/email/email.model');
+const EmailTrackingEvent = require('../modules/email/emailTrackingEvent.model');
+const { createApiKey } = require('../modules/apiKey/apiKey.service');
+const { getTrackingUrl } = require('../modules/tracking/tracking.service');
+const { processEmail } = require('../modules/email/email.processor');
+const { sendEmail } = require('../transports');
+const config = require('../config/env');
+const { TRACKING_EVENT } = require('../utils/constants');
+
+jest.mock('../transports', () => ({
+  sendEmail: jest.fn(),
+}));
+
+describe('Open and click tracking', () => {
+  const TENANT_ID = 'test-tenant';
+  const originalLinks = config.links;
+  let api;
+
+  beforeEach(async () => {
+    config.links = { baseUrl: 'https://mail.example.com', secret: 'test-link-secret' };
+    const { key } = await createApiKey({ tenantId: TENANT_ID, name: 'Tests' });
+    api = request.agent(app).set('X-API-Key', key);
+    sendEmail.mockResolvedValue({ success: true, messageId: 'msg-1' });
+  });
+
+  afterEach(() => {
+    config.links = originalLinks;
+    jest.clearAllMocks();
+  });
+
+  const HTML_BODY =
+    '<html><body><p>Our <a href="https://example.com/sale?a=1&amp;b=2">sale</a> ' +
+    "and <a class='cta' href='https://example.com/shop'>shop</a></p></body></html>";
+
+  const createEmailRecord = (data = {}) =>
+    Email.create({
+      tenantId: TENANT_ID,
+      to: ['first@example.com', 'second@example.com'],
+      subject: 'Spring sale',
+      body: HTML_BODY,
+      scheduledAt: new Date(Date.now() + 60000),
+      tracking: true,
+      ...data,
+    });
+
+  const pathOf = (url) => url.replace(config.links.baseUrl, '');
+
+  describe('sending', () => {
+    it('should rewrite the links and add a pixel to shared messages', async () => {
+      const email = await createEmailRecord();
+
+      await processEmail(email.id);
+
+      const [message] = sendEmail.mock.calls[0];
+      const saleUrl = getTrackingUrl(
+        TRACKING_EVENT.CLICK,
+        email,
+        null,
+        'https://example.com/sale?a=1&b=2'
+      );
+      const shopUrl = getTrackingUrl(TRACKING_EVENT.CLICK, email, null, 'https://example.com/shop');
+      const openUrl = getTrackingUrl(TRACKING_EVENT.OPEN, email, null);
+      expect(message.body).toBe(
+        `<html><body><p>Our <a href="${saleUrl}">sale</a> and <a class='cta' href='${shopUrl}'>shop</a></p>` +
+          `<img src="${openUrl}" width="1" height="1" alt="" style="display:none">\n</body></html>`
+      );
+      expect(message.personalizations).toBeUndefined();
+    });
+
+    it('should give every recipient its own tracking URLs when fanning out', async () => {
+      const email = await createEmailRecord({ fanOut: true });
+
+      await processEmail(email.id);
+
+      const [message] = sendEmail.mock.calls[0];
+      expect(message.body).toContain('<a href="%%tracking_click_0%%">sale</a>');
+      expect(message.personalizations['second@example.com'].substitutions).toEqual({
+        '%%tracking_open%%': getTrackingUrl(TRACKING_EVENT.OPEN, email, 'second@example.com'),
+        '%%tracking_click_0%%': getTrackingUrl(
+          TRACKING_EVENT.CLICK,
+          email,
+          'second@example.com',
+          'https://example.com/sale?a=1&b=2'
+        ),
+        '%%tracking_click_1%%': getTrackingUrl(
+          TRACKING_EVENT.CLICK,
+          email,
+          'second@example.com',
+          'https://example.com/shop'
+        ),
+      });
+    });
+
+    it('should keep the unsubscribe link and headers of the recipient', async () => {
+      const email = await createEmailRecord({ unsubscribe: true });
+
+      await processEmail(email.id);
+
+      const [message] = sendEmail.mock.calls[0];
+      const personalization = message.personalizations['first@example.com'];
+      expect(message.body).toContain('<a href="%%unsubscribe_url%%">Unsubscribe</a>');
+      expect(personalization.headers['List-Unsubscribe']).toMatch(/^<https:/);
+      expect(Object.keys(personalization.substitutions)).toEqual([
+        '%%unsubscribe_url%%',
+        '%%tracking_open%%',
+        '%%tracking_click_0%%',
+        '%%tracking_click_1%%',
+      ]);
+    });
+
+    it('should leave plain text bodies untouched', async () => {
+      const email = await createEmailRecord({ body: 'Visit https://example.com/sale' });
+
+      await processEmail(email.id);
+
+      expect(sendEmail.mock.calls[0][0].body).toBe('Visit https://example.com/sale');
+    });
+
+    it('should require a link signing secret', async () => {
+      config.links = { ...config.links, secret: '' };
+
+      const response = await api.post('/api/emails').send({
+        to: ['first@example.com'],
+        subject: 'Spring sale',
+        body: HTML_BODY,
+        scheduledAt: new Date(Date.now() + 60000).toISOString(),
+        tracking: true,
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch('LINK_SIGNING_SECRET');
+    });
+  });
+
+  describe('recording', () => {
+    it('should answer the pixel and record the open', async () => {
+      const email = await createEmailRecord();
+      const openUrl = getTrackingUrl(TRACKING_EVENT.OPEN, email, 'first@example.com');
+
+      const response = await request(app).get(pathOf(openUrl)).set('User-Agent', 'TestMail/1.0');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/gif');
+      expect(response.headers['cache-control']).toMatch('no-store');
+      const [event] = await EmailTrackingEvent.findAll();
+      expect(event).toMatchObject({
+        emailId: email.id,
+        type: TRACKING_EVENT.OPEN,
+        recipient: 'first@example.com',
+        url: null,
+        userAgent: 'TestMail/1.0',
+      });
+    });
+
+    it('should still answer the pixel for an invalid token', async () => {
+      const response = await request(app).get('/track/open/not-a-token');
+
+      expect(response.status).toBe(200);
+      expect(await EmailTrackingEvent.count()).toBe(0);
+    });
+
+    it('should record the click and redirect to the original link', async () => {
+      const email = await createEmailRecord();
+      const clickUrl = getTrackingUrl(
+        TRACKING_EVENT.CLICK,
+        email,
+        null,
+        'https://example.com/shop'
+      );
+
+      const response = await request(app).get(pathOf(clickUrl));
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('https://example.com/shop');
+      const [event] = await EmailTrackingEvent.findAll();
+      expect(event).toMatchObject({ type: TRACKING_EVENT.CLICK, url: 'https://example.com/shop' });
+    });
+
+    it('should not redirect forged links', async () => {
+      const email = await createEmailRecord();
+      const openUrl = getTrackingUrl(TRACKING_EVENT.OPEN, email, null);
+
+      // A valid open token is not a click token
+      const response = await request(app).get(`/track/click/${openUrl.split('/').pop()}`);
+
+      expect(response.status).toBe(400);
+      expect(response.headers.location).toBeUndefined();
+    });
+
+    it('should still redirect when the email was deleted', async () => {
+      const email = await createEmailRecord();
+      const clickUrl = getTrackingUrl(
+        TRACKING_EVENT.CLICK,
+        email,
+        null,
+        'https://example.com/shop'
+      );
+      await email.destroy({ force: true });
+
+      const response = await request(app).get(pathOf(clickUrl));
+
+      expect(response.status).toBe(302);
+      expect(await EmailTrackingEvent.count()).toBe(0);
+    });
+  });
+
+  describe('statistics', () => {
+    it('should expose open and click counts on the email', async () => {
+      const email = await createEmailRecord();
+      const openPath = pathOf(getTrackingUrl(TRACKING_EVENT.OPEN, email, null));
+      const clickPath = pathOf(
+        getTrackingUrl(TRACKING_EVENT.CLICK, email, null, 'https://example.com/shop')
+      );
+
+      await request(app).get(openPath);
+      await request(app).get(openPath);
+      await request(app).get(clickPath);
+
+      const response = await api.get(`/api/emails/${email.id}`);
+      const events = await EmailTrackingEvent.findAll({
+        where: { type: TRACKING_EVENT.OPEN },
+        order: [['createdAt', 'ASC']],
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.trackingStats).toEqual({
+        opens: 2,
+        clicks: 1,
+        firstOpenedAt: events[0].createdAt.toISOString(),
+        lastOpenedAt: events[1].createdAt.toISOString(),
+      });
+    });
+
+    it('should not report statistics for untracked emails', async () => {
+      const email = await createEmailRecord({ tracking: false });
+
+      const response = await api.get(`/api/emails/${email.id}`);
+
+      expect(response.body.data.trackingStats).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const sgMail = require('@sendgrid/mail');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { sendEmail, getTransport, registerTransport } = require('../transports');
+const { sendWithNodemailer } = require('../transports/transport.utils');
+const { TRANSPORT_ERROR } = require('../utils/constants');
+
+jest.mock('@sendgrid/mail', () => ({
+  setApiKey: jest.fn(),
+  send: jest.fn(),
+}));
+
+describe('Email transports', () => {
+  const message = {
+    to: ['first@example.com', 'second@example.com'],
+    subject: 'Test Email',
+    body: 'This is a test email body',
+  };
+  const originalConfig = { transport: config.transport, sendgrid: config.sendgrid };
+
+  afterEach(() => {
+    Object.assign(config, originalConfig);
+    jest.clearAllMocks();
+  });
+
+  const useTransport = (driver) => {
+    config.transport = { ...config.transport, driver };
+  };
+
+  describe('registry', () => {
+    it('should return the configured transport', () => {
+      useTransport('console');
+
+      expect(getTransport().name).toBe('console');
+    });
+
+    it('should reject an unknown transport', () => {
+      expect(() => getTransport('carrier-pigeon')).toThrow('Unknown email transport');
+    });
+
+    it('should return a configuration error for an unknown transport', async () => {
+      useTransport('carrier-pigeon');
+
+      const result = await sendEmail(message);
+
+      expect(result.success).toBe(false);
+      expect(result.errorType).toBe(TRANSPORT_ERROR.CONFIGURATION);
+    });
+
+    it('should send through a registered custom transport with defaults applied', async () => {
+      const send = jest.fn().mockResolvedValue({ success: true, messageId: 'custom-1' });
+      registerTransport({ name: 'custom', send });
+      useTransport('custom');
+
+      const result = await sendEmail(message);
+
+      expect(result.messageId).toBe('custom-1');
+      expect(send).toHaveBeenCalledWith({
+        ...message,
+        from: config.transport.from,
+        cc: [],
+        bcc: [],
+        attachments: [],
+        fanOut: false,
+      });
+    });
+  });
+
+  describe('console transport', () => {
+    it('should return a message id for every fanned out message', async () => {
+      useTransport('console');
+
+      const result = await sendEmail({ ...message, fanOut: true });
+
+      expect(result.success).toBe(true);
+      expect(result.messageId.split(',')).toHaveLength(2);
+    });
+
+    it('should personalize the headers and body of every fanned out message', async () => {
+      const info = jest.spyOn(logger, 'info');
+      useTransport('console');
+
+      await sendEmail({
+        ...message,
+        body: 'Unsubscribe: %%url%%',
+        fanOut: true,
+        headers: { 'X-Campaign': 'spring' },
+        personalizations: {
+          'second@example.com': {
+            headers: { 'List-Unsubscribe': '<https://example.com/u/2>' },
+            substitutions: { '%%url%%': 'https://example.com/u/2' },
+          },
+        },
+      });
+
+      const [first, second] = info.mock.calls.map(([, { message: sent }]) => sent);
+      expect(first.text).toBe('Unsubscribe: %%url%%');
+      expect(first.headers).toEqual({ 'X-Campaign': 'spring' });
+      expect(second.text).toBe('Unsubscribe: https://example.com/u/2');
+      expect(second.headers).toEqual({
+        'X-Campaign': 'spring',
+        'List-Unsubscribe': '<https://example.com/u/2>',
+      });
+      info.mockRestore();
+    });
+  });
+
+  describe('nodemailer fan out', () => {
+    it('should go on after a failed message and report the recipients that got theirs', async () => {
+      const transporter = {
+        sendMail: jest.fn(async ({ to }) => {
+          if (to === 'second@example.com') {
+            throw Object.assign(new Error('Mailbox unavailable'), { responseCode: 550 });
+          }
+          return { messageId: `<${to}>` };
+        }),
+      };
+
+      const sending = sendWithNodemailer(transporter, {
+        ...message,
+        to: [...message.to, 'third@example.com'],
+        cc: [],
+        bcc: [],
+        attachments: [],
+        fanOut: true,
+      });
+
+      await expect(sending).rejects.toMatchObject({
+        message: 'Mailbox unavailable',
+        sentTo: ['first@example.com', 'third@example.com'],
+      });
+      expect(transporter.sendMail).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('sendgrid transport', () => {
+    beforeEach(() => {
+      useTransport('sendgrid');
+      config.sendgrid = { apiKey: 'SG.test' };
+    });
+
+    it('should return the SendGrid message id', async () => {
+      sgMail.send.mockResolvedValue([{ headers: { 'x-message-id': 'sg-123' } }]);
+
+      const result = await sendEmail(message);
+
+      expect(result).toEqual({ success: true, messageId: 'sg-123', error: null, errorType: null });
+    });
+
+    it('should send personalizations as SendGrid personalizations', async () => {
+      sgMail.send.mockResolvedValue([{ headers: { 'x-message-id': 'sg-123' } }]);
+      const personalization = {
+        headers: { 'List-Unsubscribe': '<https://example.com/u/1>' },
+        substitutions: { '%%url%%': 'https://example.com/u/1' },
+      };
+
+      await sendEmail({
+        ...message,
+        fanOut: true,
+        personalizations: { 'first@example.com': personalization },
+      });
+
+      const [msg, isMultiple] = sgMail.send.mock.calls[0];
+      expect(isMultiple).toBe(true);
+      expect(msg.substitutionWrappers).toEqual(['', '']);
+      expect(msg.personalizations).toEqual([
+        { to: 'first@example.com', ...personalization },
+        { to: 'second@example.com', headers: undefined, substitutions: undefined },
+      ]);
+    });
+
+    it('should classify throttling as transient', async () => {
+      sgMail.send.mockRejectedValue(Object.assign(new Error('Too Many Requests'), { code: 429 }));
+
+      const result = await sendEmail(message);
+
+      expect(result.errorType).toBe(TRANSPORT_ERROR.TRANSIENT);
+    });
+
+    it('should classify an invalid API key as a configuration error', async () => {
+      sgMail.send.mockRejectedValue(Object.assign(new Error('Unauthorized'), { code: 401 }));
+
+      const result = await sendEmail(message);
+
+      expect(result.errorType).toBe(TRANSPORT_ERROR.CONFIGURATION);
+    });
+
+    it('should classify a rejected message as permanent', async () => {
+      const error = Object.assign(new Error('Bad Request'), {
+        code: 400,
+        response: { body: { errors: [{ message: 'Invalid from address' }] } },
+      });
+      sgMail.send.mockRejectedValue(error);
+
+      const result = await sendEmail(message);
+
+      expect(result).toEqual({
+        success: false,
+        messageId: null,
+        error: 'Invalid from address',
+        errorType: TRANSPORT_ERROR.PERMANENT,
+      });
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const request = require('supertest');
+const app = require('../app');
+const Email = require('../modules/email/email.model');
+const Suppression = require('../modules/suppression/suppression.model');
+const { createApiKey } = require('../modules/apiKey/apiKey.service');
+const { getUnsubscribeUrl } = require('../modules/unsubscribe/unsubscribe.service');
+const { processEmail } = require('../modules/email/email.processor');
+const { sendEmail } = require('../transports');
+const config = require('../config/env');
+const { EMAIL_STATUS } = require('../utils/constants');
+
+jest.mock('../transports', () => ({
+  sendEmail: jest.fn(),
+}));
+
+describe('Unsubscribe links', () => {
+  const TENANT_ID = 'test-tenant';
+  const originalLinks = config.links;
+  let api;
+
+  beforeEach(async () => {
+    config.links = { baseUrl: 'https://mail.example.com', secret: 'test-link-secret' };
+    const { key } = await createApiKey({ tenantId: TENANT_ID, name: 'Tests' });
+    api = request.agent(app).set('X-API-Key', key);
+    sendEmail.mockResolvedValue({ success: true, messageId: 'msg-1' });
+  });
+
+  afterEach(() => {
+    config.links = originalLinks;
+    jest.clearAllMocks();
+  });
+
+  const emailData = {
+    to: ['first@example.com', 'second@example.com'],
+    subject: 'Monthly newsletter',
+    body: 'This month in the newsletter',
+    scheduledAt: new Date(Date.now() + 60000).toISOString(),
+    unsubscribe: true,
+    category: 'newsletter',
+  };
+
+  const createEmailRecord = (data = {}) =>
+    Email.create({ ...emailData, tenantId: TENANT_ID, ...data });
+
+  const tokenOf = (url) => url.split('/').pop();
+
+  describe('scheduling', () => {
+    it('should reject cc and bcc recipients', async () => {
+      const response = await api
+        .post('/api/emails')
+        .send({ ...emailData, cc: ['manager@example.com'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].message).toBe(
+        'cc and bcc cannot be used with unsubscribe links'
+      );
+    });
+
+    it('should require a link signing secret', async () => {
+      config.links = { ...config.links, secret: '' };
+
+      const response = await api.post('/api/emails').send(emailData);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch('LINK_SIGNING_SECRET');
+    });
+  });
+
+  describe('sending', () => {
+    it('should send every recipient its own link and List-Unsubscribe headers', async () => {
+      const email = await createEmailRecord();
+
+      await processEmail(email.id);
+
+      const [message] = sendEmail.mock.calls[0];
+      expect(message.fanOut).toBe(true);
+      expect(message.body).toBe('This month in the newsletter\n\nUnsubscribe: %%unsubscribe_url%%');
+
+      const { headers, substitutions } = message.personalizations['second@example.com'];
+      const url = getUnsubscribeUrl(email, 'second@example.com');
+      expect(url).toMatch(/^https:\/\/mail\.example\.com\/unsubscribe\/[\w-]+\.[\w-]+$/);
+      expect(substitutions).toEqual({ '%%unsubscribe_url%%': url });
+      expect(headers).toEqual({
+        'List-Unsubscribe': `<${url}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      });
+      expect(message.personalizations['first@example.com'].substitutions).not.toEqual(
+        substitutions
+      );
+    });
+
+    it('should keep the placeholder of the body and link HTML bodies', async () => {
+      const placed = await createEmailRecord({ body: 'Read more. %%unsubscribe_url%%' });
+      const html = await createEmailRecord({ body: '<html><body><p>Hello</p></body></html>' });
+
+      await processEmail(placed.id);
+      await processEmail(html.id);
+
+      expect(sendEmail.mock.calls[0][0].body).toBe('Read more. %%unsubscribe_url%%');
+      expect(sendEmail.mock.calls[1][0].body).toBe(
+        '<html><body><p>Hello</p><p><a href="%%unsubscribe_url%%">Unsubscribe</a></p>\n</body></html>'
+      );
+    });
+
+    it('should leave emails without unsubscribe untouched', async () => {
+      const email = await createEmailRecord({ unsubscribe: false });
+
+      await processEmail(email.id);
+
+      const [message] = sendEmail.mock.calls[0];
+      expect(message.fanOut).toBe(false);
+      expect(message.body).toBe(emailData.body);
+      expect(message.personalizations).toBeUndefined();
+    });
+  });
+
+  describe('unsubscribing', () => {
+    it('should only ask for a confirmation when the link is opened', async () => {
+      const email = await createEmailRecord();
+      const token = tokenOf(getUnsubscribeUrl(email, 'first@example.com'));
+
+      const response = await request(app).get(`/unsubscribe/${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.type).toBe('text/html');
+      expect(response.text).toContain('<strong>newsletter</strong>');
+      expect(await Suppression.count()).toBe(0);
+    });
+
+    it('should opt the recipient out of the category on a one-click post', async () => {
+      const email = await createEmailRecord();
+      const token = tokenOf(getUnsubscribeUrl(email, 'first@example.com'));
+
+      const response = await request(app)
+        .post(`/unsubscribe/${token}`)
+        .type('form')
+        .send('List-Unsubscribe=One-Click');
+      // Unsubscribing twice changes nothing
+      await request(app).post(`/unsubscribe/${token}`);
+
+      expect(response.status).toBe(200);
+      const suppressions = await Suppression.findAll();
+      expect(suppressions).toHaveLength(1);
+      expect(suppressions[0]).toMatchObject({
+        tenantId: TENANT_ID,
+        email: 'first@example.com',
+        category: 'newsletter',
+        reason: 'unsubscribe',
+      });
+    });
+
+    it('should block later emails of the category only', async () => {
+      const email = await createEmailRecord();
+      await request(app).post(
+        `/unsubscribe/${tokenOf(getUnsubscribeUrl(email, 'first@example.com'))}`
+      );
+
+      const newsletter = await createEmailRecord();
+      const receipt = await createEmailRecord({ category: 'receipts' });
+      await processEmail(newsletter.id);
+      await processEmail(receipt.id);
+
+      await newsletter.reload();
+      await receipt.reload();
+      expect(newsletter.status).toBe(EMAIL_STATUS.SUPPRESSED);
+      expect(newsletter.failureReason).toBe(
+        'Suppressed recipients: first@example.com (unsubscribe: newsletter)'
+      );
+      expect(receipt.status).toBe(EMAIL_STATUS.SENT);
+
+      const response = await api
+        .post('/api/emails')
+        .send({ ...emailData, to: ['first@example.com'] });
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].message).toBe('first@example.com is suppressed (unsubscribe)');
+    });
+
+    it('should block every email when the email has no category', async () => {
+      const email = await createEmailRecord({ category: null });
+      await request(app).post(
+        `/unsubscribe/${tokenOf(getUnsubscribeUrl(email, 'first@example.com'))}`
+      );
+
+      const receipt = await createEmailRecord({ category: 'receipts' });
+      await processEmail(receipt.id);
+
+      await receipt.reload();
+      expect(receipt.status).toBe(EMAIL_STATUS.SUPPRESSED);
+    });
+
+    it('should reject forged and tampered links', async () => {
+      const email = await createEmailRecord();
+      const token = tokenOf(getUnsubscribeUrl(email, 'first@example.com'));
+      const [payload, signature] = token.split('.');
+      const otherPayload = tokenOf(getUnsubscribeUrl(email, 'second@example.com')).split('.')[0];
+
+      const tampered = await request(app).post(`/unsubscribe/${otherPayload}.${signature}`);
+      const malformed = await request(app).get(`/unsubscribe/${payload}`);
+
+      expect(tampered.status).toBe(400);
+      expect(malformed.status).toBe(400);
+      expect(tampered.text).toContain('Invalid unsubscribe link');
+      expect(await Suppression.count()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const request = require('supertest');
+const app = require('../app');
+const Email = require('../modules/email/email.model');
+const WebhookDelivery = require('../modules/webhook/webhookDelivery.model');
+const { createApiKey } = require('../modules/apiKey/apiKey.service');
+const { markEmailAsSent, markEmailAsFailed } = require('../modules/email/email.service');
+const { deliverWebhook, signPayload } = require('../modules/webhook/webhook.service');
+const { addWebhookJob } = require('../modules/webhook/webhook.queue');
+const { WEBHOOK_DELIVERY_STATUS } = require('../utils/constants');
+
+jest.mock('../transports', () => ({
+  sendEmail: jest.fn(),
+}));
+
+// Deliveries are made explicitly with deliverWebhook
+jest.mock('../modules/webhook/webhook.queue', () => ({
+  addWebhookJob: jest.fn(),
+}));
+
+describe('Webhooks', () => {
+  const TENANT_ID = 'test-tenant';
+  let api;
+
+  beforeEach(async () => {
+    const { key } = await createApiKey({ tenantId: TENANT_ID, name: 'Tests' });
+    api = request.agent(app).set('X-API-Key', key);
+    jest.spyOn(global, 'fetch').mockResolvedValue(new Response(null, { status: 200 }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const createEmailRecord = () =>
+    Email.create({
+      tenantId: TENANT_ID,
+      to: ['recipient@example.com'],
+      subject: 'Test Email',
+      body: 'This is a test email body',
+      scheduledAt: new Date(Date.now() + 60000),
+    });
+
+  const createWebhook = async (events = ['email.sent', 'email.failed']) => {
+    const response = await api
+      .post('/api/webhooks')
+      .send({ url: 'https://example.com/hooks/email', events });
+    return response.body.data;
+  };
+
+  describe('subscriptions', () => {
+    it('should return the secret only when the webhook is created', async () => {
+      const response = await api
+        .post('/api/webhooks')
+        .send({ url: 'https://example.com/hooks/email', events: ['email.sent'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.secret).toMatch(/^whsec_/);
+      expect(response.body.data.active).toBe(true);
+
+      const list = await api.get('/api/webhooks');
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0].secret).toBeUndefined();
+    });
+
+    it('should reject unknown events and non-http URLs', async () => {
+      const response = await api
+        .post('/api/webhooks')
+        .send({ url: 'ftp://example.com/hooks', events: ['email.opened'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map((error) => error.field)).toEqual(
+        expect.arrayContaining(['url', 'events.0'])
+      );
+    });
+
+    it('should not show webhooks to other tenants', async () => {
+      const webhook = await createWebhook();
+      const { key } = await createApiKey({ tenantId: 'other-tenant', name: 'Other' });
+
+      const response = await request(app).get(`/api/webhooks/${webhook.id}`).set('X-API-Key', key);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('events', () => {
+    it('should queue a delivery when an email is sent', async () => {
+      const webhook = await createWebhook();
+      const email = await createEmailRecord();
+
+      await markEmailAsSent(email.id);
+
+      const deliveries = await WebhookDelivery.findAll({ where: { webhookId: webhook.id } });
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0].event).toBe('email.sent');
+      expect(deliveries[0].payload.id).toBe(deliveries[0].id);
+      expect(deliveries[0].payload.data.email).toMatchObject({ id: email.id, status: 'SENT' });
+      expect(deliveries[0].payload.data.email.body).toBeUndefined();
+      expect(addWebhookJob).toHaveBeenCalledWith(deliveries[0].id);
+    });
+
+    it('should only notify active webhooks subscribed to the event', async () => {
+      await createWebhook(['email.failed']);
+      const paused = await createWebhook(['email.sent']);
+      await api.put(`/api/webhooks/${paused.id}`).send({ active: false });
+      const email = await createEmailRecord();
+
+      await markEmailAsSent(email.id);
+
+      expect(await WebhookDelivery.count()).toBe(0);
+    });
+
+    it('should notify cancellations', async () => {
+      await createWebhook(['email.cancelled']);
+      const email = await createEmailRecord();
+
+      await api.post(`/api/emails/${email.id}/cancel`).send({ reason: 'Postponed' });
+
+      const [delivery] = await WebhookDelivery.findAll();
+      expect(delivery.event).toBe('email.cancelled');
+      expect(delivery.payload.data.email.cancellationReason).toBe('Postponed');
+    });
+  });
+
+  describe('deliveries', () => {
+    let webhook;
+    let delivery;
+
+    beforeEach(async () => {
+      webhook = await createWebhook();
+      const email = await createEmailRecord();
+      await markEmailAsFailed(email.id, 'Mailbox unavailable');
+      delivery = await WebhookDelivery.findOne({ where: { webhookId: webhook.id } });
+    });
+
+    it('should post the payload with a valid signature', async () => {
+      await deliverWebhook(delivery.id);
+
+      const [url, options] = fetch.mock.calls[0];
+      const [, timestamp, signature] =
+        options.headers['X-Webhook-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+      expect(url).toBe('https://example.com/hooks/email');
+      expect(options.headers['X-Webhook-Id']).toBe(delivery.id);
+      expect(JSON.parse(options.body).event).toBe('email.failed');
+      expect(signature).toBe(signPayload(webhook.secret, timestamp, options.body));
+
+      await delivery.reload();
+      expect(delivery.status).toBe(WEBHOOK_DELIVERY_STATUS.SUCCEEDED);
+      expect(delivery.attemptCount).toBe(1);
+    });
+
+    it('should keep the delivery pending until its last attempt fails', async () => {
+      fetch.mockResolvedValue(new Response(null, { status: 503 }));
+
+      await expect(deliverWebhook(delivery.id, { final: false })).rejects.toThrow('HTTP 503');
+      await delivery.reload();
+      expect(delivery.status).toBe(WEBHOOK_DELIVERY_STATUS.PENDING);
+
+      fetch.mockRejectedValue(new Error('connect ECONNREFUSED'));
+      await expect(deliverWebhook(delivery.id, { final: true })).rejects.toThrow('ECONNREFUSED');
+      await delivery.reload();
+      expect(delivery.status).toBe(WEBHOOK_DELIVERY_STATUS.FAILED);
+
+      const response = await api.get(`/api/webhooks/${webhook.id}/deliveries/${delivery.id}`);
+      expect(response.status).toBe(200);
+      expect(response.body.data.attemptCount).toBe(2);
+      expect(response.body.data.attempts).toEqual([
+        expect.objectContaining({ success: false, responseStatus: 503 }),
+        expect.objectContaining({ success: false, responseStatus: null }),
+      ]);
+    });
+
+    it('should list deliveries filtered by status', async () => {
+      fetch.mockResolvedValue(new Response(null, { status: 500 }));
+      await expect(deliverWebhook(delivery.id)).rejects.toThrow();
+
+      const failed = await api.get(`/api/webhooks/${webhook.id}/deliveries?status=failed`);
+      const succeeded = await api.get(`/api/webhooks/${webhook.id}/deliveries?status=SUCCEEDED`);
+
+      expect(failed.body.data.deliveries).toHaveLength(1);
+      expect(succeeded.body.data.deliveries).toHaveLength(0);
+    });
+
+    it('should replay a failed delivery', async () => {
+      fetch.mockResolvedValue(new Response(null, { status: 500 }));
+      await expect(deliverWebhook(delivery.id)).rejects.toThrow();
+      addWebhookJob.mockClear();
+
+      const response = await api.post(
+        `/api/webhooks/${webhook.id}/deliveries/${delivery.id}/replay`
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe(WEBHOOK_DELIVERY_STATUS.PENDING);
+      expect(addWebhookJob).toHaveBeenCalledWith(delivery.id);
+    });
+
+    it('should not replay a pending delivery', async () => {
+      const response = await api.post(
+        `/api/webhooks/${webhook.id}/deliveries/${delivery.id}/replay`
+      );
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
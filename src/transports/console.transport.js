@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+const { TRANSPORT_ERROR } = require('../utils/constants');
+const { success, failure, sendWithNodemailer } = require('./transport.utils');
+
+const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+/**
+ * Log every email instead of sending it
+ * Meant for local development and tests
+ */
+const send = async (message) => {
+  try {
+    const infos = await sendWithNodemailer(transporter, message);
+    for (const info of infos) {
+      logger.info('Email (console transport)', {
+        messageId: info.messageId,
+        message: JSON.parse(info.message),
+      });
+    }
+
+    return success(infos.map((info) => info.messageId).join(','));
+  } catch (error) {
+    return failure(error.message, TRANSPORT_ERROR.PERMANENT, error.sentTo);
+  }
+};
+
+module.exports = { name: 'console', send };
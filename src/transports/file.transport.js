@@ -0,0 +1,35 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { TRANSPORT_ERROR } = require('../utils/constants');
+const { success, failure, sendWithNodemailer } = require('./transport.utils');
+
+const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+/**
+ * Write every email to FILE_TRANSPORT_DIR as an .eml file instead of sending it
+ * Meant for local development, the files open in any mail client
+ */
+const send = async (message) => {
+  try {
+    const directory = path.resolve(config.fileTransport.directory);
+    await fs.mkdir(directory, { recursive: true });
+
+    const infos = await sendWithNodemailer(transporter, message);
+    for (const info of infos) {
+      const fileName = `${Date.now()}-${info.messageId.replace(/[<>]/g, '')}.eml`;
+      await fs.writeFile(path.join(directory, fileName), info.message);
+      logger.info(`Email written to ${path.join(directory, fileName)}`, {
+        messageId: info.messageId,
+      });
+    }
+
+    return success(infos.map((info) => info.messageId).join(','));
+  } catch (error) {
+    return failure(error.message, TRANSPORT_ERROR.CONFIGURATION, error.sentTo);
+  }
+};
+
+module.exports = { name: 'file', send };
@@ -0,0 +1,75 @@
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { TRANSPORT_ERROR } = require('../utils/constants');
+const { failure } = require('./transport.utils');
+const metrics = require('../metrics');
+
+/**
+ * Email transports by name, selected with EMAIL_TRANSPORT
+ *
+ * A transport is an object { name, send(message) } where message is
+ * { from, to, cc, bcc, subject, body, attachments, fanOut, headers, personalizations } and send
+ * resolves to the normalized result { success, messageId, error, errorType }. Attachments are
+ * { filename, contentType, content } with content as a Buffer. Transports report failures in the
+ * result instead of throwing; errorType is one of TRANSPORT_ERROR. When some fanned out messages
+ * were accepted before the send failed, the failed result lists their `to` addresses in sentTo.
+ *
+ * headers and personalizations are optional. headers are added to every message. With fanOut,
+ * personalizations maps a `to` address to the { headers, substitutions } of its own message:
+ * substitutions maps placeholders to the values replacing them in the body.
+ */
+const transports = new Map();
+
+const registerTransport = (transport) => {
+  transports.set(transport.name, transport);
+};
+
+[
+  require('./sendgrid.transport'),
+  require('./smtp.transport'),
+  require('./ses.transport'),
+  require('./file.transport'),
+  require('./console.transport'),
+].forEach(registerTransport);
+
+/**
+ * Get a registered transport
+ * @param {string} [name] - Transport name, defaults to the configured one
+ */
+const getTransport = (name = config.transport.driver) => {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(
+      `Unknown email transport "${name}". Available: ${[...transports.keys()].join(', ')}`
+    );
+  }
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, cc, bcc, subject, body, attachments, fanOut, from, headers,
+ * personalizations }
+ * @returns {Object} { success, messageId, error, errorType }
+ */
+const sendEmail = async ({ cc = [], bcc = [], attachments = [], fanOut = false, ...message }) => {
+  try {
+    const transport = getTransport();
+    const observeDuration = metrics.transportDuration.startTimer({ transport: transport.name });
+    const result = await transport.send({
+      from: config.transport.from,
+      cc,
+      bcc,
+      attachments,
+      fanOut,
+      ...message,
+    });
+    observeDuration({ result: result.success ? 'success' : result.errorType.toLowerCase() });
+    return result;
+  } catch (error) {
+    logger.error('Error sending email through transport:', error);
+    return failure(error.message, TRANSPORT_ERROR.CONFIGURATION);
+  }
+};
+
+module.exports = { registerTransport, getTransport, sendEmail };
@@ -0,0 +1,81 @@
+const sgMail = require('@sendgrid/mail');
+const config = require('../config/env');
+const { TRANSPORT_ERROR } = require('../utils/constants');
+const { success, failure, isNetworkError, classifyHttpStatus } = require('./transport.utils');
+
+if (config.sendgrid.apiKey) {
+  sgMail.setApiKey(config.sendgrid.apiKey);
+}
+
+const classifyError = (error) => {
+  if (isNetworkError(error)) {
+    return TRANSPORT_ERROR.TRANSIENT;
+  }
+  return typeof error.code === 'number'
+    ? classifyHttpStatus(error.code)
+    : TRANSPORT_ERROR.TRANSIENT;
+};
+
+/**
+ * Send an email through SendGrid
+ * With fanOut, SendGrid sends a separate copy to every `to` address in a single request,
+ * personalizations become SendGrid personalizations so the copies share one message id
+ */
+const send = async ({
+  from,
+  to,
+  cc,
+  bcc,
+  subject,
+  body,
+  attachments,
+  fanOut,
+  headers,
+  personalizations,
+}) => {
+  if (!config.sendgrid.apiKey) {
+    return failure('SendGrid API key is not configured', TRANSPORT_ERROR.CONFIGURATION);
+  }
+
+  try {
+    const msg = {
+      to,
+      cc: cc.length > 0 ? cc : undefined,
+      bcc: bcc.length > 0 ? bcc : undefined,
+      from,
+      subject,
+      text: body,
+      html: body,
+      attachments:
+        attachments.length > 0
+          ? attachments.map(({ filename, contentType, content }) => ({
+              filename,
+              type: contentType,
+              content: content.toString('base64'),
+              disposition: 'attachment',
+            }))
+          : undefined,
+      headers,
+    };
+
+    if (fanOut && personalizations) {
+      // Placeholders are given in full, SendGrid must not wrap them in its default {{ }}
+      msg.substitutionWrappers = ['', ''];
+      msg.personalizations = to.map((recipient) => ({
+        to: recipient,
+        headers: personalizations[recipient]?.headers,
+        substitutions: personalizations[recipient]?.substitutions,
+      }));
+    }
+
+    const [response] = await sgMail.send(msg, fanOut);
+    return success(response?.headers?.['x-message-id']);
+  } catch (error) {
+    return failure(
+      error.response?.body?.errors?.[0]?.message || error.message,
+      classifyError(error)
+    );
+  }
+};
+
+module.exports = { name: 'sendgrid', send };
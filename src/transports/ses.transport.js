@@ -0,0 +1,62 @@
+const nodemailer = require('nodemailer');
+const { SESv2Client, SendEmailCommand } = require('@aws-sdk/client-sesv2');
+const config = require('../config/env');
+const { TRANSPORT_ERROR } = require('../utils/constants');
+const {
+  success,
+  failure,
+  isNetworkError,
+  classifyHttpStatus,
+  sendWithNodemailer,
+} = require('./transport.utils');
+
+const CONFIGURATION_ERRORS = [
+  'AccessDeniedException',
+  'CredentialsProviderError',
+  'InvalidClientTokenId',
+  'UnrecognizedClientException',
+  'SignatureDoesNotMatch',
+];
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const sesClient = new SESv2Client({
+      region: config.ses.region,
+      endpoint: config.ses.endpoint,
+      credentials: config.ses.accessKeyId
+        ? { accessKeyId: config.ses.accessKeyId, secretAccessKey: config.ses.secretAccessKey }
+        : undefined, // Fall back to the default AWS credential chain
+    });
+    transporter = nodemailer.createTransport({ SES: { sesClient, SendEmailCommand } });
+  }
+  return transporter;
+};
+
+const classifyError = (error) => {
+  if (CONFIGURATION_ERRORS.includes(error.name)) {
+    return TRANSPORT_ERROR.CONFIGURATION;
+  }
+  if (isNetworkError(error) || error.$retryable) {
+    return TRANSPORT_ERROR.TRANSIENT;
+  }
+  const statusCode = error.$metadata?.httpStatusCode;
+  return statusCode ? classifyHttpStatus(statusCode) : TRANSPORT_ERROR.PERMANENT;
+};
+
+/**
+ * Send an email through the Amazon SES v2 API
+ * SES_ENDPOINT points the client at an SES-compatible service, e.g. a local stub
+ */
+const send = async (message) => {
+  try {
+    const infos = await sendWithNodemailer(getTransporter(), message);
+    // info.response holds the raw SES MessageId, info.messageId the Message-ID header
+    return success(infos.map((info) => info.response).join(','));
+  } catch (error) {
+    return failure(error.message, classifyError(error), error.sentTo);
+  }
+};
+
+module.exports = { name: 'ses', send };
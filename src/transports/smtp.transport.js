@@ -0,0 +1,50 @@
+const nodemailer = require('nodemailer');
+const config = require('../config/env');
+const { TRANSPORT_ERROR } = require('../utils/constants');
+const { success, failure, isNetworkError, sendWithNodemailer } = require('./transport.utils');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.smtp.host,
+      port: config.smtp.port,
+      secure: config.smtp.secure,
+      auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined,
+    });
+  }
+  return transporter;
+};
+
+// SMTP reply codes: 4xx are temporary, 5xx are permanent
+const classifyError = (error) => {
+  if (error.code === 'EAUTH' || error.code === 'ETLS') {
+    return TRANSPORT_ERROR.CONFIGURATION;
+  }
+  if (isNetworkError(error)) {
+    return TRANSPORT_ERROR.TRANSIENT;
+  }
+  if (error.responseCode >= 400 && error.responseCode < 500) {
+    return TRANSPORT_ERROR.TRANSIENT;
+  }
+  return TRANSPORT_ERROR.PERMANENT;
+};
+
+/**
+ * Send an email through a generic SMTP server
+ */
+const send = async (message) => {
+  if (!config.smtp.host) {
+    return failure('SMTP host is not configured', TRANSPORT_ERROR.CONFIGURATION);
+  }
+
+  try {
+    const infos = await sendWithNodemailer(getTransporter(), message);
+    return success(infos.map((info) => info.messageId).join(','));
+  } catch (error) {
+    return failure(error.response || error.message, classifyError(error), error.sentTo);
+  }
+};
+
+module.exports = { name: 'smtp', send };
@@ -0,0 +1,137 @@
+const { TRANSPORT_ERROR } = require('../utils/constants');
+
+// Socket-level failures that are expected to go away on their own
+const NETWORK_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ECONNECTION',
+  'ESOCKET',
+  'EDNS',
+];
+
+/**
+ * Normalized result of a successful send
+ * @param {string} [messageId] - Provider message id
+ */
+const success = (messageId) => ({
+  success: true,
+  messageId: messageId || null,
+  error: null,
+  errorType: null,
+});
+
+/**
+ * Normalized result of a failed send
+ * @param {string} error - Human readable reason
+ * @param {string} errorType - One of TRANSPORT_ERROR
+ * @param {Array<string>} [sentTo] - `to` addresses whose fanned out message was accepted anyway
+ */
+const failure = (error, errorType = TRANSPORT_ERROR.PERMANENT, sentTo = []) => ({
+  success: false,
+  messageId: null,
+  error,
+  errorType,
+  ...(sentTo.length > 0 && { sentTo }),
+});
+
+const isNetworkError = (error) => NETWORK_ERROR_CODES.includes(error.code);
+
+/**
+ * Classify an HTTP status returned by an API based provider
+ * @param {number} statusCode
+ * @returns {string} One of TRANSPORT_ERROR
+ */
+const classifyHttpStatus = (statusCode) => {
+  if (statusCode === 401 || statusCode === 403) {
+    return TRANSPORT_ERROR.CONFIGURATION;
+  }
+  if (statusCode === 408 || statusCode === 429 || statusCode >= 500) {
+    return TRANSPORT_ERROR.TRANSIENT;
+  }
+  return TRANSPORT_ERROR.PERMANENT;
+};
+
+/**
+ * Replace every placeholder of a body with its value
+ * @param {string} body
+ * @param {Object} [substitutions] - { placeholder: value }
+ */
+const applySubstitutions = (body, substitutions = {}) =>
+  Object.entries(substitutions).reduce(
+    (result, [placeholder, value]) => result.split(placeholder).join(value),
+    body
+  );
+
+/**
+ * Send a message through a nodemailer transporter
+ * With fanOut, every `to` address gets its own message so recipients don't see each other,
+ * personalized with its entry of personalizations. A failed message doesn't stop the others: once
+ * every recipient was tried, the first error is thrown with the recipients that got their message
+ * in error.sentTo
+ * @param {Object} transporter - nodemailer transporter
+ * @param {Object} message - Transport message
+ * @returns {Array<Object>} nodemailer info of every message sent
+ */
+const sendWithNodemailer = async (
+  transporter,
+  { from, to, cc, bcc, subject, body, attachments, fanOut, headers, personalizations = {} }
+) => {
+  const mail = {
+    from,
+    cc: cc.length > 0 ? cc : undefined,
+    bcc: bcc.length > 0 ? bcc : undefined,
+    subject,
+    text: body,
+    html: body,
+    headers,
+    attachments: attachments.map(({ filename, contentType, content }) => ({
+      filename,
+      contentType,
+      content,
+    })),
+  };
+
+  if (!fanOut) {
+    return [await transporter.sendMail({ ...mail, to })];
+  }
+
+  const infos = [];
+  const sentTo = [];
+  let firstError = null;
+  for (const recipient of to) {
+    const personalization = personalizations[recipient] || {};
+    const recipientBody = applySubstitutions(body, personalization.substitutions);
+    try {
+      infos.push(
+        await transporter.sendMail({
+          ...mail,
+          to: recipient,
+          text: recipientBody,
+          html: recipientBody,
+          headers: { ...headers, ...personalization.headers },
+        })
+      );
+      sentTo.push(recipient);
+    } catch (error) {
+      firstError = firstError || error;
+    }
+  }
+
+  if (firstError) {
+    firstError.sentTo = sentTo;
+    throw firstError;
+  }
+  return infos;
+};
+
+module.exports = {
+  success,
+  failure,
+  isNetworkError,
+  classifyHttpStatus,
+  applySubstitutions,
+  sendWithNodemailer,
+};
@@ -1,8 +1,69 @@
 module.exports = {
   EMAIL_STATUS: {
     PENDING: 'PENDING',
+    PROCESSING: 'PROCESSING', // Claimed by a job while it is being sent
     SENT: 'SENT',
     FAILED: 'FAILED',
+    CANCELLED: 'CANCELLED',
+    SUPPRESSED: 'SUPPRESSED', // Not sent, a recipient is on the suppression list
+    // Reported by the provider after the email was SENT
+    DELIVERED: 'DELIVERED',
+    DEFERRED: 'DEFERRED',
+    BOUNCED: 'BOUNCED',
+    DROPPED: 'DROPPED',
+    SPAM_REPORTED: 'SPAM_REPORTED',
+  },
+  // Changes recorded in the status history of an email (GET /api/emails/:id/events)
+  EMAIL_EVENT_TYPE: {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    RESCHEDULED: 'rescheduled', // Updated with a new send time or recurrence
+    PROCESSING_STARTED: 'processing_started', // Picked up by the worker to be sent
+    SENT: 'sent',
+    FAILED: 'failed',
+    SUPPRESSED: 'suppressed',
+    RETRIED: 'retried',
+    CANCELLED: 'cancelled',
+    RECURRENCE_STOPPED: 'recurrence_stopped',
+    RECURRENCE_ENDED: 'recurrence_ended', // Ran out of occurrences while the scheduler was down
+    DELIVERY_STATUS_CHANGED: 'delivery_status_changed', // Moved by a provider delivery event
+  },
+  // Actor of the changes made by the scheduler and the worker
+  SYSTEM_ACTOR: 'system',
+  // Columns GET /api/emails can be sorted by
+  EMAIL_SORT_FIELDS: ['createdAt', 'scheduledAt', 'updatedAt', 'status', 'subject'],
+  // Columns of GET /api/emails/export, in the order they are written
+  EMAIL_EXPORT_COLUMNS: [
+    'id',
+    'status',
+    'to',
+    'cc',
+    'bcc',
+    'subject',
+    'body',
+    'category',
+    'templateId',
+    'templateVersion',
+    'variables',
+    'scheduledAt',
+    'localScheduledAt',
+    'timezone',
+    'recurrence',
+    'occurrenceCount',
+    'retryCount',
+    'failureReason',
+    'providerMessageId',
+    'cancelledAt',
+    'cancellationReason',
+    'createdAt',
+    'updatedAt',
+  ],
+  EMAIL_EXPORT_FORMAT: {
+    CSV: 'csv',
+    NDJSON: 'ndjson', // One JSON object per line
+  },
+  EMAIL_EXPORT: {
+    BATCH_SIZE: 500, // Rows fetched from the database cursor at a time
   },
   PAGINATION: {
     DEFAULT_PAGE: 1,
@@ -13,5 +74,97 @@ module.exports = {
     ATTEMPTS: 3,
     DELAY: 5000, // 5 seconds
   },
+  RETRY: {
+    DEFAULT_BATCH_SIZE: 100,
+    MAX_BATCH_SIZE: 1000,
+  },
+  // POST /api/emails/bulk
+  BULK: {
+    MAX_EMAILS: 1000,
+  },
+  // CSV imports of emails (POST /api/emails/import)
+  EMAIL_IMPORT_STATUS: {
+    PENDING: 'PENDING', // Uploaded, waiting for its job
+    PROCESSING: 'PROCESSING',
+    COMPLETED: 'COMPLETED', // Every row was read, valid rows are scheduled
+    FAILED: 'FAILED', // The file could not be imported, see failureReason
+  },
+  EMAIL_IMPORT: {
+    BATCH_SIZE: 500, // Rows scheduled together
+  },
+  RECURRENCE: {
+    MAX_COUNT: 1000,
+    DEFAULT_UPCOMING_LIMIT: 10,
+    MAX_UPCOMING_LIMIT: 100,
+  },
+  // What happens on startup to emails whose send time passed while the scheduler was down
+  CATCH_UP_POLICY: {
+    SEND: 'send', // Send them right away
+    SKIP: 'skip', // Mark them FAILED without sending
+    GRACE: 'grace', // Send them if missed by less than the grace window, skip the others
+  },
+  // Token buckets limiting outbound sends
+  RATE_LIMIT_SCOPE: {
+    GLOBAL: 'global', // Every send
+    TENANT: 'tenant', // Sends of one tenant
+    DOMAIN: 'domain', // Sends to one recipient domain
+  },
+  // Events sent to webhook subscribers
+  WEBHOOK_EVENT: {
+    EMAIL_SENT: 'email.sent',
+    EMAIL_FAILED: 'email.failed',
+    EMAIL_CANCELLED: 'email.cancelled',
+    EMAIL_SUPPRESSED: 'email.suppressed',
+    EMAIL_DELIVERED: 'email.delivered',
+    EMAIL_DEFERRED: 'email.deferred',
+    EMAIL_BOUNCED: 'email.bounced',
+    EMAIL_DROPPED: 'email.dropped',
+    EMAIL_SPAM_REPORTED: 'email.spam_reported',
+  },
+  WEBHOOK_DELIVERY_STATUS: {
+    PENDING: 'PENDING', // Waiting for its first or next attempt
+    SUCCEEDED: 'SUCCEEDED', // The subscriber answered with a 2xx status
+    FAILED: 'FAILED', // Every attempt failed, it can be replayed
+  },
+  // Why an address is on the suppression list
+  SUPPRESSION_REASON: {
+    BOUNCE: 'bounce', // Hard bounce
+    COMPLAINT: 'complaint', // Spam report
+    UNSUBSCRIBE: 'unsubscribe',
+    MANUAL: 'manual',
+  },
+  // What creating or updating an email does when a recipient is suppressed
+  SUPPRESSION_POLICY: {
+    REJECT: 'reject', // Answer 400
+    WARN: 'warn', // Accept it and list the suppressed recipients, the send is still blocked
+  },
+  SUPPRESSION: {
+    MAX_IMPORT: 1000,
+    MAX_CATEGORY_LENGTH: 64,
+  },
+  // Replaced by the recipient's own unsubscribe URL, a footer link is added when the body has none
+  UNSUBSCRIBE_URL_PLACEHOLDER: '%%unsubscribe_url%%',
+  // Recipient activity recorded by the tracking pixel and the tracked links
+  TRACKING_EVENT: {
+    OPEN: 'open',
+    CLICK: 'click',
+  },
+  // Delivery events of the providers, as recorded on the email's timeline
+  PROVIDER: {
+    SENDGRID: 'sendgrid',
+  },
+  TRANSPORT_ERROR: {
+    TRANSIENT: 'TRANSIENT', // Worth retrying: network errors, throttling, provider outages
+    PERMANENT: 'PERMANENT', // Rejected message or recipient, retrying won't help
+    CONFIGURATION: 'CONFIGURATION', // Missing or invalid credentials/settings
+  },
+  // Status of the components checked by GET /health/ready
+  HEALTH_STATUS: {
+    UP: 'up',
+    DOWN: 'down',
+    DISABLED: 'disabled', // Not used in this mode, e.g. Redis with the in-memory scheduler
+  },
+  // Redis key the email worker refreshes while it runs
+  WORKER_HEARTBEAT_KEY: 'worker:heartbeat',
 };
 
@@ -0,0 +1,98 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Minimal CSV (RFC 4180) reading and writing
+ * Fields may be quoted, with "" for a quote and line breaks inside quotes. Records end with
+ * \n or \r\n; a leading UTF-8 BOM, as written by spreadsheets, is dropped.
+ */
+
+/**
+ * Parse CSV records from a stream, without holding more than one chunk of text at a time
+ * @param {AsyncIterable<Buffer|string>} source - e.g. a readable stream
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter (default: ",")
+ * @yields {Array<string>} The fields of each record, blank lines are skipped
+ */
+async function* parseCsv(source, { delimiter = ',' } = {}) {
+  const decoder = new StringDecoder('utf8');
+  let record = [];
+  let field = '';
+  let quoted = false;
+  // A quote inside a quoted field, closing it unless followed by another quote
+  let quotePending = false;
+  let started = false;
+
+  const endRecord = (records) => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+
+  const parse = (text) => {
+    const records = [];
+    for (const char of text) {
+      if (quoted) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += char;
+            continue;
+          }
+          quoted = false;
+        } else {
+          if (char === '"') {
+            quotePending = true;
+          } else {
+            field += char;
+          }
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (char === '\n') {
+        endRecord(records);
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+    return records;
+  };
+
+  for await (const chunk of source) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (!started && text.length > 0) {
+      text = text.replace(/^\uFEFF/, '');
+      started = true;
+    }
+    yield* parse(text);
+  }
+
+  const rest = parse(decoder.end());
+  if (field !== '' || record.length > 0) {
+    endRecord(rest);
+  }
+  yield* rest;
+}
+
+// Quote fields that would otherwise be read differently
+const formatField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV record
+ * @param {Array} fields
+ * @returns {string} The record, with its \r\n line ending
+ */
+const formatCsvRecord = (fields) => `${fields.map(formatField).join(',')}\r\n`;
+
+module.exports = { parseCsv, formatCsvRecord };
@@ -0,0 +1,32 @@
+/**
+ * Helpers for the HTML added to sent emails and the pages shown to their recipients
+ */
+
+// Anything that looks like a tag, the body is then treated as HTML
+const HTML_PATTERN = /<[a-z][^>]*>/i;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Check whether an email body is HTML rather than plain text
+ * @param {string} body
+ * @returns {boolean}
+ */
+const isHtml = (body) => HTML_PATTERN.test(body);
+
+/**
+ * Add HTML at the end of a body, before </body> when there is one
+ * @param {string} body - HTML body
+ * @param {string} html - HTML to add
+ * @returns {string}
+ */
+const appendHtml = (body, html) => {
+  const bodyEnd = body.search(/<\/body>/i);
+  return bodyEnd === -1
+    ? `${body}\n${html}`
+    : `${body.slice(0, bodyEnd)}${html}\n${body.slice(bodyEnd)}`;
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+module.exports = { isHtml, appendHtml, escapeHtml };
@@ -1,5 +1,8 @@
 const logger = require('./logger');
 
+// Largest delay accepted by setTimeout (~24.8 days)
+const MAX_TIMEOUT = 2147483647;
+
 /**
  * In-memory job scheduler as an alternative to Redis/BullMQ
  * This allows the application to work without Redis for development/testing
@@ -10,10 +13,33 @@ class InMemoryScheduler {
     this.isRunning = false;
   }
 
+  /**
+   * Start the timer of a job, calling onDue at runAt
+   * setTimeout cannot wait longer than MAX_TIMEOUT, so long delays are split into hops that
+   * replace the timer of the job
+   * @param {string} jobId - Job identifier
+   * @param {Date} runAt - When onDue should run
+   * @param {Function} onDue
+   * @returns {Object} The timer
+   */
+  startTimer(jobId, runAt, onDue) {
+    const delay = Math.max(runAt.getTime() - Date.now(), 0);
+    return setTimeout(
+      () => {
+        if (runAt.getTime() > Date.now()) {
+          this.jobs.get(jobId).timeout = this.startTimer(jobId, runAt, onDue);
+          return;
+        }
+        onDue();
+      },
+      Math.min(delay, MAX_TIMEOUT)
+    );
+  }
+
   /**
    * Schedule a job to run at a specific time
    * @param {string} jobId - Unique job identifier
-   * @param {Date|string} scheduledAt - When to execute the job
+   * @param {Date|string} scheduledAt - When to execute the job, a past time runs it right away
    * @param {Function} callback - Function to execute when job runs
    * @param {Object} jobData - Data to pass to the callback
    * @returns {string} jobId
@@ -22,43 +48,101 @@ class InMemoryScheduler {
     // Cancel existing job if it exists
     this.cancel(jobId);
 
-    const scheduledTime = new Date(scheduledAt).getTime();
-    const now = Date.now();
-    const delay = scheduledTime - now;
-
-    if (delay <= 0) {
-      throw new Error('Scheduled time must be in the future');
-    }
-
+    const runAt = new Date(scheduledAt);
     logger.info(`Scheduling in-memory job: ${jobId}`, {
       jobId,
-      scheduledAt: new Date(scheduledAt).toISOString(),
-      delayMs: delay,
+      scheduledAt: runAt.toISOString(),
+      delayMs: Math.max(runAt.getTime() - Date.now(), 0),
     });
 
-    const timeout = setTimeout(() => {
+    const timeout = this.startTimer(jobId, runAt, () => {
       logger.info(`Executing in-memory job: ${jobId}`, { jobId });
-      try {
-        callback(jobData);
-      } catch (error) {
-        logger.error(`Error executing in-memory job: ${jobId}`, {
-          jobId,
-          error: error.message,
-        });
-      }
       this.jobs.delete(jobId);
-    }, delay);
+      // Callbacks may be async, their rejections are logged like synchronous errors
+      Promise.resolve()
+        .then(() => callback(jobData))
+        .catch((error) => {
+          logger.error(`Error executing in-memory job: ${jobId}`, {
+            jobId,
+            error: error.message,
+          });
+        });
+    });
 
     this.jobs.set(jobId, {
       timeout,
       jobData,
       callback,
-      scheduledAt: new Date(scheduledAt),
+      scheduledAt: runAt,
     });
 
     return jobId;
   }
 
+  /**
+   * Schedule a recurring job
+   * After every run the next occurrence is computed and the job is re-armed under the same jobId
+   * @param {string} jobId - Unique job identifier
+   * @param {Date|string} firstRunAt - When the first occurrence should run
+   * @param {Function} getNextRunAt - Returns the occurrence following the given one, or null when the series ends
+   * @param {Function} callback - Function to execute on each occurrence (receives jobData plus occurrenceAt)
+   * @param {Object} jobData - Data to pass to the callback
+   * @returns {string} jobId
+   */
+  scheduleRecurring(jobId, firstRunAt, getNextRunAt, callback, jobData = {}) {
+    // Cancel existing job if it exists
+    this.cancel(jobId);
+
+    if (new Date(firstRunAt).getTime() <= Date.now()) {
+      throw new Error('Scheduled time must be in the future');
+    }
+
+    const armOccurrence = (runAt) => {
+      const occurrenceAt = new Date(runAt);
+      const delay = Math.max(occurrenceAt.getTime() - Date.now(), 0);
+
+      logger.info(`Scheduling recurring in-memory job: ${jobId}`, {
+        jobId,
+        scheduledAt: occurrenceAt.toISOString(),
+        delayMs: delay,
+      });
+
+      const onDue = () => {
+        logger.info(`Executing recurring in-memory job: ${jobId}`, {
+          jobId,
+          occurrenceAt: occurrenceAt.toISOString(),
+        });
+
+        const nextRunAt = getNextRunAt(occurrenceAt);
+        if (nextRunAt) {
+          armOccurrence(nextRunAt);
+        } else {
+          this.jobs.delete(jobId);
+        }
+
+        Promise.resolve()
+          .then(() => callback({ ...jobData, occurrenceAt }))
+          .catch((error) => {
+            logger.error(`Error executing recurring in-memory job: ${jobId}`, {
+              jobId,
+              error: error.message,
+            });
+          });
+      };
+
+      this.jobs.set(jobId, {
+        timeout: this.startTimer(jobId, occurrenceAt, onDue),
+        jobData,
+        callback,
+        scheduledAt: occurrenceAt,
+        recurring: true,
+      });
+    };
+
+    armOccurrence(firstRunAt);
+    return jobId;
+  }
+
   /**
    * Cancel a scheduled job
    * @param {string} jobId - Job identifier to cancel
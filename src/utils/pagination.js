@@ -0,0 +1,140 @@
+const { Op } = require('sequelize');
+const { PAGINATION } = require('./constants');
+
+/**
+ * Pagination of list endpoints
+ *
+ * Offset mode (page/limit) counts every matching row on each request and is kept for backwards
+ * compatibility. Cursor mode walks the rows in (createdAt, id) order from an opaque cursor: the
+ * database seeks straight to the next page instead of scanning an OFFSET, and rows inserted in
+ * the meantime don't make pages skip or repeat rows. Counting is optional in cursor mode.
+ */
+
+const DIRECTIONS = ['asc', 'desc'];
+
+/**
+ * Build the cursor pointing after a row
+ * @param {Object} row - Last row of a page, with createdAt and id
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {string} Opaque base64url token
+ */
+const encodeCursor = (row, direction) =>
+  Buffer.from(
+    JSON.stringify({ createdAt: new Date(row.createdAt).toISOString(), id: row.id, direction })
+  ).toString('base64url');
+
+/**
+ * Read a cursor built by encodeCursor
+ * @param {string} cursor
+ * @returns {Object|null} { createdAt, id, direction }, or null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id, direction } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(createdAt);
+
+    if (Number.isNaN(date.getTime()) || typeof id !== 'string' || !DIRECTIONS.includes(direction)) {
+      return null;
+    }
+    return { createdAt: date, id, direction };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Find one page of rows, in offset or cursor mode
+ * Cursor mode is used whenever a cursor is given; an empty string starts from the first row.
+ * @param {Object} model - Sequelize model with createdAt and id
+ * @param {Object} options
+ * @param {Object} [options.where] - Filters
+ * @param {number} [options.page] - Offset mode page
+ * @param {number} [options.limit] - Page size, capped at PAGINATION.MAX_LIMIT
+ * @param {Object|string} [options.cursor] - Decoded cursor, or '' for the first page
+ * @param {boolean} [options.includeTotal] - Count matching rows in cursor mode
+ * @param {string} [options.sortBy] - Offset mode sort field, cursor mode always sorts by createdAt
+ * @param {string} [options.sortOrder] - 'asc' or 'desc', a cursor keeps the order it was built with
+ * @returns {Object} { rows, pagination }
+ */
+const findPage = async (
+  model,
+  {
+    where = {},
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    cursor,
+    includeTotal = false,
+    sortBy = 'createdAt',
+    sortOrder = 'desc',
+  }
+) => {
+  const actualLimit = Math.min(limit, PAGINATION.MAX_LIMIT);
+
+  if (cursor === undefined) {
+    const offset = (page - 1) * actualLimit;
+    const { count, rows } = await model.findAndCountAll({
+      where,
+      limit: actualLimit,
+      offset,
+      // id breaks ties so pages don't overlap when sort values repeat
+      order: [
+        [sortBy, sortOrder.toUpperCase()],
+        ['id', sortOrder.toUpperCase()],
+      ],
+    });
+    const hasMore = offset + rows.length < count;
+
+    return {
+      rows,
+      pagination: {
+        page,
+        limit: actualLimit,
+        total: count,
+        totalPages: Math.ceil(count / actualLimit),
+        // Lets offset clients switch to cursor mode, only possible in (createdAt, id) order
+        nextCursor:
+          hasMore && sortBy === 'createdAt' ? encodeCursor(rows[rows.length - 1], sortOrder) : null,
+      },
+    };
+  }
+
+  const direction = cursor.direction || sortOrder;
+  const conditions = [where];
+
+  if (cursor.createdAt) {
+    const after = direction === 'asc' ? Op.gt : Op.lt;
+    conditions.push({
+      [Op.or]: [
+        { createdAt: { [after]: cursor.createdAt } },
+        { createdAt: cursor.createdAt, id: { [after]: cursor.id } },
+      ],
+    });
+  }
+
+  // One extra row tells whether there is a next page
+  const rows = await model.findAll({
+    where: { [Op.and]: conditions },
+    limit: actualLimit + 1,
+    order: [
+      ['createdAt', direction.toUpperCase()],
+      ['id', direction.toUpperCase()],
+    ],
+  });
+  const hasMore = rows.length > actualLimit;
+  const pageRows = rows.slice(0, actualLimit);
+
+  return {
+    rows: pageRows,
+    pagination: {
+      limit: actualLimit,
+      nextCursor: hasMore ? encodeCursor(pageRows[pageRows.length - 1], direction) : null,
+      ...(includeTotal && { total: await model.count({ where }) }),
+    },
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  findPage,
+};
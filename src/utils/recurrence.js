@@ -0,0 +1,136 @@
+const { parseExpression } = require('cron-parser');
+const { rrulestr } = require('rrule');
+
+/**
+ * Recurrence helpers shared by the BullMQ queue and the in-memory scheduler
+ *
+ * A recurrence is described as:
+ *   { cron: '0 9 * * 1' }                     - standard cron expression (UTC)
+ *   { rrule: 'FREQ=WEEKLY;BYDAY=MO' }          - iCal RRULE, anchored at the email's scheduledAt
+ * optionally bounded by `endDate` (inclusive) and/or `count` (total number of occurrences).
+ */
+
+const isRRule = (pattern) => /^(RRULE:|FREQ=)/i.test(String(pattern).trim());
+
+/**
+ * Get the pattern string stored for a recurrence (cron or RRULE)
+ * @param {Object} recurrence - Recurrence definition
+ * @returns {string}
+ */
+const getPattern = (recurrence) => recurrence.rrule || recurrence.cron;
+
+/**
+ * Find the first match of a pattern strictly after a given time
+ * @param {string} pattern - Cron expression or RRULE
+ * @param {Date|string} startDate - Series start (used as RRULE dtstart)
+ * @param {Date|number} after - Exclusive lower bound
+ * @returns {Date|null}
+ */
+const getNextMatch = (pattern, startDate, after) => {
+  const afterDate = new Date(after);
+
+  if (isRRule(pattern)) {
+    const rule = rrulestr(pattern, { dtstart: new Date(startDate) });
+    return rule.after(afterDate, false);
+  }
+
+  try {
+    return parseExpression(pattern, { currentDate: afterDate, tz: 'UTC' }).next().toDate();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check that a cron expression or RRULE can be parsed
+ * @param {string} pattern - Cron expression or RRULE
+ * @returns {boolean}
+ */
+const isValidPattern = (pattern) => {
+  try {
+    if (isRRule(pattern)) {
+      rrulestr(pattern, { dtstart: new Date() });
+    } else {
+      parseExpression(pattern, { tz: 'UTC' });
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * List occurrences of a series that fall strictly after a given time
+ * Occurrences are counted from the series start, so `count` always refers to the whole series.
+ * @param {Object} recurrence - Recurrence definition
+ * @param {Date|string} startDate - Series start (first occurrence is the first match at or after it)
+ * @param {Object} options
+ * @param {Date|number} [options.after] - Exclusive lower bound (defaults to just before startDate)
+ * @param {number} [options.limit=1] - Maximum number of occurrences to return
+ * @returns {Date[]}
+ */
+const getOccurrences = (recurrence, startDate, { after, limit = 1 } = {}) => {
+  const pattern = getPattern(recurrence);
+  const seriesStart = new Date(startDate).getTime() - 1;
+  const endTime = recurrence.endDate ? new Date(recurrence.endDate).getTime() : null;
+  const lowerBound =
+    after !== undefined ? Math.max(new Date(after).getTime(), seriesStart) : seriesStart;
+
+  // Without a count there is no need to walk the series from its start
+  let cursor = recurrence.count ? seriesStart : lowerBound;
+  let index = 0;
+  const occurrences = [];
+
+  while (occurrences.length < limit) {
+    const next = getNextMatch(pattern, startDate, cursor);
+    if (!next) break;
+
+    index += 1;
+    if (recurrence.count && index > recurrence.count) break;
+    if (endTime !== null && next.getTime() > endTime) break;
+
+    if (next.getTime() > lowerBound) {
+      occurrences.push(next);
+    }
+    cursor = next.getTime();
+  }
+
+  return occurrences;
+};
+
+/**
+ * Get the next occurrence of a series strictly after a given time
+ * @param {Object} recurrence - Recurrence definition
+ * @param {Date|string} startDate - Series start
+ * @param {Date|number} [after] - Exclusive lower bound (defaults to just before startDate)
+ * @returns {Date|null}
+ */
+const getNextOccurrence = (recurrence, startDate, after) =>
+  getOccurrences(recurrence, startDate, { after, limit: 1 })[0] || null;
+
+/**
+ * BullMQ repeat strategy understanding both cron expressions and RRULEs
+ * Must be passed to both the Queue and the Worker, as the worker schedules the next iteration.
+ * @param {number} millis - Time after which the next occurrence is wanted
+ * @param {Object} opts - BullMQ repeat options ({ pattern, startDate, endDate })
+ * @returns {number|undefined} Next occurrence in milliseconds
+ */
+const repeatStrategy = (millis, opts) => {
+  const startDate = opts.startDate ? new Date(opts.startDate) : new Date(millis);
+  const after = Math.max(millis, startDate.getTime() - 1);
+  const next = getNextMatch(opts.pattern, startDate, after);
+
+  if (!next || (opts.endDate && next.getTime() > new Date(opts.endDate).getTime())) {
+    return undefined;
+  }
+
+  return next.getTime();
+};
+
+module.exports = {
+  getPattern,
+  isValidPattern,
+  getOccurrences,
+  getNextOccurrence,
+  repeatStrategy,
+};
@@ -24,5 +24,15 @@ const errorResponse = (res, statusCode, message, errors = null) => {
   return res.status(statusCode).json(response);
 };
 
-module.exports = { successResponse, errorResponse };
+// Small HTML page, for the links of sent emails opened by recipients in a browser
+const htmlResponse = (res, statusCode, title, content) =>
+  res
+    .status(statusCode)
+    .type('html')
+    .send(
+      `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head>` +
+        `<body><h1>${title}</h1>${content}</body></html>`
+    );
+
+module.exports = { successResponse, errorResponse, htmlResponse };
 
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const config = require('../config/env');
+
+/**
+ * Tokens of the links put in sent emails
+ *
+ * A token is a base64url JSON payload followed by its HMAC-SHA256 with LINK_SIGNING_SECRET,
+ * e.g. 'eyJwIjoidW5zdWJzY3JpYmUi...fQ.3q2-7w...'. The payload records what the token is for, so a
+ * token issued for one kind of link is rejected by the others. Tokens don't expire.
+ */
+
+const sign = (data) =>
+  crypto.createHmac('sha256', config.links.secret).update(data).digest('base64url');
+
+/**
+ * Create a signed token
+ * @param {string} purpose - Kind of link the token is for, e.g. 'unsubscribe'
+ * @param {Object} payload - Data carried by the token, kept short as it ends up in a URL
+ * @returns {string}
+ */
+const createSignedToken = (purpose, payload) => {
+  if (!config.links.secret) {
+    throw new Error('LINK_SIGNING_SECRET is not configured');
+  }
+  const data = Buffer.from(JSON.stringify({ ...payload, p: purpose })).toString('base64url');
+  return `${data}.${sign(data)}`;
+};
+
+/**
+ * Verify a signed token
+ * @param {string} purpose - Kind of link the token must have been created for
+ * @param {string} token
+ * @returns {Object|null} The payload, or null when the token is malformed, forged or for another purpose
+ */
+const verifySignedToken = (purpose, token) => {
+  if (!config.links.secret || typeof token !== 'string') {
+    return null;
+  }
+
+  const [data, signature, ...rest] = token.split('.');
+  if (!data || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const { p, ...payload } = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    return p === purpose ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { createSignedToken, verifySignedToken };
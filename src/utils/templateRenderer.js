@@ -0,0 +1,44 @@
+/**
+ * Minimal `{{placeholder}}` renderer used by stored email templates
+ * Placeholder names are word characters only, surrounding whitespace is ignored: {{ firstName }}
+ */
+
+const PLACEHOLDER_PATTERN = /{{\s*(\w+)\s*}}/g;
+
+/**
+ * List the distinct placeholder names used in one or more texts
+ * @param {...string} texts - Template texts
+ * @returns {string[]}
+ */
+const extractPlaceholders = (...texts) => {
+  const names = new Set();
+  texts.forEach((text) => {
+    for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+  });
+  return Array.from(names);
+};
+
+/**
+ * List the placeholders that have no value in the given variables
+ * @param {string[]} placeholders - Placeholder names
+ * @param {Object} variables - Variable values
+ * @returns {string[]}
+ */
+const findMissingVariables = (placeholders, variables = {}) =>
+  placeholders.filter((name) => variables[name] === undefined || variables[name] === null);
+
+/**
+ * Replace placeholders with their values
+ * Unknown placeholders are left untouched
+ * @param {string} text - Template text
+ * @param {Object} variables - Variable values
+ * @returns {string}
+ */
+const render = (text, variables = {}) =>
+  String(text).replace(PLACEHOLDER_PATTERN, (match, name) =>
+    variables[name] === undefined || variables[name] === null ? match : String(variables[name])
+  );
+
+module.exports = { extractPlaceholders, findMissingVariables, render };
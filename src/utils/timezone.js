@@ -0,0 +1,44 @@
+const { DateTime } = require('luxon');
+
+/**
+ * Wall-clock scheduling helpers
+ *
+ * A local time is a date and time without offset, e.g. '2025-03-30T09:00' or '2025-03-30T09:00:00',
+ * interpreted in an IANA timezone such as 'Europe/Paris'. Across DST changes:
+ *   - a time skipped by a forward change (e.g. 02:30 on the spring-forward day) moves forward by the gap
+ *   - a time repeated by a backward change resolves to its first (earlier) occurrence
+ */
+
+const LOCAL_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Get the canonical name of an IANA timezone
+ * @param {string} timezone - Timezone name, case insensitive
+ * @returns {string|null} Canonical name, or null when the timezone is unknown
+ */
+const normalizeTimezone = (timezone) => {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check that a value is a valid local date and time without offset
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidLocalDateTime = (value) =>
+  LOCAL_DATE_TIME_PATTERN.test(value) && DateTime.fromISO(value, { zone: 'UTC' }).isValid;
+
+/**
+ * Resolve a local date and time in a timezone to an absolute instant
+ * @param {string} localDateTime - Date and time without offset
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+const resolveLocalDateTime = (localDateTime, timezone) =>
+  DateTime.fromISO(localDateTime, { zone: timezone }).toJSDate();
+
+module.exports = { normalizeTimezone, isValidLocalDateTime, resolveLocalDateTime };